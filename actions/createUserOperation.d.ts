@@ -0,0 +1,55 @@
+import type { Call } from "../client/api";
+import type { Coinbase } from "../coinbase/coinbase";
+import type { SmartWalletLike } from "../coinbase/types";
+import { UserOperation } from "../coinbase/user_operation";
+import type { Calls } from "../types/calls";
+import type { Address } from "../types/misc";
+import type { SendUserOperationOptions } from "./sendUserOperation";
+/**
+ * Options for creating a user operation
+ * @template T - Array type for the calls parameter
+ */
+export type CreateUserOperationOptions<T extends readonly unknown[]> = SendUserOperationOptions<T> & {
+    /** The addresses of the owners allowed to sign the user operation. Defaults to the owners of the wallet. */
+    owners?: readonly Address[];
+    /**
+     * The number of distinct owners whose signatures the user operation collects before it is broadcast. Advisory:
+     * the contract accepts any single owner's signature. Defaults to 1.
+     */
+    approvalThreshold?: number;
+};
+/**
+ * Creates a user operation without signing or broadcasting it, so that its signatures can be collected from one
+ * or more owners of the smart wallet before it is broadcast. The approval threshold is advisory: the returned
+ * UserOperation waits for that many owners to sign, but the contract accepts any single owner's signature.
+ *
+ * @example
+ * ```ts
+ * import { createUserOperation } from "@coinbase/coinbase-sdk";
+ *
+ * const userOperation = await createUserOperation(wallet, {
+ *   calls: [{ to: "0x1234567890123456789012345678901234567890", value: parseEther("0.0000005") }],
+ *   chainId: 84532,
+ *   owners: [alice.address, bob.address, carol.address],
+ *   approvalThreshold: 2,
+ * });
+ * await userOperation.sign(alice);
+ * await userOperation.sign(bob);
+ * await userOperation.broadcast();
+ * ```
+ *
+ * @param {SmartWalletLike} wallet - The smart wallet to create the user operation for
+ * @param {CreateUserOperationOptions<T>} options - The options for the user operation
+ * @param {Coinbase} coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+ * @returns {Promise<UserOperation>} The unsigned user operation
+ * @throws {UnsupportedChainError} If the chain does not support smart wallets
+ * @throws {UserOperationPolicyError} If the user operation violates `options.policy`
+ */
+export declare function createUserOperation<T extends readonly unknown[]>(wallet: SmartWalletLike, options: CreateUserOperationOptions<T>, coinbase?: Coinbase): Promise<UserOperation>;
+/**
+ * Encodes calls for the user operation API.
+ *
+ * @param {Calls<T>} calls - The calls to encode
+ * @returns {Call[]} The encoded calls
+ */
+export declare function encodeCalls<T extends readonly unknown[]>(calls: Calls<T>): Call[];
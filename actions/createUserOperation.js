@@ -0,0 +1,78 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.encodeCalls = exports.createUserOperation = void 0;
+const chain_1 = require("../types/chain");
+const viem_1 = require("viem");
+const coinbase_1 = require("../coinbase/coinbase");
+const user_operation_1 = require("../coinbase/user_operation");
+/**
+ * Creates a user operation without signing or broadcasting it, so that its signatures can be collected from one
+ * or more owners of the smart wallet before it is broadcast. The approval threshold is advisory: the returned
+ * UserOperation waits for that many owners to sign, but the contract accepts any single owner's signature.
+ *
+ * @example
+ * ```ts
+ * import { createUserOperation } from "@coinbase/coinbase-sdk";
+ *
+ * const userOperation = await createUserOperation(wallet, {
+ *   calls: [{ to: "0x1234567890123456789012345678901234567890", value: parseEther("0.0000005") }],
+ *   chainId: 84532,
+ *   owners: [alice.address, bob.address, carol.address],
+ *   approvalThreshold: 2,
+ * });
+ * await userOperation.sign(alice);
+ * await userOperation.sign(bob);
+ * await userOperation.broadcast();
+ * ```
+ *
+ * @param {SmartWalletLike} wallet - The smart wallet to create the user operation for
+ * @param {CreateUserOperationOptions<T>} options - The options for the user operation
+ * @param {Coinbase} coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+ * @returns {Promise<UserOperation>} The unsigned user operation
+ * @throws {UnsupportedChainError} If the chain does not support smart wallets
+ * @throws {UserOperationPolicyError} If the user operation violates `options.policy`
+ */
+async function createUserOperation(wallet, options, coinbase) {
+    const { calls, chainId, paymasterUrl, policy, owners = wallet.owners.map(owner => owner.address), approvalThreshold = 1, } = options;
+    const network = (0, chain_1.getSmartWalletNetworkId)(chainId);
+    if (calls.length === 0) {
+        throw new Error("Calls array is empty");
+    }
+    const encodedCalls = encodeCalls(calls);
+    // The spending is only reserved when the user operation is checked again before it is broadcast.
+    policy?.check(wallet.address, encodedCalls, calls).release();
+    const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.smartWallet.createUserOperation(wallet.address, network, {
+        calls: encodedCalls,
+        paymaster_url: paymasterUrl,
+    });
+    return new user_operation_1.UserOperation(response.data, wallet.address, { owners, approvalThreshold, paymasterUrl, calls, policy }, coinbase);
+}
+exports.createUserOperation = createUserOperation;
+/**
+ * Encodes calls for the user operation API.
+ *
+ * @param {Calls<T>} calls - The calls to encode
+ * @returns {Call[]} The encoded calls
+ */
+function encodeCalls(calls) {
+    return calls.map(call => {
+        const value = (call.value ?? BigInt(0)).toString();
+        if ("abi" in call && call.abi && "functionName" in call) {
+            return {
+                to: call.to,
+                data: (0, viem_1.encodeFunctionData)({
+                    abi: call.abi,
+                    functionName: call.functionName,
+                    args: call.args,
+                }),
+                value,
+            };
+        }
+        return {
+            to: call.to,
+            data: call.data ?? "0x",
+            value,
+        };
+    });
+}
+exports.encodeCalls = encodeCalls;
@@ -0,0 +1,53 @@
+import type { Coinbase } from "../coinbase/coinbase";
+import type { SmartWalletLike, UserOperationPreview, UserOperationPreviewOptions } from "../coinbase/types";
+import { UserOperation } from "../coinbase/user_operation";
+import type { SendUserOperationOptions, SendUserOperationReturnType } from "./sendUserOperation";
+/**
+ * Options for previewing a user operation
+ * @template T - Array type for the calls parameter
+ */
+export type PreviewUserOperationOptions<T extends readonly unknown[]> = SendUserOperationOptions<T> & UserOperationPreviewOptions;
+/**
+ * Return type for the previewUserOperation function
+ */
+export type PreviewUserOperationReturnType = {
+    /** The preview of the user operation */
+    preview: UserOperationPreview;
+    /** The created, unsigned user operation */
+    userOperation: UserOperation;
+    /** Signs the user operation with the signer and broadcasts it */
+    confirm: () => Promise<SendUserOperationReturnType>;
+    /** Rejects the user operation, so that it can no longer be broadcast */
+    reject: () => void;
+};
+/**
+ * Creates a user operation and previews it without signing or broadcasting it. The user operation is only signed
+ * and broadcast when `confirm` is called.
+ *
+ * @example
+ * ```ts
+ * import { previewUserOperation } from "@coinbase/coinbase-sdk";
+ * import { createPublicClient, http } from "viem";
+ * import { baseSepolia } from "viem/chains";
+ *
+ * const { preview, confirm, reject } = await previewUserOperation(wallet, {
+ *   calls: [{ to: usdcAddress, abi: erc20Abi, functionName: "transfer", args: [to, amount] }],
+ *   chainId: 84532,
+ *   publicClient: createPublicClient({ chain: baseSepolia, transport: http() }),
+ * });
+ *
+ * if (preview.simulation?.success && preview.paymasterConfigured) {
+ *   await confirm();
+ * } else {
+ *   reject();
+ * }
+ * ```
+ *
+ * @param {SmartWalletLike} wallet - The smart wallet to send the user operation from
+ * @param {PreviewUserOperationOptions<T>} options - The options for the user operation and its preview
+ * @param {Coinbase} coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+ * @returns {Promise<PreviewUserOperationReturnType>} The preview, and functions to confirm or reject the user operation
+ * @throws {UnsupportedChainError} If the chain does not support smart wallets
+ * @throws {UserOperationPolicyError} If the user operation violates `options.policy`
+ */
+export declare function previewUserOperation<T extends readonly unknown[]>(wallet: SmartWalletLike, options: PreviewUserOperationOptions<T>, coinbase?: Coinbase): Promise<PreviewUserOperationReturnType>;
@@ -0,0 +1,56 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.previewUserOperation = void 0;
+const errors_1 = require("../coinbase/errors");
+const createUserOperation_1 = require("./createUserOperation");
+/**
+ * Creates a user operation and previews it without signing or broadcasting it. The user operation is only signed
+ * and broadcast when `confirm` is called.
+ *
+ * @example
+ * ```ts
+ * import { previewUserOperation } from "@coinbase/coinbase-sdk";
+ * import { createPublicClient, http } from "viem";
+ * import { baseSepolia } from "viem/chains";
+ *
+ * const { preview, confirm, reject } = await previewUserOperation(wallet, {
+ *   calls: [{ to: usdcAddress, abi: erc20Abi, functionName: "transfer", args: [to, amount] }],
+ *   chainId: 84532,
+ *   publicClient: createPublicClient({ chain: baseSepolia, transport: http() }),
+ * });
+ *
+ * if (preview.simulation?.success && preview.paymasterConfigured) {
+ *   await confirm();
+ * } else {
+ *   reject();
+ * }
+ * ```
+ *
+ * @param {SmartWalletLike} wallet - The smart wallet to send the user operation from
+ * @param {PreviewUserOperationOptions<T>} options - The options for the user operation and its preview
+ * @param {Coinbase} coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+ * @returns {Promise<PreviewUserOperationReturnType>} The preview, and functions to confirm or reject the user operation
+ * @throws {UnsupportedChainError} If the chain does not support smart wallets
+ * @throws {UserOperationPolicyError} If the user operation violates `options.policy`
+ */
+async function previewUserOperation(wallet, options, coinbase) {
+    const { signer, publicClient, ...createOptions } = options;
+    const owner = signer
+        ? wallet.owners.find(owner => owner.address.toLowerCase() === signer.toLowerCase())
+        : wallet.owners[0];
+    if (!owner) {
+        throw new errors_1.ArgumentError(`${signer} is not an owner of smart wallet ${wallet.address}`);
+    }
+    const userOperation = await (0, createUserOperation_1.createUserOperation)(wallet, { ...createOptions, owners: [owner.address], approvalThreshold: 1 }, coinbase);
+    const preview = await userOperation.preview({ publicClient });
+    return {
+        preview,
+        userOperation,
+        confirm: async () => {
+            await userOperation.sign(owner);
+            return userOperation.broadcast();
+        },
+        reject: () => userOperation.reject(),
+    };
+}
+exports.previewUserOperation = previewUserOperation;
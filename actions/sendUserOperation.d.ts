@@ -1,6 +1,8 @@
-import type { SmartWallet } from "../wallets/types";
+import type { Coinbase } from "../coinbase/coinbase";
+import type { SmartWalletLike } from "../coinbase/types";
+import type { UserOperationPolicy } from "../coinbase/user_operation_policy";
 import { UserOperationStatusEnum } from "../client";
-import { type SupportedChainId } from "../types/chain";
+import { type SmartWalletChainId } from "../types/chain";
 import type { Address, Hex } from "../types/misc";
 import type { Calls } from "../types/calls";
 /**
@@ -33,9 +35,13 @@ export type SendUserOperationOptions<T extends readonly unknown[]> = {
      */
     calls: Calls<T>;
     /** Chain ID of the network to execute on */
-    chainId: SupportedChainId;
+    chainId: SmartWalletChainId;
     /** Optional URL of the paymaster service to use for gas sponsorship. Must be ERC-7677 compliant. */
     paymasterUrl?: string;
+    /** Optional address of the owner that signs the user operation. Defaults to the first owner of the wallet. */
+    signer?: Address;
+    /** Optional policy the user operation must satisfy before it is created and broadcast */
+    policy?: UserOperationPolicy;
 };
 /**
  * Return type for the sendUserOperation function
@@ -70,12 +76,16 @@ export type SendUserOperationReturnType = {
  *     },
  *   ],
  *   chainId: 1,
+ *   signer: owner.address,
  *   paymasterUrl: "https://api.developer.coinbase.com/rpc/v1/base/someapikey",
  * });
  * ```
  *
- * @param {SmartWallet} wallet - The smart wallet to send the user operation from
+ * @param {SmartWalletLike} wallet - The smart wallet to send the user operation from
  * @param {SendUserOperationOptions<T>} options - The options for the user operation
+ * @param {Coinbase} coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
  * @returns {Promise<SendUserOperationReturnType>} The result of the user operation
+ * @throws {UnsupportedChainError} If the chain does not support smart wallets
+ * @throws {UserOperationPolicyError} If the user operation violates `options.policy`
  */
-export declare function sendUserOperation<T extends readonly unknown[]>(wallet: SmartWallet, options: SendUserOperationOptions<T>): Promise<SendUserOperationReturnType>;
+export declare function sendUserOperation<T extends readonly unknown[]>(wallet: SmartWalletLike, options: SendUserOperationOptions<T>, coinbase?: Coinbase): Promise<SendUserOperationReturnType>;
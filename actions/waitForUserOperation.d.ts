@@ -1,4 +1,5 @@
 import type { Address, Hex } from "../types/misc";
+import type { Coinbase } from "../coinbase/coinbase";
 import { WaitOptions } from "../utils/wait";
 import { UserOperationStatusEnum } from "../client";
 /**
@@ -57,6 +58,7 @@ export type WaitForUserOperationReturnType = FailedOperation | CompletedOperatio
  * ```
  *
  * @param {WaitForUserOperationOptions} options - The options for the wait operation
+ * @param {Coinbase} coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
  * @returns {Promise<WaitForUserOperationReturnType>} The result of the user operation
  */
-export declare function waitForUserOperation(options: WaitForUserOperationOptions): Promise<WaitForUserOperationReturnType>;
+export declare function waitForUserOperation(options: WaitForUserOperationOptions, coinbase?: Coinbase): Promise<WaitForUserOperationReturnType>;
@@ -21,12 +21,13 @@ const client_1 = require("../client");
  * ```
  *
  * @param {WaitForUserOperationOptions} options - The options for the wait operation
+ * @param {Coinbase} coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
  * @returns {Promise<WaitForUserOperationReturnType>} The result of the user operation
  */
-async function waitForUserOperation(options) {
+async function waitForUserOperation(options, coinbase) {
     const { userOpHash, smartWalletAddress } = options;
     const reload = async () => {
-        const response = await coinbase_1.Coinbase.apiClients.smartWallet.getUserOperation(smartWalletAddress, userOpHash);
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.smartWallet.getUserOperation(smartWalletAddress, userOpHash);
         return response.data;
     };
     const transform = (operation) => {
@@ -52,7 +53,10 @@ async function waitForUserOperation(options) {
     const waitOptions = options.waitOptions || {
         timeoutSeconds: 30,
     };
-    return await (0, wait_1.wait)(reload, isTerminal, transform, waitOptions);
+    return await (0, wait_1.wait)(reload, isTerminal, transform, waitOptions, {
+        name: "UserOperation",
+        attributes: { "coinbase_sdk.user_operation.hash": userOpHash },
+    });
 }
 exports.waitForUserOperation = waitForUserOperation;
 const isTerminal = (operation) => {
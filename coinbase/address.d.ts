@@ -2,11 +2,14 @@ import Decimal from "decimal.js";
 import { BalanceMap } from "./balance_map";
 import { FaucetTransaction } from "./faucet_transaction";
 import { HistoricalBalance } from "./historical_balance";
-import { Amount, StakeOptionsMode, StakingRewardFormat, PaginationOptions, PaginationResponse } from "./types";
+import { Amount, StakeOptionsMode, StakingRewardFormat, PaginationOptions, PaginationResponse, PaginatorOptions, CreateAddressWebhookOptions, NetworkFeature } from "./types";
 import { StakingReward } from "./staking_reward";
 import { StakingBalance } from "./staking_balance";
 import { Transaction } from "./transaction";
 import { AddressReputation } from "./address_reputation";
+import { Coinbase } from "./coinbase";
+import { Paginator } from "./paginator";
+import { Webhook } from "./webhook";
 /**
  * A representation of a blockchain address, which is a user-controlled account on a network.
  */
@@ -15,13 +18,15 @@ export declare class Address {
     protected networkId: string;
     protected id: string;
     protected _reputation?: AddressReputation;
+    protected coinbase?: Coinbase;
     /**
      * Initializes a new Address instance.
      *
      * @param networkId - The network id.
      * @param id - The onchain address id.
+     * @param coinbase - The Coinbase instance the Address is bound to. Defaults to the default SDK instance.
      */
-    constructor(networkId: string, id: string);
+    constructor(networkId: string, id: string, coinbase?: Coinbase);
     /**
      * Returns the network ID.
      *
@@ -58,6 +63,18 @@ export declare class Address {
      * @returns The paginated list response of Historical Balances for the given Asset ID.
      */
     listHistoricalBalances(assetId: string, { limit, page }?: PaginationOptions): Promise<PaginationResponse<HistoricalBalance>>;
+    /**
+     * Iterates over all the Historical Balances of the address, fetching pages as needed.
+     *
+     * @param assetId - The asset ID.
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Historical Balances to return. Defaults to all of them.
+     * @param options.pageSize - The number of Historical Balances to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Historical Balances.
+     */
+    historicalBalances(assetId: string, options?: PaginatorOptions): Paginator<HistoricalBalance>;
     /**
      * Returns the transactions of the address.
      *
@@ -68,6 +85,17 @@ export declare class Address {
      * @returns The paginated list response of Transactions.
      */
     listTransactions({ limit, page, }?: PaginationOptions): Promise<PaginationResponse<Transaction>>;
+    /**
+     * Iterates over all the Transactions of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Transactions to return. Defaults to all of them.
+     * @param options.pageSize - The number of Transactions to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Transactions.
+     */
+    transactions(options?: PaginatorOptions): Paginator<Transaction>;
     /**
      * Lists the staking rewards for the address.
      *
@@ -141,6 +169,7 @@ export declare class Address {
      * @returns The faucet transaction object.
      * @throws {Error} If the request does not return a transaction hash.
      * @throws {Error} If the request fails.
+     * @throws {NetworkFeatureUnsupportedError} If the network does not support the faucet.
      */
     faucet(assetId?: string): Promise<FaucetTransaction>;
     /**
@@ -151,12 +180,40 @@ export declare class Address {
      * @throws {Error} if the Address reputation is not available.
      */
     reputation(): Promise<AddressReputation>;
+    /**
+     * Creates a Webhook that sends the ERC20 or ERC721 token transfers from and to the address.
+     *
+     * @param options - The options to create the Webhook.
+     * @param options.notificationUri - The URL to send notifications to.
+     * @param options.eventType - The type of token transfer to monitor. Defaults to `erc20_transfer`.
+     * @param options.contractAddress - The token contract to restrict the Webhook to. Defaults to every token.
+     * @param options.signatureHeader - The custom header carrying the payload signature.
+     * @returns The new Webhook.
+     * @throws {ArgumentError} If the event type is not a token transfer.
+     */
+    createWebhook({ notificationUri, eventType, contractAddress, signatureHeader, }: CreateAddressWebhookOptions): Promise<Webhook>;
     /**
      * Returns a string representation of the address.
      *
      * @returns A string representing the address.
      */
     toString(): string;
+    /**
+     * Checks that the network supports staking, and that the staking action can be performed with the supplied
+     * input, before making a request for it.
+     *
+     * @param amount - The amount of the asset for the staking operation.
+     * @param assetId - The asset for the staking operation.
+     * @param action - The specific action for the staking operation. e.g. stake, unstake, claim_stake
+     * @param mode - The staking mode. Defaults to DEFAULT.
+     * @param options - Additional options for the staking operation.
+     * @private
+     * @throws {NetworkFeatureUnsupportedError} If the network does not support staking.
+     * @throws {Error} If the supplied input is not able to create the staking operation.
+     */
+    protected validateStakingOperation(amount: Amount, assetId: string, action: string, mode: StakeOptionsMode, options: {
+        [key: string]: string;
+    }): Promise<void>;
     /**
      * Validate if the operation is able to stake with the supplied input.
      *
@@ -196,6 +253,14 @@ export declare class Address {
     protected validateCanClaimStake(amount: Amount, assetId: string, mode: StakeOptionsMode, options: {
         [key: string]: string;
     }): Promise<void>;
+    /**
+     * Checks that the network of the address supports a feature, before making a request that needs it.
+     *
+     * @param feature - The feature.
+     * @private
+     * @throws {NetworkFeatureUnsupportedError} If the network does not support the feature.
+     */
+    protected assertNetworkSupports(feature: NetworkFeature): Promise<void>;
     /**
      * Create a shallow copy of given options.
      *
@@ -5,6 +5,7 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.Address = void 0;
 const decimal_js_1 = __importDefault(require("decimal.js"));
+const client_1 = require("../client");
 const coinbase_1 = require("./coinbase");
 const asset_1 = require("./asset");
 const balance_1 = require("./balance");
@@ -15,8 +16,13 @@ const types_1 = require("./types");
 const utils_1 = require("./utils");
 const staking_reward_1 = require("./staking_reward");
 const staking_balance_1 = require("./staking_balance");
+const staking_operation_1 = require("./staking_operation");
 const transaction_1 = require("./transaction");
 const address_reputation_1 = require("./address_reputation");
+const network_1 = require("./network");
+const paginator_1 = require("./paginator");
+const errors_1 = require("./errors");
+const webhook_1 = require("./webhook");
 /**
  * A representation of a blockchain address, which is a user-controlled account on a network.
  */
@@ -26,10 +32,12 @@ class Address {
      *
      * @param networkId - The network id.
      * @param id - The onchain address id.
+     * @param coinbase - The Coinbase instance the Address is bound to. Defaults to the default SDK instance.
      */
-    constructor(networkId, id) {
+    constructor(networkId, id, coinbase) {
         this.networkId = networkId;
         this.id = id;
+        this.coinbase = coinbase;
     }
     /**
      * Returns the network ID.
@@ -53,7 +61,7 @@ class Address {
      * @returns The map from asset ID to balance.
      */
     async listBalances() {
-        const response = await coinbase_1.Coinbase.apiClients.externalAddress.listExternalAddressBalances(this.getNetworkId(), this.getId());
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.externalAddress.listExternalAddressBalances(this.getNetworkId(), this.getId());
         return balance_map_1.BalanceMap.fromBalances(response.data.data);
     }
     /**
@@ -63,7 +71,7 @@ class Address {
      * @returns The balance of the asset.
      */
     async getBalance(assetId) {
-        const response = await coinbase_1.Coinbase.apiClients.externalAddress.getExternalAddressBalance(this.getNetworkId(), this.getId(), asset_1.Asset.primaryDenomination(assetId));
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.externalAddress.getExternalAddressBalance(this.getNetworkId(), this.getId(), asset_1.Asset.primaryDenomination(assetId));
         if (!response.data) {
             return new decimal_js_1.default(0);
         }
@@ -82,7 +90,7 @@ class Address {
     async listHistoricalBalances(assetId, { limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined } = {}) {
         const data = [];
         let nextPage;
-        const response = await coinbase_1.Coinbase.apiClients.balanceHistory.listAddressHistoricalBalance(this.getNetworkId(), this.getId(), asset_1.Asset.primaryDenomination(assetId), limit, page);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.balanceHistory.listAddressHistoricalBalance(this.getNetworkId(), this.getId(), asset_1.Asset.primaryDenomination(assetId), limit, page);
         response.data.data.forEach(historicalBalanceModel => {
             const historicalBalance = historical_balance_1.HistoricalBalance.fromModel(historicalBalanceModel);
             data.push(historicalBalance);
@@ -99,6 +107,20 @@ class Address {
             nextPage,
         };
     }
+    /**
+     * Iterates over all the Historical Balances of the address, fetching pages as needed.
+     *
+     * @param assetId - The asset ID.
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Historical Balances to return. Defaults to all of them.
+     * @param options.pageSize - The number of Historical Balances to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Historical Balances.
+     */
+    historicalBalances(assetId, options = {}) {
+        return new paginator_1.Paginator((limit, page) => this.listHistoricalBalances(assetId, { limit, page }), options);
+    }
     /**
      * Returns the transactions of the address.
      *
@@ -111,7 +133,7 @@ class Address {
     async listTransactions({ limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined, } = {}) {
         const data = [];
         let nextPage;
-        const response = await coinbase_1.Coinbase.apiClients.transactionHistory.listAddressTransactions(this.getNetworkId(), this.getId(), limit, page);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.transactionHistory.listAddressTransactions(this.getNetworkId(), this.getId(), limit, page);
         response.data.data.forEach(transactionModel => {
             const transaction = new transaction_1.Transaction(transactionModel);
             data.push(transaction);
@@ -128,6 +150,19 @@ class Address {
             nextPage,
         };
     }
+    /**
+     * Iterates over all the Transactions of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Transactions to return. Defaults to all of them.
+     * @param options.pageSize - The number of Transactions to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Transactions.
+     */
+    transactions(options = {}) {
+        return new paginator_1.Paginator((limit, page) => this.listTransactions({ limit, page }), options);
+    }
     /**
      * Lists the staking rewards for the address.
      *
@@ -138,7 +173,7 @@ class Address {
      * @returns The staking rewards.
      */
     async stakingRewards(assetId, startTime = (0, utils_1.getWeekBackDate)(new Date()), endTime = (0, utils_1.formatDate)(new Date()), format = types_1.StakingRewardFormat.USD) {
-        return staking_reward_1.StakingReward.list(coinbase_1.Coinbase.normalizeNetwork(this.getNetworkId()), assetId, [this.getId()], startTime, endTime, format);
+        return staking_reward_1.StakingReward.list(coinbase_1.Coinbase.normalizeNetwork(this.getNetworkId()), assetId, [this.getId()], startTime, endTime, format, this.coinbase);
     }
     /**
      * Lists the historical staking balances for the address.
@@ -149,7 +184,7 @@ class Address {
      * @returns The staking balances.
      */
     async historicalStakingBalances(assetId, startTime = (0, utils_1.getWeekBackDate)(new Date()), endTime = (0, utils_1.formatDate)(new Date())) {
-        return staking_balance_1.StakingBalance.list(coinbase_1.Coinbase.normalizeNetwork(this.getNetworkId()), assetId, this.getId(), startTime, endTime);
+        return staking_balance_1.StakingBalance.list(coinbase_1.Coinbase.normalizeNetwork(this.getNetworkId()), assetId, this.getId(), startTime, endTime, this.coinbase);
     }
     /**
      * Get the stakeable balance for the supplied asset.
@@ -209,10 +244,12 @@ class Address {
      * @returns The faucet transaction object.
      * @throws {Error} If the request does not return a transaction hash.
      * @throws {Error} If the request fails.
+     * @throws {NetworkFeatureUnsupportedError} If the network does not support the faucet.
      */
     async faucet(assetId) {
-        const response = await coinbase_1.Coinbase.apiClients.externalAddress.requestExternalFaucetFunds(this.getNetworkId(), this.getId(), assetId, true);
-        return new faucet_transaction_1.FaucetTransaction(response.data);
+        await this.assertNetworkSupports("faucet");
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.externalAddress.requestExternalFaucetFunds(this.getNetworkId(), this.getId(), assetId, true);
+        return new faucet_transaction_1.FaucetTransaction(response.data, this.coinbase);
     }
     /**
      * Returns the reputation of the Address.
@@ -225,10 +262,38 @@ class Address {
         if (this._reputation) {
             return this._reputation;
         }
-        const response = await coinbase_1.Coinbase.apiClients.addressReputation.getAddressReputation(this.getNetworkId(), this.getId());
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.addressReputation.getAddressReputation(this.getNetworkId(), this.getId());
         this._reputation = new address_reputation_1.AddressReputation(response.data);
         return this._reputation;
     }
+    /**
+     * Creates a Webhook that sends the ERC20 or ERC721 token transfers from and to the address.
+     *
+     * @param options - The options to create the Webhook.
+     * @param options.notificationUri - The URL to send notifications to.
+     * @param options.eventType - The type of token transfer to monitor. Defaults to `erc20_transfer`.
+     * @param options.contractAddress - The token contract to restrict the Webhook to. Defaults to every token.
+     * @param options.signatureHeader - The custom header carrying the payload signature.
+     * @returns The new Webhook.
+     * @throws {ArgumentError} If the event type is not a token transfer.
+     */
+    async createWebhook({ notificationUri, eventType = client_1.WebhookEventType.Erc20Transfer, contractAddress, signatureHeader, }) {
+        if (eventType !== client_1.WebhookEventType.Erc20Transfer &&
+            eventType !== client_1.WebhookEventType.Erc721Transfer) {
+            throw new errors_1.ArgumentError(`Unsupported event type for an address webhook: ${eventType}`);
+        }
+        const contractFilter = contractAddress ? { contract_address: contractAddress } : {};
+        return webhook_1.Webhook.create({
+            networkId: this.getNetworkId(),
+            notificationUri,
+            eventType,
+            eventFilters: [
+                { ...contractFilter, from_address: this.getId() },
+                { ...contractFilter, to_address: this.getId() },
+            ],
+            signatureHeader,
+        }, this.coinbase);
+    }
     /**
      * Returns a string representation of the address.
      *
@@ -237,6 +302,34 @@ class Address {
     toString() {
         return `Address { addressId: '${this.getId()}', networkId: '${this.getNetworkId()}' }`;
     }
+    /**
+     * Checks that the network supports staking, and that the staking action can be performed with the supplied
+     * input, before making a request for it.
+     *
+     * @param amount - The amount of the asset for the staking operation.
+     * @param assetId - The asset for the staking operation.
+     * @param action - The specific action for the staking operation. e.g. stake, unstake, claim_stake
+     * @param mode - The staking mode. Defaults to DEFAULT.
+     * @param options - Additional options for the staking operation.
+     * @private
+     * @throws {NetworkFeatureUnsupportedError} If the network does not support staking.
+     * @throws {Error} If the supplied input is not able to create the staking operation.
+     */
+    async validateStakingOperation(amount, assetId, action, mode, options) {
+        await this.assertNetworkSupports("stake");
+        // If performing a native ETH unstake v2, validation is always performed server-side.
+        if ((0, staking_operation_1.IsDedicatedEthUnstakeV2Operation)(assetId, action, mode, options)) {
+            return;
+        }
+        switch (action) {
+            case "stake":
+                return this.validateCanStake(amount, assetId, mode, options);
+            case "unstake":
+                return this.validateCanUnstake(amount, assetId, mode, options);
+            case "claim_stake":
+                return this.validateCanClaimStake(amount, assetId, mode, options);
+        }
+    }
     /**
      * Validate if the operation is able to stake with the supplied input.
      *
@@ -288,6 +381,17 @@ class Address {
             throw new Error(`Insufficient funds ${amount} requested to claim stake, only ${claimableBalance} available.`);
         }
     }
+    /**
+     * Checks that the network of the address supports a feature, before making a request that needs it.
+     *
+     * @param feature - The feature.
+     * @private
+     * @throws {NetworkFeatureUnsupportedError} If the network does not support the feature.
+     */
+    async assertNetworkSupports(feature) {
+        const network = await network_1.Network.fetch(this.getNetworkId(), this.coinbase);
+        network.assertSupports(feature);
+    }
     /**
      * Create a shallow copy of given options.
      *
@@ -318,7 +422,7 @@ class Address {
             address_id: this.getId(),
             options: newOptions,
         };
-        const response = await coinbase_1.Coinbase.apiClients.stake.getStakingContext(request);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.stake.getStakingContext(request);
         return {
             stakeableBalance: balance_1.Balance.fromModelAndAssetId(response.data.context.stakeable_balance, assetId).amount,
             unstakeableBalance: balance_1.Balance.fromModelAndAssetId(response.data.context.unstakeable_balance, assetId).amount,
@@ -76,6 +76,7 @@ export declare class ExternalAddress extends Address {
      * @private
      * @returns The staking operation.
      * @throws {Error} If the supplied input cannot build a valid staking operation.
+     * @throws {NetworkFeatureUnsupportedError} If the network does not support staking.
      */
     private buildStakingOperation;
     /**
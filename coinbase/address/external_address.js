@@ -36,7 +36,6 @@ class ExternalAddress extends address_1.Address {
      * @returns The stake operation.
      */
     async buildStakeOperation(amount, assetId, mode = types_1.StakeOptionsMode.DEFAULT, options = {}) {
-        await this.validateCanStake(amount, assetId, mode, options);
         return this.buildStakingOperation(amount, assetId, "stake", mode, options);
     }
     /**
@@ -57,10 +56,6 @@ class ExternalAddress extends address_1.Address {
      * @returns The unstake operation.
      */
     async buildUnstakeOperation(amount, assetId, mode = types_1.StakeOptionsMode.DEFAULT, options = {}) {
-        // If performing a native eth unstake v2, validation is always performed server-side.
-        if (!(0, staking_operation_1.IsDedicatedEthUnstakeV2Operation)(assetId, "unstake", mode, options)) {
-            await this.validateCanUnstake(amount, assetId, mode, options);
-        }
         return this.buildStakingOperation(amount, assetId, "unstake", mode, options);
     }
     /**
@@ -77,7 +72,6 @@ class ExternalAddress extends address_1.Address {
      * @returns The claim stake operation.
      */
     async buildClaimStakeOperation(amount, assetId, mode = types_1.StakeOptionsMode.DEFAULT, options = {}) {
-        await this.validateCanClaimStake(amount, assetId, mode, options);
         return this.buildStakingOperation(amount, assetId, "claim_stake", mode, options);
     }
     /**
@@ -91,9 +85,11 @@ class ExternalAddress extends address_1.Address {
      * @private
      * @returns The staking operation.
      * @throws {Error} If the supplied input cannot build a valid staking operation.
+     * @throws {NetworkFeatureUnsupportedError} If the network does not support staking.
      */
     async buildStakingOperation(amount, assetId, action, mode, options) {
-        const asset = await asset_1.Asset.fetch(this.getNetworkId(), assetId);
+        await this.validateStakingOperation(amount, assetId, action, mode, options);
+        const asset = await asset_1.Asset.fetch(this.getNetworkId(), assetId, this.coinbase);
         const newOptions = this.copyOptions(options);
         newOptions.mode = mode;
         // If performing a native eth unstake v2, the amount is not required.
@@ -111,8 +107,8 @@ class ExternalAddress extends address_1.Address {
             action: action,
             options: newOptions,
         };
-        const response = await coinbase_1.Coinbase.apiClients.stake.buildStakingOperation(request);
-        return new staking_operation_1.StakingOperation(response.data);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.stake.buildStakingOperation(request);
+        return new staking_operation_1.StakingOperation(response.data, this.coinbase);
     }
     /**
      * Broadcast an external transaction
@@ -121,7 +117,7 @@ class ExternalAddress extends address_1.Address {
      * @returns The broadcasted transaction
      */
     async broadcastExternalTransaction(signedPayload) {
-        const response = await coinbase_1.Coinbase.apiClients.externalAddress.broadcastExternalTransaction(this.getNetworkId(), this.getId(), {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.externalAddress.broadcastExternalTransaction(this.getNetworkId(), this.getId(), {
             signed_payload: signedPayload,
         });
         return {
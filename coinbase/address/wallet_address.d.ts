@@ -4,12 +4,15 @@ import { Address } from "../address";
 import { Trade } from "../trade";
 import { Transfer } from "../transfer";
 import { ContractInvocation } from "../contract_invocation";
-import { Amount, CreateContractInvocationOptions, CreateCustomContractOptions, CreateERC1155Options, CreateERC20Options, CreateERC721Options, CreateFundOptions, CreateQuoteOptions, CreateTradeOptions, CreateTransferOptions, PaginationOptions, PaginationResponse, StakeOptionsMode } from "../types";
+import { Amount, BatchTransfer, BatchTransferReport, CreateAddressWebhookOptions, CreateContractInvocationOptions, CreateCustomContractOptions, CreateERC1155Options, CreateERC20Options, CreateERC721Options, CreateFundOptions, CreateQuoteOptions, CreateTradeOptions, CreateTransferOptions, CreateTransfersOptions, PaginationOptions, PaginationResponse, PaginatorOptions, Signer, SignerLike, StakeOptionsMode } from "../types";
 import { StakingOperation } from "../staking_operation";
 import { PayloadSignature } from "../payload_signature";
 import { SmartContract } from "../smart_contract";
 import { FundOperation } from "../fund_operation";
 import { FundQuote } from "../fund_quote";
+import { Coinbase } from "../coinbase";
+import { Paginator } from "../paginator";
+import { Webhook } from "../webhook";
 /**
  * A representation of a blockchain address, which is a wallet-controlled account on a network.
  */
@@ -20,10 +23,11 @@ export declare class WalletAddress extends Address {
      * Initializes a new Wallet Address instance.
      *
      * @param model - The address model data.
-     * @param key - The ethers.js SigningKey the Address uses to sign data.
+     * @param key - The key the Address signs with: an ethers.js Wallet, or a Signer backed by a signing service.
+     * @param coinbase - The Coinbase instance the Address is bound to. Defaults to the default SDK instance.
      * @throws {Error} If the address model is empty.
      */
-    constructor(model: AddressModel, key?: ethers.Wallet);
+    constructor(model: AddressModel, key?: SignerLike, coinbase?: Coinbase);
     /**
      * Returns a string representation of the wallet address.
      *
@@ -37,16 +41,23 @@ export declare class WalletAddress extends Address {
      */
     getWalletId(): string;
     /**
-     * Sets the private key.
+     * Returns the index the Address is derived at from its Wallet's seed.
      *
-     * @param key - The ethers.js SigningKey the Address uses to sign data.
+     * @returns The address index.
+     */
+    getIndex(): number;
+    /**
+     * Sets the key the Address signs with.
+     *
+     * @param key - The key the Address signs with: an ethers.js Wallet, or a Signer backed by a signing service.
      * @throws {Error} If the private key is already set.
      */
-    setKey(key: ethers.Wallet): void;
+    setKey(key: SignerLike): void;
     /**
      * Exports the Address's private key to a hex string.
      *
      * @returns The Address's private key as a hex string.
+     * @throws {Error} If the private key is not set, or is held by a Signer and cannot be exported.
      */
     export(): string;
     /**
@@ -65,6 +76,17 @@ export declare class WalletAddress extends Address {
      * @returns The paginated list response of trades.
      */
     listTrades({ limit, page, }?: PaginationOptions): Promise<PaginationResponse<Trade>>;
+    /**
+     * Iterates over all the Trades of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Trades to return. Defaults to all of them.
+     * @param options.pageSize - The number of Trades to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Trades.
+     */
+    trades(options?: PaginatorOptions): Paginator<Trade>;
     /**
      * Returns all the transfers associated with the address.
      *
@@ -75,6 +97,17 @@ export declare class WalletAddress extends Address {
      * @returns The paginated list response of transfers.
      */
     listTransfers({ limit, page, }?: PaginationOptions): Promise<PaginationResponse<Transfer>>;
+    /**
+     * Iterates over all the Transfers of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Transfers to return. Defaults to all of them.
+     * @param options.pageSize - The number of Transfers to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Transfers.
+     */
+    transfers(options?: PaginatorOptions): Paginator<Transfer>;
     /**
      * Transfers the given amount of the given Asset to the given address.
      * Only same-Network Transfers are supported.
@@ -87,18 +120,110 @@ export declare class WalletAddress extends Address {
      * @param options.destination - The destination of the transfer. If a Wallet, sends to the Wallet's default address. If a String, interprets it as the address ID.
      * @param options.gasless - Whether the Transfer should be gasless. Defaults to false.
      * @param options.skipBatching - When true, the Transfer will be submitted immediately. Otherwise, the Transfer will be batched. Defaults to false. Note: requires gasless option to be set to true.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the Transfer to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The transfer object.
      * @throws {APIError} if the API request to create a Transfer fails.
      * @throws {APIError} if the API request to broadcast a Transfer fails.
+     * @throws {ServerSignerTimeoutError} if waiting and the Server-Signer does not sign in time.
+     * @throws {NetworkFeatureUnsupportedError} if gasless and the network does not support gasless sends.
+     */
+    createTransfer({ amount, assetId, destination, gasless, skipBatching, waitForServerSigner, idempotencyKey, }: CreateTransferOptions): Promise<Transfer>;
+    /**
+     * Transfers many amounts from the address in one batch, e.g. for payroll-style payouts.
+     * The amounts are validated against the balances of the address once, up front, and no Transfer is created
+     * if the balances do not cover them. The Transfers are then created with bounded concurrency. Transfers that
+     * are not gasless are created, signed and broadcast one at a time, because each one takes the next nonce of
+     * the address; gasless Transfers are sponsored and do not use the nonce of the address, so they run in parallel.
+     *
+     * A failed Transfer does not stop the batch: it is reported with its error. Each Transfer is created with an
+     * idempotency key, so a batch interrupted by a crash can be resumed by passing its last report back as
+     * `options.resume`. The results of Transfers that were already created are first reloaded with
+     * `reloadTransferReport`: Transfers that were broadcast or failed on-chain are skipped, Transfers that were
+     * created but not broadcast are signed and broadcast, and the others are retried with the same idempotency
+     * keys, so that no Transfer is created twice. A Transfer that was created before a crash is signed with the next
+     * nonce of the address if its own nonce was taken since. The report is only resumed if the destination, asset
+     * and amount of each of its results match the batch. Persist the report from `options.onResult` to resume
+     * after a crash.
+     *
+     * `options.onResult` is awaited. If it throws, no further Transfers are started, and the error is thrown once
+     * the Transfers in flight are done; their results keep the status of their Transfers.
+     *
+     * @param transfers - The Transfers to create. Each takes the options of `createTransfer`, except `waitForServerSigner`.
+     * @param options - The options of the batch.
+     * @param options.concurrency - The maximum number of Transfers in flight at once. Defaults to 5.
+     * @param options.resume - The report of an earlier, interrupted run of the same batch.
+     * @param options.onResult - Called with the result of a Transfer and the report whenever the result changes.
+     * @returns The report, with a result for each Transfer in the order given.
+     * @throws {Error} if the address cannot sign.
+     * @throws {ArgumentError} if the batch or the report to resume is invalid, or the balances do not cover the amounts.
+     * @throws {NetworkFeatureUnsupportedError} if a Transfer is gasless and the network does not support gasless sends.
+     * @throws {APIError} if the API request to reload a Transfer of the report to resume fails.
+     * @throws {Error} if `options.onResult` throws.
+     */
+    createTransfers(transfers: BatchTransfer[], { concurrency, resume, onResult }?: CreateTransfersOptions): Promise<BatchTransferReport>;
+    /**
+     * Describes a Transfer of a batch by its destination, asset and amount, which are kept in its result so that a
+     * report is only resumed for the batch it was created for.
+     *
+     * @param transfer - The Transfer.
+     * @returns The destination, the asset ID and the amount of the Transfer.
+     */
+    private describeBatchTransfer;
+    /**
+     * Signs a Transfer of a batch that is not gasless with the nonce it was created with, or with `nextNonce` if an
+     * earlier Transfer of the batch took that nonce since.
+     *
+     * @param transfer - The Transfer.
+     * @param nextNonce - The nonce after the one the last Transfer of the batch was signed with, if any.
+     * @returns The nonce after the one the Transfer was signed with.
+     */
+    private signWithNextNonce;
+    /**
+     * Reloads the results of a batch report created with `createTransfers` whose Transfers were created, so that
+     * they carry the real status of their Transfers: broadcast once a Transfer is broadcast or complete, failed if
+     * it failed on-chain, and created while it waits to be signed and broadcast. A failed result with a
+     * `transferId` in a reloaded report is final, and is not retried when the batch is resumed.
+     *
+     * @param report - The report.
+     * @returns A copy of the report with the reloaded results.
+     * @throws {APIError} if the API request to get a Transfer fails.
+     */
+    reloadTransferReport(report: BatchTransferReport): Promise<BatchTransferReport>;
+    /**
+     * Reloads the Transfer of a batch result, and the changes that bring the result to the status of the Transfer.
+     *
+     * @param result - The result, with the ID of its Transfer.
+     * @returns The Transfer and the changes to the result.
+     * @throws {APIError} if the API request to get the Transfer fails.
+     */
+    private reloadBatchTransfer;
+    /**
+     * Gets an ethers.js Wallet for the private key.
+     *
+     * @returns The ethers.js Wallet for the private key.
+     * @throws {Error} If no key is loaded, or the key is held by a Signer. Use `getKeySigner` for those.
      */
-    createTransfer({ amount, assetId, destination, gasless, skipBatching, }: CreateTransferOptions): Promise<Transfer>;
+    getSigner(): ethers.Wallet;
     /**
-     * Gets a signer for the private key.
+     * Gets the Signer the Address signs with, whether the key is a local private key or held by a signing service.
      *
-     * @returns The signer for the private key.
-     * @throws {Error} If the private key is not loaded.
+     * @returns The Signer.
+     * @throws {Error} If no key is loaded.
      */
-    private getSigner;
+    getKeySigner(): Signer;
+    /**
+     * Waits for the Server-Signer to sign a resource and for it to be confirmed or fail, if requested.
+     *
+     * @param resource - The resource created for the Server-Signer to sign.
+     * @param options - Whether to wait, or the options to configure the wait.
+     * @param name - The name of the resource.
+     * @param getStatus - Returns the status of the resource's transaction.
+     * @returns The resource.
+     * @throws {ServerSignerTimeoutError} If the Server-Signer does not sign in time.
+     * @throws {TimeoutError} If the signed resource is not confirmed and does not fail in time.
+     */
+    private awaitServerSigner;
     /**
      * Trades the given amount of the given Asset for another Asset. Only same-network Trades are supported.
      *
@@ -106,11 +231,15 @@ export declare class WalletAddress extends Address {
      * @param options.amount - The amount of the From Asset to send.
      * @param options.fromAssetId - The ID of the Asset to trade from.
      * @param options.toAssetId - The ID of the Asset to trade to.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the Trade to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The Trade object.
      * @throws {APIError} if the API request to create or broadcast a Trade fails.
      * @throws {Error} if the Trade times out.
+     * @throws {ServerSignerTimeoutError} if waiting and the Server-Signer does not sign in time.
+     * @throws {NetworkFeatureUnsupportedError} if the network does not support trades.
      */
-    createTrade({ amount, fromAssetId, toAssetId }: CreateTradeOptions): Promise<Trade>;
+    createTrade({ amount, fromAssetId, toAssetId, waitForServerSigner, idempotencyKey, }: CreateTradeOptions): Promise<Trade>;
     /**
      * Invokes a contract with the given data.
      *
@@ -123,12 +252,15 @@ export declare class WalletAddress extends Address {
      * @param options.amount - The amount of the asset to send to a payable contract method.
      * @param options.assetId - The ID of the asset to send to a payable contract method.
      *   The asset must be a denomination of the native asset. (Ex. "wei", "gwei", or "eth").
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the invocation to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The ContractInvocation object.
      * @throws {APIError} if the API request to create a contract invocation fails.
      * @throws {Error} if the address cannot sign.
      * @throws {ArgumentError} if the address does not have sufficient balance.
+     * @throws {ServerSignerTimeoutError} if waiting and the Server-Signer does not sign in time.
      */
-    invokeContract({ contractAddress, method, abi, args, amount, assetId, }: CreateContractInvocationOptions): Promise<ContractInvocation>;
+    invokeContract({ contractAddress, method, abi, args, amount, assetId, waitForServerSigner, idempotencyKey, }: CreateContractInvocationOptions): Promise<ContractInvocation>;
     /**
      * Deploys an ERC20 token contract.
      *
@@ -136,10 +268,13 @@ export declare class WalletAddress extends Address {
      * @param options.name - The name of the ERC20 token.
      * @param options.symbol - The symbol of the ERC20 token.
      * @param options.totalSupply - The total supply of the ERC20 token.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the deployment to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the API request to create a smart contract fails.
+     * @throws {ServerSignerTimeoutError} If waiting and the Server-Signer does not sign in time.
      */
-    deployToken({ name, symbol, totalSupply, }: CreateERC20Options): Promise<SmartContract>;
+    deployToken({ name, symbol, totalSupply, waitForServerSigner, idempotencyKey, }: CreateERC20Options): Promise<SmartContract>;
     /**
      * Deploys an ERC721 token contract.
      *
@@ -147,19 +282,25 @@ export declare class WalletAddress extends Address {
      * @param options.name - The name of the ERC721 token.
      * @param options.symbol - The symbol of the ERC721 token.
      * @param options.baseURI - The base URI of the ERC721 token.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the deployment to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the API request to create a smart contract fails.
+     * @throws {ServerSignerTimeoutError} If waiting and the Server-Signer does not sign in time.
      */
-    deployNFT({ name, symbol, baseURI }: CreateERC721Options): Promise<SmartContract>;
+    deployNFT({ name, symbol, baseURI, waitForServerSigner, idempotencyKey, }: CreateERC721Options): Promise<SmartContract>;
     /**
      * Deploys an ERC1155 multi-token contract.
      *
      * @param options - The options for creating the ERC1155 token.
      * @param options.uri - The URI for all token metadata.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the deployment to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the API request to create a smart contract fails.
+     * @throws {ServerSignerTimeoutError} If waiting and the Server-Signer does not sign in time.
      */
-    deployMultiToken({ uri }: CreateERC1155Options): Promise<SmartContract>;
+    deployMultiToken({ uri, waitForServerSigner, idempotencyKey, }: CreateERC1155Options): Promise<SmartContract>;
     /**
      * Deploys a custom contract.
      *
@@ -168,10 +309,13 @@ export declare class WalletAddress extends Address {
      * @param options.solidityInputJson - The input json for the solidity compiler. See https://docs.soliditylang.org/en/latest/using-the-compiler.html#input-description for more details.
      * @param options.contractName - The name of the contract class to be deployed.
      * @param options.constructorArgs - The arguments for the constructor.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the deployment to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the API request to create a smart contract fails.
+     * @throws {ServerSignerTimeoutError} If waiting and the Server-Signer does not sign in time.
      */
-    deployContract({ solidityVersion, solidityInputJson, contractName, constructorArgs, }: CreateCustomContractOptions): Promise<SmartContract>;
+    deployContract({ solidityVersion, solidityInputJson, contractName, constructorArgs, waitForServerSigner, idempotencyKey, }: CreateCustomContractOptions): Promise<SmartContract>;
     /**
      * Creates an ERC20 token contract.
      *
@@ -180,6 +324,7 @@ export declare class WalletAddress extends Address {
      * @param {string} options.name - The name of the ERC20 token.
      * @param {string} options.symbol - The symbol of the ERC20 token.
      * @param {BigNumber} options.totalSupply - The total supply of the ERC20 token.
+     * @param {string} options.idempotencyKey - The idempotency key for the request.
      * @returns {Promise<SmartContract>} A Promise that resolves to the created SmartContract.
      * @throws {APIError} If the API request to create a smart contract fails.
      */
@@ -191,6 +336,7 @@ export declare class WalletAddress extends Address {
      * @param options.name - The name of the ERC721 token.
      * @param options.symbol - The symbol of the ERC721 token.
      * @param options.baseURI - The base URI of the ERC721 token.
+     * @param options.idempotencyKey - The idempotency key for the request.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the private key is not loaded when not using server signer.
      */
@@ -201,6 +347,7 @@ export declare class WalletAddress extends Address {
      * @private
      * @param {CreateERC1155Options} options - The options for creating the ERC1155 token.
      * @param {string} options.uri - The URI for all token metadata.
+     * @param {string} options.idempotencyKey - The idempotency key for the request.
      * @returns {Promise<SmartContract>} A Promise that resolves to the created SmartContract.
      * @throws {APIError} If the API request to create a smart contract fails.
      */
@@ -214,6 +361,7 @@ export declare class WalletAddress extends Address {
      * @param {string} options.solidityInputJson - The input json for the solidity compiler. See https://docs.soliditylang.org/en/latest/using-the-compiler.html#input-description for more details.
      * @param {string} options.contractName - The name of the contract class.
      * @param {Record<string, any>} options.constructorArgs - The arguments for the constructor.
+     * @param {string} options.idempotencyKey - The idempotency key for the request.
      * @returns {Promise<SmartContract>} A Promise that resolves to the created SmartContract.
      * @throws {APIError} If the API request to compile or subsequently create a smart contract fails.
      */
@@ -227,6 +375,7 @@ export declare class WalletAddress extends Address {
      * @param args - The arguments to pass to the contract method invocation.
      *   The keys should be the argument names and the values should be the argument values.
      * @param atomicAmount - The atomic amount of the native asset to send to a payable contract method.
+     * @param idempotencyKey - The idempotency key for the request.
      * @returns The ContractInvocation object.
      * @throws {APIError} if the API request to create a contract invocation fails.
      */
@@ -247,6 +396,8 @@ export declare class WalletAddress extends Address {
      *  - `withdrawal_address` (optional): Ethereum address for receiving rewards and withdrawal funds. Defaults to the address initiating the stake operation.
      *  - `fee_recipient_address` (optional): Ethereum address for receiving transaction fees. Defaults to the address initiating the stake operation.
      *
+     * The `idempotencyKey` option is the idempotency key for the request, generated if not provided. It is not sent as a staking option.
+     *
      * @param timeoutSeconds - The amount to wait for the transaction to complete when broadcasted.
      * @param intervalSeconds - The amount to check each time for a successful broadcast.
      * @returns The staking operation after it's completed successfully.
@@ -269,6 +420,8 @@ export declare class WalletAddress extends Address {
      *  - `immediate` (optional): Set this to "true" to unstake immediately i.e. leverage "Coinbase managed unstake" process . Defaults to "false" i.e. "User managed unstake" process.
      *  - `validator_pub_keys` (optional): List of comma separated validator public keys to unstake. Defaults to validators being picked up on your behalf corresponding to the unstake amount.
      *
+     * The `idempotencyKey` option is the idempotency key for the request, generated if not provided. It is not sent as a staking option.
+     *
      * @param timeoutSeconds - The amount to wait for the transaction to complete when broadcasted.
      * @param intervalSeconds - The amount to check each time for a successful broadcast.
      * @returns The staking operation after it's completed successfully.
@@ -287,6 +440,8 @@ export declare class WalletAddress extends Address {
      * A. Shared ETH Staking
      *  - `integrator_contract_address` (optional): The contract address to which the claim stake operation is directed to. Defaults to the integrator contract address associated with CDP account (if available) or else defaults to a shared integrator contract address for that network.
      *
+     * The `idempotencyKey` option is the idempotency key for the request, generated if not provided. It is not sent as a staking option.
+     *
      * @param timeoutSeconds - The amount to wait for the transaction to complete when broadcasted.
      * @param intervalSeconds - The amount to check each time for a successful broadcast.
      * @returns The staking operation after it's completed successfully.
@@ -298,11 +453,28 @@ export declare class WalletAddress extends Address {
      * Creates a Payload Signature.
      *
      * @param unsignedPayload - The Unsigned Payload to sign.
+     * @param idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A promise that resolves to the Payload Signature object.
      * @throws {APIError} if the API request to create a Payload Signature fails.
      * @throws {Error} if the address does not have a private key loaded or an associated Server-Signer.
      */
-    createPayloadSignature(unsignedPayload: string): Promise<PayloadSignature>;
+    createPayloadSignature(unsignedPayload: string, idempotencyKey?: string): Promise<PayloadSignature>;
+    /**
+     * Signs a 32 byte digest, locally when a key is loaded, or otherwise with the Server-Signer through a
+     * Payload Signature.
+     *
+     * @param digest - The hex encoded digest to sign.
+     * @param options - The options to wait for a Server-Signer signature.
+     * @param options.intervalSeconds - The interval to check the Payload Signature status. Defaults to 0.2.
+     * @param options.timeoutSeconds - The maximum time to wait for the Payload Signature. Defaults to 10.
+     * @returns The 0x-prefixed serialized signature.
+     * @throws {Error} If the Server-Signer fails to sign.
+     * @throws {TimeoutError} If the Server-Signer does not sign in time.
+     */
+    signDigest(digest: string, { intervalSeconds, timeoutSeconds }?: {
+        intervalSeconds?: number;
+        timeoutSeconds?: number;
+    }): Promise<string>;
     /**
      * Gets a Payload Signature.
      *
@@ -322,15 +494,27 @@ export declare class WalletAddress extends Address {
      * @throws {APIError} if the API request to list the Payload Signatures fails.
      */
     listPayloadSignatures({ limit, page, }?: PaginationOptions): Promise<PaginationResponse<PayloadSignature>>;
+    /**
+     * Iterates over all the Payload Signatures of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Payload Signatures to return. Defaults to all of them.
+     * @param options.pageSize - The number of Payload Signatures to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Payload Signatures.
+     */
+    payloadSignatures(options?: PaginatorOptions): Paginator<PayloadSignature>;
     /**
      * Fund the address from your account on the Coinbase Platform.
      *
      * @param options - The options to create the fund operation
      * @param options.amount - The amount of the Asset to fund the wallet with
      * @param options.assetId - The ID of the Asset to fund with. For Ether, eth, gwei, and wei are supported.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The created fund operation object
      */
-    fund({ amount, assetId }: CreateFundOptions): Promise<FundOperation>;
+    fund({ amount, assetId, idempotencyKey, }: CreateFundOptions): Promise<FundOperation>;
     /**
      * Get a quote for funding the address from your Coinbase platform account.
      *
@@ -350,6 +534,29 @@ export declare class WalletAddress extends Address {
      * @returns The paginated list response of fund operations.
      */
     listFundOperations({ limit, page, }?: PaginationOptions): Promise<PaginationResponse<FundOperation>>;
+    /**
+     * Iterates over all the Fund Operations of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Fund Operations to return. Defaults to all of them.
+     * @param options.pageSize - The number of Fund Operations to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Fund Operations.
+     */
+    fundOperations(options?: PaginatorOptions): Paginator<FundOperation>;
+    /**
+     * Creates a Webhook that monitors the address. Wallet activity webhooks send every activity of the address,
+     * while token transfer webhooks send the transfers from and to it.
+     *
+     * @param options - The options to create the Webhook.
+     * @param options.notificationUri - The URL to send notifications to.
+     * @param options.eventType - The type of event to monitor. Defaults to `wallet_activity`.
+     * @param options.contractAddress - The token contract to restrict token transfer webhooks to.
+     * @param options.signatureHeader - The custom header carrying the payload signature.
+     * @returns The new Webhook.
+     */
+    createWebhook({ eventType, ...options }: CreateAddressWebhookOptions): Promise<Webhook>;
     /**
      * Returns the address and network ID of the given destination.
      *
@@ -357,12 +564,35 @@ export declare class WalletAddress extends Address {
      * @returns The address and network ID of the destination.
      */
     private getDestinationAddressAndNetwork;
+    /**
+     * Creates a transfer model for the specified amount and asset.
+     *
+     * @param amount - The amount of the Asset to send.
+     * @param asset - The Asset to send.
+     * @param destinationAddress - The address ID of the destination.
+     * @param destinationNetworkId - The network ID of the destination.
+     * @param gasless - Whether the Transfer is gasless.
+     * @param skipBatching - Whether the gasless Transfer is submitted immediately.
+     * @param idempotencyKey - The idempotency key for the request.
+     * @returns A promise that resolves to a Transfer object representing the new transfer.
+     */
+    private createTransferRequest;
+    /**
+     * Checks that the balances of the address cover the total amount of each asset of a batch of Transfers.
+     * Amounts in different denominations of the same asset, e.g. ETH and Gwei, are added up together.
+     *
+     * @param transfers - The Transfers.
+     * @param assets - The Assets of the Transfers, by asset ID.
+     * @throws {ArgumentError} if the balance of an asset does not cover the total amount.
+     */
+    private validateTransfersBalance;
     /**
      * Creates a trade model for the specified amount and assets.
      *
      * @param amount - The amount of the Asset to send.
      * @param fromAsset - The Asset to trade from.
      * @param toAsset - The Asset to trade to.
+     * @param idempotencyKey - The idempotency key for the request.
      * @returns A promise that resolves to a Trade object representing the new trade.
      */
     private createTradeRequest;
@@ -384,8 +614,11 @@ export declare class WalletAddress extends Address {
      * @param options - Additional options such as setting the mode for the staking action.
      * @param timeoutSeconds - The amount to wait for the transaction to complete when broadcasted.
      * @param intervalSeconds - The amount to check each time for a successful broadcast.
+     * @param idempotencyKey - The idempotency key for the request.
      * @throws {APIError} if the API request to create or broadcast staking operation fails.
      * @throws {Error} if the amount is less than zero.
+     * @throws {ServerSignerTimeoutError} if using a Server-Signer and it does not sign in time.
+     * @throws {NetworkFeatureUnsupportedError} if the network does not support staking.
      * @returns The staking operation after it's completed fully.
      */
     private createStakingOperation;
@@ -397,6 +630,7 @@ export declare class WalletAddress extends Address {
      * @param action - The type of staking action to perform.
      * @param mode - The staking mode. Defaults to DEFAULT.
      * @param options - Additional options such as setting the mode for the staking action.
+     * @param idempotencyKey - The idempotency key for the request.
      * @private
      * @throws {APIError} if the API request to create staking operation fails.
      * @returns The created staking operation.
@@ -404,10 +638,13 @@ export declare class WalletAddress extends Address {
     private createStakingOperationRequest;
     /**
      * A helper function that broadcasts the signed payload.
+     * The request is sent with an idempotency key derived from the key the staking operation was created with
+     * and the index of the transaction, so that a retried broadcast of the same transaction is not applied twice.
      *
      * @param stakingOperationID - The staking operation id related to the signed payload.
      * @param signedPayload - The payload that's being broadcasted.
      * @param transactionIndex - The index of the transaction in the array from the staking operation.
+     * @param idempotencyKey - The idempotency key the staking operation was created with.
      * @private
      * @returns An updated staking operation with the broadcasted transaction.
      */
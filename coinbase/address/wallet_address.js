@@ -13,12 +13,17 @@ const transfer_1 = require("../transfer");
 const contract_invocation_1 = require("../contract_invocation");
 const types_1 = require("../types");
 const utils_1 = require("../utils");
+const telemetry_1 = require("../telemetry");
 const wallet_1 = require("../wallet");
 const staking_operation_1 = require("../staking_operation");
 const payload_signature_1 = require("../payload_signature");
 const smart_contract_1 = require("../smart_contract");
 const fund_operation_1 = require("../fund_operation");
 const fund_quote_1 = require("../fund_quote");
+const signer_1 = require("../signer");
+const server_signer_wait_1 = require("../server_signer_wait");
+const paginator_1 = require("../paginator");
+const webhook_1 = require("../webhook");
 /**
  * A representation of a blockchain address, which is a wallet-controlled account on a network.
  */
@@ -27,14 +32,15 @@ class WalletAddress extends address_1.Address {
      * Initializes a new Wallet Address instance.
      *
      * @param model - The address model data.
-     * @param key - The ethers.js SigningKey the Address uses to sign data.
+     * @param key - The key the Address signs with: an ethers.js Wallet, or a Signer backed by a signing service.
+     * @param coinbase - The Coinbase instance the Address is bound to. Defaults to the default SDK instance.
      * @throws {Error} If the address model is empty.
      */
-    constructor(model, key) {
+    constructor(model, key, coinbase) {
         if (!model) {
             throw new Error("Address model cannot be empty");
         }
-        super(model.network_id, model.address_id);
+        super(model.network_id, model.address_id, coinbase);
         this.model = model;
         this.key = key;
     }
@@ -55,9 +61,17 @@ class WalletAddress extends address_1.Address {
         return this.model.wallet_id;
     }
     /**
-     * Sets the private key.
+     * Returns the index the Address is derived at from its Wallet's seed.
      *
-     * @param key - The ethers.js SigningKey the Address uses to sign data.
+     * @returns The address index.
+     */
+    getIndex() {
+        return this.model.index;
+    }
+    /**
+     * Sets the key the Address signs with.
+     *
+     * @param key - The key the Address signs with: an ethers.js Wallet, or a Signer backed by a signing service.
      * @throws {Error} If the private key is already set.
      */
     setKey(key) {
@@ -70,11 +84,15 @@ class WalletAddress extends address_1.Address {
      * Exports the Address's private key to a hex string.
      *
      * @returns The Address's private key as a hex string.
+     * @throws {Error} If the private key is not set, or is held by a Signer and cannot be exported.
      */
     export() {
         if (this.key === undefined) {
             throw new Error("Private key is not set");
         }
+        if (!(this.key instanceof ethers_1.ethers.Wallet)) {
+            throw new Error("Private key is held by a Signer and cannot be exported");
+        }
         return this.key.privateKey;
     }
     /**
@@ -97,9 +115,9 @@ class WalletAddress extends address_1.Address {
     async listTrades({ limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined, } = {}) {
         const data = [];
         let nextPage;
-        const response = await coinbase_1.Coinbase.apiClients.trade.listTrades(this.model.wallet_id, this.model.address_id, limit, page);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.trade.listTrades(this.model.wallet_id, this.model.address_id, limit, page);
         response.data.data.forEach(tradeModel => {
-            data.push(new trade_1.Trade(tradeModel));
+            data.push(new trade_1.Trade(tradeModel, this.coinbase));
         });
         const hasMore = response.data.has_more;
         if (hasMore) {
@@ -113,6 +131,19 @@ class WalletAddress extends address_1.Address {
             nextPage,
         };
     }
+    /**
+     * Iterates over all the Trades of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Trades to return. Defaults to all of them.
+     * @param options.pageSize - The number of Trades to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Trades.
+     */
+    trades(options = {}) {
+        return new paginator_1.Paginator((limit, page) => this.listTrades({ limit, page }), options);
+    }
     /**
      * Returns all the transfers associated with the address.
      *
@@ -125,9 +156,9 @@ class WalletAddress extends address_1.Address {
     async listTransfers({ limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined, } = {}) {
         const data = [];
         let nextPage;
-        const response = await coinbase_1.Coinbase.apiClients.transfer.listTransfers(this.model.wallet_id, this.model.address_id, limit, page);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.transfer.listTransfers(this.model.wallet_id, this.model.address_id, limit, page);
         response.data.data.forEach(transferModel => {
-            data.push(transfer_1.Transfer.fromModel(transferModel));
+            data.push(transfer_1.Transfer.fromModel(transferModel, this.coinbase));
         });
         const hasMore = response.data.has_more;
         if (hasMore) {
@@ -141,6 +172,19 @@ class WalletAddress extends address_1.Address {
             nextPage,
         };
     }
+    /**
+     * Iterates over all the Transfers of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Transfers to return. Defaults to all of them.
+     * @param options.pageSize - The number of Transfers to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Transfers.
+     */
+    transfers(options = {}) {
+        return new paginator_1.Paginator((limit, page) => this.listTransfers({ limit, page }), options);
+    }
     /**
      * Transfers the given amount of the given Asset to the given address.
      * Only same-Network Transfers are supported.
@@ -153,53 +197,321 @@ class WalletAddress extends address_1.Address {
      * @param options.destination - The destination of the transfer. If a Wallet, sends to the Wallet's default address. If a String, interprets it as the address ID.
      * @param options.gasless - Whether the Transfer should be gasless. Defaults to false.
      * @param options.skipBatching - When true, the Transfer will be submitted immediately. Otherwise, the Transfer will be batched. Defaults to false. Note: requires gasless option to be set to true.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the Transfer to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The transfer object.
      * @throws {APIError} if the API request to create a Transfer fails.
      * @throws {APIError} if the API request to broadcast a Transfer fails.
+     * @throws {ServerSignerTimeoutError} if waiting and the Server-Signer does not sign in time.
+     * @throws {NetworkFeatureUnsupportedError} if gasless and the network does not support gasless sends.
      */
-    async createTransfer({ amount, assetId, destination, gasless = false, skipBatching = false, }) {
-        if (!coinbase_1.Coinbase.useServerSigner && !this.key) {
-            throw new Error("Cannot transfer from address without private key loaded");
-        }
-        const asset = await asset_1.Asset.fetch(this.getNetworkId(), assetId);
-        const [destinationAddress, destinationNetworkId] = await this.getDestinationAddressAndNetwork(destination);
-        const normalizedAmount = new decimal_js_1.Decimal(amount.toString());
-        const currentBalance = await this.getBalance(assetId);
-        if (currentBalance.lessThan(normalizedAmount)) {
-            throw new errors_1.ArgumentError(`Insufficient funds: ${normalizedAmount} requested, but only ${currentBalance} available`);
+    async createTransfer({ amount, assetId, destination, gasless = false, skipBatching = false, waitForServerSigner = false, idempotencyKey = (0, utils_1.generateIdempotencyKey)(), }) {
+        return (0, telemetry_1.withSpan)("createTransfer", { "coinbase_sdk.network.id": this.getNetworkId(), "coinbase_sdk.asset.id": assetId }, async (span) => {
+            if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner && !this.key) {
+                throw new Error("Cannot transfer from address without private key loaded");
+            }
+            if (gasless) {
+                await this.assertNetworkSupports("gasless_send");
+            }
+            const asset = await asset_1.Asset.fetch(this.getNetworkId(), assetId, this.coinbase);
+            const [destinationAddress, destinationNetworkId] = await this.getDestinationAddressAndNetwork(destination);
+            const normalizedAmount = new decimal_js_1.Decimal(amount.toString());
+            const currentBalance = await this.getBalance(assetId);
+            if (currentBalance.lessThan(normalizedAmount)) {
+                throw new errors_1.ArgumentError(`Insufficient funds: ${normalizedAmount} requested, but only ${currentBalance} available`);
+            }
+            if (skipBatching && !gasless) {
+                throw new errors_1.ArgumentError("skipBatching requires gasless to be true");
+            }
+            const transfer = await this.createTransferRequest(normalizedAmount, asset, destinationAddress, destinationNetworkId, gasless, skipBatching, idempotencyKey);
+            span.setAttribute("coinbase_sdk.transfer.id", transfer.getId());
+            if (coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+                return this.awaitServerSigner(transfer, waitForServerSigner, "Transfer", transfer => transfer.getSendTransactionDelegate()?.getStatus());
+            }
+            await transfer.sign(this.getKeySigner());
+            await transfer.broadcast();
+            return transfer;
+        });
+    }
+    /**
+     * Transfers many amounts from the address in one batch, e.g. for payroll-style payouts.
+     * The amounts are validated against the balances of the address once, up front, and no Transfer is created
+     * if the balances do not cover them. The Transfers are then created with bounded concurrency. Transfers that
+     * are not gasless are created, signed and broadcast one at a time, because each one takes the next nonce of
+     * the address; gasless Transfers are sponsored and do not use the nonce of the address, so they run in parallel.
+     *
+     * A failed Transfer does not stop the batch: it is reported with its error. Each Transfer is created with an
+     * idempotency key, so a batch interrupted by a crash can be resumed by passing its last report back as
+     * `options.resume`. The results of Transfers that were already created are first reloaded with
+     * `reloadTransferReport`: Transfers that were broadcast or failed on-chain are skipped, Transfers that were
+     * created but not broadcast are signed and broadcast, and the others are retried with the same idempotency
+     * keys, so that no Transfer is created twice. A Transfer that was created before a crash is signed with the next
+     * nonce of the address if its own nonce was taken since. The report is only resumed if the destination, asset
+     * and amount of each of its results match the batch. Persist the report from `options.onResult` to resume
+     * after a crash.
+     *
+     * `options.onResult` is awaited. If it throws, no further Transfers are started, and the error is thrown once
+     * the Transfers in flight are done; their results keep the status of their Transfers.
+     *
+     * @param transfers - The Transfers to create. Each takes the options of `createTransfer`, except `waitForServerSigner`.
+     * @param options - The options of the batch.
+     * @param options.concurrency - The maximum number of Transfers in flight at once. Defaults to 5.
+     * @param options.resume - The report of an earlier, interrupted run of the same batch.
+     * @param options.onResult - Called with the result of a Transfer and the report whenever the result changes.
+     * @returns The report, with a result for each Transfer in the order given.
+     * @throws {Error} if the address cannot sign.
+     * @throws {ArgumentError} if the batch or the report to resume is invalid, or the balances do not cover the amounts.
+     * @throws {NetworkFeatureUnsupportedError} if a Transfer is gasless and the network does not support gasless sends.
+     * @throws {APIError} if the API request to reload a Transfer of the report to resume fails.
+     * @throws {Error} if `options.onResult` throws.
+     */
+    async createTransfers(transfers, { concurrency = 5, resume, onResult } = {}) {
+        return (0, telemetry_1.withSpan)("createTransfers", { "coinbase_sdk.network.id": this.getNetworkId(), "coinbase_sdk.transfer.count": transfers.length }, async (span) => {
+            const useServerSigner = coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner;
+            if (!useServerSigner && !this.key) {
+                throw new Error("Cannot transfer from address without private key loaded");
+            }
+            if (!Number.isInteger(concurrency) || concurrency < 1) {
+                throw new errors_1.ArgumentError("concurrency must be a positive integer");
+            }
+            if (resume && resume.results.length !== transfers.length) {
+                throw new errors_1.ArgumentError(`Cannot resume a report of ${resume.results.length} Transfers for a batch of ${transfers.length}`);
+            }
+            const report = {
+                results: transfers.map((transfer, index) => {
+                    const request = this.describeBatchTransfer(transfer);
+                    const previous = resume?.results[index];
+                    if (previous &&
+                        ((transfer.idempotencyKey && previous.idempotencyKey !== transfer.idempotencyKey) ||
+                            previous.destination !== request.destination ||
+                            previous.assetId !== request.assetId ||
+                            previous.amount !== request.amount)) {
+                        throw new errors_1.ArgumentError(`Transfer ${index} does not match the report to resume`);
+                    }
+                    return previous
+                        ? { ...previous }
+                        : {
+                            index,
+                            idempotencyKey: transfer.idempotencyKey ?? (0, utils_1.generateIdempotencyKey)(),
+                            status: "pending",
+                            ...request,
+                        };
+                }),
+            };
+            // Errors of onResult are kept apart from the results, so that they never change the status of a Transfer.
+            let callbackError;
+            const update = async (result, changes) => {
+                Object.assign(result, changes);
+                if (!onResult || callbackError) {
+                    return;
+                }
+                try {
+                    await onResult(result, report);
+                }
+                catch (error) {
+                    callbackError = { error };
+                }
+            };
+            // Transfers that were created are reloaded, so that they are neither created nor counted again.
+            const created = new Map();
+            for (const result of report.results) {
+                if (result.transferId && result.status !== "broadcast") {
+                    const reloaded = await this.reloadBatchTransfer(result);
+                    created.set(result, reloaded.transfer);
+                    await update(result, reloaded.changes);
+                }
+            }
+            // Transfers created for a Server-Signer are signed and broadcast by it, so they are complete once created.
+            const pending = report.results.filter(result => result.status !== "broadcast" &&
+                !(result.status === "failed" && result.transferId) &&
+                !(useServerSigner && result.status === "created"));
+            if (pending.some(result => transfers[result.index].skipBatching && !transfers[result.index].gasless)) {
+                throw new errors_1.ArgumentError("skipBatching requires gasless to be true");
+            }
+            if (pending.some(result => transfers[result.index].gasless)) {
+                await this.assertNetworkSupports("gasless_send");
+            }
+            const assets = new Map();
+            for (const { assetId } of transfers) {
+                if (!assets.has(assetId)) {
+                    assets.set(assetId, await asset_1.Asset.fetch(this.getNetworkId(), assetId, this.coinbase));
+                }
+            }
+            await this.validateTransfersBalance(pending.map(result => transfers[result.index]), assets);
+            let nonceLock = Promise.resolve();
+            // The nonce a Transfer was created with may have been taken since, e.g. by a Transfer created before it
+            // when the batch is resumed, so every Transfer signed under the nonce lock takes at least the next nonce.
+            let nextNonce;
+            const withNonce = (action) => {
+                const run = nonceLock.then(action);
+                nonceLock = run.catch(() => undefined);
+                return run;
+            };
+            const send = async (result) => {
+                const { amount, assetId, destination, gasless = false, skipBatching = false } = transfers[result.index];
+                const createAndBroadcast = async () => {
+                    let transfer = created.get(result);
+                    if (!transfer) {
+                        const [destinationAddress, destinationNetworkId] = await this.getDestinationAddressAndNetwork(destination);
+                        transfer = await this.createTransferRequest(new decimal_js_1.Decimal(amount.toString()), assets.get(assetId), destinationAddress, destinationNetworkId, gasless, skipBatching, result.idempotencyKey);
+                        created.set(result, transfer);
+                        await update(result, { status: "created", transferId: transfer.getId(), error: undefined });
+                    }
+                    if (useServerSigner) {
+                        return;
+                    }
+                    if (gasless) {
+                        await transfer.sign(this.getKeySigner());
+                    }
+                    else {
+                        nextNonce = await this.signWithNextNonce(transfer, nextNonce);
+                    }
+                    const broadcastTransfer = await transfer.broadcast();
+                    return { status: "broadcast", transactionHash: broadcastTransfer.getTransactionHash(), error: undefined };
+                };
+                let changes;
+                try {
+                    changes = await (gasless ? createAndBroadcast() : withNonce(createAndBroadcast));
+                }
+                catch (error) {
+                    changes = { status: "failed", error };
+                }
+                if (changes) {
+                    await update(result, changes);
+                }
+            };
+            const queue = [...pending];
+            const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+                for (let result = queue.shift(); result && !callbackError; result = queue.shift()) {
+                    await send(result);
+                }
+            });
+            await Promise.all(workers);
+            if (callbackError) {
+                throw callbackError.error;
+            }
+            span.setAttribute("coinbase_sdk.transfer.failed_count", report.results.filter(result => result.status === "failed").length);
+            return report;
+        });
+    }
+    /**
+     * Describes a Transfer of a batch by its destination, asset and amount, which are kept in its result so that a
+     * report is only resumed for the batch it was created for.
+     *
+     * @param transfer - The Transfer.
+     * @returns The destination, the asset ID and the amount of the Transfer.
+     */
+    describeBatchTransfer({ destination, assetId, amount }) {
+        return {
+            destination: typeof destination === "string" ? destination : destination.getId(),
+            assetId,
+            amount: new decimal_js_1.Decimal(amount.toString()).toString(),
+        };
+    }
+    /**
+     * Signs a Transfer of a batch that is not gasless with the nonce it was created with, or with `nextNonce` if an
+     * earlier Transfer of the batch took that nonce since.
+     *
+     * @param transfer - The Transfer.
+     * @param nextNonce - The nonce after the one the last Transfer of the batch was signed with, if any.
+     * @returns The nonce after the one the Transfer was signed with.
+     */
+    async signWithNextNonce(transfer, nextNonce) {
+        const transaction = transfer.getTransaction();
+        const rawTransaction = transaction.rawTransaction();
+        if (nextNonce !== undefined && rawTransaction.nonce < nextNonce) {
+            rawTransaction.nonce = nextNonce;
         }
-        if (skipBatching && !gasless) {
-            throw new errors_1.ArgumentError("skipBatching requires gasless to be true");
+        await transaction.sign(this.getKeySigner());
+        return rawTransaction.nonce + 1;
+    }
+    /**
+     * Reloads the results of a batch report created with `createTransfers` whose Transfers were created, so that
+     * they carry the real status of their Transfers: broadcast once a Transfer is broadcast or complete, failed if
+     * it failed on-chain, and created while it waits to be signed and broadcast. A failed result with a
+     * `transferId` in a reloaded report is final, and is not retried when the batch is resumed.
+     *
+     * @param report - The report.
+     * @returns A copy of the report with the reloaded results.
+     * @throws {APIError} if the API request to get a Transfer fails.
+     */
+    async reloadTransferReport(report) {
+        const results = [];
+        for (const result of report.results) {
+            results.push(result.transferId && result.status !== "broadcast"
+                ? { ...result, ...(await this.reloadBatchTransfer(result)).changes }
+                : { ...result });
         }
-        const createTransferRequest = {
-            amount: asset.toAtomicAmount(normalizedAmount).toString(),
-            network_id: destinationNetworkId,
-            asset_id: asset.primaryDenomination(),
-            destination: destinationAddress,
-            gasless: gasless,
-            skip_batching: skipBatching,
-        };
-        const response = await coinbase_1.Coinbase.apiClients.transfer.createTransfer(this.getWalletId(), this.getId(), createTransferRequest);
-        const transfer = transfer_1.Transfer.fromModel(response.data);
-        if (coinbase_1.Coinbase.useServerSigner) {
-            return transfer;
+        return { results };
+    }
+    /**
+     * Reloads the Transfer of a batch result, and the changes that bring the result to the status of the Transfer.
+     *
+     * @param result - The result, with the ID of its Transfer.
+     * @returns The Transfer and the changes to the result.
+     * @throws {APIError} if the API request to get the Transfer fails.
+     */
+    async reloadBatchTransfer(result) {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.transfer.getTransfer(this.getWalletId(), this.getId(), result.transferId);
+        const transfer = transfer_1.Transfer.fromModel(response.data, this.coinbase, result.idempotencyKey);
+        switch (transfer.getStatus()) {
+            case types_1.TransferStatus.BROADCAST:
+            case types_1.TransferStatus.COMPLETE:
+                return { transfer, changes: { status: "broadcast", transactionHash: transfer.getTransactionHash(), error: undefined } };
+            case types_1.TransferStatus.FAILED:
+                return { transfer, changes: { status: "failed", error: new Error(`Transfer ${transfer.getId()} failed on-chain`) } };
+            default:
+                return { transfer, changes: { status: "created", error: undefined } };
         }
-        await transfer.sign(this.getSigner());
-        await transfer.broadcast();
-        return transfer;
     }
     /**
-     * Gets a signer for the private key.
+     * Gets an ethers.js Wallet for the private key.
      *
-     * @returns The signer for the private key.
-     * @throws {Error} If the private key is not loaded.
+     * @returns The ethers.js Wallet for the private key.
+     * @throws {Error} If no key is loaded, or the key is held by a Signer. Use `getKeySigner` for those.
      */
     getSigner() {
         if (!this.key) {
             throw new Error("Cannot sign without a private key");
         }
+        if (!(this.key instanceof ethers_1.ethers.Wallet)) {
+            throw new Error("Private key is held by a Signer; use getKeySigner instead");
+        }
         return new ethers_1.ethers.Wallet(this.key.privateKey);
     }
+    /**
+     * Gets the Signer the Address signs with, whether the key is a local private key or held by a signing service.
+     *
+     * @returns The Signer.
+     * @throws {Error} If no key is loaded.
+     */
+    getKeySigner() {
+        if (!this.key) {
+            throw new Error("Cannot sign without a private key");
+        }
+        return (0, signer_1.toSigner)(this.key);
+    }
+    /**
+     * Waits for the Server-Signer to sign a resource and for it to be confirmed or fail, if requested.
+     *
+     * @param resource - The resource created for the Server-Signer to sign.
+     * @param options - Whether to wait, or the options to configure the wait.
+     * @param name - The name of the resource.
+     * @param getStatus - Returns the status of the resource's transaction.
+     * @returns The resource.
+     * @throws {ServerSignerTimeoutError} If the Server-Signer does not sign in time.
+     * @throws {TimeoutError} If the signed resource is not confirmed and does not fail in time.
+     */
+    async awaitServerSigner(resource, options, name, getStatus) {
+        if (!options) {
+            return resource;
+        }
+        return (0, server_signer_wait_1.waitForServerSigner)(resource, options === true ? {} : options, {
+            name,
+            getStage: updated => (0, server_signer_wait_1.serverSignerStage)(getStatus(updated)),
+            attributes: { "coinbase_sdk.network.id": this.getNetworkId() },
+        });
+    }
     /**
      * Trades the given amount of the given Asset for another Asset. Only same-network Trades are supported.
      *
@@ -207,21 +519,28 @@ class WalletAddress extends address_1.Address {
      * @param options.amount - The amount of the From Asset to send.
      * @param options.fromAssetId - The ID of the Asset to trade from.
      * @param options.toAssetId - The ID of the Asset to trade to.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the Trade to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The Trade object.
      * @throws {APIError} if the API request to create or broadcast a Trade fails.
      * @throws {Error} if the Trade times out.
+     * @throws {ServerSignerTimeoutError} if waiting and the Server-Signer does not sign in time.
+     * @throws {NetworkFeatureUnsupportedError} if the network does not support trades.
      */
-    async createTrade({ amount, fromAssetId, toAssetId }) {
-        const fromAsset = await asset_1.Asset.fetch(this.getNetworkId(), fromAssetId);
-        const toAsset = await asset_1.Asset.fetch(this.getNetworkId(), toAssetId);
-        await this.validateCanTrade(amount, fromAssetId);
-        const trade = await this.createTradeRequest(amount, fromAsset, toAsset);
-        if (coinbase_1.Coinbase.useServerSigner) {
+    async createTrade({ amount, fromAssetId, toAssetId, waitForServerSigner = false, idempotencyKey = (0, utils_1.generateIdempotencyKey)(), }) {
+        return (0, telemetry_1.withSpan)("createTrade", { "coinbase_sdk.network.id": this.getNetworkId(), "coinbase_sdk.asset.id": fromAssetId }, async () => {
+            await this.assertNetworkSupports("trade");
+            const fromAsset = await asset_1.Asset.fetch(this.getNetworkId(), fromAssetId, this.coinbase);
+            const toAsset = await asset_1.Asset.fetch(this.getNetworkId(), toAssetId, this.coinbase);
+            await this.validateCanTrade(amount, fromAssetId);
+            const trade = await this.createTradeRequest(amount, fromAsset, toAsset, idempotencyKey);
+            if (coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+                return this.awaitServerSigner(trade, waitForServerSigner, "Trade", trade => trade.getStatus());
+            }
+            await trade.sign(this.getKeySigner());
+            await trade.broadcast();
             return trade;
-        }
-        await trade.sign(this.getSigner());
-        await trade.broadcast();
-        return trade;
+        });
     }
     /**
      * Invokes a contract with the given data.
@@ -235,35 +554,44 @@ class WalletAddress extends address_1.Address {
      * @param options.amount - The amount of the asset to send to a payable contract method.
      * @param options.assetId - The ID of the asset to send to a payable contract method.
      *   The asset must be a denomination of the native asset. (Ex. "wei", "gwei", or "eth").
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the invocation to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The ContractInvocation object.
      * @throws {APIError} if the API request to create a contract invocation fails.
      * @throws {Error} if the address cannot sign.
      * @throws {ArgumentError} if the address does not have sufficient balance.
+     * @throws {ServerSignerTimeoutError} if waiting and the Server-Signer does not sign in time.
      */
-    async invokeContract({ contractAddress, method, abi, args, amount, assetId, }) {
-        if (!coinbase_1.Coinbase.useServerSigner && !this.key) {
-            throw new Error("Cannot invoke contract from address without private key loaded");
-        }
-        if (amount && !assetId) {
-            throw new errors_1.ArgumentError("Asset ID is required for contract ivocation if an amount is provided");
-        }
-        let atomicAmount;
-        if (assetId && amount) {
-            const asset = await asset_1.Asset.fetch(this.getNetworkId(), assetId);
-            const normalizedAmount = new decimal_js_1.Decimal(amount.toString());
-            const currentBalance = await this.getBalance(assetId);
-            if (currentBalance.lessThan(normalizedAmount)) {
-                throw new errors_1.ArgumentError(`Insufficient funds: ${normalizedAmount} requested, but only ${currentBalance} available`);
+    async invokeContract({ contractAddress, method, abi, args, amount, assetId, waitForServerSigner = false, idempotencyKey = (0, utils_1.generateIdempotencyKey)(), }) {
+        return (0, telemetry_1.withSpan)("invokeContract", {
+            "coinbase_sdk.network.id": this.getNetworkId(),
+            "coinbase_sdk.contract.address": contractAddress,
+            "coinbase_sdk.contract.method": method,
+        }, async () => {
+            if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner && !this.key) {
+                throw new Error("Cannot invoke contract from address without private key loaded");
             }
-            atomicAmount = asset.toAtomicAmount(normalizedAmount).toString();
-        }
-        const contractInvocation = await this.createContractInvocation(contractAddress, method, abi, args, atomicAmount);
-        if (coinbase_1.Coinbase.useServerSigner) {
+            if (amount && !assetId) {
+                throw new errors_1.ArgumentError("Asset ID is required for contract ivocation if an amount is provided");
+            }
+            let atomicAmount;
+            if (assetId && amount) {
+                const asset = await asset_1.Asset.fetch(this.getNetworkId(), assetId, this.coinbase);
+                const normalizedAmount = new decimal_js_1.Decimal(amount.toString());
+                const currentBalance = await this.getBalance(assetId);
+                if (currentBalance.lessThan(normalizedAmount)) {
+                    throw new errors_1.ArgumentError(`Insufficient funds: ${normalizedAmount} requested, but only ${currentBalance} available`);
+                }
+                atomicAmount = asset.toAtomicAmount(normalizedAmount).toString();
+            }
+            const contractInvocation = await this.createContractInvocation(contractAddress, method, abi, args, atomicAmount, idempotencyKey);
+            if (coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+                return this.awaitServerSigner(contractInvocation, waitForServerSigner, "ContractInvocation", contractInvocation => contractInvocation.getStatus());
+            }
+            await contractInvocation.sign(this.getKeySigner());
+            await contractInvocation.broadcast();
             return contractInvocation;
-        }
-        await contractInvocation.sign(this.getSigner());
-        await contractInvocation.broadcast();
-        return contractInvocation;
+        });
     }
     /**
      * Deploys an ERC20 token contract.
@@ -272,18 +600,21 @@ class WalletAddress extends address_1.Address {
      * @param options.name - The name of the ERC20 token.
      * @param options.symbol - The symbol of the ERC20 token.
      * @param options.totalSupply - The total supply of the ERC20 token.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the deployment to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the API request to create a smart contract fails.
+     * @throws {ServerSignerTimeoutError} If waiting and the Server-Signer does not sign in time.
      */
-    async deployToken({ name, symbol, totalSupply, }) {
-        if (!coinbase_1.Coinbase.useServerSigner && !this.key) {
+    async deployToken({ name, symbol, totalSupply, waitForServerSigner = false, idempotencyKey = (0, utils_1.generateIdempotencyKey)(), }) {
+        if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner && !this.key) {
             throw new Error("Cannot deploy ERC20 without private key loaded");
         }
-        const smartContract = await this.createERC20({ name, symbol, totalSupply });
-        if (coinbase_1.Coinbase.useServerSigner) {
-            return smartContract;
+        const smartContract = await this.createERC20({ name, symbol, totalSupply, idempotencyKey });
+        if (coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+            return this.awaitServerSigner(smartContract, waitForServerSigner, "SmartContract", smartContract => smartContract.getTransaction()?.getStatus());
         }
-        await smartContract.sign(this.getSigner());
+        await smartContract.sign(this.getKeySigner());
         await smartContract.broadcast();
         return smartContract;
     }
@@ -294,18 +625,21 @@ class WalletAddress extends address_1.Address {
      * @param options.name - The name of the ERC721 token.
      * @param options.symbol - The symbol of the ERC721 token.
      * @param options.baseURI - The base URI of the ERC721 token.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the deployment to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the API request to create a smart contract fails.
+     * @throws {ServerSignerTimeoutError} If waiting and the Server-Signer does not sign in time.
      */
-    async deployNFT({ name, symbol, baseURI }) {
-        if (!coinbase_1.Coinbase.useServerSigner && !this.key) {
+    async deployNFT({ name, symbol, baseURI, waitForServerSigner = false, idempotencyKey = (0, utils_1.generateIdempotencyKey)(), }) {
+        if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner && !this.key) {
             throw new Error("Cannot deploy ERC721 without private key loaded");
         }
-        const smartContract = await this.createERC721({ name, symbol, baseURI });
-        if (coinbase_1.Coinbase.useServerSigner) {
-            return smartContract;
+        const smartContract = await this.createERC721({ name, symbol, baseURI, idempotencyKey });
+        if (coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+            return this.awaitServerSigner(smartContract, waitForServerSigner, "SmartContract", smartContract => smartContract.getTransaction()?.getStatus());
         }
-        await smartContract.sign(this.getSigner());
+        await smartContract.sign(this.getKeySigner());
         await smartContract.broadcast();
         return smartContract;
     }
@@ -314,18 +648,21 @@ class WalletAddress extends address_1.Address {
      *
      * @param options - The options for creating the ERC1155 token.
      * @param options.uri - The URI for all token metadata.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the deployment to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the API request to create a smart contract fails.
+     * @throws {ServerSignerTimeoutError} If waiting and the Server-Signer does not sign in time.
      */
-    async deployMultiToken({ uri }) {
-        if (!coinbase_1.Coinbase.useServerSigner && !this.key) {
+    async deployMultiToken({ uri, waitForServerSigner = false, idempotencyKey = (0, utils_1.generateIdempotencyKey)(), }) {
+        if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner && !this.key) {
             throw new Error("Cannot deploy ERC1155 without private key loaded");
         }
-        const smartContract = await this.createERC1155({ uri });
-        if (coinbase_1.Coinbase.useServerSigner) {
-            return smartContract;
+        const smartContract = await this.createERC1155({ uri, idempotencyKey });
+        if (coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+            return this.awaitServerSigner(smartContract, waitForServerSigner, "SmartContract", smartContract => smartContract.getTransaction()?.getStatus());
         }
-        await smartContract.sign(this.getSigner());
+        await smartContract.sign(this.getKeySigner());
         await smartContract.broadcast();
         return smartContract;
     }
@@ -337,11 +674,14 @@ class WalletAddress extends address_1.Address {
      * @param options.solidityInputJson - The input json for the solidity compiler. See https://docs.soliditylang.org/en/latest/using-the-compiler.html#input-description for more details.
      * @param options.contractName - The name of the contract class to be deployed.
      * @param options.constructorArgs - The arguments for the constructor.
+     * @param options.waitForServerSigner - When using a Server-Signer, waits for it to sign and for the deployment to be confirmed or fail. Pass options to configure the wait. Defaults to false.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the API request to create a smart contract fails.
+     * @throws {ServerSignerTimeoutError} If waiting and the Server-Signer does not sign in time.
      */
-    async deployContract({ solidityVersion, solidityInputJson, contractName, constructorArgs, }) {
-        if (!coinbase_1.Coinbase.useServerSigner && !this.key) {
+    async deployContract({ solidityVersion, solidityInputJson, contractName, constructorArgs, waitForServerSigner = false, idempotencyKey = (0, utils_1.generateIdempotencyKey)(), }) {
+        if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner && !this.key) {
             throw new Error("Cannot deploy custom contract without private key loaded");
         }
         const smartContract = await this.createCustomContract({
@@ -349,11 +689,12 @@ class WalletAddress extends address_1.Address {
             solidityInputJson,
             contractName,
             constructorArgs,
+            idempotencyKey,
         });
-        if (coinbase_1.Coinbase.useServerSigner) {
-            return smartContract;
+        if (coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+            return this.awaitServerSigner(smartContract, waitForServerSigner, "SmartContract", smartContract => smartContract.getTransaction()?.getStatus());
         }
-        await smartContract.sign(this.getSigner());
+        await smartContract.sign(this.getKeySigner());
         await smartContract.broadcast();
         return smartContract;
     }
@@ -365,19 +706,20 @@ class WalletAddress extends address_1.Address {
      * @param {string} options.name - The name of the ERC20 token.
      * @param {string} options.symbol - The symbol of the ERC20 token.
      * @param {BigNumber} options.totalSupply - The total supply of the ERC20 token.
+     * @param {string} options.idempotencyKey - The idempotency key for the request.
      * @returns {Promise<SmartContract>} A Promise that resolves to the created SmartContract.
      * @throws {APIError} If the API request to create a smart contract fails.
      */
-    async createERC20({ name, symbol, totalSupply, }) {
-        const resp = await coinbase_1.Coinbase.apiClients.smartContract.createSmartContract(this.getWalletId(), this.getId(), {
+    async createERC20({ name, symbol, totalSupply, idempotencyKey, }) {
+        const resp = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartContract.createSmartContract(this.getWalletId(), this.getId(), {
             type: client_1.SmartContractType.Erc20,
             options: {
                 name,
                 symbol,
                 total_supply: totalSupply.toString(),
             },
-        });
-        return smart_contract_1.SmartContract.fromModel(resp?.data);
+        }, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        return smart_contract_1.SmartContract.fromModel(resp?.data, this.coinbase, idempotencyKey);
     }
     /**
      * Creates an ERC721 token contract.
@@ -386,19 +728,20 @@ class WalletAddress extends address_1.Address {
      * @param options.name - The name of the ERC721 token.
      * @param options.symbol - The symbol of the ERC721 token.
      * @param options.baseURI - The base URI of the ERC721 token.
+     * @param options.idempotencyKey - The idempotency key for the request.
      * @returns A Promise that resolves to the deployed SmartContract object.
      * @throws {APIError} If the private key is not loaded when not using server signer.
      */
-    async createERC721({ name, symbol, baseURI, }) {
-        const resp = await coinbase_1.Coinbase.apiClients.smartContract.createSmartContract(this.getWalletId(), this.getId(), {
+    async createERC721({ name, symbol, baseURI, idempotencyKey, }) {
+        const resp = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartContract.createSmartContract(this.getWalletId(), this.getId(), {
             type: client_1.SmartContractType.Erc721,
             options: {
                 name,
                 symbol,
                 base_uri: baseURI,
             },
-        });
-        return smart_contract_1.SmartContract.fromModel(resp?.data);
+        }, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        return smart_contract_1.SmartContract.fromModel(resp?.data, this.coinbase, idempotencyKey);
     }
     /**
      * Creates an ERC1155 multi-token contract.
@@ -406,17 +749,18 @@ class WalletAddress extends address_1.Address {
      * @private
      * @param {CreateERC1155Options} options - The options for creating the ERC1155 token.
      * @param {string} options.uri - The URI for all token metadata.
+     * @param {string} options.idempotencyKey - The idempotency key for the request.
      * @returns {Promise<SmartContract>} A Promise that resolves to the created SmartContract.
      * @throws {APIError} If the API request to create a smart contract fails.
      */
-    async createERC1155({ uri }) {
-        const resp = await coinbase_1.Coinbase.apiClients.smartContract.createSmartContract(this.getWalletId(), this.getId(), {
+    async createERC1155({ uri, idempotencyKey }) {
+        const resp = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartContract.createSmartContract(this.getWalletId(), this.getId(), {
             type: client_1.SmartContractType.Erc1155,
             options: {
                 uri,
             },
-        });
-        return smart_contract_1.SmartContract.fromModel(resp?.data);
+        }, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        return smart_contract_1.SmartContract.fromModel(resp?.data, this.coinbase, idempotencyKey);
     }
     /**
      * Creates a custom contract.
@@ -427,23 +771,24 @@ class WalletAddress extends address_1.Address {
      * @param {string} options.solidityInputJson - The input json for the solidity compiler. See https://docs.soliditylang.org/en/latest/using-the-compiler.html#input-description for more details.
      * @param {string} options.contractName - The name of the contract class.
      * @param {Record<string, any>} options.constructorArgs - The arguments for the constructor.
+     * @param {string} options.idempotencyKey - The idempotency key for the request.
      * @returns {Promise<SmartContract>} A Promise that resolves to the created SmartContract.
      * @throws {APIError} If the API request to compile or subsequently create a smart contract fails.
      */
-    async createCustomContract({ solidityVersion, solidityInputJson, contractName, constructorArgs, }) {
-        const compileContractResp = await coinbase_1.Coinbase.apiClients.smartContract.compileSmartContract({
+    async createCustomContract({ solidityVersion, solidityInputJson, contractName, constructorArgs, idempotencyKey, }) {
+        const compileContractResp = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartContract.compileSmartContract({
             solidity_compiler_version: solidityVersion,
             solidity_input_json: solidityInputJson,
             contract_name: contractName,
         });
         const compiledContract = compileContractResp.data;
         const compiledContractId = compiledContract.compiled_smart_contract_id;
-        const createContractResp = await coinbase_1.Coinbase.apiClients.smartContract.createSmartContract(this.getWalletId(), this.getId(), {
+        const createContractResp = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartContract.createSmartContract(this.getWalletId(), this.getId(), {
             type: client_1.SmartContractType.Custom,
             options: JSON.stringify(constructorArgs),
             compiled_smart_contract_id: compiledContractId,
-        });
-        return smart_contract_1.SmartContract.fromModel(createContractResp?.data);
+        }, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        return smart_contract_1.SmartContract.fromModel(createContractResp?.data, this.coinbase, idempotencyKey);
     }
     /**
      * Creates a contract invocation with the given data.
@@ -454,18 +799,19 @@ class WalletAddress extends address_1.Address {
      * @param args - The arguments to pass to the contract method invocation.
      *   The keys should be the argument names and the values should be the argument values.
      * @param atomicAmount - The atomic amount of the native asset to send to a payable contract method.
+     * @param idempotencyKey - The idempotency key for the request.
      * @returns The ContractInvocation object.
      * @throws {APIError} if the API request to create a contract invocation fails.
      */
-    async createContractInvocation(contractAddress, method, abi, args, atomicAmount) {
-        const resp = await coinbase_1.Coinbase.apiClients.contractInvocation.createContractInvocation(this.getWalletId(), this.getId(), {
+    async createContractInvocation(contractAddress, method, abi, args, atomicAmount, idempotencyKey) {
+        const resp = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.contractInvocation.createContractInvocation(this.getWalletId(), this.getId(), {
             method: method,
             abi: JSON.stringify(abi),
             contract_address: contractAddress,
             args: JSON.stringify(args),
             amount: atomicAmount,
-        });
-        return contract_invocation_1.ContractInvocation.fromModel(resp?.data);
+        }, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        return contract_invocation_1.ContractInvocation.fromModel(resp?.data, this.coinbase, idempotencyKey);
     }
     /**
      * Creates a staking operation to stake.
@@ -483,13 +829,15 @@ class WalletAddress extends address_1.Address {
      *  - `withdrawal_address` (optional): Ethereum address for receiving rewards and withdrawal funds. Defaults to the address initiating the stake operation.
      *  - `fee_recipient_address` (optional): Ethereum address for receiving transaction fees. Defaults to the address initiating the stake operation.
      *
+     * The `idempotencyKey` option is the idempotency key for the request, generated if not provided. It is not sent as a staking option.
+     *
      * @param timeoutSeconds - The amount to wait for the transaction to complete when broadcasted.
      * @param intervalSeconds - The amount to check each time for a successful broadcast.
      * @returns The staking operation after it's completed successfully.
      */
     async createStake(amount, assetId, mode = types_1.StakeOptionsMode.DEFAULT, options = {}, timeoutSeconds = 600, intervalSeconds = 0.2) {
-        await this.validateCanStake(amount, assetId, mode, options);
-        return this.createStakingOperation(amount, assetId, "stake", mode, options, timeoutSeconds, intervalSeconds);
+        const { idempotencyKey = (0, utils_1.generateIdempotencyKey)(), ...stakeOptions } = options;
+        return this.createStakingOperation(amount, assetId, "stake", mode, stakeOptions, timeoutSeconds, intervalSeconds, idempotencyKey);
     }
     /**
      * Creates a staking operation to unstake.
@@ -506,16 +854,15 @@ class WalletAddress extends address_1.Address {
      *  - `immediate` (optional): Set this to "true" to unstake immediately i.e. leverage "Coinbase managed unstake" process . Defaults to "false" i.e. "User managed unstake" process.
      *  - `validator_pub_keys` (optional): List of comma separated validator public keys to unstake. Defaults to validators being picked up on your behalf corresponding to the unstake amount.
      *
+     * The `idempotencyKey` option is the idempotency key for the request, generated if not provided. It is not sent as a staking option.
+     *
      * @param timeoutSeconds - The amount to wait for the transaction to complete when broadcasted.
      * @param intervalSeconds - The amount to check each time for a successful broadcast.
      * @returns The staking operation after it's completed successfully.
      */
     async createUnstake(amount, assetId, mode = types_1.StakeOptionsMode.DEFAULT, options = {}, timeoutSeconds = 600, intervalSeconds = 0.2) {
-        // If performing a native ETH unstake, validation is always performed server-side.
-        if (!(0, staking_operation_1.IsDedicatedEthUnstakeV2Operation)(assetId, "unstake", mode, options)) {
-            await this.validateCanUnstake(amount, assetId, mode, options);
-        }
-        return this.createStakingOperation(amount, assetId, "unstake", mode, options, timeoutSeconds, intervalSeconds);
+        const { idempotencyKey = (0, utils_1.generateIdempotencyKey)(), ...stakeOptions } = options;
+        return this.createStakingOperation(amount, assetId, "unstake", mode, stakeOptions, timeoutSeconds, intervalSeconds, idempotencyKey);
     }
     /**
      * Creates a staking operation to claim stake.
@@ -528,38 +875,67 @@ class WalletAddress extends address_1.Address {
      * A. Shared ETH Staking
      *  - `integrator_contract_address` (optional): The contract address to which the claim stake operation is directed to. Defaults to the integrator contract address associated with CDP account (if available) or else defaults to a shared integrator contract address for that network.
      *
+     * The `idempotencyKey` option is the idempotency key for the request, generated if not provided. It is not sent as a staking option.
+     *
      * @param timeoutSeconds - The amount to wait for the transaction to complete when broadcasted.
      * @param intervalSeconds - The amount to check each time for a successful broadcast.
      * @returns The staking operation after it's completed successfully.
      */
     async createClaimStake(amount, assetId, mode = types_1.StakeOptionsMode.DEFAULT, options = {}, timeoutSeconds = 600, intervalSeconds = 0.2) {
-        await this.validateCanClaimStake(amount, assetId, mode, options);
-        return this.createStakingOperation(amount, assetId, "claim_stake", mode, options, timeoutSeconds, intervalSeconds);
+        const { idempotencyKey = (0, utils_1.generateIdempotencyKey)(), ...stakeOptions } = options;
+        return this.createStakingOperation(amount, assetId, "claim_stake", mode, stakeOptions, timeoutSeconds, intervalSeconds, idempotencyKey);
     }
     /**
      * Creates a Payload Signature.
      *
      * @param unsignedPayload - The Unsigned Payload to sign.
+     * @param idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns A promise that resolves to the Payload Signature object.
      * @throws {APIError} if the API request to create a Payload Signature fails.
      * @throws {Error} if the address does not have a private key loaded or an associated Server-Signer.
      */
-    async createPayloadSignature(unsignedPayload) {
-        if (!coinbase_1.Coinbase.useServerSigner && !this.key) {
+    async createPayloadSignature(unsignedPayload, idempotencyKey = (0, utils_1.generateIdempotencyKey)()) {
+        if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner && !this.key) {
             throw new Error("Cannot sign payload with address without private key loaded");
         }
         let signature = undefined;
-        if (!coinbase_1.Coinbase.useServerSigner) {
-            signature = this.key.signingKey.sign(unsignedPayload).serialized;
+        if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+            signature = await this.getKeySigner().signDigest(unsignedPayload);
         }
         const createPayloadSignatureRequest = {
             unsigned_payload: unsignedPayload,
             signature,
         };
-        const response = await coinbase_1.Coinbase.apiClients.address.createPayloadSignature(this.getWalletId(), this.getId(), createPayloadSignatureRequest);
-        const payloadSignature = new payload_signature_1.PayloadSignature(response.data);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.address.createPayloadSignature(this.getWalletId(), this.getId(), createPayloadSignatureRequest, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        const payloadSignature = new payload_signature_1.PayloadSignature(response.data, this.coinbase, idempotencyKey);
         return payloadSignature;
     }
+    /**
+     * Signs a 32 byte digest, locally when a key is loaded, or otherwise with the Server-Signer through a
+     * Payload Signature.
+     *
+     * @param digest - The hex encoded digest to sign.
+     * @param options - The options to wait for a Server-Signer signature.
+     * @param options.intervalSeconds - The interval to check the Payload Signature status. Defaults to 0.2.
+     * @param options.timeoutSeconds - The maximum time to wait for the Payload Signature. Defaults to 10.
+     * @returns The 0x-prefixed serialized signature.
+     * @throws {Error} If the Server-Signer fails to sign.
+     * @throws {TimeoutError} If the Server-Signer does not sign in time.
+     */
+    async signDigest(digest, { intervalSeconds = 0.2, timeoutSeconds = 10 } = {}) {
+        if (this.canSign()) {
+            return this.getKeySigner().signDigest(digest);
+        }
+        const payloadSignature = await this.createPayloadSignature(digest);
+        if (!payloadSignature.isTerminalState()) {
+            await payloadSignature.wait({ intervalSeconds, timeoutSeconds });
+        }
+        const signature = payloadSignature.getSignature();
+        if (payloadSignature.getStatus() !== types_1.PayloadSignatureStatus.SIGNED || !signature) {
+            throw new Error(`Payload Signature ${payloadSignature.getId()} failed`);
+        }
+        return signature.startsWith("0x") ? signature : `0x${signature}`;
+    }
     /**
      * Gets a Payload Signature.
      *
@@ -568,8 +944,8 @@ class WalletAddress extends address_1.Address {
      * @throws {APIError} if the API request to get the Payload Signature fails.
      */
     async getPayloadSignature(payloadSignatureId) {
-        const response = await coinbase_1.Coinbase.apiClients.address.getPayloadSignature(this.getWalletId(), this.getId(), payloadSignatureId);
-        const payloadSignature = new payload_signature_1.PayloadSignature(response.data);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.address.getPayloadSignature(this.getWalletId(), this.getId(), payloadSignatureId);
+        const payloadSignature = new payload_signature_1.PayloadSignature(response.data, this.coinbase);
         return payloadSignature;
     }
     /**
@@ -585,9 +961,9 @@ class WalletAddress extends address_1.Address {
     async listPayloadSignatures({ limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined, } = {}) {
         const data = [];
         let nextPage;
-        const response = await coinbase_1.Coinbase.apiClients.address.listPayloadSignatures(this.model.wallet_id, this.model.address_id, 100, page?.length ? page : undefined);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.address.listPayloadSignatures(this.model.wallet_id, this.model.address_id, 100, page?.length ? page : undefined);
         response.data.data.forEach(payloadSignatureModel => {
-            data.push(new payload_signature_1.PayloadSignature(payloadSignatureModel));
+            data.push(new payload_signature_1.PayloadSignature(payloadSignatureModel, this.coinbase));
         });
         const hasMore = response.data.has_more;
         if (hasMore) {
@@ -601,17 +977,31 @@ class WalletAddress extends address_1.Address {
             nextPage,
         };
     }
+    /**
+     * Iterates over all the Payload Signatures of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Payload Signatures to return. Defaults to all of them.
+     * @param options.pageSize - The number of Payload Signatures to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Payload Signatures.
+     */
+    payloadSignatures(options = {}) {
+        return new paginator_1.Paginator((limit, page) => this.listPayloadSignatures({ limit, page }), options);
+    }
     /**
      * Fund the address from your account on the Coinbase Platform.
      *
      * @param options - The options to create the fund operation
      * @param options.amount - The amount of the Asset to fund the wallet with
      * @param options.assetId - The ID of the Asset to fund with. For Ether, eth, gwei, and wei are supported.
+     * @param options.idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The created fund operation object
      */
-    async fund({ amount, assetId }) {
+    async fund({ amount, assetId, idempotencyKey = (0, utils_1.generateIdempotencyKey)(), }) {
         const normalizedAmount = new decimal_js_1.Decimal(amount.toString());
-        return fund_operation_1.FundOperation.create(this.getWalletId(), this.getId(), normalizedAmount, assetId, this.getNetworkId());
+        return fund_operation_1.FundOperation.create(this.getWalletId(), this.getId(), normalizedAmount, assetId, this.getNetworkId(), undefined, this.coinbase, idempotencyKey);
     }
     /**
      * Get a quote for funding the address from your Coinbase platform account.
@@ -623,7 +1013,7 @@ class WalletAddress extends address_1.Address {
      */
     async quoteFund({ amount, assetId }) {
         const normalizedAmount = new decimal_js_1.Decimal(amount.toString());
-        return fund_quote_1.FundQuote.create(this.getWalletId(), this.getId(), normalizedAmount, assetId, this.getNetworkId());
+        return fund_quote_1.FundQuote.create(this.getWalletId(), this.getId(), normalizedAmount, assetId, this.getNetworkId(), this.coinbase);
     }
     /**
      * Returns all the fund operations associated with the address.
@@ -638,7 +1028,43 @@ class WalletAddress extends address_1.Address {
         return fund_operation_1.FundOperation.listFundOperations(this.model.wallet_id, this.model.address_id, {
             limit,
             page,
-        });
+        }, this.coinbase);
+    }
+    /**
+     * Iterates over all the Fund Operations of the address, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Fund Operations to return. Defaults to all of them.
+     * @param options.pageSize - The number of Fund Operations to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     *
+     * @returns A Paginator over the Fund Operations.
+     */
+    fundOperations(options = {}) {
+        return new paginator_1.Paginator((limit, page) => this.listFundOperations({ limit, page }), options);
+    }
+    /**
+     * Creates a Webhook that monitors the address. Wallet activity webhooks send every activity of the address,
+     * while token transfer webhooks send the transfers from and to it.
+     *
+     * @param options - The options to create the Webhook.
+     * @param options.notificationUri - The URL to send notifications to.
+     * @param options.eventType - The type of event to monitor. Defaults to `wallet_activity`.
+     * @param options.contractAddress - The token contract to restrict token transfer webhooks to.
+     * @param options.signatureHeader - The custom header carrying the payload signature.
+     * @returns The new Webhook.
+     */
+    async createWebhook({ eventType = client_1.WebhookEventType.WalletActivity, ...options }) {
+        if (eventType !== client_1.WebhookEventType.WalletActivity) {
+            return super.createWebhook({ eventType, ...options });
+        }
+        return webhook_1.Webhook.create({
+            networkId: this.getNetworkId(),
+            notificationUri: options.notificationUri,
+            eventType,
+            eventTypeFilter: { wallet_id: this.getWalletId(), addresses: [this.getId()] },
+            signatureHeader: options.signatureHeader,
+        }, this.coinbase);
     }
     /**
      * Returns the address and network ID of the given destination.
@@ -658,22 +1084,72 @@ class WalletAddress extends address_1.Address {
         }
         return [destination, this.getNetworkId()];
     }
+    /**
+     * Creates a transfer model for the specified amount and asset.
+     *
+     * @param amount - The amount of the Asset to send.
+     * @param asset - The Asset to send.
+     * @param destinationAddress - The address ID of the destination.
+     * @param destinationNetworkId - The network ID of the destination.
+     * @param gasless - Whether the Transfer is gasless.
+     * @param skipBatching - Whether the gasless Transfer is submitted immediately.
+     * @param idempotencyKey - The idempotency key for the request.
+     * @returns A promise that resolves to a Transfer object representing the new transfer.
+     */
+    async createTransferRequest(amount, asset, destinationAddress, destinationNetworkId, gasless, skipBatching, idempotencyKey) {
+        const createTransferRequest = {
+            amount: asset.toAtomicAmount(amount).toString(),
+            network_id: destinationNetworkId,
+            asset_id: asset.primaryDenomination(),
+            destination: destinationAddress,
+            gasless: gasless,
+            skip_batching: skipBatching,
+        };
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.transfer.createTransfer(this.getWalletId(), this.getId(), createTransferRequest, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        return transfer_1.Transfer.fromModel(response.data, this.coinbase, idempotencyKey);
+    }
+    /**
+     * Checks that the balances of the address cover the total amount of each asset of a batch of Transfers.
+     * Amounts in different denominations of the same asset, e.g. ETH and Gwei, are added up together.
+     *
+     * @param transfers - The Transfers.
+     * @param assets - The Assets of the Transfers, by asset ID.
+     * @throws {ArgumentError} if the balance of an asset does not cover the total amount.
+     */
+    async validateTransfersBalance(transfers, assets) {
+        const totals = new Map();
+        for (const { amount, assetId } of transfers) {
+            const asset = assets.get(assetId);
+            const atomicAmount = asset.toAtomicAmount(new decimal_js_1.Decimal(amount.toString()));
+            const denomination = asset.primaryDenomination();
+            const total = totals.get(denomination) ?? { assetId, amount: BigInt(0) };
+            total.amount += atomicAmount;
+            totals.set(denomination, total);
+        }
+        for (const [denomination, { assetId, amount }] of totals) {
+            const balance = assets.get(assetId).toAtomicAmount(await this.getBalance(assetId));
+            if (balance < amount) {
+                throw new errors_1.ArgumentError(`Insufficient funds: ${amount} atomic units of ${denomination} requested, but only ${balance} available`);
+            }
+        }
+    }
     /**
      * Creates a trade model for the specified amount and assets.
      *
      * @param amount - The amount of the Asset to send.
      * @param fromAsset - The Asset to trade from.
      * @param toAsset - The Asset to trade to.
+     * @param idempotencyKey - The idempotency key for the request.
      * @returns A promise that resolves to a Trade object representing the new trade.
      */
-    async createTradeRequest(amount, fromAsset, toAsset) {
+    async createTradeRequest(amount, fromAsset, toAsset, idempotencyKey) {
         const tradeRequestPayload = {
             amount: fromAsset.toAtomicAmount(new decimal_js_1.Decimal(amount.toString())).toString(),
             from_asset_id: fromAsset.primaryDenomination(),
             to_asset_id: toAsset.primaryDenomination(),
         };
-        const tradeModel = await coinbase_1.Coinbase.apiClients.trade.createTrade(this.getWalletId(), this.getId(), tradeRequestPayload);
-        return new trade_1.Trade(tradeModel?.data);
+        const tradeModel = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.trade.createTrade(this.getWalletId(), this.getId(), tradeRequestPayload, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        return new trade_1.Trade(tradeModel?.data, this.coinbase, idempotencyKey);
     }
     /**
      * Checks if trading is possible and raises an error if not.
@@ -683,7 +1159,7 @@ class WalletAddress extends address_1.Address {
      * @throws {Error} If the private key is not loaded, or if the asset IDs are unsupported, or if there are insufficient funds.
      */
     async validateCanTrade(amount, fromAssetId) {
-        if (!coinbase_1.Coinbase.useServerSigner && !this.key) {
+        if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner && !this.key) {
             throw new Error("Cannot trade from address without private key loaded");
         }
         const currentBalance = await this.getBalance(fromAssetId);
@@ -702,18 +1178,40 @@ class WalletAddress extends address_1.Address {
      * @param options - Additional options such as setting the mode for the staking action.
      * @param timeoutSeconds - The amount to wait for the transaction to complete when broadcasted.
      * @param intervalSeconds - The amount to check each time for a successful broadcast.
+     * @param idempotencyKey - The idempotency key for the request.
      * @throws {APIError} if the API request to create or broadcast staking operation fails.
      * @throws {Error} if the amount is less than zero.
+     * @throws {ServerSignerTimeoutError} if using a Server-Signer and it does not sign in time.
+     * @throws {NetworkFeatureUnsupportedError} if the network does not support staking.
      * @returns The staking operation after it's completed fully.
      */
-    async createStakingOperation(amount, assetId, action, mode, options, timeoutSeconds, intervalSeconds) {
+    async createStakingOperation(amount, assetId, action, mode, options, timeoutSeconds, intervalSeconds, idempotencyKey) {
+        await this.validateStakingOperation(amount, assetId, action, mode, options);
         // If performing a native ETH unstake, the amount is not required.
         if (!(0, staking_operation_1.IsDedicatedEthUnstakeV2Operation)(assetId, action, mode, options)) {
             if (new decimal_js_1.Decimal(amount.toString()).lessThanOrEqualTo(0)) {
                 throw new Error("Amount required greater than zero.");
             }
         }
-        let stakingOperation = await this.createStakingOperationRequest(amount, assetId, action, mode, options);
+        let stakingOperation = await this.createStakingOperationRequest(amount, assetId, action, mode, options, idempotencyKey);
+        if (coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+            return (0, server_signer_wait_1.waitForServerSigner)(stakingOperation, { intervalSeconds, timeoutSeconds }, {
+                name: "StakingOperation",
+                getStage: operation => {
+                    if (operation.isCompleteState()) {
+                        return types_1.ServerSignerStage.CONFIRMED;
+                    }
+                    if (operation.isFailedState()) {
+                        return types_1.ServerSignerStage.FAILED;
+                    }
+                    const transactions = operation.getTransactions();
+                    return transactions.length > 0 && transactions.every(transaction => transaction.isSigned())
+                        ? types_1.ServerSignerStage.BROADCAST
+                        : types_1.ServerSignerStage.AWAITING_SIGNATURE;
+                },
+                attributes: { "coinbase_sdk.staking_operation.id": stakingOperation.getID() },
+            });
+        }
         const startTime = Date.now();
         // Loop until the timeout is reached.
         while (Date.now() - startTime < timeoutSeconds * 1000) {
@@ -721,8 +1219,8 @@ class WalletAddress extends address_1.Address {
             for (let i = 0; i < stakingOperation.getTransactions().length; i++) {
                 const transaction = stakingOperation.getTransactions()[i];
                 if (!transaction.isSigned()) {
-                    await transaction.sign(this.key);
-                    stakingOperation = await this.broadcastStakingOperationRequest(stakingOperation.getID(), transaction.getSignedPayload().slice(2), i);
+                    await transaction.sign(this.getKeySigner());
+                    stakingOperation = await this.broadcastStakingOperationRequest(stakingOperation.getID(), transaction.getSignedPayload().slice(2), i, idempotencyKey);
                 }
             }
             await stakingOperation.reload();
@@ -741,12 +1239,13 @@ class WalletAddress extends address_1.Address {
      * @param action - The type of staking action to perform.
      * @param mode - The staking mode. Defaults to DEFAULT.
      * @param options - Additional options such as setting the mode for the staking action.
+     * @param idempotencyKey - The idempotency key for the request.
      * @private
      * @throws {APIError} if the API request to create staking operation fails.
      * @returns The created staking operation.
      */
-    async createStakingOperationRequest(amount, assetId, action, mode = types_1.StakeOptionsMode.DEFAULT, options = {}) {
-        const asset = await asset_1.Asset.fetch(this.getNetworkId(), assetId);
+    async createStakingOperationRequest(amount, assetId, action, mode = types_1.StakeOptionsMode.DEFAULT, options = {}, idempotencyKey = (0, utils_1.generateIdempotencyKey)()) {
+        const asset = await asset_1.Asset.fetch(this.getNetworkId(), assetId, this.coinbase);
         options.mode = mode ? mode : types_1.StakeOptionsMode.DEFAULT;
         // If performing a native ETH unstake, the amount is not required.
         if (!(0, staking_operation_1.IsDedicatedEthUnstakeV2Operation)(assetId, action, mode, options)) {
@@ -758,25 +1257,28 @@ class WalletAddress extends address_1.Address {
             action: action,
             options: options,
         };
-        const response = await coinbase_1.Coinbase.apiClients.walletStake.createStakingOperation(this.getWalletId(), this.getId(), stakingOperationRequest);
-        return new staking_operation_1.StakingOperation(response.data);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.walletStake.createStakingOperation(this.getWalletId(), this.getId(), stakingOperationRequest, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        return new staking_operation_1.StakingOperation(response.data, this.coinbase, idempotencyKey);
     }
     /**
      * A helper function that broadcasts the signed payload.
+     * The request is sent with an idempotency key derived from the key the staking operation was created with
+     * and the index of the transaction, so that a retried broadcast of the same transaction is not applied twice.
      *
      * @param stakingOperationID - The staking operation id related to the signed payload.
      * @param signedPayload - The payload that's being broadcasted.
      * @param transactionIndex - The index of the transaction in the array from the staking operation.
+     * @param idempotencyKey - The idempotency key the staking operation was created with.
      * @private
      * @returns An updated staking operation with the broadcasted transaction.
      */
-    async broadcastStakingOperationRequest(stakingOperationID, signedPayload, transactionIndex) {
+    async broadcastStakingOperationRequest(stakingOperationID, signedPayload, transactionIndex, idempotencyKey) {
         const broadcastStakingOperationRequest = {
             signed_payload: signedPayload,
             transaction_index: transactionIndex,
         };
-        const response = await coinbase_1.Coinbase.apiClients.walletStake.broadcastStakingOperation(this.getWalletId(), this.getId(), stakingOperationID, broadcastStakingOperationRequest);
-        return new staking_operation_1.StakingOperation(response.data);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.walletStake.broadcastStakingOperation(this.getWalletId(), this.getId(), stakingOperationID, broadcastStakingOperationRequest, (0, utils_1.idempotencyKeyOptions)(`${idempotencyKey}-broadcast-${transactionIndex}`));
+        return new staking_operation_1.StakingOperation(response.data, this.coinbase, idempotencyKey);
     }
 }
 exports.WalletAddress = WalletAddress;
@@ -1,5 +1,6 @@
 import Decimal from "decimal.js";
 import { Asset as AssetModel } from "./../client/api";
+import { Coinbase } from "./coinbase";
 /** A representation of an Asset. */
 export declare class Asset {
     readonly networkId: string;
@@ -29,10 +30,11 @@ export declare class Asset {
      *
      * @param networkId - The network ID.
      * @param assetId - The asset ID.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @throws If the Asset cannot be fetched.
      * @returns The Asset Class.
      */
-    static fetch(networkId: string, assetId: string): Promise<Asset>;
+    static fetch(networkId: string, assetId: string, coinbase?: Coinbase): Promise<Asset>;
     /**
      * Returns the primary denomination for the provided Asset ID.
      * For `gwei` and `wei` the primary denomination is `eth`.
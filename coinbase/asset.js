@@ -63,11 +63,12 @@ class Asset {
      *
      * @param networkId - The network ID.
      * @param assetId - The asset ID.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @throws If the Asset cannot be fetched.
      * @returns The Asset Class.
      */
-    static async fetch(networkId, assetId) {
-        const asset = await coinbase_1.Coinbase.apiClients.asset.getAsset(coinbase_1.Coinbase.normalizeNetwork(networkId), Asset.primaryDenomination(assetId));
+    static async fetch(networkId, assetId, coinbase) {
+        const asset = await coinbase_1.Coinbase.resolve(coinbase).apiClients.asset.getAsset(coinbase_1.Coinbase.normalizeNetwork(networkId), Asset.primaryDenomination(assetId));
         return Asset.fromModel(asset?.data, assetId);
     }
     /**
@@ -20,11 +20,10 @@ export declare class CoinbaseAuthenticator {
      * Middleware to intercept requests and add JWT to the Authorization header.
      *
      * @param {InternalAxiosRequestConfig} config - The request configuration.
-     * @param {boolean} [debugging] - Flag to enable debugging.
      * @returns {Promise<InternalAxiosRequestConfig>} The modified request configuration with the Authorization header added.
      * @throws {InvalidAPIKeyFormatError} If JWT could not be built.
      */
-    authenticateRequest(config: InternalAxiosRequestConfig, debugging?: boolean): Promise<InternalAxiosRequestConfig>;
+    authenticateRequest(config: InternalAxiosRequestConfig): Promise<InternalAxiosRequestConfig>;
     /**
      * Builds the JWT for the given API endpoint URL.
      *
@@ -28,16 +28,12 @@ class CoinbaseAuthenticator {
      * Middleware to intercept requests and add JWT to the Authorization header.
      *
      * @param {InternalAxiosRequestConfig} config - The request configuration.
-     * @param {boolean} [debugging] - Flag to enable debugging.
      * @returns {Promise<InternalAxiosRequestConfig>} The modified request configuration with the Authorization header added.
      * @throws {InvalidAPIKeyFormatError} If JWT could not be built.
      */
-    async authenticateRequest(config, debugging = false) {
+    async authenticateRequest(config) {
         const method = config.method?.toString().toUpperCase();
         const token = await this.buildJWT(config.url || "", method);
-        if (debugging) {
-            console.log(`API REQUEST: ${method} ${config.url}`);
-        }
         config.headers["Authorization"] = `Bearer ${token}`;
         config.headers["Content-Type"] = "application/json";
         config.headers["Correlation-Context"] = this.getCorrelationData();
@@ -1,4 +1,4 @@
-import { ApiClients, CoinbaseConfigureFromJsonOptions, CoinbaseOptions } from "./types";
+import { ApiClients, CoinbaseConfigureFromJsonOptions, CoinbaseContext, CoinbaseOptions } from "./types";
 /**
  * The Coinbase SDK.
  */
@@ -64,6 +64,18 @@ export declare class Coinbase {
      * @constant
      */
     static defaultPageLimit: number;
+    /**
+     * The API clients of this SDK instance.
+     */
+    apiClients: ApiClients;
+    /**
+     * The CDP API key Private Key of this SDK instance.
+     */
+    apiKeyPrivateKey: string;
+    /**
+     * Whether this SDK instance uses a server signer or not.
+     */
+    useServerSigner: boolean;
     /**
      * Initializes the Coinbase SDK.
      *
@@ -75,14 +87,32 @@ export declare class Coinbase {
      * @param options.privateKey - The private key associated with the API key.
      * @param options.useServerSigner - Whether to use a Server-Signer or not.
      * @param options.debugging - If true, logs API requests and responses to the console.
+     * @param options.logger - The logger to write API request and response entries to.
+     * @param options.requestHooks - Callbacks invoked for every API request attempt.
      * @param options.basePath - The base path for the API.
      * @param options.maxNetworkRetries - The maximum number of network retries for the API GET requests.
+     * @param options.retryPolicy - The retry policy for failed API requests, or the options to build one from.
      * @param options.source - Optional source string to be sent with the API requests. Defaults to `sdk`.
      * @param options.sourceVersion - Optional source version string to be sent with the API requests.
+     * @param options.setAsDefault - Whether this instance becomes the default SDK instance. Defaults to true.
      * @throws {InvalidConfigurationError} If the configuration is invalid.
      * @throws {InvalidAPIKeyFormatError} If not able to create JWT token.
      */
-    constructor({ apiKeyName, privateKey, useServerSigner, debugging, basePath, maxNetworkRetries, source, sourceVersion, }: CoinbaseOptions);
+    constructor({ apiKeyName, privateKey, useServerSigner, debugging, logger, requestHooks, basePath, maxNetworkRetries, retryPolicy, source, sourceVersion, setAsDefault, }: CoinbaseOptions);
+    /**
+     * Makes the given instance the default SDK instance, used by resources that are not bound to an instance.
+     *
+     * @param coinbase - The Coinbase instance to use as the default.
+     */
+    static setDefault(coinbase: Coinbase): void;
+    /**
+     * Returns the SDK context a resource should use: the given instance if it is bound to one,
+     * otherwise the default SDK configuration.
+     *
+     * @param coinbase - The Coinbase instance the resource is bound to, if any.
+     * @returns The API clients and signing configuration to use.
+     */
+    static resolve(coinbase?: Coinbase): CoinbaseContext;
     /**
      * Configures the Coinbase SDK with the provided options.
      *
@@ -91,12 +121,16 @@ export declare class Coinbase {
      * @param options.privateKey - The private key associated with the API key.
      * @param options.useServerSigner - Whether to use a Server-Signer or not. Defaults to false.
      * @param options.debugging - If true, logs API requests and responses to the console. Defaults to false.
+     * @param options.logger - The logger to write API request and response entries to.
+     * @param options.requestHooks - Callbacks invoked for every API request attempt.
      * @param options.basePath - The base path for the API. Defaults to BASE_PATH.
+     * @param options.retryPolicy - The retry policy for failed API requests, or the options to build one from.
      * @param options.source - Optional source string to be sent with the API requests. Defaults to `sdk`.
      * @param options.sourceVersion - Optional source version string to be sent with the API requests.
+     * @param options.setAsDefault - Whether the new instance becomes the default SDK instance. Defaults to true.
      * @returns A new instance of the Coinbase SDK.
      */
-    static configure({ apiKeyName, privateKey, useServerSigner, debugging, basePath, source, sourceVersion, }: CoinbaseOptions): Coinbase;
+    static configure({ apiKeyName, privateKey, useServerSigner, debugging, logger, requestHooks, basePath, retryPolicy, source, sourceVersion, setAsDefault, }: CoinbaseOptions): Coinbase;
     /**
      * Reads the API key and private key from a JSON file and initializes the Coinbase SDK.
      *
@@ -104,15 +138,19 @@ export declare class Coinbase {
      * @param options.filePath - The path to the JSON file containing the API key and private key.
      * @param options.useServerSigner - Whether to use a Server-Signer or not.
      * @param options.debugging - If true, logs API requests and responses to the console.
+     * @param options.logger - The logger to write API request and response entries to.
+     * @param options.requestHooks - Callbacks invoked for every API request attempt.
      * @param options.basePath - The base path for the API.
+     * @param options.retryPolicy - The retry policy for failed API requests, or the options to build one from.
      * @param options.source - Optional source string to be sent with the API requests. Defaults to `sdk`.
      * @param options.sourceVersion - Optional source version string to be sent with the API requests.
+     * @param options.setAsDefault - Whether the new instance becomes the default SDK instance. Defaults to true.
      * @returns A new instance of the Coinbase SDK.
      * @throws {InvalidAPIKeyFormat} If the file does not exist or the configuration values are missing/invalid.
      * @throws {InvalidConfiguration} If the configuration is invalid.
      * @throws {InvalidAPIKeyFormat} If not able to create JWT token.
      */
-    static configureFromJson({ filePath, useServerSigner, debugging, basePath, source, sourceVersion, }?: CoinbaseConfigureFromJsonOptions): Coinbase;
+    static configureFromJson({ filePath, useServerSigner, debugging, logger, requestHooks, basePath, retryPolicy, source, sourceVersion, setAsDefault, }?: CoinbaseConfigureFromJsonOptions): Coinbase;
     /**
      * Converts a network symbol to a string, replacing underscores with hyphens.
      *
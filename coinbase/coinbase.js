@@ -28,13 +28,15 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.Coinbase = void 0;
 const axios_1 = __importDefault(require("axios"));
-const axios_retry_1 = __importDefault(require("axios-retry"));
 const fs = __importStar(require("fs"));
 const client_1 = require("../client");
 const base_1 = require("./../client/base");
 const configuration_1 = require("./../client/configuration");
 const authenticator_1 = require("./authenticator");
 const errors_1 = require("./errors");
+const logger_1 = require("./logger");
+const retry_policy_1 = require("./retry_policy");
+const telemetry_1 = require("./telemetry");
 const utils_1 = require("./utils");
 const os = __importStar(require("os"));
 /**
@@ -52,14 +54,18 @@ class Coinbase {
      * @param options.privateKey - The private key associated with the API key.
      * @param options.useServerSigner - Whether to use a Server-Signer or not.
      * @param options.debugging - If true, logs API requests and responses to the console.
+     * @param options.logger - The logger to write API request and response entries to.
+     * @param options.requestHooks - Callbacks invoked for every API request attempt.
      * @param options.basePath - The base path for the API.
      * @param options.maxNetworkRetries - The maximum number of network retries for the API GET requests.
+     * @param options.retryPolicy - The retry policy for failed API requests, or the options to build one from.
      * @param options.source - Optional source string to be sent with the API requests. Defaults to `sdk`.
      * @param options.sourceVersion - Optional source version string to be sent with the API requests.
+     * @param options.setAsDefault - Whether this instance becomes the default SDK instance. Defaults to true.
      * @throws {InvalidConfigurationError} If the configuration is invalid.
      * @throws {InvalidAPIKeyFormatError} If not able to create JWT token.
      */
-    constructor({ apiKeyName, privateKey, useServerSigner = false, debugging = false, basePath = base_1.BASE_PATH, maxNetworkRetries = 3, source = "sdk", sourceVersion = undefined, }) {
+    constructor({ apiKeyName, privateKey, useServerSigner = false, debugging = false, logger = undefined, requestHooks = undefined, basePath = base_1.BASE_PATH, maxNetworkRetries = 3, retryPolicy = undefined, source = "sdk", sourceVersion = undefined, setAsDefault = true, }) {
         if (apiKeyName === "") {
             throw new errors_1.InvalidConfigurationError("Invalid configuration: apiKeyName is empty");
         }
@@ -71,36 +77,56 @@ class Coinbase {
             basePath: basePath,
         });
         const axiosInstance = axios_1.default.create();
-        (0, axios_retry_1.default)(axiosInstance, {
-            retries: maxNetworkRetries,
-            retryCondition: (error) => {
-                return (error.config?.method?.toUpperCase() === "GET" &&
-                    (error.response?.status || 0) in [500, 502, 503, 504]);
-            },
-        });
-        (0, utils_1.registerAxiosInterceptors)(axiosInstance, config => coinbaseAuthenticator.authenticateRequest(config, debugging), 
-        /* istanbul ignore file */
-        response => (0, utils_1.logApiResponse)(response, debugging));
-        Coinbase.apiClients.wallet = (0, client_1.WalletsApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.smartWallet = (0, client_1.SmartWalletsApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.address = (0, client_1.AddressesApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.transfer = (0, client_1.TransfersApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.trade = (0, client_1.TradesApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.serverSigner = (0, client_1.ServerSignersApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.stake = (0, client_1.StakeApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.walletStake = (0, client_1.MPCWalletStakeApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.asset = (0, client_1.AssetsApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.webhook = (0, client_1.WebhooksApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.contractInvocation = (0, client_1.ContractInvocationsApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.externalAddress = (0, client_1.ExternalAddressesApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.balanceHistory = (0, client_1.BalanceHistoryApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.contractEvent = (0, client_1.ContractEventsApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.smartContract = (0, client_1.SmartContractsApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.fund = (0, client_1.FundApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiClients.transactionHistory = (0, client_1.TransactionHistoryApiFactory)(config, basePath, axiosInstance);
-        Coinbase.apiKeyPrivateKey = privateKey;
-        Coinbase.useServerSigner = useServerSigner;
-        Coinbase.apiClients.addressReputation = (0, client_1.ReputationApiFactory)(config, basePath, axiosInstance);
+        const sdkLogger = logger ?? (debugging ? new logger_1.ConsoleLogger("debug") : undefined);
+        (0, telemetry_1.registerTelemetryInterceptors)(axiosInstance);
+        (0, logger_1.registerLoggingInterceptors)(axiosInstance, sdkLogger, requestHooks);
+        retry_policy_1.RetryPolicy.from(retryPolicy, maxNetworkRetries).apply(axiosInstance, sdkLogger);
+        (0, utils_1.registerAxiosInterceptors)(axiosInstance, config => coinbaseAuthenticator.authenticateRequest(config), response => response);
+        this.apiClients = {};
+        this.apiClients.wallet = (0, client_1.WalletsApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.smartWallet = (0, client_1.SmartWalletsApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.address = (0, client_1.AddressesApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.transfer = (0, client_1.TransfersApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.trade = (0, client_1.TradesApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.serverSigner = (0, client_1.ServerSignersApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.stake = (0, client_1.StakeApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.walletStake = (0, client_1.MPCWalletStakeApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.asset = (0, client_1.AssetsApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.webhook = (0, client_1.WebhooksApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.contractInvocation = (0, client_1.ContractInvocationsApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.externalAddress = (0, client_1.ExternalAddressesApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.balanceHistory = (0, client_1.BalanceHistoryApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.contractEvent = (0, client_1.ContractEventsApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.smartContract = (0, client_1.SmartContractsApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.fund = (0, client_1.FundApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.transactionHistory = (0, client_1.TransactionHistoryApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.addressReputation = (0, client_1.ReputationApiFactory)(config, basePath, axiosInstance);
+        this.apiClients.network = (0, client_1.NetworksApiFactory)(config, basePath, axiosInstance);
+        this.apiKeyPrivateKey = privateKey;
+        this.useServerSigner = useServerSigner;
+        if (setAsDefault) {
+            Coinbase.setDefault(this);
+        }
+    }
+    /**
+     * Makes the given instance the default SDK instance, used by resources that are not bound to an instance.
+     *
+     * @param coinbase - The Coinbase instance to use as the default.
+     */
+    static setDefault(coinbase) {
+        Object.assign(Coinbase.apiClients, coinbase.apiClients);
+        Coinbase.apiKeyPrivateKey = coinbase.apiKeyPrivateKey;
+        Coinbase.useServerSigner = coinbase.useServerSigner;
+    }
+    /**
+     * Returns the SDK context a resource should use: the given instance if it is bound to one,
+     * otherwise the default SDK configuration.
+     *
+     * @param coinbase - The Coinbase instance the resource is bound to, if any.
+     * @returns The API clients and signing configuration to use.
+     */
+    static resolve(coinbase) {
+        return coinbase ?? Coinbase;
     }
     /**
      * Configures the Coinbase SDK with the provided options.
@@ -110,20 +136,28 @@ class Coinbase {
      * @param options.privateKey - The private key associated with the API key.
      * @param options.useServerSigner - Whether to use a Server-Signer or not. Defaults to false.
      * @param options.debugging - If true, logs API requests and responses to the console. Defaults to false.
+     * @param options.logger - The logger to write API request and response entries to.
+     * @param options.requestHooks - Callbacks invoked for every API request attempt.
      * @param options.basePath - The base path for the API. Defaults to BASE_PATH.
+     * @param options.retryPolicy - The retry policy for failed API requests, or the options to build one from.
      * @param options.source - Optional source string to be sent with the API requests. Defaults to `sdk`.
      * @param options.sourceVersion - Optional source version string to be sent with the API requests.
+     * @param options.setAsDefault - Whether the new instance becomes the default SDK instance. Defaults to true.
      * @returns A new instance of the Coinbase SDK.
      */
-    static configure({ apiKeyName, privateKey, useServerSigner = false, debugging = false, basePath = base_1.BASE_PATH, source = "sdk", sourceVersion = undefined, }) {
+    static configure({ apiKeyName, privateKey, useServerSigner = false, debugging = false, logger = undefined, requestHooks = undefined, basePath = base_1.BASE_PATH, retryPolicy = undefined, source = "sdk", sourceVersion = undefined, setAsDefault = true, }) {
         return new Coinbase({
             apiKeyName,
             privateKey,
             useServerSigner,
             debugging,
+            logger,
+            requestHooks,
             basePath,
+            retryPolicy,
             source,
             sourceVersion,
+            setAsDefault,
         });
     }
     /**
@@ -133,15 +167,19 @@ class Coinbase {
      * @param options.filePath - The path to the JSON file containing the API key and private key.
      * @param options.useServerSigner - Whether to use a Server-Signer or not.
      * @param options.debugging - If true, logs API requests and responses to the console.
+     * @param options.logger - The logger to write API request and response entries to.
+     * @param options.requestHooks - Callbacks invoked for every API request attempt.
      * @param options.basePath - The base path for the API.
+     * @param options.retryPolicy - The retry policy for failed API requests, or the options to build one from.
      * @param options.source - Optional source string to be sent with the API requests. Defaults to `sdk`.
      * @param options.sourceVersion - Optional source version string to be sent with the API requests.
+     * @param options.setAsDefault - Whether the new instance becomes the default SDK instance. Defaults to true.
      * @returns A new instance of the Coinbase SDK.
      * @throws {InvalidAPIKeyFormat} If the file does not exist or the configuration values are missing/invalid.
      * @throws {InvalidConfiguration} If the configuration is invalid.
      * @throws {InvalidAPIKeyFormat} If not able to create JWT token.
      */
-    static configureFromJson({ filePath = "coinbase_cloud_api_key.json", useServerSigner = false, debugging = false, basePath = base_1.BASE_PATH, source = "sdk", sourceVersion = undefined, } = {}) {
+    static configureFromJson({ filePath = "coinbase_cloud_api_key.json", useServerSigner = false, debugging = false, logger = undefined, requestHooks = undefined, basePath = base_1.BASE_PATH, retryPolicy = undefined, source = "sdk", sourceVersion = undefined, setAsDefault = true, } = {}) {
         filePath = filePath.startsWith("~") ? filePath.replace("~", os.homedir()) : filePath;
         if (!fs.existsSync(filePath)) {
             throw new errors_1.InvalidConfigurationError(`Invalid configuration: file not found at ${filePath}`);
@@ -159,9 +197,13 @@ class Coinbase {
                 privateKey: config.privateKey,
                 useServerSigner: useServerSigner,
                 debugging: debugging,
+                logger,
+                requestHooks,
                 basePath: basePath,
+                retryPolicy,
                 source,
                 sourceVersion,
+                setAsDefault,
             });
         }
         catch (e) {
@@ -1 +1,2 @@
 export declare const GWEI_DECIMALS = 9;
+export declare const IDEMPOTENCY_KEY_HEADER = "X-Idempotency-Key";
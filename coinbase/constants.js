@@ -1,4 +1,5 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.GWEI_DECIMALS = void 0;
+exports.IDEMPOTENCY_KEY_HEADER = exports.GWEI_DECIMALS = void 0;
 exports.GWEI_DECIMALS = 9;
+exports.IDEMPOTENCY_KEY_HEADER = "X-Idempotency-Key";
@@ -1,19 +1,26 @@
 import { Decimal } from "decimal.js";
-import { TransactionStatus } from "./types";
+import { TransactionStatus, SignerLike } from "./types";
 import { Transaction } from "./transaction";
 import { ContractInvocation as ContractInvocationModel } from "../client/api";
 import { ethers } from "ethers";
+import { Coinbase } from "./coinbase";
+import { WaitOptions } from "../utils/wait";
+import { StatusDescription, StatusEventSource } from "../utils/status_watcher";
 /**
  * A representation of a ContractInvocation, which calls a smart contract method
  * onchain. The fee is assumed to be paid in the native Asset of the Network.
  */
-export declare class ContractInvocation {
+export declare class ContractInvocation extends StatusEventSource<ContractInvocation> {
     private model;
+    private coinbase?;
+    private idempotencyKey?;
     /**
      * Private constructor to prevent direct instantiation outside of the factory methods.
      *
      * @ignore
      * @param contractInvocationModel - The ContractInvocation model.
+     * @param coinbase - The Coinbase instance the ContractInvocation is bound to.
+     * @param idempotencyKey - The idempotency key the Contract Invocation was created with, if any.
      * @hideconstructor
      */
     private constructor();
@@ -21,15 +28,23 @@ export declare class ContractInvocation {
      * Converts a ContractInvocationModel into a ContractInvocation object.
      *
      * @param contractInvocationModel - The ContractInvocation model object.
+     * @param coinbase - The Coinbase instance the ContractInvocation is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Contract Invocation was created with, if any.
      * @returns The ContractInvocation object.
      */
-    static fromModel(contractInvocationModel: ContractInvocationModel): ContractInvocation;
+    static fromModel(contractInvocationModel: ContractInvocationModel, coinbase?: Coinbase, idempotencyKey?: string): ContractInvocation;
     /**
      * Returns the ID of the ContractInvocation.
      *
      * @returns The ContractInvocation ID.
      */
     getId(): string;
+    /**
+     * Returns the idempotency key the Contract Invocation was created with.
+     *
+     * @returns The idempotency key, or undefined if the Contract Invocation was not created by this SDK instance.
+     */
+    getIdempotencyKey(): string | undefined;
     /**
      * Returns the Network ID of the ContractInvocation.
      *
@@ -96,10 +111,10 @@ export declare class ContractInvocation {
      * Signs the ContractInvocation with the provided key and returns the hex signature
      * required for broadcasting the ContractInvocation.
      *
-     * @param key - The key to sign the ContractInvocation with
+     * @param key - The Signer or ethers.js Wallet to sign the ContractInvocation with
      * @returns The hex-encoded signed payload
      */
-    sign(key: ethers.Wallet): Promise<string>;
+    sign(key: SignerLike): Promise<string>;
     /**
      * Returns the Status of the ContractInvocation.
      *
@@ -133,20 +148,28 @@ export declare class ContractInvocation {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the ContractInvocation.
      * @param options.timeoutSeconds - The maximum time to wait for the ContractInvocation to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The ContractInvocation object in a terminal state.
-     * @throws {Error} if the ContractInvocation times out.
+     * @throws {TimeoutError} if the ContractInvocation times out.
      */
-    wait({ intervalSeconds, timeoutSeconds, }?: {
-        intervalSeconds?: number | undefined;
-        timeoutSeconds?: number | undefined;
-    }): Promise<ContractInvocation>;
+    wait({ intervalSeconds, timeoutSeconds, ...options }?: WaitOptions<ContractInvocation>): Promise<ContractInvocation>;
     /**
      * Reloads the ContractInvocation model with the latest data from the server.
      *
      * @throws {APIError} if the API request to get a ContractInvocation fails.
      */
     reload(): Promise<void>;
+    /**
+     * Returns when the ContractInvocation is in a terminal state, and how it is described in status changes,
+     * errors and telemetry.
+     *
+     * @returns The status description of the ContractInvocation.
+     */
+    protected describeStatus(): StatusDescription<ContractInvocation>;
     /**
      * Returns a string representation of the ContractInvocation.
      *
@@ -5,34 +5,41 @@ const decimal_js_1 = require("decimal.js");
 const types_1 = require("./types");
 const transaction_1 = require("./transaction");
 const coinbase_1 = require("./coinbase");
-const utils_1 = require("./utils");
-const errors_1 = require("./errors");
+const wait_1 = require("../utils/wait");
+const status_watcher_1 = require("../utils/status_watcher");
 /**
  * A representation of a ContractInvocation, which calls a smart contract method
  * onchain. The fee is assumed to be paid in the native Asset of the Network.
  */
-class ContractInvocation {
+class ContractInvocation extends status_watcher_1.StatusEventSource {
     /**
      * Private constructor to prevent direct instantiation outside of the factory methods.
      *
      * @ignore
      * @param contractInvocationModel - The ContractInvocation model.
+     * @param coinbase - The Coinbase instance the ContractInvocation is bound to.
+     * @param idempotencyKey - The idempotency key the Contract Invocation was created with, if any.
      * @hideconstructor
      */
-    constructor(contractInvocationModel) {
+    constructor(contractInvocationModel, coinbase, idempotencyKey) {
+        super();
         if (!contractInvocationModel) {
             throw new Error("ContractInvocation model cannot be empty");
         }
         this.model = contractInvocationModel;
+        this.coinbase = coinbase;
+        this.idempotencyKey = idempotencyKey;
     }
     /**
      * Converts a ContractInvocationModel into a ContractInvocation object.
      *
      * @param contractInvocationModel - The ContractInvocation model object.
+     * @param coinbase - The Coinbase instance the ContractInvocation is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Contract Invocation was created with, if any.
      * @returns The ContractInvocation object.
      */
-    static fromModel(contractInvocationModel) {
-        return new ContractInvocation(contractInvocationModel);
+    static fromModel(contractInvocationModel, coinbase, idempotencyKey) {
+        return new ContractInvocation(contractInvocationModel, coinbase, idempotencyKey);
     }
     /**
      * Returns the ID of the ContractInvocation.
@@ -42,6 +49,14 @@ class ContractInvocation {
     getId() {
         return this.model.contract_invocation_id;
     }
+    /**
+     * Returns the idempotency key the Contract Invocation was created with.
+     *
+     * @returns The idempotency key, or undefined if the Contract Invocation was not created by this SDK instance.
+     */
+    getIdempotencyKey() {
+        return this.idempotencyKey;
+    }
     /**
      * Returns the Network ID of the ContractInvocation.
      *
@@ -130,7 +145,7 @@ class ContractInvocation {
      * Signs the ContractInvocation with the provided key and returns the hex signature
      * required for broadcasting the ContractInvocation.
      *
-     * @param key - The key to sign the ContractInvocation with
+     * @param key - The Signer or ethers.js Wallet to sign the ContractInvocation with
      * @returns The hex-encoded signed payload
      */
     async sign(key) {
@@ -172,8 +187,8 @@ class ContractInvocation {
         const broadcastContractInvocationRequest = {
             signed_payload: this.getTransaction().getSignature(),
         };
-        const response = await coinbase_1.Coinbase.apiClients.contractInvocation.broadcastContractInvocation(this.getWalletId(), this.getFromAddressId(), this.getId(), broadcastContractInvocationRequest);
-        return ContractInvocation.fromModel(response.data);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.contractInvocation.broadcastContractInvocation(this.getWalletId(), this.getFromAddressId(), this.getId(), broadcastContractInvocationRequest);
+        return ContractInvocation.fromModel(response.data, this.coinbase);
     }
     /**
      * Waits for the ContractInvocation to be confirmed on the Network or fail on chain.
@@ -183,22 +198,20 @@ class ContractInvocation {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the ContractInvocation.
      * @param options.timeoutSeconds - The maximum time to wait for the ContractInvocation to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The ContractInvocation object in a terminal state.
-     * @throws {Error} if the ContractInvocation times out.
+     * @throws {TimeoutError} if the ContractInvocation times out.
      */
-    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10, } = {}) {
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutSeconds * 1000) {
+    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10, ...options } = {}) {
+        await (0, wait_1.wait)(async () => {
             await this.reload();
-            // If the ContractInvocation is in a terminal state, return the ContractInvocation.
-            const status = this.getStatus();
-            if (status === types_1.TransactionStatus.COMPLETE || status === types_1.TransactionStatus.FAILED) {
-                return this;
-            }
-            await (0, utils_1.delay)(intervalSeconds);
-        }
-        throw new errors_1.TimeoutError("ContractInvocation timed out");
+            return this;
+        }, contractInvocation => [types_1.TransactionStatus.COMPLETE, types_1.TransactionStatus.FAILED].includes(contractInvocation.getStatus()), undefined, { intervalSeconds, timeoutSeconds, ...options }, { name: "ContractInvocation", getStatus: contractInvocation => contractInvocation.getStatus(), attributes: { "coinbase_sdk.contract_invocation.id": this.getId() } });
+        return this;
     }
     /**
      * Reloads the ContractInvocation model with the latest data from the server.
@@ -206,9 +219,21 @@ class ContractInvocation {
      * @throws {APIError} if the API request to get a ContractInvocation fails.
      */
     async reload() {
-        const result = await coinbase_1.Coinbase.apiClients.contractInvocation.getContractInvocation(this.getWalletId(), this.getFromAddressId(), this.getId());
+        const result = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.contractInvocation.getContractInvocation(this.getWalletId(), this.getFromAddressId(), this.getId());
         this.model = result?.data;
     }
+    /**
+     * Returns when the ContractInvocation is in a terminal state, and how it is described in status changes,
+     * errors and telemetry.
+     *
+     * @returns The status description of the ContractInvocation.
+     */
+    describeStatus() {
+        return {
+            isTerminal: contractInvocation => [types_1.TransactionStatus.COMPLETE, types_1.TransactionStatus.FAILED].includes(contractInvocation.getStatus()),
+            context: { name: "ContractInvocation", getStatus: contractInvocation => contractInvocation.getStatus(), attributes: { "coinbase_sdk.contract_invocation.id": this.getId() } },
+        };
+    }
     /**
      * Returns a string representation of the ContractInvocation.
      *
@@ -1,3 +1,4 @@
+import type { PayoutDryRunReport } from "./types";
 /**
  * InvalidAPIKeyFormatError error is thrown when the API key format is invalid.
  */
@@ -14,12 +15,14 @@ export declare class InvalidAPIKeyFormatError extends Error {
  * TimeoutError is thrown when an operation times out.
  */
 export declare class TimeoutError extends Error {
+    readonly lastStatus?: string;
     /**
      * Initializes a new TimeoutError instance.
      *
      * @param message - The error message.
+     * @param lastStatus - The last status observed before timing out, if any.
      */
-    constructor(message?: string);
+    constructor(message?: string, lastStatus?: string);
 }
 /**
  * ArgumentError is thrown when an argument is invalid.
@@ -92,3 +95,123 @@ export declare class UninitializedSDKError extends Error {
      */
     constructor(message?: string);
 }
+/**
+ * WebhookVerificationError is thrown when a webhook delivery fails signature, timestamp or replay checks.
+ */
+export declare class WebhookVerificationError extends Error {
+    static DEFAULT_MESSAGE: string;
+    /**
+     * Initializes a new WebhookVerificationError instance.
+     *
+     * @param message - The error message.
+     */
+    constructor(message?: string);
+}
+/**
+ * WebhookReplayError is thrown when a correctly signed webhook delivery has been received before.
+ */
+export declare class WebhookReplayError extends WebhookVerificationError {
+    static DEFAULT_MESSAGE: string;
+    /**
+     * Initializes a new WebhookReplayError instance.
+     *
+     * @param message - The error message.
+     */
+    constructor(message?: string);
+}
+/**
+ * SeedStoreError is thrown when a seed store cannot be read or written, or a stored seed fails its integrity check.
+ */
+export declare class SeedStoreError extends Error {
+    static DEFAULT_MESSAGE: string;
+    /**
+     * Initializes a new SeedStoreError instance.
+     *
+     * @param message - The error message.
+     */
+    constructor(message?: string);
+}
+/**
+ * SignerError is thrown when a Signer fails to sign, or returns a signature that does not match its address.
+ */
+export declare class SignerError extends Error {
+    static DEFAULT_MESSAGE: string;
+    /**
+     * Initializes a new SignerError instance.
+     *
+     * @param message - The error message.
+     */
+    constructor(message?: string);
+}
+/**
+ * ServerSignerTimeoutError is thrown when the Server-Signer does not sign a resource in time, e.g. because no
+ * Server-Signer is running to pick up its signature event.
+ */
+export declare class ServerSignerTimeoutError extends TimeoutError {
+    static DEFAULT_MESSAGE: string;
+    /**
+     * Initializes a new ServerSignerTimeoutError instance.
+     *
+     * @param message - The error message.
+     * @param lastStatus - The last status observed before timing out, if any.
+     */
+    constructor(message?: string, lastStatus?: string);
+}
+/**
+ * UserOperationPolicyError is thrown when a user operation violates a UserOperationPolicy.
+ */
+export declare class UserOperationPolicyError extends Error {
+    static DEFAULT_MESSAGE: string;
+    readonly callIndex?: number;
+    /**
+     * Initializes a new UserOperationPolicyError instance.
+     *
+     * @param message - The error message.
+     * @param callIndex - The index of the call that violates the policy, if the violation is specific to a call.
+     */
+    constructor(message?: string, callIndex?: number);
+}
+/**
+ * UnsupportedChainError is thrown when a chain ID is unknown, or its network does not support an operation.
+ */
+export declare class UnsupportedChainError extends ArgumentError {
+    static DEFAULT_MESSAGE: string;
+    readonly chainId?: number;
+    /**
+     * Initializes a new UnsupportedChainError instance.
+     *
+     * @param message - The error message.
+     * @param chainId - The unsupported chain ID.
+     */
+    constructor(message?: string, chainId?: number);
+}
+/**
+ * NetworkFeatureUnsupportedError is thrown when an operation requires a feature its network does not support.
+ */
+export declare class NetworkFeatureUnsupportedError extends Error {
+    static DEFAULT_MESSAGE: string;
+    readonly networkId?: string;
+    readonly feature?: string;
+    /**
+     * Initializes a new NetworkFeatureUnsupportedError instance.
+     *
+     * @param message - The error message.
+     * @param networkId - The ID of the network.
+     * @param feature - The unsupported feature.
+     */
+    constructor(message?: string, networkId?: string, feature?: string);
+}
+/**
+ * PayoutValidationError is thrown when a payout file fails validation, and carries the dry-run report with the problems found.
+ */
+export declare class PayoutValidationError extends Error {
+    static DEFAULT_MESSAGE: string;
+    readonly report?: PayoutDryRunReport;
+    /**
+     * Initializes a new PayoutValidationError instance.
+     *
+     * @param message - The error message.
+     * @param report - The dry-run report of the payout file.
+     */
+    constructor(message?: string, report?: PayoutDryRunReport);
+}
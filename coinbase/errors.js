@@ -1,6 +1,6 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.UninitializedSDKError = exports.AlreadySignedError = exports.NotSignedError = exports.InvalidUnsignedPayloadError = exports.InvalidConfigurationError = exports.ArgumentError = exports.TimeoutError = exports.InvalidAPIKeyFormatError = void 0;
+exports.PayoutValidationError = exports.NetworkFeatureUnsupportedError = exports.UnsupportedChainError = exports.UserOperationPolicyError = exports.ServerSignerTimeoutError = exports.SignerError = exports.SeedStoreError = exports.WebhookReplayError = exports.WebhookVerificationError = exports.UninitializedSDKError = exports.AlreadySignedError = exports.NotSignedError = exports.InvalidUnsignedPayloadError = exports.InvalidConfigurationError = exports.ArgumentError = exports.TimeoutError = exports.InvalidAPIKeyFormatError = void 0;
 /**
  * InvalidAPIKeyFormatError error is thrown when the API key format is invalid.
  */
@@ -28,10 +28,12 @@ class TimeoutError extends Error {
      * Initializes a new TimeoutError instance.
      *
      * @param message - The error message.
+     * @param lastStatus - The last status observed before timing out, if any.
      */
-    constructor(message = "Timeout Error") {
+    constructor(message = "Timeout Error", lastStatus) {
         super(message);
         this.name = "TimeoutError";
+        this.lastStatus = lastStatus;
         if (Error.captureStackTrace) {
             Error.captureStackTrace(this, TimeoutError);
         }
@@ -154,3 +156,187 @@ UninitializedSDKError.DEFAULT_MESSAGE = "Coinbase SDK has not been initialized.
     "- Coinbase.configure({apiKeyName: '...', privateKey: '...'})\n" +
     "- Coinbase.configureFromJson({filePath: '/path/to/api_keys.json'})\n\n" +
     "If needed, register for API keys at https://portal.cdp.coinbase.com/ or view the docs at https://docs.cdp.coinbase.com/wallet-api/docs/welcome";
+/**
+ * WebhookVerificationError is thrown when a webhook delivery fails signature, timestamp or replay checks.
+ */
+class WebhookVerificationError extends Error {
+    /**
+     * Initializes a new WebhookVerificationError instance.
+     *
+     * @param message - The error message.
+     */
+    constructor(message = WebhookVerificationError.DEFAULT_MESSAGE) {
+        super(message);
+        this.name = "WebhookVerificationError";
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, WebhookVerificationError);
+        }
+    }
+}
+exports.WebhookVerificationError = WebhookVerificationError;
+WebhookVerificationError.DEFAULT_MESSAGE = "Webhook verification failed";
+/**
+ * WebhookReplayError is thrown when a correctly signed webhook delivery has been received before.
+ */
+class WebhookReplayError extends WebhookVerificationError {
+    /**
+     * Initializes a new WebhookReplayError instance.
+     *
+     * @param message - The error message.
+     */
+    constructor(message = WebhookReplayError.DEFAULT_MESSAGE) {
+        super(message);
+        this.name = "WebhookReplayError";
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, WebhookReplayError);
+        }
+    }
+}
+exports.WebhookReplayError = WebhookReplayError;
+WebhookReplayError.DEFAULT_MESSAGE = "Webhook delivery has already been received";
+
+/**
+ * SeedStoreError is thrown when a seed store cannot be read or written, or a stored seed fails its integrity check.
+ */
+class SeedStoreError extends Error {
+    /**
+     * Initializes a new SeedStoreError instance.
+     *
+     * @param message - The error message.
+     */
+    constructor(message = SeedStoreError.DEFAULT_MESSAGE) {
+        super(message);
+        this.name = "SeedStoreError";
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, SeedStoreError);
+        }
+    }
+}
+exports.SeedStoreError = SeedStoreError;
+SeedStoreError.DEFAULT_MESSAGE = "Seed store error";
+/**
+ * SignerError is thrown when a Signer fails to sign, or returns a signature that does not match its address.
+ */
+class SignerError extends Error {
+    /**
+     * Initializes a new SignerError instance.
+     *
+     * @param message - The error message.
+     */
+    constructor(message = SignerError.DEFAULT_MESSAGE) {
+        super(message);
+        this.name = "SignerError";
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, SignerError);
+        }
+    }
+}
+exports.SignerError = SignerError;
+SignerError.DEFAULT_MESSAGE = "Signer error";
+/**
+ * ServerSignerTimeoutError is thrown when the Server-Signer does not sign a resource in time, e.g. because no
+ * Server-Signer is running to pick up its signature event.
+ */
+class ServerSignerTimeoutError extends TimeoutError {
+    /**
+     * Initializes a new ServerSignerTimeoutError instance.
+     *
+     * @param message - The error message.
+     * @param lastStatus - The last status observed before timing out, if any.
+     */
+    constructor(message = ServerSignerTimeoutError.DEFAULT_MESSAGE, lastStatus) {
+        super(message, lastStatus);
+        this.name = "ServerSignerTimeoutError";
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, ServerSignerTimeoutError);
+        }
+    }
+}
+exports.ServerSignerTimeoutError = ServerSignerTimeoutError;
+ServerSignerTimeoutError.DEFAULT_MESSAGE = "Server-Signer did not sign in time";
+/**
+ * UserOperationPolicyError is thrown when a user operation violates a UserOperationPolicy.
+ */
+class UserOperationPolicyError extends Error {
+    /**
+     * Initializes a new UserOperationPolicyError instance.
+     *
+     * @param message - The error message.
+     * @param callIndex - The index of the call that violates the policy, if the violation is specific to a call.
+     */
+    constructor(message = UserOperationPolicyError.DEFAULT_MESSAGE, callIndex) {
+        super(message);
+        this.name = "UserOperationPolicyError";
+        this.callIndex = callIndex;
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, UserOperationPolicyError);
+        }
+    }
+}
+exports.UserOperationPolicyError = UserOperationPolicyError;
+UserOperationPolicyError.DEFAULT_MESSAGE = "User operation violates the policy";
+/**
+ * UnsupportedChainError is thrown when a chain ID is unknown, or its network does not support an operation.
+ */
+class UnsupportedChainError extends ArgumentError {
+    /**
+     * Initializes a new UnsupportedChainError instance.
+     *
+     * @param message - The error message.
+     * @param chainId - The unsupported chain ID.
+     */
+    constructor(message = UnsupportedChainError.DEFAULT_MESSAGE, chainId) {
+        super(message);
+        this.name = "UnsupportedChainError";
+        this.chainId = chainId;
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, UnsupportedChainError);
+        }
+    }
+}
+exports.UnsupportedChainError = UnsupportedChainError;
+UnsupportedChainError.DEFAULT_MESSAGE = "Unsupported chain";
+/**
+ * NetworkFeatureUnsupportedError is thrown when an operation requires a feature its network does not support.
+ */
+class NetworkFeatureUnsupportedError extends Error {
+    /**
+     * Initializes a new NetworkFeatureUnsupportedError instance.
+     *
+     * @param message - The error message.
+     * @param networkId - The ID of the network.
+     * @param feature - The unsupported feature.
+     */
+    constructor(message = NetworkFeatureUnsupportedError.DEFAULT_MESSAGE, networkId, feature) {
+        super(message);
+        this.name = "NetworkFeatureUnsupportedError";
+        this.networkId = networkId;
+        this.feature = feature;
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, NetworkFeatureUnsupportedError);
+        }
+    }
+}
+exports.NetworkFeatureUnsupportedError = NetworkFeatureUnsupportedError;
+NetworkFeatureUnsupportedError.DEFAULT_MESSAGE = "Network does not support the feature";
+/**
+ * PayoutValidationError is thrown when a payout file fails validation, and carries the dry-run report with the problems found.
+ */
+class PayoutValidationError extends Error {
+    /**
+     * Initializes a new PayoutValidationError instance.
+     *
+     * @param message - The error message.
+     * @param report - The dry-run report of the payout file.
+     */
+    constructor(message = PayoutValidationError.DEFAULT_MESSAGE, report) {
+        super(message);
+        this.name = "PayoutValidationError";
+        this.report = report;
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, PayoutValidationError);
+        }
+    }
+}
+exports.PayoutValidationError = PayoutValidationError;
+PayoutValidationError.DEFAULT_MESSAGE = "Payout file is invalid";
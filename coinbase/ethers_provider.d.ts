@@ -0,0 +1,129 @@
+import { ethers } from "ethers";
+import { CdpEthersProviderOptions, PaginatorOptions } from "./types";
+import { Transaction } from "./transaction";
+/**
+ * A read-only, provider-like ethers.js ContractRunner backed by the CDP API. Contract reads go through
+ * `readContract`, balances through the CDP balance API, and transaction history through the CDP transaction
+ * history API, so ethers.js contract code can run without an RPC endpoint.
+ *
+ * The CDP API reads contracts by method name, so the ABI of every contract called through the provider must be
+ * registered first, which `getContract` does.
+ *
+ * @example
+ * ```ts
+ * const provider = new CdpEthersProvider({ networkId: Coinbase.networks.BaseSepolia });
+ * const usdc = provider.getContract(usdcAddress, erc20Abi);
+ * const balance = await usdc.balanceOf(address);
+ * ```
+ */
+export declare class CdpEthersProvider {
+    private readonly networkId;
+    private readonly chainId;
+    private readonly coinbase?;
+    private readonly interfaces;
+    private readonly receipts;
+    /**
+     * Initializes a new CdpEthersProvider object.
+     *
+     * @param options - The provider options.
+     * @param options.networkId - The network ID to read from.
+     * @param options.chainId - The chain ID of the network. Defaults to the chain ID of known networks.
+     * @param options.coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @throws {ArgumentError} If the chain ID of the network is unknown and not given.
+     */
+    constructor({ networkId, chainId, coinbase }: CdpEthersProviderOptions);
+    /**
+     * Returns the provider itself, so that the provider can be used wherever ethers.js expects a ContractRunner.
+     *
+     * @returns The provider.
+     */
+    get provider(): ethers.Provider;
+    /**
+     * Returns the network the provider reads from.
+     *
+     * @returns The network.
+     */
+    getNetwork(): Promise<ethers.Network>;
+    /**
+     * Registers the ABI of a contract, so that calls to it can be sent through the CDP API.
+     *
+     * @param address - The address of the contract.
+     * @param abi - The ABI of the contract.
+     */
+    registerAbi(address: string, abi: ethers.InterfaceAbi): void;
+    /**
+     * Registers the ABI of a contract and returns an ethers.js Contract for it.
+     *
+     * @param address - The address of the contract.
+     * @param abi - The ABI of the contract.
+     * @param runner - The runner of the Contract, e.g. a CdpEthersSigner to send transactions. Defaults to the provider.
+     * @returns The Contract.
+     */
+    getContract(address: string, abi: ethers.InterfaceAbi, runner?: ethers.ContractRunner): ethers.Contract;
+    /**
+     * Decodes the calldata of a call to a registered contract into the method and named arguments the CDP
+     * API expects.
+     *
+     * @param to - The address of the contract.
+     * @param data - The calldata.
+     * @returns The decoded call.
+     * @throws {ArgumentError} If the contract ABI is not registered or does not match the calldata.
+     */
+    decodeCall(to: string, data: string): {
+        fragment: ethers.FunctionFragment;
+        method: string;
+        args: Record<string, any>;
+        abi: object[];
+    };
+    /**
+     * Calls a view or pure function of a registered contract through `readContract`.
+     *
+     * @param transaction - The call, with the contract address in `to` and the calldata in `data`.
+     * @returns The ABI encoded result.
+     * @throws {ArgumentError} If the contract ABI is not registered or the call is not to a view or pure function.
+     */
+    call(transaction: ethers.TransactionRequest): Promise<string>;
+    /**
+     * Returns the balance of the native asset of an address, in wei.
+     *
+     * @param address - The address.
+     * @param blockTag - The block to read at. Only the latest block is supported.
+     * @returns The balance, in wei.
+     * @throws {ArgumentError} If a block other than the latest is requested.
+     */
+    getBalance(address: ethers.AddressLike, blockTag?: ethers.BlockTag): Promise<bigint>;
+    /**
+     * Lists the transactions of an address, most recent first.
+     *
+     * @param address - The address.
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of transactions to return. Defaults to all of them.
+     * @param options.pageSize - The number of transactions to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @returns The transactions.
+     */
+    listTransactions(address: ethers.AddressLike, options?: PaginatorOptions): Promise<ethers.TransactionResponse[]>;
+    /**
+     * Returns the receipt of a transaction sent through a CdpEthersSigner connected to the provider, as the CDP
+     * API cannot look transactions up by hash.
+     *
+     * @param hash - The transaction hash.
+     * @returns The receipt, or null if the transaction was not sent through the provider.
+     */
+    getTransactionReceipt(hash: string): Promise<ethers.TransactionReceipt | null>;
+    /**
+     * Records the receipt of a landed transaction, so that `getTransactionReceipt` and the `wait` method of
+     * TransactionResponses can return it.
+     *
+     * @param transaction - The landed transaction.
+     * @returns The receipt, or null if the transaction has no receipt yet.
+     */
+    trackTransaction(transaction: Transaction): ethers.TransactionReceipt | null;
+    /**
+     * Resolves a name to an address. Only addresses are supported, as the CDP API does not resolve ENS names.
+     *
+     * @param name - The name or address.
+     * @returns The address, or null if the name is not an address.
+     */
+    resolveName(name: string): Promise<string | null>;
+}
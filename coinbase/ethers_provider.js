@@ -0,0 +1,291 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CdpEthersProvider = void 0;
+const ethers_1 = require("ethers");
+const chain_1 = require("../types/chain");
+const address_1 = require("./address");
+const coinbase_1 = require("./coinbase");
+const errors_1 = require("./errors");
+const read_contract_1 = require("./read_contract");
+/**
+ * A read-only, provider-like ethers.js ContractRunner backed by the CDP API. Contract reads go through
+ * `readContract`, balances through the CDP balance API, and transaction history through the CDP transaction
+ * history API, so ethers.js contract code can run without an RPC endpoint.
+ *
+ * The CDP API reads contracts by method name, so the ABI of every contract called through the provider must be
+ * registered first, which `getContract` does.
+ *
+ * @example
+ * ```ts
+ * const provider = new CdpEthersProvider({ networkId: Coinbase.networks.BaseSepolia });
+ * const usdc = provider.getContract(usdcAddress, erc20Abi);
+ * const balance = await usdc.balanceOf(address);
+ * ```
+ */
+class CdpEthersProvider {
+    /**
+     * Initializes a new CdpEthersProvider object.
+     *
+     * @param options - The provider options.
+     * @param options.networkId - The network ID to read from.
+     * @param options.chainId - The chain ID of the network. Defaults to the chain ID of known networks.
+     * @param options.coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @throws {ArgumentError} If the chain ID of the network is unknown and not given.
+     */
+    constructor({ networkId, chainId, coinbase }) {
+        const knownChainId = chain_1.NETWORKS[networkId]?.chainId;
+        if (chainId === undefined && knownChainId === undefined) {
+            throw new errors_1.ArgumentError(`Unknown chain ID for network ${networkId}`);
+        }
+        this.networkId = networkId;
+        this.chainId = BigInt(chainId ?? knownChainId);
+        this.coinbase = coinbase;
+        this.interfaces = new Map();
+        this.receipts = new Map();
+    }
+    /**
+     * Returns the provider itself, so that the provider can be used wherever ethers.js expects a ContractRunner.
+     *
+     * @returns The provider.
+     */
+    get provider() {
+        return this;
+    }
+    /**
+     * Returns the network the provider reads from.
+     *
+     * @returns The network.
+     */
+    async getNetwork() {
+        return new ethers_1.ethers.Network(this.networkId, this.chainId);
+    }
+    /**
+     * Registers the ABI of a contract, so that calls to it can be sent through the CDP API.
+     *
+     * @param address - The address of the contract.
+     * @param abi - The ABI of the contract.
+     */
+    registerAbi(address, abi) {
+        this.interfaces.set(address.toLowerCase(), ethers_1.ethers.Interface.from(abi));
+    }
+    /**
+     * Registers the ABI of a contract and returns an ethers.js Contract for it.
+     *
+     * @param address - The address of the contract.
+     * @param abi - The ABI of the contract.
+     * @param runner - The runner of the Contract, e.g. a CdpEthersSigner to send transactions. Defaults to the provider.
+     * @returns The Contract.
+     */
+    getContract(address, abi, runner = this) {
+        this.registerAbi(address, abi);
+        return new ethers_1.ethers.Contract(address, abi, runner);
+    }
+    /**
+     * Decodes the calldata of a call to a registered contract into the method and named arguments the CDP
+     * API expects.
+     *
+     * @param to - The address of the contract.
+     * @param data - The calldata.
+     * @returns The decoded call.
+     * @throws {ArgumentError} If the contract ABI is not registered or does not match the calldata.
+     */
+    decodeCall(to, data) {
+        const contractInterface = this.interfaces.get(to.toLowerCase());
+        if (!contractInterface) {
+            throw new errors_1.ArgumentError(`No ABI is registered for contract ${to}; register it with registerAbi or getContract`);
+        }
+        const parsed = contractInterface.parseTransaction({ data });
+        if (!parsed) {
+            throw new errors_1.ArgumentError(`Calldata does not match any function of contract ${to}`);
+        }
+        const args = {};
+        parsed.fragment.inputs.forEach((input, index) => {
+            args[input.name || String(index)] = toApiValue(input, parsed.args[index]);
+        });
+        return {
+            fragment: parsed.fragment,
+            method: parsed.fragment.name,
+            args,
+            abi: JSON.parse(contractInterface.formatJson()),
+        };
+    }
+    /**
+     * Calls a view or pure function of a registered contract through `readContract`.
+     *
+     * @param transaction - The call, with the contract address in `to` and the calldata in `data`.
+     * @returns The ABI encoded result.
+     * @throws {ArgumentError} If the contract ABI is not registered or the call is not to a view or pure function.
+     */
+    async call(transaction) {
+        if (!transaction.to || !transaction.data) {
+            throw new errors_1.ArgumentError("CdpEthersProvider can only call contract functions");
+        }
+        const to = await ethers_1.ethers.resolveAddress(transaction.to, this);
+        const { fragment, method, args, abi } = this.decodeCall(to, ethers_1.ethers.hexlify(transaction.data));
+        if (!fragment.constant) {
+            throw new errors_1.ArgumentError(`${method} is not a view or pure function`);
+        }
+        const result = await (0, read_contract_1.readContract)({
+            networkId: this.networkId,
+            contractAddress: to,
+            method,
+            args,
+            abi,
+            coinbase: this.coinbase,
+        });
+        const values = fragment.outputs.length === 1
+            ? [result]
+            : Array.isArray(result)
+                ? result
+                : fragment.outputs.map(output => result[output.name]);
+        return this.interfaces.get(to.toLowerCase()).encodeFunctionResult(fragment, values);
+    }
+    /**
+     * Returns the balance of the native asset of an address, in wei.
+     *
+     * @param address - The address.
+     * @param blockTag - The block to read at. Only the latest block is supported.
+     * @returns The balance, in wei.
+     * @throws {ArgumentError} If a block other than the latest is requested.
+     */
+    async getBalance(address, blockTag) {
+        if (blockTag !== undefined && blockTag !== "latest") {
+            throw new errors_1.ArgumentError("CdpEthersProvider can only read balances at the latest block");
+        }
+        const resolved = await ethers_1.ethers.resolveAddress(address, this);
+        const balance = await new address_1.Address(this.networkId, resolved, this.coinbase).getBalance(coinbase_1.Coinbase.assets.Wei);
+        return BigInt(balance.toFixed(0));
+    }
+    /**
+     * Lists the transactions of an address, most recent first.
+     *
+     * @param address - The address.
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of transactions to return. Defaults to all of them.
+     * @param options.pageSize - The number of transactions to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @returns The transactions.
+     */
+    async listTransactions(address, options = {}) {
+        const resolved = await ethers_1.ethers.resolveAddress(address, this);
+        const transactions = await new address_1.Address(this.networkId, resolved, this.coinbase)
+            .transactions(options)
+            .toArray();
+        return transactions.map(transaction => {
+            const content = transaction.content();
+            const blockHeight = transaction.blockHeight();
+            return new ethers_1.ethers.TransactionResponse({
+                blockNumber: blockHeight === undefined ? null : Number(blockHeight),
+                blockHash: transaction.blockHash() ?? null,
+                hash: transaction.getTransactionHash() ?? content?.hash ?? "",
+                index: content?.index ?? 0,
+                type: content?.type ?? 0,
+                to: content?.to ?? transaction.toAddressId() ?? null,
+                from: content?.from ?? transaction.fromAddressId(),
+                nonce: content?.nonce ?? 0,
+                gasLimit: BigInt(content?.gas ?? 0),
+                gasPrice: BigInt(content?.gas_price ?? 0),
+                maxPriorityFeePerGas: content?.max_priority_fee_per_gas === undefined
+                    ? null
+                    : BigInt(content.max_priority_fee_per_gas),
+                maxFeePerGas: content?.max_fee_per_gas === undefined ? null : BigInt(content.max_fee_per_gas),
+                maxFeePerBlobGas: null,
+                data: content?.input ?? "0x",
+                value: BigInt(content?.value ?? 0),
+                chainId: this.chainId,
+                signature: ethers_1.ethers.Signature.from(),
+                accessList: null,
+                blobVersionedHashes: null,
+                authorizationList: null,
+            }, this);
+        });
+    }
+    /**
+     * Returns the receipt of a transaction sent through a CdpEthersSigner connected to the provider, as the CDP
+     * API cannot look transactions up by hash.
+     *
+     * @param hash - The transaction hash.
+     * @returns The receipt, or null if the transaction was not sent through the provider.
+     */
+    async getTransactionReceipt(hash) {
+        return this.receipts.get(hash.toLowerCase()) ?? null;
+    }
+    /**
+     * Records the receipt of a landed transaction, so that `getTransactionReceipt` and the `wait` method of
+     * TransactionResponses can return it.
+     *
+     * @param transaction - The landed transaction.
+     * @returns The receipt, or null if the transaction has no receipt yet.
+     */
+    trackTransaction(transaction) {
+        const hash = transaction.getTransactionHash();
+        const content = transaction.content();
+        const blockHeight = transaction.blockHeight();
+        const blockHash = transaction.blockHash();
+        if (!hash || !content?.receipt || blockHeight === undefined || !blockHash) {
+            return null;
+        }
+        const blockNumber = Number(blockHeight);
+        const transactionIndex = content.index ?? 0;
+        const receipt = new ethers_1.ethers.TransactionReceipt({
+            to: content.to ?? null,
+            from: content.from,
+            contractAddress: null,
+            hash,
+            index: transactionIndex,
+            blockHash,
+            blockNumber,
+            logsBloom: ethers_1.ethers.ZeroHash,
+            logs: content.receipt.logs.map((log, index) => ({
+                transactionHash: hash,
+                blockHash,
+                blockNumber,
+                removed: false,
+                address: log.address,
+                data: log.data,
+                topics: log.topics,
+                index,
+                transactionIndex,
+            })),
+            gasUsed: BigInt(content.receipt.gas_used),
+            cumulativeGasUsed: BigInt(content.receipt.gas_used),
+            effectiveGasPrice: BigInt(content.receipt.effective_gas_price),
+            type: content.type ?? 2,
+            status: content.receipt.status,
+            root: null,
+        }, this);
+        this.receipts.set(hash.toLowerCase(), receipt);
+        return receipt;
+    }
+    /**
+     * Resolves a name to an address. Only addresses are supported, as the CDP API does not resolve ENS names.
+     *
+     * @param name - The name or address.
+     * @returns The address, or null if the name is not an address.
+     */
+    async resolveName(name) {
+        return ethers_1.ethers.isAddress(name) ? ethers_1.ethers.getAddress(name) : null;
+    }
+}
+exports.CdpEthersProvider = CdpEthersProvider;
+/**
+ * Converts a decoded ethers.js argument into the JSON value the CDP API expects: integers as decimal strings,
+ * and tuples as objects keyed by component name.
+ *
+ * @param paramType - The ABI type of the argument.
+ * @param value - The decoded argument.
+ * @returns The JSON value.
+ */
+function toApiValue(paramType, value) {
+    if (paramType.isArray()) {
+        return Array.from(value).map(item => toApiValue(paramType.arrayChildren, item));
+    }
+    if (paramType.isTuple()) {
+        const tuple = {};
+        paramType.components.forEach((component, index) => {
+            tuple[component.name || String(index)] = toApiValue(component, value[index]);
+        });
+        return tuple;
+    }
+    return typeof value === "bigint" ? value.toString() : value;
+}
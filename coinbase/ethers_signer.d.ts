@@ -0,0 +1,104 @@
+import { ethers } from "ethers";
+import { WalletAddress } from "./address/wallet_address";
+import { CdpEthersProvider } from "./ethers_provider";
+import { CdpEthersSignerOptions } from "./types";
+/**
+ * An ethers.js Signer backed by a CDP WalletAddress, so that ethers.js code can sign and send with CDP wallets.
+ *
+ * Signing happens locally when the WalletAddress has a key loaded, and with the Server-Signer through Payload
+ * Signatures otherwise. Transactions are sent through the CDP API rather than an RPC endpoint: plain value
+ * transfers become Transfers, and contract calls become ContractInvocations, which requires the contract ABI to
+ * be registered with the CdpEthersProvider the signer is connected to.
+ *
+ * @example
+ * ```ts
+ * const provider = new CdpEthersProvider({ networkId: Coinbase.networks.BaseSepolia });
+ * const signer = new CdpEthersSigner(await wallet.getDefaultAddress(), provider);
+ * const token = provider.getContract(tokenAddress, erc20Abi, signer);
+ * const tx = await token.transfer(recipient, 1000n);
+ * ```
+ */
+export declare class CdpEthersSigner extends ethers.AbstractSigner<ethers.Provider | null> {
+    private readonly walletAddress;
+    private readonly options;
+    /**
+     * Initializes a new CdpEthersSigner object.
+     *
+     * @param walletAddress - The WalletAddress to sign and send with.
+     * @param provider - The provider to read from, typically a CdpEthersProvider. Defaults to none.
+     * @param options - The signer options.
+     * @param options.intervalSeconds - The interval to check the status of Payload Signatures and sent transactions. Defaults to 0.2.
+     * @param options.timeoutSeconds - The maximum time to wait for a Payload Signature or a sent transaction. Defaults to 60.
+     */
+    constructor(walletAddress: WalletAddress, provider?: CdpEthersProvider | ethers.Provider | null, { intervalSeconds, timeoutSeconds }?: CdpEthersSignerOptions);
+    /**
+     * Returns the address of the WalletAddress.
+     *
+     * @returns The address.
+     */
+    getAddress(): Promise<string>;
+    /**
+     * Returns a new CdpEthersSigner for the same WalletAddress, connected to the given provider.
+     *
+     * @param provider - The provider.
+     * @returns The connected signer.
+     */
+    connect(provider: CdpEthersProvider | ethers.Provider | null): CdpEthersSigner;
+    /**
+     * Signs a transaction without sending it.
+     *
+     * @param transaction - The transaction to sign. Its nonce, gas and fee fields must be populated.
+     * @returns The signed transaction, serialized as a hex string.
+     * @throws {ArgumentError} If the transaction is from another address.
+     */
+    signTransaction(transaction: ethers.TransactionRequest): Promise<string>;
+    /**
+     * Signs an EIP-191 personal message.
+     *
+     * @param message - The message.
+     * @returns The serialized signature.
+     */
+    signMessage(message: string | Uint8Array): Promise<string>;
+    /**
+     * Signs EIP-712 typed data. Names in the data are resolved with the provider, if connected.
+     *
+     * @param domain - The EIP-712 domain.
+     * @param types - The EIP-712 types.
+     * @param value - The value to sign.
+     * @returns The serialized signature.
+     */
+    signTypedData(domain: ethers.TypedDataDomain, types: Record<string, ethers.TypedDataField[]>, value: Record<string, any>): Promise<string>;
+    /**
+     * Sends a transaction through the CDP API and waits for it to land onchain. Transactions without calldata are
+     * sent as Transfers of their value, and contract calls as ContractInvocations. Gas and nonce fields are
+     * ignored, as the CDP API sets them.
+     *
+     * @param transaction - The transaction to send.
+     * @returns The landed transaction.
+     * @throws {ArgumentError} If the transaction deploys a contract, is from another address, or calls a contract
+     * whose ABI is not registered with the provider.
+     * @throws {Error} If the transaction fails onchain.
+     * @throws {TimeoutError} If the transaction does not land in time.
+     */
+    sendTransaction(transaction: ethers.TransactionRequest): Promise<ethers.TransactionResponse>;
+    /**
+     * Signs a digest with the WalletAddress.
+     *
+     * @param digest - The digest.
+     * @returns The serialized signature.
+     */
+    private signDigest;
+    /**
+     * Converts a landed Transfer or ContractInvocation into an ethers.js TransactionResponse, recording its
+     * receipt with the provider so that the response can be waited on.
+     *
+     * @param resource - The Transfer or ContractInvocation.
+     * @param from - The sender address.
+     * @param to - The recipient or contract address.
+     * @param value - The value sent, in wei.
+     * @param data - The calldata.
+     * @returns The TransactionResponse.
+     * @throws {Error} If the transaction failed.
+     */
+    private toTransactionResponse;
+}
@@ -0,0 +1,221 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CdpEthersSigner = void 0;
+const ethers_1 = require("ethers");
+const coinbase_1 = require("./coinbase");
+const errors_1 = require("./errors");
+const types_1 = require("./types");
+/**
+ * An ethers.js Signer backed by a CDP WalletAddress, so that ethers.js code can sign and send with CDP wallets.
+ *
+ * Signing happens locally when the WalletAddress has a key loaded, and with the Server-Signer through Payload
+ * Signatures otherwise. Transactions are sent through the CDP API rather than an RPC endpoint: plain value
+ * transfers become Transfers, and contract calls become ContractInvocations, which requires the contract ABI to
+ * be registered with the CdpEthersProvider the signer is connected to.
+ *
+ * @example
+ * ```ts
+ * const provider = new CdpEthersProvider({ networkId: Coinbase.networks.BaseSepolia });
+ * const signer = new CdpEthersSigner(await wallet.getDefaultAddress(), provider);
+ * const token = provider.getContract(tokenAddress, erc20Abi, signer);
+ * const tx = await token.transfer(recipient, 1000n);
+ * ```
+ */
+class CdpEthersSigner extends ethers_1.ethers.AbstractSigner {
+    /**
+     * Initializes a new CdpEthersSigner object.
+     *
+     * @param walletAddress - The WalletAddress to sign and send with.
+     * @param provider - The provider to read from, typically a CdpEthersProvider. Defaults to none.
+     * @param options - The signer options.
+     * @param options.intervalSeconds - The interval to check the status of Payload Signatures and sent transactions. Defaults to 0.2.
+     * @param options.timeoutSeconds - The maximum time to wait for a Payload Signature or a sent transaction. Defaults to 60.
+     */
+    constructor(walletAddress, provider = null, { intervalSeconds = 0.2, timeoutSeconds = 60 } = {}) {
+        super(provider);
+        this.walletAddress = walletAddress;
+        this.options = { intervalSeconds, timeoutSeconds };
+    }
+    /**
+     * Returns the address of the WalletAddress.
+     *
+     * @returns The address.
+     */
+    async getAddress() {
+        return this.walletAddress.getId();
+    }
+    /**
+     * Returns a new CdpEthersSigner for the same WalletAddress, connected to the given provider.
+     *
+     * @param provider - The provider.
+     * @returns The connected signer.
+     */
+    connect(provider) {
+        return new CdpEthersSigner(this.walletAddress, provider, this.options);
+    }
+    /**
+     * Signs a transaction without sending it.
+     *
+     * @param transaction - The transaction to sign. Its nonce, gas and fee fields must be populated.
+     * @returns The signed transaction, serialized as a hex string.
+     * @throws {ArgumentError} If the transaction is from another address.
+     */
+    async signTransaction(transaction) {
+        const tx = ethers_1.ethers.copyRequest(transaction);
+        const address = await this.getAddress();
+        const { to, from } = await ethers_1.ethers.resolveProperties({
+            to: tx.to ? ethers_1.ethers.resolveAddress(tx.to, this) : undefined,
+            from: tx.from ? ethers_1.ethers.resolveAddress(tx.from, this) : undefined,
+        });
+        if (to != null) {
+            tx.to = to;
+        }
+        if (from != null && ethers_1.ethers.getAddress(from) !== ethers_1.ethers.getAddress(address)) {
+            throw new errors_1.ArgumentError(`Transaction from address ${from} does not match signer address ${address}`);
+        }
+        delete tx.from;
+        const unsigned = ethers_1.ethers.Transaction.from(tx);
+        unsigned.signature = ethers_1.ethers.Signature.from(await this.signDigest(unsigned.unsignedHash));
+        return unsigned.serialized;
+    }
+    /**
+     * Signs an EIP-191 personal message.
+     *
+     * @param message - The message.
+     * @returns The serialized signature.
+     */
+    async signMessage(message) {
+        return this.signDigest(ethers_1.ethers.hashMessage(message));
+    }
+    /**
+     * Signs EIP-712 typed data. Names in the data are resolved with the provider, if connected.
+     *
+     * @param domain - The EIP-712 domain.
+     * @param types - The EIP-712 types.
+     * @param value - The value to sign.
+     * @returns The serialized signature.
+     */
+    async signTypedData(domain, types, value) {
+        const provider = this.provider;
+        const populated = provider
+            ? await ethers_1.ethers.TypedDataEncoder.resolveNames(domain, types, value, async (name) => {
+                const address = await provider.resolveName(name);
+                if (!address) {
+                    throw new errors_1.ArgumentError(`Could not resolve name ${name}`);
+                }
+                return address;
+            })
+            : { domain, value };
+        return this.signDigest(ethers_1.ethers.TypedDataEncoder.hash(populated.domain, types, populated.value));
+    }
+    /**
+     * Sends a transaction through the CDP API and waits for it to land onchain. Transactions without calldata are
+     * sent as Transfers of their value, and contract calls as ContractInvocations. Gas and nonce fields are
+     * ignored, as the CDP API sets them.
+     *
+     * @param transaction - The transaction to send.
+     * @returns The landed transaction.
+     * @throws {ArgumentError} If the transaction deploys a contract, is from another address, or calls a contract
+     * whose ABI is not registered with the provider.
+     * @throws {Error} If the transaction fails onchain.
+     * @throws {TimeoutError} If the transaction does not land in time.
+     */
+    async sendTransaction(transaction) {
+        const tx = ethers_1.ethers.copyRequest(transaction);
+        const address = await this.getAddress();
+        if (tx.from != null &&
+            ethers_1.ethers.getAddress(await ethers_1.ethers.resolveAddress(tx.from, this)) !== ethers_1.ethers.getAddress(address)) {
+            throw new errors_1.ArgumentError(`Transaction from address does not match signer address ${address}`);
+        }
+        if (!tx.to) {
+            throw new errors_1.ArgumentError("CdpEthersSigner cannot deploy contracts; use WalletAddress.deployContract instead");
+        }
+        const to = await ethers_1.ethers.resolveAddress(tx.to, this);
+        const value = BigInt(tx.value ?? 0);
+        const data = tx.data ? ethers_1.ethers.hexlify(tx.data) : "0x";
+        let resource;
+        if (data === "0x") {
+            resource = await this.walletAddress.createTransfer({
+                amount: value,
+                assetId: coinbase_1.Coinbase.assets.Wei,
+                destination: to,
+            });
+        }
+        else {
+            const provider = this.provider;
+            if (typeof provider?.decodeCall !== "function") {
+                throw new errors_1.ArgumentError("Contract calls require a CdpEthersProvider with the contract ABI registered");
+            }
+            const { method, args, abi } = provider.decodeCall(to, data);
+            resource = await this.walletAddress.invokeContract({
+                contractAddress: to,
+                method,
+                abi,
+                args,
+                amount: value > 0n ? value : undefined,
+                assetId: value > 0n ? coinbase_1.Coinbase.assets.Wei : undefined,
+            });
+        }
+        await resource.wait(this.options);
+        return this.toTransactionResponse(resource, address, to, value, data);
+    }
+    /**
+     * Signs a digest with the WalletAddress.
+     *
+     * @param digest - The digest.
+     * @returns The serialized signature.
+     */
+    async signDigest(digest) {
+        return this.walletAddress.signDigest(digest, this.options);
+    }
+    /**
+     * Converts a landed Transfer or ContractInvocation into an ethers.js TransactionResponse, recording its
+     * receipt with the provider so that the response can be waited on.
+     *
+     * @param resource - The Transfer or ContractInvocation.
+     * @param from - The sender address.
+     * @param to - The recipient or contract address.
+     * @param value - The value sent, in wei.
+     * @param data - The calldata.
+     * @returns The TransactionResponse.
+     * @throws {Error} If the transaction failed.
+     */
+    toTransactionResponse(resource, from, to, value, data) {
+        const transaction = resource.getTransaction();
+        const hash = resource.getTransactionHash();
+        if (!hash || (transaction && transaction.getStatus() !== types_1.TransactionStatus.COMPLETE)) {
+            throw new Error(`Transaction ${hash ?? resource.getId()} failed with status ${resource.getStatus()}`);
+        }
+        if (transaction && typeof this.provider?.trackTransaction === "function") {
+            this.provider.trackTransaction(transaction);
+        }
+        const signedPayload = transaction?.getSignedPayload();
+        const signed = signedPayload
+            ? ethers_1.ethers.Transaction.from(signedPayload.startsWith("0x") ? signedPayload : `0x${signedPayload}`)
+            : undefined;
+        const blockHeight = transaction?.blockHeight();
+        return new ethers_1.ethers.TransactionResponse({
+            blockNumber: blockHeight === undefined ? null : Number(blockHeight),
+            blockHash: transaction?.blockHash() ?? null,
+            hash,
+            index: 0,
+            type: signed?.type ?? 2,
+            to,
+            from,
+            nonce: signed?.nonce ?? 0,
+            gasLimit: signed?.gasLimit ?? 0n,
+            gasPrice: signed?.gasPrice ?? 0n,
+            maxPriorityFeePerGas: signed?.maxPriorityFeePerGas ?? null,
+            maxFeePerGas: signed?.maxFeePerGas ?? null,
+            maxFeePerBlobGas: null,
+            data,
+            value,
+            chainId: signed?.chainId ?? 0n,
+            signature: signed?.signature ?? ethers_1.ethers.Signature.from(),
+            accessList: signed?.accessList ?? null,
+            blobVersionedHashes: null,
+            authorizationList: null,
+        }, this.provider);
+    }
+}
+exports.CdpEthersSigner = CdpEthersSigner;
@@ -1,21 +1,25 @@
 import { FaucetTransaction as FaucetTransactionModel } from "../client";
 import { TransactionStatus } from "./types";
 import { Transaction } from "./transaction";
+import { Coinbase } from "./coinbase";
+import { WaitOptions } from "../utils/wait";
 /**
  * Represents a transaction from a faucet.
  */
 export declare class FaucetTransaction {
     private model;
     private _transaction;
+    private coinbase?;
     /**
      * Creates a new FaucetTransaction instance.
      * Do not use this method directly - instead, use Address.faucet().
      *
      * @class
      * @param {FaucetTransactionModel} model - The FaucetTransaction model.
+     * @param {Coinbase} [coinbase] - The Coinbase instance the FaucetTransaction is bound to.
      * @throws {Error} If the model does not exist.
      */
-    constructor(model: FaucetTransactionModel);
+    constructor(model: FaucetTransactionModel, coinbase?: Coinbase);
     /**
      * Returns the Transaction of the FaucetTransaction.
      *
@@ -60,14 +64,15 @@ export declare class FaucetTransaction {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the FaucetTransaction.
      * @param options.timeoutSeconds - The maximum time to wait for the FaucetTransaction to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The FaucetTransaction object in a terminal state.
-     * @throws {Error} if the FaucetTransaction times out.
+     * @throws {TimeoutError} if the FaucetTransaction times out.
      */
-    wait({ intervalSeconds, timeoutSeconds, }?: {
-        intervalSeconds?: number | undefined;
-        timeoutSeconds?: number | undefined;
-    }): Promise<FaucetTransaction>;
+    wait({ intervalSeconds, timeoutSeconds, ...options }?: WaitOptions<FaucetTransaction>): Promise<FaucetTransaction>;
     /**
      * Reloads the FaucetTransaction model with the latest data from the server.
      *
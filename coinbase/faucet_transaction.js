@@ -3,8 +3,7 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.FaucetTransaction = void 0;
 const coinbase_1 = require("./coinbase");
 const transaction_1 = require("./transaction");
-const utils_1 = require("./utils");
-const errors_1 = require("./errors");
+const wait_1 = require("../utils/wait");
 /**
  * Represents a transaction from a faucet.
  */
@@ -15,13 +14,15 @@ class FaucetTransaction {
      *
      * @class
      * @param {FaucetTransactionModel} model - The FaucetTransaction model.
+     * @param {Coinbase} [coinbase] - The Coinbase instance the FaucetTransaction is bound to.
      * @throws {Error} If the model does not exist.
      */
-    constructor(model) {
+    constructor(model, coinbase) {
         if (!model?.transaction) {
             throw new Error("FaucetTransaction model cannot be empty");
         }
         this.model = model;
+        this.coinbase = coinbase;
         this._transaction = new transaction_1.Transaction(this.model.transaction);
     }
     /**
@@ -80,21 +81,20 @@ class FaucetTransaction {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the FaucetTransaction.
      * @param options.timeoutSeconds - The maximum time to wait for the FaucetTransaction to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The FaucetTransaction object in a terminal state.
-     * @throws {Error} if the FaucetTransaction times out.
+     * @throws {TimeoutError} if the FaucetTransaction times out.
      */
-    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10, } = {}) {
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutSeconds * 1000) {
+    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10, ...options } = {}) {
+        await (0, wait_1.wait)(async () => {
             await this.reload();
-            // If the FaucetTransaction is in a terminal state, return the FaucetTransaction.
-            if (this.transaction.isTerminalState()) {
-                return this;
-            }
-            await (0, utils_1.delay)(intervalSeconds);
-        }
-        throw new errors_1.TimeoutError("FaucetTransaction timed out");
+            return this;
+        }, faucetTransaction => faucetTransaction.transaction.isTerminalState(), undefined, { intervalSeconds, timeoutSeconds, ...options }, { name: "FaucetTransaction", getStatus: faucetTransaction => faucetTransaction.transaction.getStatus(), attributes: { "coinbase_sdk.transaction.hash": this.getTransactionHash() } });
+        return this;
     }
     /**
      * Reloads the FaucetTransaction model with the latest data from the server.
@@ -103,7 +103,7 @@ class FaucetTransaction {
      * @throws {APIError} if the API request to get a FaucetTransaction fails.
      */
     async reload() {
-        const result = await coinbase_1.Coinbase.apiClients.externalAddress.getFaucetTransaction(this.transaction.getNetworkId(), this.getAddressId(), this.getTransactionHash());
+        const result = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.externalAddress.getFaucetTransaction(this.transaction.getNetworkId(), this.getAddressId(), this.getTransactionHash());
         this.model = result?.data;
         if (!this.model?.transaction) {
             throw new Error("FaucetTransaction model cannot be empty");
@@ -4,6 +4,8 @@ import { Asset } from "./asset";
 import { FundQuote } from "./fund_quote";
 import { FundOperationStatus, PaginationOptions, PaginationResponse } from "./types";
 import { CryptoAmount } from "./crypto_amount";
+import { Coinbase } from "./coinbase";
+import { WaitOptions } from "../utils/wait";
 /**
  * A representation of a Fund Operation.
  */
@@ -16,19 +18,25 @@ export declare class FundOperation {
     };
     private model;
     private asset;
+    private coinbase?;
+    private idempotencyKey?;
     /**
      * Creates a new FundOperation instance.
      *
      * @param model - The model representing the fund operation
+     * @param coinbase - The Coinbase instance the fund operation is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Fund Operation was created with, if any.
      */
-    constructor(model: FundOperationModel);
+    constructor(model: FundOperationModel, coinbase?: Coinbase, idempotencyKey?: string);
     /**
      * Converts a FundOperationModel into a FundOperation object.
      *
      * @param fundOperationModel - The FundOperation model object.
+     * @param coinbase - The Coinbase instance the fund operation is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Fund Operation was created with, if any.
      * @returns The FundOperation object.
      */
-    static fromModel(fundOperationModel: FundOperationModel): FundOperation;
+    static fromModel(fundOperationModel: FundOperationModel, coinbase?: Coinbase, idempotencyKey?: string): FundOperation;
     /**
      * Create a new Fund Operation.
      *
@@ -38,9 +46,11 @@ export declare class FundOperation {
      * @param assetId - The Asset ID
      * @param networkId - The Network ID
      * @param quote - Optional Fund Quote
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The new FundOperation object
      */
-    static create(walletId: string, addressId: string, amount: Decimal, assetId: string, networkId: string, quote?: FundQuote): Promise<FundOperation>;
+    static create(walletId: string, addressId: string, amount: Decimal, assetId: string, networkId: string, quote?: FundQuote, coinbase?: Coinbase, idempotencyKey?: string): Promise<FundOperation>;
     /**
      * List fund operations.
      *
@@ -49,15 +59,22 @@ export declare class FundOperation {
      * @param options - The pagination options
      * @param options.limit - The maximum number of Fund Operations to return. Limit can range between 1 and 100.
      * @param options.page - The cursor for pagination across multiple pages of Fund Operations. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The paginated list response of fund operations
      */
-    static listFundOperations(walletId: string, addressId: string, { limit, page }?: PaginationOptions): Promise<PaginationResponse<FundOperation>>;
+    static listFundOperations(walletId: string, addressId: string, { limit, page }?: PaginationOptions, coinbase?: Coinbase): Promise<PaginationResponse<FundOperation>>;
     /**
      * Gets the Fund Operation ID.
      *
      * @returns {string} The unique identifier of the fund operation
      */
     getId(): string;
+    /**
+     * Returns the idempotency key the Fund Operation was created with.
+     *
+     * @returns The idempotency key, or undefined if the Fund Operation was not created by this SDK instance.
+     */
+    getIdempotencyKey(): string | undefined;
     /**
      * Gets the Network ID.
      *
@@ -118,13 +135,14 @@ export declare class FundOperation {
      * @param options - Options for waiting
      * @param options.intervalSeconds - The interval between checks in seconds
      * @param options.timeoutSeconds - The timeout in seconds
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      * @returns The completed fund operation
      * @throws {TimeoutError} If the operation takes too long
      */
-    wait({ intervalSeconds, timeoutSeconds }?: {
-        intervalSeconds?: number | undefined;
-        timeoutSeconds?: number | undefined;
-    }): Promise<FundOperation>;
+    wait({ intervalSeconds, timeoutSeconds, ...options }?: WaitOptions<FundOperation>): Promise<FundOperation>;
     /**
      * Check if the operation is in a terminal state.
      *
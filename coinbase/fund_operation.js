@@ -5,7 +5,7 @@ const decimal_js_1 = require("decimal.js");
 const asset_1 = require("./asset");
 const coinbase_1 = require("./coinbase");
 const utils_1 = require("./utils");
-const errors_1 = require("./errors");
+const wait_1 = require("../utils/wait");
 const types_1 = require("./types");
 const crypto_amount_1 = require("./crypto_amount");
 /**
@@ -16,19 +16,25 @@ class FundOperation {
      * Creates a new FundOperation instance.
      *
      * @param model - The model representing the fund operation
+     * @param coinbase - The Coinbase instance the fund operation is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Fund Operation was created with, if any.
      */
-    constructor(model) {
+    constructor(model, coinbase, idempotencyKey) {
         this.asset = null;
         this.model = model;
+        this.coinbase = coinbase;
+        this.idempotencyKey = idempotencyKey;
     }
     /**
      * Converts a FundOperationModel into a FundOperation object.
      *
      * @param fundOperationModel - The FundOperation model object.
+     * @param coinbase - The Coinbase instance the fund operation is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Fund Operation was created with, if any.
      * @returns The FundOperation object.
      */
-    static fromModel(fundOperationModel) {
-        return new FundOperation(fundOperationModel);
+    static fromModel(fundOperationModel, coinbase, idempotencyKey) {
+        return new FundOperation(fundOperationModel, coinbase, idempotencyKey);
     }
     /**
      * Create a new Fund Operation.
@@ -39,10 +45,12 @@ class FundOperation {
      * @param assetId - The Asset ID
      * @param networkId - The Network ID
      * @param quote - Optional Fund Quote
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key for the request. Generated if not provided.
      * @returns The new FundOperation object
      */
-    static async create(walletId, addressId, amount, assetId, networkId, quote) {
-        const asset = await asset_1.Asset.fetch(networkId, assetId);
+    static async create(walletId, addressId, amount, assetId, networkId, quote, coinbase, idempotencyKey = (0, utils_1.generateIdempotencyKey)()) {
+        const asset = await asset_1.Asset.fetch(networkId, assetId, coinbase);
         const createRequest = {
             amount: asset.toAtomicAmount(amount).toString(),
             asset_id: asset_1.Asset.primaryDenomination(assetId),
@@ -50,8 +58,8 @@ class FundOperation {
         if (quote) {
             Object.assign(createRequest, { fund_quote_id: quote.getId() });
         }
-        const response = await coinbase_1.Coinbase.apiClients.fund.createFundOperation(walletId, addressId, createRequest);
-        return FundOperation.fromModel(response.data);
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.fund.createFundOperation(walletId, addressId, createRequest, (0, utils_1.idempotencyKeyOptions)(idempotencyKey));
+        return FundOperation.fromModel(response.data, coinbase, idempotencyKey);
     }
     /**
      * List fund operations.
@@ -61,14 +69,15 @@ class FundOperation {
      * @param options - The pagination options
      * @param options.limit - The maximum number of Fund Operations to return. Limit can range between 1 and 100.
      * @param options.page - The cursor for pagination across multiple pages of Fund Operations. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The paginated list response of fund operations
      */
-    static async listFundOperations(walletId, addressId, { limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined } = {}) {
+    static async listFundOperations(walletId, addressId, { limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined } = {}, coinbase) {
         const data = [];
         let nextPage;
-        const response = await coinbase_1.Coinbase.apiClients.fund.listFundOperations(walletId, addressId, limit, page);
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.fund.listFundOperations(walletId, addressId, limit, page);
         response.data.data.forEach(operationModel => {
-            data.push(FundOperation.fromModel(operationModel));
+            data.push(FundOperation.fromModel(operationModel, coinbase));
         });
         const hasMore = response.data.has_more;
         if (hasMore) {
@@ -90,6 +99,14 @@ class FundOperation {
     getId() {
         return this.model.fund_operation_id;
     }
+    /**
+     * Returns the idempotency key the Fund Operation was created with.
+     *
+     * @returns The idempotency key, or undefined if the Fund Operation was not created by this SDK instance.
+     */
+    getIdempotencyKey() {
+        return this.idempotencyKey;
+    }
     /**
      * Gets the Network ID.
      *
@@ -172,7 +189,7 @@ class FundOperation {
      * @returns {Promise<FundOperation>} A promise that resolves to the updated fund operation
      */
     async reload() {
-        const response = await coinbase_1.Coinbase.apiClients.fund.getFundOperation(this.getWalletId(), this.getAddressId(), this.getId());
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.fund.getFundOperation(this.getWalletId(), this.getAddressId(), this.getId());
         this.model = response.data;
         return this;
     }
@@ -182,19 +199,19 @@ class FundOperation {
      * @param options - Options for waiting
      * @param options.intervalSeconds - The interval between checks in seconds
      * @param options.timeoutSeconds - The timeout in seconds
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      * @returns The completed fund operation
      * @throws {TimeoutError} If the operation takes too long
      */
-    async wait({ intervalSeconds = 0.2, timeoutSeconds = 20 } = {}) {
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutSeconds * 1000) {
+    async wait({ intervalSeconds = 0.2, timeoutSeconds = 20, ...options } = {}) {
+        await (0, wait_1.wait)(async () => {
             await this.reload();
-            if (this.isTerminalState()) {
-                return this;
-            }
-            await (0, utils_1.delay)(intervalSeconds);
-        }
-        throw new errors_1.TimeoutError("Fund operation timed out");
+            return this;
+        }, fundOperation => fundOperation.isTerminalState(), undefined, { intervalSeconds, timeoutSeconds, ...options }, { name: "FundOperation", getStatus: fundOperation => fundOperation.getStatus(), attributes: { "coinbase_sdk.fund_operation.id": this.getId() } });
+        return this;
     }
     /**
      * Check if the operation is in a terminal state.
@@ -3,25 +3,29 @@ import { FundQuote as FundQuoteModel } from "../client/api";
 import { Asset } from "./asset";
 import { CryptoAmount } from "./crypto_amount";
 import { FundOperation } from "./fund_operation";
+import { Coinbase } from "./coinbase";
 /**
  * A representation of a Fund Operation Quote.
  */
 export declare class FundQuote {
     private model;
     private asset;
+    private coinbase?;
     /**
      * Creates a new FundQuote instance.
      *
      * @param model - The model representing the fund quote
+     * @param coinbase - The Coinbase instance the fund quote is bound to. Defaults to the default SDK instance.
      */
-    constructor(model: FundQuoteModel);
+    constructor(model: FundQuoteModel, coinbase?: Coinbase);
     /**
      * Converts a FundQuoteModel into a FundQuote object.
      *
      * @param fundQuoteModel - The FundQuote model object.
+     * @param coinbase - The Coinbase instance the fund quote is bound to. Defaults to the default SDK instance.
      * @returns The FundQuote object.
      */
-    static fromModel(fundQuoteModel: FundQuoteModel): FundQuote;
+    static fromModel(fundQuoteModel: FundQuoteModel, coinbase?: Coinbase): FundQuote;
     /**
      * Create a new Fund Operation Quote.
      *
@@ -30,9 +34,10 @@ export declare class FundQuote {
      * @param amount - The amount of the Asset
      * @param assetId - The Asset ID
      * @param networkId - The Network ID
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The new FundQuote object
      */
-    static create(walletId: string, addressId: string, amount: Decimal, assetId: string, networkId: string): Promise<FundQuote>;
+    static create(walletId: string, addressId: string, amount: Decimal, assetId: string, networkId: string, coinbase?: Coinbase): Promise<FundQuote>;
     /**
      * Gets the Fund Quote ID.
      *
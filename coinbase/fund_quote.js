@@ -14,19 +14,22 @@ class FundQuote {
      * Creates a new FundQuote instance.
      *
      * @param model - The model representing the fund quote
+     * @param coinbase - The Coinbase instance the fund quote is bound to. Defaults to the default SDK instance.
      */
-    constructor(model) {
+    constructor(model, coinbase) {
         this.asset = null;
         this.model = model;
+        this.coinbase = coinbase;
     }
     /**
      * Converts a FundQuoteModel into a FundQuote object.
      *
      * @param fundQuoteModel - The FundQuote model object.
+     * @param coinbase - The Coinbase instance the fund quote is bound to. Defaults to the default SDK instance.
      * @returns The FundQuote object.
      */
-    static fromModel(fundQuoteModel) {
-        return new FundQuote(fundQuoteModel);
+    static fromModel(fundQuoteModel, coinbase) {
+        return new FundQuote(fundQuoteModel, coinbase);
     }
     /**
      * Create a new Fund Operation Quote.
@@ -36,15 +39,16 @@ class FundQuote {
      * @param amount - The amount of the Asset
      * @param assetId - The Asset ID
      * @param networkId - The Network ID
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The new FundQuote object
      */
-    static async create(walletId, addressId, amount, assetId, networkId) {
-        const asset = await asset_1.Asset.fetch(networkId, assetId);
-        const response = await coinbase_1.Coinbase.apiClients.fund.createFundQuote(walletId, addressId, {
+    static async create(walletId, addressId, amount, assetId, networkId, coinbase) {
+        const asset = await asset_1.Asset.fetch(networkId, assetId, coinbase);
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.fund.createFundQuote(walletId, addressId, {
             asset_id: asset_1.Asset.primaryDenomination(assetId),
             amount: asset.toAtomicAmount(amount).toString(),
         });
-        return FundQuote.fromModel(response.data);
+        return FundQuote.fromModel(response.data, coinbase);
     }
     /**
      * Gets the Fund Quote ID.
@@ -138,7 +142,7 @@ class FundQuote {
      * @returns {Promise<FundOperation>} A promise that resolves to the created fund operation
      */
     async execute() {
-        return fund_operation_1.FundOperation.create(this.getWalletId(), this.getAddressId(), this.getAmount().getAmount(), this.getAsset().getAssetId(), this.getNetworkId(), this);
+        return fund_operation_1.FundOperation.create(this.getWalletId(), this.getAddressId(), this.getAmount().getAmount(), this.getAsset().getAssetId(), this.getNetworkId(), this, this.coinbase);
     }
 }
 exports.FundQuote = FundQuote;
@@ -0,0 +1,69 @@
+import { Axios } from "axios";
+import { LogFields, Logger, LogLevel, RequestHooks } from "./types";
+/**
+ * A Logger that writes one JSON line per entry to the console.
+ */
+export declare class ConsoleLogger implements Logger {
+    readonly level: LogLevel;
+    /**
+     * Initializes a new ConsoleLogger.
+     *
+     * @param level - The minimum level to log. Defaults to `info`.
+     * @throws {ArgumentError} If the level is not supported.
+     */
+    constructor(level?: LogLevel);
+    /**
+     * Logs a debug entry.
+     *
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    debug(message: string, fields?: LogFields): void;
+    /**
+     * Logs an info entry.
+     *
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    info(message: string, fields?: LogFields): void;
+    /**
+     * Logs a warning entry.
+     *
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    warn(message: string, fields?: LogFields): void;
+    /**
+     * Logs an error entry.
+     *
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    error(message: string, fields?: LogFields): void;
+    /**
+     * Writes the entry to the console if its level is enabled.
+     *
+     * @param level - The level of the entry.
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    private log;
+}
+/**
+ * Returns a copy of the value with credentials and signing material masked: values under sensitive keys
+ * (authorization headers, JWTs, seeds, mnemonics, private keys, signed payloads and secrets), and JWTs,
+ * bearer tokens or PEM private keys embedded in strings.
+ *
+ * @param value - The value to redact.
+ * @returns The redacted copy.
+ */
+export declare function redact<T>(value: T): T;
+/**
+ * Registers interceptors that log every API request attempt and pass it to the request hooks.
+ * Failed attempts are passed on unchanged, so they must be registered before the retry and error interceptors.
+ *
+ * @param axiosInstance - The Axios instance to register the interceptors.
+ * @param logger - The logger to write entries to. Nothing is logged if not provided.
+ * @param hooks - The callbacks to invoke for every request, response and failed request.
+ */
+export declare const registerLoggingInterceptors: (axiosInstance: Axios, logger?: Logger, hooks?: RequestHooks) => void;
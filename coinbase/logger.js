@@ -0,0 +1,205 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.registerLoggingInterceptors = exports.redact = exports.ConsoleLogger = void 0;
+const api_error_1 = require("./api_error");
+const errors_1 = require("./errors");
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const REDACTED = "[REDACTED]";
+const SENSITIVE_KEY_PATTERN = /authorization|jwt|seed|mnemonic|private_?key|signed_?payload|secret/i;
+const JWT_PATTERN = /\beyJ[\w-]*\.eyJ[\w-]*\.[\w-]*/g;
+const BEARER_PATTERN = /Bearer\s+\S+/g;
+const PEM_PATTERN = /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g;
+/**
+ * A Logger that writes one JSON line per entry to the console.
+ */
+class ConsoleLogger {
+    /**
+     * Initializes a new ConsoleLogger.
+     *
+     * @param level - The minimum level to log. Defaults to `info`.
+     * @throws {ArgumentError} If the level is not supported.
+     */
+    constructor(level = "info") {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new errors_1.ArgumentError(`Unsupported log level: ${level}`);
+        }
+        this.level = level;
+    }
+    /**
+     * Logs a debug entry.
+     *
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    debug(message, fields) {
+        this.log("debug", message, fields);
+    }
+    /**
+     * Logs an info entry.
+     *
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    info(message, fields) {
+        this.log("info", message, fields);
+    }
+    /**
+     * Logs a warning entry.
+     *
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    warn(message, fields) {
+        this.log("warn", message, fields);
+    }
+    /**
+     * Logs an error entry.
+     *
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    error(message, fields) {
+        this.log("error", message, fields);
+    }
+    /**
+     * Writes the entry to the console if its level is enabled.
+     *
+     * @param level - The level of the entry.
+     * @param message - The log message.
+     * @param fields - The structured fields of the entry.
+     */
+    log(level, message, fields = {}) {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) {
+            return;
+        }
+        const line = JSON.stringify({
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            ...redact(fields),
+        });
+        if (level === "error") {
+            console.error(line);
+        }
+        else if (level === "warn") {
+            console.warn(line);
+        }
+        else {
+            console.log(line);
+        }
+    }
+}
+exports.ConsoleLogger = ConsoleLogger;
+/**
+ * Returns a copy of the value with credentials and signing material masked: values under sensitive keys
+ * (authorization headers, JWTs, seeds, mnemonics, private keys, signed payloads and secrets), and JWTs,
+ * bearer tokens or PEM private keys embedded in strings.
+ *
+ * @param value - The value to redact.
+ * @returns The redacted copy.
+ */
+function redact(value) {
+    if (typeof value === "string") {
+        return value
+            .replace(PEM_PATTERN, REDACTED)
+            .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+            .replace(JWT_PATTERN, REDACTED);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item));
+    }
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = SENSITIVE_KEY_PATTERN.test(key) && item !== undefined ? REDACTED : redact(item);
+        }
+        return result;
+    }
+    return value;
+}
+exports.redact = redact;
+/**
+ * Registers interceptors that log every API request attempt and pass it to the request hooks.
+ * Failed attempts are passed on unchanged, so they must be registered before the retry and error interceptors.
+ *
+ * @param axiosInstance - The Axios instance to register the interceptors.
+ * @param logger - The logger to write entries to. Nothing is logged if not provided.
+ * @param hooks - The callbacks to invoke for every request, response and failed request.
+ */
+const registerLoggingInterceptors = (axiosInstance, logger, hooks = {}) => {
+    const startTimes = new WeakMap();
+    const runHook = (hook, info) => {
+        if (!hook) {
+            return;
+        }
+        try {
+            hook(info);
+        }
+        catch (error) {
+            logger?.warn("Request hook failed", { error: error.message });
+        }
+    };
+    axiosInstance.interceptors.request.use(config => {
+        startTimes.set(config, Date.now());
+        const info = requestInfo(config);
+        logger?.debug("API request", info);
+        runHook(hooks.onRequest, info);
+        return config;
+    });
+    axiosInstance.interceptors.response.use(response => {
+        const info = {
+            ...requestInfo(response.config),
+            status: response.status,
+            latencyMs: latency(startTimes, response.config),
+        };
+        logger?.debug("API response", info);
+        runHook(hooks.onResponse, info);
+        return response;
+    }, error => {
+        const apiError = error instanceof api_error_1.APIError ? error : api_error_1.APIError.fromError(error);
+        const info = {
+            ...requestInfo(error.config ?? {}),
+            status: apiError.httpCode ?? undefined,
+            latencyMs: latency(startTimes, error.config),
+            correlationId: apiError.correlationId ?? undefined,
+            apiCode: apiError.apiCode ?? undefined,
+            errorMessage: apiError.apiMessage ?? error.message,
+        };
+        logger?.warn("API request failed", info);
+        runHook(hooks.onError, info);
+        return Promise.reject(error);
+    });
+};
+exports.registerLoggingInterceptors = registerLoggingInterceptors;
+/**
+ * Returns the structured fields describing a request.
+ *
+ * @param config - The Axios request configuration.
+ * @returns The method, URL and path of the request.
+ */
+function requestInfo(config) {
+    const url = config.url ?? "";
+    let path = url;
+    try {
+        path = new URL(url).pathname;
+    }
+    catch {
+        // Relative URLs are already paths.
+    }
+    return {
+        method: config.method?.toUpperCase() ?? "GET",
+        url,
+        path,
+    };
+}
+/**
+ * Returns the time elapsed since the request was sent.
+ *
+ * @param startTimes - The send times of in-flight requests.
+ * @param config - The Axios request configuration.
+ * @returns The latency in milliseconds, or undefined if the request was never sent.
+ */
+function latency(startTimes, config) {
+    const start = config ? startTimes.get(config) : undefined;
+    return start === undefined ? undefined : Date.now() - start;
+}
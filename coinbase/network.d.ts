@@ -0,0 +1,105 @@
+import { FeatureSet, Network as NetworkModel, NetworkProtocolFamilyEnum } from "../client/api";
+import { Asset } from "./asset";
+import { Coinbase } from "./coinbase";
+import { NetworkFeature } from "./types";
+/**
+ * A representation of a network supported by Coinbase, with its chain ID, native asset and the features it supports.
+ *
+ * Networks are cached per network ID and Coinbase instance for `Network.CACHE_TTL_SECONDS`, so that checking a
+ * feature before an operation does not cost a round trip every time, while newly enabled features are picked up.
+ */
+export declare class Network {
+    /**
+     * How long a fetched network is cached, in seconds.
+     */
+    static CACHE_TTL_SECONDS: number;
+    private static cache;
+    private model;
+    /**
+     * Private constructor to prevent direct instantiation outside of factory method.
+     * Use Network.fetch instead.
+     *
+     * @ignore
+     * @param model - The network model.
+     * @hideconstructor
+     */
+    private constructor();
+    /**
+     * Fetches a network by its ID, from the cache if it was fetched with the same Coinbase instance within
+     * `Network.CACHE_TTL_SECONDS`.
+     *
+     * @param networkId - The network ID.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The network.
+     * @throws {APIError} if the API request to get the network fails.
+     */
+    static fetch(networkId: string, coinbase?: Coinbase): Promise<Network>;
+    /**
+     * Clears the cache of fetched networks, e.g. to pick up newly enabled features before the cache expires.
+     *
+     * @param coinbase - The Coinbase instance whose networks to clear. Defaults to clearing the networks of every instance.
+     */
+    static clearCache(coinbase?: Coinbase): void;
+    /**
+     * Returns the ID of the network.
+     *
+     * @returns The network ID.
+     */
+    getId(): string;
+    /**
+     * Returns the human-readable name of the network.
+     *
+     * @returns The display name.
+     */
+    getDisplayName(): string;
+    /**
+     * Returns the chain ID of the network.
+     *
+     * @returns The chain ID.
+     */
+    getChainId(): number;
+    /**
+     * Returns the protocol family of the network.
+     *
+     * @returns The protocol family.
+     */
+    getProtocolFamily(): NetworkProtocolFamilyEnum;
+    /**
+     * Returns whether the network is a testnet.
+     *
+     * @returns True if the network is a testnet.
+     */
+    isTestnet(): boolean;
+    /**
+     * Returns the native asset of the network.
+     *
+     * @returns The native asset.
+     */
+    getNativeAsset(): Asset;
+    /**
+     * Returns the features of the network.
+     *
+     * @returns The feature set.
+     */
+    getFeatureSet(): FeatureSet;
+    /**
+     * Returns whether the network supports a feature.
+     *
+     * @param feature - The feature.
+     * @returns True if the network supports the feature.
+     */
+    supports(feature: NetworkFeature): boolean;
+    /**
+     * Checks that the network supports a feature.
+     *
+     * @param feature - The feature.
+     * @throws {NetworkFeatureUnsupportedError} if the network does not support the feature.
+     */
+    assertSupports(feature: NetworkFeature): void;
+    /**
+     * Returns a String representation of the network.
+     *
+     * @returns a String representation of the network.
+     */
+    toString(): string;
+}
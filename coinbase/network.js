@@ -0,0 +1,160 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Network = void 0;
+const asset_1 = require("./asset");
+const coinbase_1 = require("./coinbase");
+const errors_1 = require("./errors");
+/**
+ * A representation of a network supported by Coinbase, with its chain ID, native asset and the features it supports.
+ *
+ * Networks are cached per network ID and Coinbase instance for `Network.CACHE_TTL_SECONDS`, so that checking a
+ * feature before an operation does not cost a round trip every time, while newly enabled features are picked up.
+ */
+class Network {
+    /**
+     * Private constructor to prevent direct instantiation outside of factory method.
+     * Use Network.fetch instead.
+     *
+     * @ignore
+     * @param model - The network model.
+     * @hideconstructor
+     */
+    constructor(model) {
+        this.model = model;
+    }
+    /**
+     * Fetches a network by its ID, from the cache if it was fetched with the same Coinbase instance within
+     * `Network.CACHE_TTL_SECONDS`.
+     *
+     * @param networkId - The network ID.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The network.
+     * @throws {APIError} if the API request to get the network fails.
+     */
+    static async fetch(networkId, coinbase) {
+        const normalizedNetworkId = coinbase_1.Coinbase.normalizeNetwork(networkId);
+        const client = coinbase_1.Coinbase.resolve(coinbase);
+        let networks = Network.cache.get(client);
+        if (!networks) {
+            networks = new Map();
+            Network.cache.set(client, networks);
+        }
+        const cached = networks.get(normalizedNetworkId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.network;
+        }
+        const entry = {
+            network: client.apiClients.network
+                .getNetwork(normalizedNetworkId)
+                .then(response => new Network(response.data)),
+            expiresAt: Date.now() + Network.CACHE_TTL_SECONDS * 1000,
+        };
+        networks.set(normalizedNetworkId, entry);
+        entry.network.catch(() => {
+            if (networks.get(normalizedNetworkId) === entry) {
+                networks.delete(normalizedNetworkId);
+            }
+        });
+        return entry.network;
+    }
+    /**
+     * Clears the cache of fetched networks, e.g. to pick up newly enabled features before the cache expires.
+     *
+     * @param coinbase - The Coinbase instance whose networks to clear. Defaults to clearing the networks of every instance.
+     */
+    static clearCache(coinbase) {
+        if (coinbase) {
+            Network.cache.delete(coinbase);
+        }
+        else {
+            Network.cache = new WeakMap();
+        }
+    }
+    /**
+     * Returns the ID of the network.
+     *
+     * @returns The network ID.
+     */
+    getId() {
+        return this.model.id;
+    }
+    /**
+     * Returns the human-readable name of the network.
+     *
+     * @returns The display name.
+     */
+    getDisplayName() {
+        return this.model.display_name;
+    }
+    /**
+     * Returns the chain ID of the network.
+     *
+     * @returns The chain ID.
+     */
+    getChainId() {
+        return this.model.chain_id;
+    }
+    /**
+     * Returns the protocol family of the network.
+     *
+     * @returns The protocol family.
+     */
+    getProtocolFamily() {
+        return this.model.protocol_family;
+    }
+    /**
+     * Returns whether the network is a testnet.
+     *
+     * @returns True if the network is a testnet.
+     */
+    isTestnet() {
+        return this.model.is_testnet;
+    }
+    /**
+     * Returns the native asset of the network.
+     *
+     * @returns The native asset.
+     */
+    getNativeAsset() {
+        return asset_1.Asset.fromModel(this.model.native_asset);
+    }
+    /**
+     * Returns the features of the network.
+     *
+     * @returns The feature set.
+     */
+    getFeatureSet() {
+        return { ...this.model.feature_set };
+    }
+    /**
+     * Returns whether the network supports a feature.
+     *
+     * @param feature - The feature.
+     * @returns True if the network supports the feature.
+     */
+    supports(feature) {
+        return this.model.feature_set[feature] === true;
+    }
+    /**
+     * Checks that the network supports a feature.
+     *
+     * @param feature - The feature.
+     * @throws {NetworkFeatureUnsupportedError} if the network does not support the feature.
+     */
+    assertSupports(feature) {
+        if (!this.supports(feature)) {
+            throw new errors_1.NetworkFeatureUnsupportedError(`Network ${this.getId()} does not support ${feature}`, this.getId(), feature);
+        }
+    }
+    /**
+     * Returns a String representation of the network.
+     *
+     * @returns a String representation of the network.
+     */
+    toString() {
+        return `Network{id: '${this.getId()}', chainId: '${this.getChainId()}', protocolFamily: '${this.getProtocolFamily()}', isTestnet: '${this.isTestnet()}'}`;
+    }
+}
+exports.Network = Network;
+Network.CACHE_TTL_SECONDS = 5 * 60;
+Network.cache = new WeakMap();
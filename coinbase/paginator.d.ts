@@ -0,0 +1,52 @@
+import { PaginationResponse, PaginatorOptions } from "./types";
+/**
+ * A Paginator lazily iterates over every item of a paginated list endpoint, fetching the next page only
+ * when the items of the previous page have been consumed.
+ *
+ * @example
+ * ```ts
+ * for await (const transfer of address.transfers({ maxItems: 500 })) {
+ *   console.log(transfer.getId());
+ * }
+ * ```
+ */
+export declare class Paginator<T> implements AsyncIterable<T> {
+    /**
+     * The largest page size the API accepts.
+     */
+    static MAX_PAGE_SIZE: number;
+    private fetchPage;
+    private maxItems;
+    private pageSize;
+    private page?;
+    /**
+     * Initializes a new Paginator object.
+     *
+     * @param fetchPage - Fetches the page starting at the given cursor, with at most the given number of items.
+     * @param options - The pagination options.
+     * @param options.maxItems - The maximum number of items to return across all pages. Defaults to no limit.
+     * @param options.pageSize - The number of items to request per page. Can range between 1 and 100. Defaults to 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @throws {ArgumentError} If an option is invalid.
+     */
+    constructor(fetchPage: (pageSize: number, page?: string) => Promise<PaginationResponse<T>>, { maxItems, pageSize, page }?: PaginatorOptions);
+    /**
+     * Iterates over the items of every page, stopping after `maxItems` items.
+     *
+     * @yields The items, in the order the API returns them.
+     */
+    [Symbol.asyncIterator](): AsyncGenerator<T, void, undefined>;
+    /**
+     * Iterates over the pages, stopping once the last page or `maxItems` items have been fetched.
+     * Pages are not trimmed, so the last page may hold more items than `maxItems` allows.
+     *
+     * @yields The pages.
+     */
+    pages(): AsyncGenerator<PaginationResponse<T>, void, undefined>;
+    /**
+     * Fetches every item into an array.
+     *
+     * @returns The items, at most `maxItems` of them.
+     */
+    toArray(): Promise<T[]>;
+}
@@ -0,0 +1,92 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Paginator = void 0;
+const errors_1 = require("./errors");
+/**
+ * A Paginator lazily iterates over every item of a paginated list endpoint, fetching the next page only
+ * when the items of the previous page have been consumed.
+ *
+ * @example
+ * ```ts
+ * for await (const transfer of address.transfers({ maxItems: 500 })) {
+ *   console.log(transfer.getId());
+ * }
+ * ```
+ */
+class Paginator {
+    /**
+     * Initializes a new Paginator object.
+     *
+     * @param fetchPage - Fetches the page starting at the given cursor, with at most the given number of items.
+     * @param options - The pagination options.
+     * @param options.maxItems - The maximum number of items to return across all pages. Defaults to no limit.
+     * @param options.pageSize - The number of items to request per page. Can range between 1 and 100. Defaults to 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @throws {ArgumentError} If an option is invalid.
+     */
+    constructor(fetchPage, { maxItems, pageSize = Paginator.MAX_PAGE_SIZE, page } = {}) {
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > Paginator.MAX_PAGE_SIZE) {
+            throw new errors_1.ArgumentError(`pageSize must be an integer between 1 and ${Paginator.MAX_PAGE_SIZE}`);
+        }
+        if (maxItems !== undefined && (!Number.isInteger(maxItems) || maxItems < 0)) {
+            throw new errors_1.ArgumentError("maxItems must be a non-negative integer");
+        }
+        this.fetchPage = fetchPage;
+        this.maxItems = maxItems ?? Number.POSITIVE_INFINITY;
+        this.pageSize = pageSize;
+        this.page = page;
+    }
+    /**
+     * Iterates over the items of every page, stopping after `maxItems` items.
+     *
+     * @yields The items, in the order the API returns them.
+     */
+    async *[Symbol.asyncIterator]() {
+        let remaining = this.maxItems;
+        for await (const page of this.pages()) {
+            for (const item of page.data) {
+                if (remaining <= 0) {
+                    return;
+                }
+                remaining--;
+                yield item;
+            }
+        }
+    }
+    /**
+     * Iterates over the pages, stopping once the last page or `maxItems` items have been fetched.
+     * Pages are not trimmed, so the last page may hold more items than `maxItems` allows.
+     *
+     * @yields The pages.
+     */
+    async *pages() {
+        let page = this.page;
+        let fetched = 0;
+        while (fetched < this.maxItems) {
+            const response = await this.fetchPage(Math.min(this.pageSize, this.maxItems - fetched), page);
+            fetched += response.data.length;
+            yield response;
+            if (!response.hasMore || !response.nextPage) {
+                return;
+            }
+            page = response.nextPage;
+        }
+    }
+    /**
+     * Fetches every item into an array.
+     *
+     * @returns The items, at most `maxItems` of them.
+     */
+    async toArray() {
+        const items = [];
+        for await (const item of this) {
+            items.push(item);
+        }
+        return items;
+    }
+}
+exports.Paginator = Paginator;
+/**
+ * The largest page size the API accepts.
+ */
+Paginator.MAX_PAGE_SIZE = 100;
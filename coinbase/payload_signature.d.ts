@@ -1,23 +1,35 @@
 import { PayloadSignature as PayloadSignatureModel } from "../client";
 import { PayloadSignatureStatus } from "./types";
+import { Coinbase } from "./coinbase";
+import { WaitOptions } from "../utils/wait";
 /**
  * A representation of a Payload Signature.
  */
 export declare class PayloadSignature {
     private model;
+    private coinbase?;
+    private idempotencyKey?;
     /**
      * Constructs a Payload Signature.
      *
      * @class
      * @param model - The underlying Payload Signature object.
+     * @param coinbase - The Coinbase instance the Payload Signature is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Payload Signature was created with, if any.
      */
-    constructor(model: PayloadSignatureModel);
+    constructor(model: PayloadSignatureModel, coinbase?: Coinbase, idempotencyKey?: string);
     /**
      * Returns the ID of the Payload Signature.
      *
      * @returns The ID of the Payload Signature
      */
     getId(): string;
+    /**
+     * Returns the idempotency key the Payload Signature was created with.
+     *
+     * @returns The idempotency key, or undefined if the Payload Signature was not created by this SDK instance.
+     */
+    getIdempotencyKey(): string | undefined;
     /**
      * Returns the Wallet ID of the Payload Signature.
      *
@@ -60,14 +72,15 @@ export declare class PayloadSignature {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the Payload Signature.
      * @param options.timeoutSeconds - The maximum time to wait for the Payload Signature to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The Payload Signature object in a terminal state.
-     * @throws {Error} if the Payload Signature times out.
+     * @throws {TimeoutError} if the Payload Signature times out.
      */
-    wait({ intervalSeconds, timeoutSeconds, }?: {
-        intervalSeconds?: number | undefined;
-        timeoutSeconds?: number | undefined;
-    }): Promise<PayloadSignature>;
+    wait({ intervalSeconds, timeoutSeconds, ...options }?: WaitOptions<PayloadSignature>): Promise<PayloadSignature>;
     /**
      * Reloads the Payload Signature model with the latest data from the server.
      *
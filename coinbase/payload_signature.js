@@ -2,8 +2,7 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.PayloadSignature = void 0;
 const types_1 = require("./types");
-const utils_1 = require("./utils");
-const errors_1 = require("./errors");
+const wait_1 = require("../utils/wait");
 const coinbase_1 = require("./coinbase");
 /**
  * A representation of a Payload Signature.
@@ -14,12 +13,16 @@ class PayloadSignature {
      *
      * @class
      * @param model - The underlying Payload Signature object.
+     * @param coinbase - The Coinbase instance the Payload Signature is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Payload Signature was created with, if any.
      */
-    constructor(model) {
+    constructor(model, coinbase, idempotencyKey) {
         if (!model) {
             throw new Error("Invalid model type");
         }
         this.model = model;
+        this.coinbase = coinbase;
+        this.idempotencyKey = idempotencyKey;
     }
     /**
      * Returns the ID of the Payload Signature.
@@ -29,6 +32,14 @@ class PayloadSignature {
     getId() {
         return this.model.payload_signature_id;
     }
+    /**
+     * Returns the idempotency key the Payload Signature was created with.
+     *
+     * @returns The idempotency key, or undefined if the Payload Signature was not created by this SDK instance.
+     */
+    getIdempotencyKey() {
+        return this.idempotencyKey;
+    }
     /**
      * Returns the Wallet ID of the Payload Signature.
      *
@@ -95,21 +106,20 @@ class PayloadSignature {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the Payload Signature.
      * @param options.timeoutSeconds - The maximum time to wait for the Payload Signature to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The Payload Signature object in a terminal state.
-     * @throws {Error} if the Payload Signature times out.
+     * @throws {TimeoutError} if the Payload Signature times out.
      */
-    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10, } = {}) {
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutSeconds * 1000) {
+    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10, ...options } = {}) {
+        await (0, wait_1.wait)(async () => {
             await this.reload();
-            // If the Payload Signature is in a terminal state, return the Payload Signature.
-            if (this.isTerminalState()) {
-                return this;
-            }
-            await (0, utils_1.delay)(intervalSeconds);
-        }
-        throw new errors_1.TimeoutError("Payload Signature timed out");
+            return this;
+        }, payloadSignature => payloadSignature.isTerminalState(), undefined, { intervalSeconds, timeoutSeconds, ...options }, { name: "PayloadSignature", getStatus: payloadSignature => payloadSignature.getStatus(), attributes: { "coinbase_sdk.payload_signature.id": this.getId() } });
+        return this;
     }
     /**
      * Reloads the Payload Signature model with the latest data from the server.
@@ -117,7 +127,7 @@ class PayloadSignature {
      * @throws {APIError} if the API request to get a Payload Signature fails.
      */
     async reload() {
-        const result = await coinbase_1.Coinbase.apiClients.address.getPayloadSignature(this.getWalletId(), this.getAddressId(), this.getId());
+        const result = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.address.getPayloadSignature(this.getWalletId(), this.getAddressId(), this.getId());
         this.model = result?.data;
     }
     /**
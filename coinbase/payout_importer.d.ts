@@ -0,0 +1,147 @@
+import { WalletAddress } from "./address/wallet_address";
+import { BatchTransferReport, Payout, PayoutDryRunReport, PayoutFormat, PayoutImporterOptions } from "./types";
+/**
+ * A PayoutImporter sends the payouts of a CSV or JSON payout file from a WalletAddress, e.g. for payroll.
+ *
+ * A payout file lists one payout per row, with the destination address, the asset ID and the amount to send.
+ * `dryRun` validates every payout against the network and the balances of the address without sending anything,
+ * and `execute` sends the payouts with `WalletAddress.createTransfers` once they are all valid.
+ *
+ * Progress is recorded in a journal file. The idempotency key of every payout is written to the journal before
+ * any payout is sent, and the journal is updated as each payout is sent, so running `execute` again with the same
+ * payout file and journal after a crash sends only the payouts that were not sent, and never sends one twice.
+ *
+ * @example
+ * ```ts
+ * const importer = new PayoutImporter(address, { journalPath: "./payroll-2024-06.journal.json" });
+ * const payouts = await PayoutImporter.readFile("./payroll-2024-06.csv");
+ * const dryRun = await importer.dryRun(payouts);
+ * if (dryRun.valid) {
+ *   const report = await importer.execute(payouts);
+ * }
+ * ```
+ */
+export declare class PayoutImporter {
+    private readonly address;
+    private readonly journalPath;
+    private readonly concurrency;
+    private pending;
+    /**
+     * Initializes a new PayoutImporter object.
+     *
+     * @param address - The address the payouts are sent from.
+     * @param options - The importer options.
+     * @param options.journalPath - The path of the journal file. It is created on the first execution.
+     * @param options.concurrency - The maximum number of payouts in flight at once. Defaults to 5.
+     * @throws {ArgumentError} If the journal path is empty.
+     */
+    constructor(address: WalletAddress, { journalPath, concurrency }: PayoutImporterOptions);
+    /**
+     * Parses the contents of a payout file.
+     *
+     * A CSV file must have a header row naming the `destination`, `asset` and `amount` columns, in any order.
+     * A JSON file must hold an array of objects with `destination`, `asset` (or `assetId`) and `amount` fields.
+     * Payouts with missing or malformed fields are still returned, so that `dryRun` can report them.
+     *
+     * @param contents - The contents of the payout file.
+     * @param format - The format of the payout file.
+     * @returns The payouts, in the order of the file.
+     * @throws {ArgumentError} If the file is not valid CSV or JSON, or lacks a column.
+     */
+    static parse(contents: string, format: PayoutFormat): Payout[];
+    /**
+     * Reads and parses a payout file. See `parse`.
+     *
+     * @param filePath - The path of the payout file.
+     * @param format - The format of the payout file. Defaults to the format of the file extension.
+     * @returns The payouts, in the order of the file.
+     * @throws {ArgumentError} If the file is not valid CSV or JSON, or lacks a column.
+     */
+    static readFile(filePath: string, format?: PayoutFormat): Promise<Payout[]>;
+    /**
+     * Validates payouts without sending them: that each destination is an address of the network, each asset is
+     * supported on the network, each amount is positive and has no more decimal places than its asset, and that
+     * the balances of the address cover the total of each asset. The Transfers the journal records as created are
+     * reloaded with `WalletAddress.reloadTransferReport`, and payouts whose Transfers were broadcast or failed
+     * on-chain are not counted against the balances, because they are not sent again.
+     *
+     * @param payouts - The payouts.
+     * @returns The dry-run report.
+     * @throws {ArgumentError} If the journal belongs to another payout file.
+     * @throws {APIError} If the API request to get a balance, the primary denomination of an asset or a Transfer fails.
+     */
+    dryRun(payouts: Payout[]): Promise<PayoutDryRunReport>;
+    /**
+     * Sends payouts, after validating them with `dryRun`. Payouts already sent according to the journal are
+     * skipped, so that an execution interrupted by a crash can be resumed by running it again.
+     *
+     * @param payouts - The payouts.
+     * @returns The report of the Transfers, with a result for each payout in the order given.
+     * @throws {PayoutValidationError} If a payout is invalid or the balances do not cover the payouts.
+     * @throws {ArgumentError} If the journal belongs to another payout file.
+     * @throws {Error} If the journal cannot be written. No further payouts are sent once a write fails.
+     */
+    execute(payouts: Payout[]): Promise<BatchTransferReport>;
+    /**
+     * Returns whether a destination is an address of the network of the importer.
+     *
+     * @param destination - The destination.
+     * @returns True if the destination is a valid address.
+     */
+    private isValidDestination;
+    /**
+     * Returns whether the reloaded journal records a payout as done, i.e. sent or failed on-chain, so that it is
+     * not sent again.
+     *
+     * @param result - The reloaded journal result of the payout.
+     * @returns True if the payout is not sent again.
+     */
+    private isCompleted;
+    /**
+     * Reads the journal, if it exists, and checks that it belongs to the payouts.
+     *
+     * @param payouts - The payouts.
+     * @returns The journal, or undefined if it does not exist yet.
+     * @throws {ArgumentError} If the journal is malformed or belongs to another payout file.
+     */
+    private readJournal;
+    /**
+     * Writes the journal. Writes are applied one at a time, and the file is replaced atomically so that a crash
+     * never leaves it half written.
+     *
+     * @param journal - The journal.
+     */
+    private writeJournal;
+    /**
+     * Returns a fingerprint of payouts and the address they are sent from, which ties a journal to them.
+     *
+     * @param address - The address.
+     * @param payouts - The payouts.
+     * @returns The fingerprint.
+     */
+    private static fingerprint;
+    /**
+     * Parses a CSV payout file.
+     *
+     * @param contents - The contents of the file.
+     * @returns The payouts.
+     * @throws {ArgumentError} If the file is not valid CSV or lacks a column.
+     */
+    private static parseCsv;
+    /**
+     * Splits CSV contents into rows of fields, following RFC 4180 quoting. Blank lines are skipped.
+     *
+     * @param contents - The CSV contents.
+     * @returns The rows, with the line each starts on.
+     * @throws {ArgumentError} If a quoted field is not closed.
+     */
+    private static parseCsvRows;
+    /**
+     * Parses a JSON payout file.
+     *
+     * @param contents - The contents of the file.
+     * @returns The payouts.
+     * @throws {ArgumentError} If the file is not valid JSON or does not hold an array.
+     */
+    private static parseJson;
+}
@@ -0,0 +1,448 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PayoutImporter = void 0;
+const crypto_1 = require("crypto");
+const fs_1 = require("fs");
+const path_1 = require("path");
+const decimal_js_1 = require("decimal.js");
+const ethers_1 = require("ethers");
+const asset_1 = require("./asset");
+const coinbase_1 = require("./coinbase");
+const errors_1 = require("./errors");
+const utils_1 = require("./utils");
+const chain_1 = require("../types/chain");
+/**
+ * The version of the journal file format.
+ */
+const JOURNAL_VERSION = 1;
+/**
+ * The columns a payout file must have.
+ */
+const COLUMNS = ["destination", "asset", "amount"];
+/**
+ * Matches a positive decimal amount without sign or exponent.
+ */
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+/**
+ * Matches a base58-encoded Solana address.
+ */
+const SOLANA_ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+/**
+ * A PayoutImporter sends the payouts of a CSV or JSON payout file from a WalletAddress, e.g. for payroll.
+ *
+ * A payout file lists one payout per row, with the destination address, the asset ID and the amount to send.
+ * `dryRun` validates every payout against the network and the balances of the address without sending anything,
+ * and `execute` sends the payouts with `WalletAddress.createTransfers` once they are all valid.
+ *
+ * Progress is recorded in a journal file. The idempotency key of every payout is written to the journal before
+ * any payout is sent, and the journal is updated as each payout is sent, so running `execute` again with the same
+ * payout file and journal after a crash sends only the payouts that were not sent, and never sends one twice.
+ *
+ * @example
+ * ```ts
+ * const importer = new PayoutImporter(address, { journalPath: "./payroll-2024-06.journal.json" });
+ * const payouts = await PayoutImporter.readFile("./payroll-2024-06.csv");
+ * const dryRun = await importer.dryRun(payouts);
+ * if (dryRun.valid) {
+ *   const report = await importer.execute(payouts);
+ * }
+ * ```
+ */
+class PayoutImporter {
+    /**
+     * Initializes a new PayoutImporter object.
+     *
+     * @param address - The address the payouts are sent from.
+     * @param options - The importer options.
+     * @param options.journalPath - The path of the journal file. It is created on the first execution.
+     * @param options.concurrency - The maximum number of payouts in flight at once. Defaults to 5.
+     * @throws {ArgumentError} If the journal path is empty.
+     */
+    constructor(address, { journalPath, concurrency = 5 }) {
+        if (!journalPath) {
+            throw new errors_1.ArgumentError("Payout journal path must not be empty");
+        }
+        this.address = address;
+        this.journalPath = journalPath;
+        this.concurrency = concurrency;
+        this.pending = Promise.resolve();
+    }
+    /**
+     * Parses the contents of a payout file.
+     *
+     * A CSV file must have a header row naming the `destination`, `asset` and `amount` columns, in any order.
+     * A JSON file must hold an array of objects with `destination`, `asset` (or `assetId`) and `amount` fields.
+     * Payouts with missing or malformed fields are still returned, so that `dryRun` can report them.
+     *
+     * @param contents - The contents of the payout file.
+     * @param format - The format of the payout file.
+     * @returns The payouts, in the order of the file.
+     * @throws {ArgumentError} If the file is not valid CSV or JSON, or lacks a column.
+     */
+    static parse(contents, format) {
+        switch (format) {
+            case "csv":
+                return PayoutImporter.parseCsv(contents);
+            case "json":
+                return PayoutImporter.parseJson(contents);
+            default:
+                throw new errors_1.ArgumentError(`Unsupported payout file format: ${format}`);
+        }
+    }
+    /**
+     * Reads and parses a payout file. See `parse`.
+     *
+     * @param filePath - The path of the payout file.
+     * @param format - The format of the payout file. Defaults to the format of the file extension.
+     * @returns The payouts, in the order of the file.
+     * @throws {ArgumentError} If the file is not valid CSV or JSON, or lacks a column.
+     */
+    static async readFile(filePath, format = (0, path_1.extname)(filePath).slice(1).toLowerCase()) {
+        return PayoutImporter.parse(await fs_1.promises.readFile(filePath, "utf8"), format);
+    }
+    /**
+     * Validates payouts without sending them: that each destination is an address of the network, each asset is
+     * supported on the network, each amount is positive and has no more decimal places than its asset, and that
+     * the balances of the address cover the total of each asset. The Transfers the journal records as created are
+     * reloaded with `WalletAddress.reloadTransferReport`, and payouts whose Transfers were broadcast or failed
+     * on-chain are not counted against the balances, because they are not sent again.
+     *
+     * @param payouts - The payouts.
+     * @returns The dry-run report.
+     * @throws {ArgumentError} If the journal belongs to another payout file.
+     * @throws {APIError} If the API request to get a balance, the primary denomination of an asset or a Transfer fails.
+     */
+    async dryRun(payouts) {
+        const networkId = this.address.getNetworkId();
+        const journal = await this.readJournal(payouts);
+        const journalReport = journal && (await this.address.reloadTransferReport(journal.report));
+        const assets = new Map();
+        const fetchAsset = async (assetId) => {
+            if (!assets.has(assetId)) {
+                assets.set(assetId, await asset_1.Asset.fetch(networkId, assetId, this.address.coinbase).catch(error => error));
+            }
+            return assets.get(assetId);
+        };
+        const validations = [];
+        for (const payout of payouts) {
+            const errors = [];
+            if (!payout.destination) {
+                errors.push("destination is required");
+            }
+            else if (!this.isValidDestination(payout.destination)) {
+                errors.push(`destination ${payout.destination} is not a valid ${networkId} address`);
+            }
+            let asset;
+            if (!payout.assetId) {
+                errors.push("asset is required");
+            }
+            else {
+                const fetched = await fetchAsset(payout.assetId);
+                if (fetched instanceof Error) {
+                    errors.push(`asset ${payout.assetId} is not supported on ${networkId}: ${fetched.message}`);
+                }
+                else {
+                    asset = fetched;
+                }
+            }
+            if (!AMOUNT_PATTERN.test(payout.amount) || new decimal_js_1.Decimal(payout.amount).isZero()) {
+                errors.push(`amount ${payout.amount} is not a positive decimal number`);
+            }
+            else if (asset && new decimal_js_1.Decimal(payout.amount).decimalPlaces() > asset.decimals) {
+                errors.push(`amount ${payout.amount} has more than the ${asset.decimals} decimal places of ${payout.assetId}`);
+            }
+            validations.push({ ...payout, completed: this.isCompleted(journalReport?.results[validations.length]), errors });
+        }
+        const totals = new Map();
+        for (const validation of validations) {
+            const asset = assets.get(validation.assetId);
+            if (validation.completed || validation.errors.length > 0 || !asset) {
+                continue;
+            }
+            const denomination = asset.primaryDenomination();
+            totals.set(denomination, (totals.get(denomination) ?? BigInt(0)) + asset.toAtomicAmount(new decimal_js_1.Decimal(validation.amount)));
+        }
+        const report = { networkId, addressId: this.address.getId(), payouts: validations, totals: [], errors: [], valid: false };
+        for (const [denomination, atomicAmount] of totals) {
+            const asset = await fetchAsset(denomination);
+            if (asset instanceof Error) {
+                throw asset;
+            }
+            const amount = asset.fromAtomicAmount(new decimal_js_1.Decimal(atomicAmount.toString()));
+            const balance = await this.address.getBalance(denomination);
+            report.totals.push({ assetId: denomination, amount, balance });
+            if (balance.lessThan(amount)) {
+                report.errors.push(`Insufficient funds: ${amount} ${denomination} requested, but only ${balance} available`);
+            }
+        }
+        report.valid = report.errors.length === 0 && validations.every(validation => validation.errors.length === 0);
+        return report;
+    }
+    /**
+     * Sends payouts, after validating them with `dryRun`. Payouts already sent according to the journal are
+     * skipped, so that an execution interrupted by a crash can be resumed by running it again.
+     *
+     * @param payouts - The payouts.
+     * @returns The report of the Transfers, with a result for each payout in the order given.
+     * @throws {PayoutValidationError} If a payout is invalid or the balances do not cover the payouts.
+     * @throws {ArgumentError} If the journal belongs to another payout file.
+     * @throws {Error} If the journal cannot be written. No further payouts are sent once a write fails.
+     */
+    async execute(payouts) {
+        const dryRun = await this.dryRun(payouts);
+        if (!dryRun.valid) {
+            const problems = dryRun.errors.length + dryRun.payouts.filter(payout => payout.errors.length > 0).length;
+            throw new errors_1.PayoutValidationError(`Payout file has ${problems} invalid payouts or totals`, dryRun);
+        }
+        let journal = await this.readJournal(payouts);
+        if (!journal) {
+            journal = {
+                version: JOURNAL_VERSION,
+                fingerprint: PayoutImporter.fingerprint(this.address, payouts),
+                report: {
+                    results: payouts.map((payout, index) => ({
+                        index,
+                        idempotencyKey: (0, utils_1.generateIdempotencyKey)(),
+                        destination: payout.destination,
+                        assetId: payout.assetId,
+                        amount: new decimal_js_1.Decimal(payout.amount).toString(),
+                        status: "pending",
+                    })),
+                },
+            };
+            await this.writeJournal(journal);
+        }
+        const { fingerprint, report: resume } = journal;
+        const transfers = payouts.map((payout, index) => ({
+            amount: new decimal_js_1.Decimal(payout.amount),
+            assetId: payout.assetId,
+            destination: payout.destination,
+            idempotencyKey: resume.results[index].idempotencyKey,
+        }));
+        const report = await this.address.createTransfers(transfers, {
+            concurrency: this.concurrency,
+            resume,
+            onResult: (_, report) => this.writeJournal({ version: JOURNAL_VERSION, fingerprint, report }),
+        });
+        await this.writeJournal({ version: JOURNAL_VERSION, fingerprint, report });
+        return report;
+    }
+    /**
+     * Returns whether a destination is an address of the network of the importer.
+     *
+     * @param destination - The destination.
+     * @returns True if the destination is a valid address.
+     */
+    isValidDestination(destination) {
+        switch (chain_1.NETWORKS[this.address.getNetworkId()]?.protocolFamily) {
+            case "evm":
+                return ethers_1.ethers.isAddress(destination);
+            case "solana":
+                return SOLANA_ADDRESS_PATTERN.test(destination);
+            default:
+                return destination.trim() !== "";
+        }
+    }
+    /**
+     * Returns whether the reloaded journal records a payout as done, i.e. sent or failed on-chain, so that it is
+     * not sent again.
+     *
+     * @param result - The reloaded journal result of the payout.
+     * @returns True if the payout is not sent again.
+     */
+    isCompleted(result) {
+        if (result?.status === "broadcast") {
+            return true;
+        }
+        // A failed result with a Transfer ID is final once reloaded: its Transfer failed on-chain.
+        if (result?.status === "failed" && result.transferId) {
+            return true;
+        }
+        // Transfers created for a Server-Signer are signed and broadcast by it.
+        return result?.status === "created" && coinbase_1.Coinbase.resolve(this.address.coinbase).useServerSigner;
+    }
+    /**
+     * Reads the journal, if it exists, and checks that it belongs to the payouts.
+     *
+     * @param payouts - The payouts.
+     * @returns The journal, or undefined if it does not exist yet.
+     * @throws {ArgumentError} If the journal is malformed or belongs to another payout file.
+     */
+    async readJournal(payouts) {
+        let contents;
+        try {
+            contents = await fs_1.promises.readFile(this.journalPath, "utf8");
+        }
+        catch (error) {
+            if (error.code === "ENOENT") {
+                return undefined;
+            }
+            throw error;
+        }
+        let journal;
+        try {
+            journal = JSON.parse(contents);
+        }
+        catch {
+            throw new errors_1.ArgumentError(`Payout journal ${this.journalPath} is not valid JSON`);
+        }
+        if (journal?.version !== JOURNAL_VERSION || !Array.isArray(journal.report?.results)) {
+            throw new errors_1.ArgumentError(`Payout journal ${this.journalPath} is not a version ${JOURNAL_VERSION} payout journal`);
+        }
+        if (journal.fingerprint !== PayoutImporter.fingerprint(this.address, payouts)) {
+            throw new errors_1.ArgumentError(`Payout journal ${this.journalPath} belongs to another payout file or address`);
+        }
+        return journal;
+    }
+    /**
+     * Writes the journal. Writes are applied one at a time, and the file is replaced atomically so that a crash
+     * never leaves it half written.
+     *
+     * @param journal - The journal.
+     */
+    async writeJournal(journal) {
+        const contents = JSON.stringify(journal, (_, value) => value instanceof Error ? { name: value.name, message: value.message } : value, 2);
+        const run = this.pending.then(async () => {
+            const tempPath = `${this.journalPath}.${(0, crypto_1.randomBytes)(8).toString("hex")}.tmp`;
+            try {
+                await fs_1.promises.writeFile(tempPath, contents);
+                await fs_1.promises.rename(tempPath, this.journalPath);
+            }
+            catch (error) {
+                await fs_1.promises.rm(tempPath, { force: true });
+                throw error;
+            }
+        });
+        this.pending = run.catch(() => undefined);
+        return run;
+    }
+    /**
+     * Returns a fingerprint of payouts and the address they are sent from, which ties a journal to them.
+     *
+     * @param address - The address.
+     * @param payouts - The payouts.
+     * @returns The fingerprint.
+     */
+    static fingerprint(address, payouts) {
+        const data = [
+            address.getNetworkId(),
+            address.getId(),
+            ...payouts.map(({ destination, assetId, amount }) => [destination, assetId, amount]),
+        ];
+        return (0, crypto_1.createHash)("sha256").update(JSON.stringify(data)).digest("hex");
+    }
+    /**
+     * Parses a CSV payout file.
+     *
+     * @param contents - The contents of the file.
+     * @returns The payouts.
+     * @throws {ArgumentError} If the file is not valid CSV or lacks a column.
+     */
+    static parseCsv(contents) {
+        const rows = PayoutImporter.parseCsvRows(contents);
+        const header = rows.shift();
+        if (!header) {
+            throw new errors_1.ArgumentError("Payout file is empty");
+        }
+        const columns = header.fields.map(field => field.trim().toLowerCase());
+        const indexes = COLUMNS.map(column => columns.indexOf(column));
+        const missing = COLUMNS.filter((_, index) => indexes[index] === -1);
+        if (missing.length > 0) {
+            throw new errors_1.ArgumentError(`Payout file is missing the ${missing.join(", ")} column(s)`);
+        }
+        const [destination, asset, amount] = indexes;
+        return rows.map(({ line, fields }) => ({
+            line,
+            destination: (fields[destination] ?? "").trim(),
+            assetId: (fields[asset] ?? "").trim().toLowerCase(),
+            amount: (fields[amount] ?? "").trim(),
+        }));
+    }
+    /**
+     * Splits CSV contents into rows of fields, following RFC 4180 quoting. Blank lines are skipped.
+     *
+     * @param contents - The CSV contents.
+     * @returns The rows, with the line each starts on.
+     * @throws {ArgumentError} If a quoted field is not closed.
+     */
+    static parseCsvRows(contents) {
+        const rows = [];
+        let fields = [];
+        let field = "";
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+        const endRow = () => {
+            fields.push(field);
+            if (fields.length > 1 || fields[0].trim() !== "") {
+                rows.push({ line: rowLine, fields });
+            }
+            fields = [];
+            field = "";
+            rowLine = line;
+        };
+        for (let i = 0; i < contents.length; i++) {
+            const char = contents[i];
+            if (quoted) {
+                if (char === '"' && contents[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                }
+                else if (char === '"') {
+                    quoted = false;
+                }
+                else {
+                    if (char === "\n") {
+                        line++;
+                    }
+                    field += char;
+                }
+            }
+            else if (char === '"') {
+                quoted = true;
+            }
+            else if (char === ",") {
+                fields.push(field);
+                field = "";
+            }
+            else if (char === "\n") {
+                line++;
+                endRow();
+            }
+            else if (char !== "\r") {
+                field += char;
+            }
+        }
+        if (quoted) {
+            throw new errors_1.ArgumentError(`Payout file has an unclosed quoted field on line ${rowLine}`);
+        }
+        endRow();
+        return rows;
+    }
+    /**
+     * Parses a JSON payout file.
+     *
+     * @param contents - The contents of the file.
+     * @returns The payouts.
+     * @throws {ArgumentError} If the file is not valid JSON or does not hold an array.
+     */
+    static parseJson(contents) {
+        let entries;
+        try {
+            entries = JSON.parse(contents);
+        }
+        catch (error) {
+            throw new errors_1.ArgumentError(`Payout file is not valid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(entries)) {
+            throw new errors_1.ArgumentError("Payout file must hold an array of payouts");
+        }
+        return entries.map((entry, index) => ({
+            line: index + 1,
+            destination: String(entry?.destination ?? "").trim(),
+            assetId: String(entry?.asset ?? entry?.assetId ?? "").trim().toLowerCase(),
+            amount: String(entry?.amount ?? "").trim(),
+        }));
+    }
+}
+exports.PayoutImporter = PayoutImporter;
@@ -1,6 +1,7 @@
 import type { Abi } from "abitype";
 import { ContractFunctionName } from "viem";
 import { ContractFunctionReturnType } from "./types/contract";
+import { Coinbase } from "./coinbase";
 /**
  * Reads data from a smart contract using the Coinbase API.
  *
@@ -13,6 +14,7 @@ import { ContractFunctionReturnType } from "./types/contract";
  * @param {TFunctionName} params.method - The contract method to call.
  * @param {TArgs} params.args - The arguments for the contract method.
  * @param {TAbi} [params.abi] - The contract ABI (optional).
+ * @param {Coinbase} [params.coinbase] - The Coinbase instance to use (optional). Defaults to the default SDK instance.
  * @returns {Promise<any>} The result of the contract call.
  */
 export declare function readContract<TAbi extends Abi | undefined, TFunctionName extends TAbi extends Abi ? ContractFunctionName<TAbi, "view" | "pure"> : string, TArgs extends Record<string, any>>(params: {
@@ -21,4 +23,5 @@ export declare function readContract<TAbi extends Abi | undefined, TFunctionName
     method: TFunctionName;
     args: TArgs;
     abi?: TAbi;
+    coinbase?: Coinbase;
 }): Promise<TAbi extends Abi ? ContractFunctionReturnType<TAbi, Extract<TFunctionName, ContractFunctionName<TAbi, "view" | "pure">>, TArgs> : any>;
@@ -2,6 +2,7 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.readContract = void 0;
 const coinbase_1 = require("./coinbase");
+const telemetry_1 = require("./telemetry");
 /**
  * Converts a SolidityValue to its corresponding JavaScript type.
  *
@@ -101,14 +102,21 @@ function parseSolidityValue(solidityValue) {
  * @param {TFunctionName} params.method - The contract method to call.
  * @param {TArgs} params.args - The arguments for the contract method.
  * @param {TAbi} [params.abi] - The contract ABI (optional).
+ * @param {Coinbase} [params.coinbase] - The Coinbase instance to use (optional). Defaults to the default SDK instance.
  * @returns {Promise<any>} The result of the contract call.
  */
 async function readContract(params) {
-    const response = await coinbase_1.Coinbase.apiClients.smartContract.readContract(params.networkId, params.contractAddress, {
-        method: params.method,
-        args: JSON.stringify(params.args || {}),
-        abi: params.abi ? JSON.stringify(params.abi) : undefined,
+    return (0, telemetry_1.withSpan)("readContract", {
+        "coinbase_sdk.network.id": params.networkId,
+        "coinbase_sdk.contract.address": params.contractAddress,
+        "coinbase_sdk.contract.method": String(params.method),
+    }, async () => {
+        const response = await coinbase_1.Coinbase.resolve(params.coinbase).apiClients.smartContract.readContract(params.networkId, params.contractAddress, {
+            method: params.method,
+            args: JSON.stringify(params.args || {}),
+            abi: params.abi ? JSON.stringify(params.abi) : undefined,
+        });
+        return parseSolidityValue(response.data);
     });
-    return parseSolidityValue(response.data);
 }
 exports.readContract = readContract;
@@ -0,0 +1,104 @@
+import { AxiosError, AxiosInstance } from "axios";
+import { APIError } from "./api_error";
+import { Logger, RetryJitter, RetryPolicyOptions } from "./types";
+/**
+ * A RetryPolicy decides which failed API requests are retried, and how long to wait between attempts.
+ */
+export declare class RetryPolicy {
+    /**
+     * The HTTP status codes retried by default.
+     */
+    static DEFAULT_RETRYABLE_STATUSES: number[];
+    /**
+     * The APIError classes retried by default.
+     */
+    static DEFAULT_RETRYABLE_ERRORS: (typeof APIError)[];
+    readonly maxRetries: number;
+    readonly baseDelayMs: number;
+    readonly maxDelayMs: number;
+    readonly maxRetryAfterMs: number;
+    readonly backoffMultiplier: number;
+    readonly jitter: RetryJitter;
+    readonly retryableStatuses: number[];
+    readonly retryableErrors: (typeof APIError)[];
+    readonly retryableMethods: string[];
+    readonly retryIdempotentRequests: boolean;
+    readonly retryNetworkErrors: boolean;
+    readonly respectRetryAfter: boolean;
+    private customShouldRetry?;
+    /**
+     * Initializes a new RetryPolicy object.
+     *
+     * @param options - The retry policy options.
+     * @param options.maxRetries - The maximum number of retries after the initial attempt. Defaults to 3.
+     * @param options.baseDelayMs - The delay before the first retry, in milliseconds. Defaults to 200.
+     * @param options.maxDelayMs - The upper bound for the backoff delay, in milliseconds. Defaults to 10000.
+     * @param options.maxRetryAfterMs - The longest delay requested by `Retry-After` that is waited for, in
+     * milliseconds. A request asked to wait longer is not retried. Defaults to 300000.
+     * @param options.backoffMultiplier - The factor the delay grows by on each retry. Defaults to 2.
+     * @param options.jitter - The jitter strategy applied to the backoff delay. Defaults to `full`.
+     * @param options.retryableStatuses - The HTTP status codes that are retried.
+     * @param options.retryableErrors - The APIError classes that are retried.
+     * @param options.retryableMethods - The HTTP methods that are always safe to retry. Defaults to GET.
+     * @param options.retryIdempotentRequests - Whether requests carrying an idempotency key are retried
+     * regardless of their method. Defaults to true.
+     * @param options.retryNetworkErrors - Whether requests that failed without a response are retried. Defaults to true.
+     * @param options.respectRetryAfter - Whether the `Retry-After` response header replaces the backoff delay, as given. Defaults to true.
+     * @param options.shouldRetry - An optional predicate overriding the status and error class rules.
+     * @throws {ArgumentError} If an option is invalid.
+     */
+    constructor({ maxRetries, baseDelayMs, maxDelayMs, maxRetryAfterMs, backoffMultiplier, jitter, retryableStatuses, retryableErrors, retryableMethods, retryIdempotentRequests, retryNetworkErrors, respectRetryAfter, shouldRetry, }?: RetryPolicyOptions);
+    /**
+     * Returns a RetryPolicy for the given policy or options.
+     *
+     * @param policy - A RetryPolicy, or the options to build one from.
+     * @param maxRetries - The maximum number of retries to use when no policy is given.
+     * @returns The RetryPolicy.
+     */
+    static from(policy?: RetryPolicy | RetryPolicyOptions, maxRetries?: number): RetryPolicy;
+    /**
+     * Returns whether the failed request can be retried under this policy.
+     * Requests that are not safe to repeat are never retried, whatever the failure, and neither are requests
+     * the API asks to wait longer than `maxRetryAfterMs` for.
+     *
+     * @param error - The error the request failed with.
+     * @returns True if the request should be retried.
+     */
+    shouldRetry(error: AxiosError): boolean;
+    /**
+     * Returns how long to wait before the given retry, in milliseconds.
+     *
+     * @param retryCount - The number of the upcoming retry, starting at 1.
+     * @param error - The error the previous attempt failed with.
+     * @returns The delay in milliseconds: the `Retry-After` delay as given, or the backoff delay capped at `maxDelayMs`.
+     */
+    getDelay(retryCount: number, error?: AxiosError): number;
+    /**
+     * Installs the policy on the given Axios instance.
+     *
+     * @param axiosInstance - The Axios instance to retry requests for.
+     * @param logger - The logger to report retries to.
+     */
+    apply(axiosInstance: AxiosInstance, logger?: Logger): void;
+    /**
+     * Returns whether the request can be repeated without side effects.
+     *
+     * @param config - The Axios request config.
+     * @returns True if the request method is retryable or the request carries an idempotency key.
+     */
+    private isSafeToRetry;
+    /**
+     * Returns the delay the API asked for with a `Retry-After` header, if the policy respects it.
+     *
+     * @param error - The error the request failed with.
+     * @returns The delay in milliseconds, or undefined if there is none to respect.
+     */
+    private getRetryAfter;
+    /**
+     * Parses a `Retry-After` header, given either in seconds or as an HTTP date.
+     *
+     * @param value - The header value.
+     * @returns The delay in milliseconds, or undefined if the header is missing or invalid.
+     */
+    private parseRetryAfter;
+}
@@ -0,0 +1,212 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.RetryPolicy = void 0;
+const axios_retry_1 = __importDefault(require("axios-retry"));
+const api_error_1 = require("./api_error");
+const constants_1 = require("./constants");
+const errors_1 = require("./errors");
+/**
+ * A RetryPolicy decides which failed API requests are retried, and how long to wait between attempts.
+ */
+class RetryPolicy {
+    /**
+     * Initializes a new RetryPolicy object.
+     *
+     * @param options - The retry policy options.
+     * @param options.maxRetries - The maximum number of retries after the initial attempt. Defaults to 3.
+     * @param options.baseDelayMs - The delay before the first retry, in milliseconds. Defaults to 200.
+     * @param options.maxDelayMs - The upper bound for the backoff delay, in milliseconds. Defaults to 10000.
+     * @param options.maxRetryAfterMs - The longest delay requested by `Retry-After` that is waited for, in
+     * milliseconds. A request asked to wait longer is not retried. Defaults to 300000.
+     * @param options.backoffMultiplier - The factor the delay grows by on each retry. Defaults to 2.
+     * @param options.jitter - The jitter strategy applied to the backoff delay. Defaults to `full`.
+     * @param options.retryableStatuses - The HTTP status codes that are retried.
+     * @param options.retryableErrors - The APIError classes that are retried.
+     * @param options.retryableMethods - The HTTP methods that are always safe to retry. Defaults to GET.
+     * @param options.retryIdempotentRequests - Whether requests carrying an idempotency key are retried
+     * regardless of their method. Defaults to true.
+     * @param options.retryNetworkErrors - Whether requests that failed without a response are retried. Defaults to true.
+     * @param options.respectRetryAfter - Whether the `Retry-After` response header replaces the backoff delay, as given. Defaults to true.
+     * @param options.shouldRetry - An optional predicate overriding the status and error class rules.
+     * @throws {ArgumentError} If an option is invalid.
+     */
+    constructor({ maxRetries = 3, baseDelayMs = 200, maxDelayMs = 10000, maxRetryAfterMs = 300000, backoffMultiplier = 2, jitter = "full", retryableStatuses = RetryPolicy.DEFAULT_RETRYABLE_STATUSES, retryableErrors = RetryPolicy.DEFAULT_RETRYABLE_ERRORS, retryableMethods = ["GET"], retryIdempotentRequests = true, retryNetworkErrors = true, respectRetryAfter = true, shouldRetry = undefined, } = {}) {
+        if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+            throw new errors_1.ArgumentError("maxRetries must be a non-negative integer");
+        }
+        if (baseDelayMs < 0 || maxDelayMs < baseDelayMs) {
+            throw new errors_1.ArgumentError("Delays must satisfy 0 <= baseDelayMs <= maxDelayMs");
+        }
+        if (!(maxRetryAfterMs >= 0)) {
+            throw new errors_1.ArgumentError("maxRetryAfterMs must be non-negative");
+        }
+        if (backoffMultiplier < 1) {
+            throw new errors_1.ArgumentError("backoffMultiplier must be at least 1");
+        }
+        if (!["none", "full", "equal"].includes(jitter)) {
+            throw new errors_1.ArgumentError(`Unsupported jitter strategy: ${jitter}`);
+        }
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.maxRetryAfterMs = maxRetryAfterMs;
+        this.backoffMultiplier = backoffMultiplier;
+        this.jitter = jitter;
+        this.retryableStatuses = [...retryableStatuses];
+        this.retryableErrors = [...retryableErrors];
+        this.retryableMethods = retryableMethods.map(method => method.toUpperCase());
+        this.retryIdempotentRequests = retryIdempotentRequests;
+        this.retryNetworkErrors = retryNetworkErrors;
+        this.respectRetryAfter = respectRetryAfter;
+        this.customShouldRetry = shouldRetry;
+    }
+    /**
+     * Returns a RetryPolicy for the given policy or options.
+     *
+     * @param policy - A RetryPolicy, or the options to build one from.
+     * @param maxRetries - The maximum number of retries to use when no policy is given.
+     * @returns The RetryPolicy.
+     */
+    static from(policy, maxRetries) {
+        if (policy instanceof RetryPolicy) {
+            return policy;
+        }
+        return new RetryPolicy({ maxRetries, ...policy });
+    }
+    /**
+     * Returns whether the failed request can be retried under this policy.
+     * Requests that are not safe to repeat are never retried, whatever the failure, and neither are requests
+     * the API asks to wait longer than `maxRetryAfterMs` for.
+     *
+     * @param error - The error the request failed with.
+     * @returns True if the request should be retried.
+     */
+    shouldRetry(error) {
+        if (!error.config || error.code === "ERR_CANCELED") {
+            return false;
+        }
+        if (!this.isSafeToRetry(error.config)) {
+            return false;
+        }
+        if (this.customShouldRetry) {
+            return this.customShouldRetry(error);
+        }
+        if (!error.response) {
+            return this.retryNetworkErrors;
+        }
+        const retryAfterMs = this.getRetryAfter(error);
+        if (retryAfterMs !== undefined && retryAfterMs > this.maxRetryAfterMs) {
+            return false;
+        }
+        if (this.retryableStatuses.includes(error.response.status)) {
+            return true;
+        }
+        const apiError = api_error_1.APIError.fromError(error);
+        return this.retryableErrors.some(errorClass => apiError instanceof errorClass);
+    }
+    /**
+     * Returns how long to wait before the given retry, in milliseconds.
+     *
+     * @param retryCount - The number of the upcoming retry, starting at 1.
+     * @param error - The error the previous attempt failed with.
+     * @returns The delay in milliseconds: the `Retry-After` delay as given, or the backoff delay capped at `maxDelayMs`.
+     */
+    getDelay(retryCount, error) {
+        const retryAfterMs = this.getRetryAfter(error);
+        if (retryAfterMs !== undefined) {
+            return retryAfterMs;
+        }
+        const backoff = Math.min(this.baseDelayMs * Math.pow(this.backoffMultiplier, retryCount - 1), this.maxDelayMs);
+        switch (this.jitter) {
+            case "full":
+                return Math.random() * backoff;
+            case "equal":
+                return backoff / 2 + Math.random() * (backoff / 2);
+            default:
+                return backoff;
+        }
+    }
+    /**
+     * Installs the policy on the given Axios instance.
+     *
+     * @param axiosInstance - The Axios instance to retry requests for.
+     * @param logger - The logger to report retries to.
+     */
+    apply(axiosInstance, logger) {
+        (0, axios_retry_1.default)(axiosInstance, {
+            retries: this.maxRetries,
+            retryCondition: error => this.shouldRetry(error),
+            retryDelay: (retryCount, error) => this.getDelay(retryCount, error),
+            onRetry: (retryCount, error, requestConfig) => {
+                logger?.info("Retrying API request", {
+                    method: requestConfig.method?.toUpperCase(),
+                    url: requestConfig.url,
+                    status: error.response?.status,
+                    retryCount,
+                });
+            },
+        });
+    }
+    /**
+     * Returns whether the request can be repeated without side effects.
+     *
+     * @param config - The Axios request config.
+     * @returns True if the request method is retryable or the request carries an idempotency key.
+     */
+    isSafeToRetry(config) {
+        if (this.retryableMethods.includes((config.method || "get").toUpperCase())) {
+            return true;
+        }
+        if (!this.retryIdempotentRequests || !config.headers) {
+            return false;
+        }
+        const idempotencyKey = typeof config.headers.get === "function"
+            ? config.headers.get(constants_1.IDEMPOTENCY_KEY_HEADER)
+            : config.headers[constants_1.IDEMPOTENCY_KEY_HEADER];
+        return Boolean(idempotencyKey);
+    }
+    /**
+     * Returns the delay the API asked for with a `Retry-After` header, if the policy respects it.
+     *
+     * @param error - The error the request failed with.
+     * @returns The delay in milliseconds, or undefined if there is none to respect.
+     */
+    getRetryAfter(error) {
+        if (!this.respectRetryAfter) {
+            return undefined;
+        }
+        return this.parseRetryAfter(error?.response?.headers?.["retry-after"]);
+    }
+    /**
+     * Parses a `Retry-After` header, given either in seconds or as an HTTP date.
+     *
+     * @param value - The header value.
+     * @returns The delay in milliseconds, or undefined if the header is missing or invalid.
+     */
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === "") {
+            return undefined;
+        }
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(value);
+        if (Number.isNaN(date)) {
+            return undefined;
+        }
+        return Math.max(0, date - Date.now());
+    }
+}
+exports.RetryPolicy = RetryPolicy;
+/**
+ * The HTTP status codes retried by default.
+ */
+RetryPolicy.DEFAULT_RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+/**
+ * The APIError classes retried by default.
+ */
+RetryPolicy.DEFAULT_RETRYABLE_ERRORS = [api_error_1.ResourceExhaustedError];
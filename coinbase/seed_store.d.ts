@@ -0,0 +1,206 @@
+import { SeedStoreKeyOptions, SeedStoreOptions, StoredWallet, WalletData } from "./types";
+import { Wallet } from "./wallet";
+/**
+ * A SeedStore keeps the seeds of exported Wallets in a file, encrypted at rest with AES-256-GCM.
+ *
+ * Each seed is encrypted with its own random salt and IV, under a key derived either from a passphrase with
+ * scrypt, or from the private key of the CDP API key with ECDH. The Wallet ID and network ID are bound to the
+ * ciphertext as authenticated data, so a seed that was tampered with, or moved to another Wallet's entry, fails
+ * to load.
+ *
+ * @example
+ * ```ts
+ * const store = new SeedStore({ filePath: "./seeds.json", passphrase: process.env.SEED_PASSPHRASE });
+ * await store.save(wallet);
+ * const restored = await store.importWallet(wallet.getId());
+ * ```
+ */
+export declare class SeedStore {
+    private readonly filePath;
+    private readonly coinbase?;
+    private keySource;
+    private pending;
+    /**
+     * Initializes a new SeedStore object. The file is created on the first save.
+     *
+     * @param options - The store options.
+     * @param options.filePath - The path of the file the encrypted seeds are stored in.
+     * @param options.passphrase - The passphrase the seeds are encrypted with. Defaults to a key derived from the
+     * private key of the CDP API key.
+     * @param options.coinbase - The Coinbase instance whose API key encrypts the seeds, and which imported Wallets are
+     * bound to. Defaults to the default SDK instance.
+     * @throws {ArgumentError} If the file path or passphrase is empty.
+     */
+    constructor({ filePath, passphrase, coinbase }: SeedStoreOptions);
+    /**
+     * Encrypts and saves the seed of a Wallet, replacing any seed already stored for it.
+     *
+     * @param wallet - The Wallet, or the data it exported.
+     * @throws {ArgumentError} If the data is not valid WalletData.
+     * @throws {Error} If the Wallet does not have a seed.
+     */
+    save(wallet: Wallet | WalletData): Promise<void>;
+    /**
+     * Loads and decrypts the seed of a Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns The WalletData, which can be passed to `Wallet.import`.
+     * @throws {SeedStoreError} If no seed is stored for the Wallet, or it fails its integrity check.
+     */
+    load(walletId: string): Promise<WalletData>;
+    /**
+     * Loads the seed of a Wallet and imports the Wallet with it.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns The Wallet, able to sign.
+     * @throws {SeedStoreError} If no seed is stored for the Wallet, or it fails its integrity check.
+     */
+    importWallet(walletId: string): Promise<Wallet>;
+    /**
+     * Returns whether a seed is stored for a Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns True if a seed is stored.
+     */
+    has(walletId: string): Promise<boolean>;
+    /**
+     * Lists the Wallets whose seeds are stored. The seeds are not decrypted.
+     *
+     * @returns The stored Wallets.
+     */
+    list(): Promise<StoredWallet[]>;
+    /**
+     * Deletes the seed of a Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns True if a seed was stored for the Wallet.
+     */
+    delete(walletId: string): Promise<boolean>;
+    /**
+     * Decrypts every stored seed, checking that none has been tampered with.
+     *
+     * @throws {SeedStoreError} If a seed fails its integrity check.
+     */
+    verify(): Promise<void>;
+    /**
+     * Re-encrypts every stored seed under a new key, and uses the new key from then on. The file is only
+     * rewritten once every seed has been decrypted, so a seed that fails its integrity check aborts the rotation.
+     * Saves queued behind the rotation encrypt with the new key.
+     *
+     * @param options - The new key.
+     * @param options.passphrase - The new passphrase. Defaults to a key derived from the private key of the CDP API key.
+     * @param options.coinbase - The Coinbase instance whose API key encrypts the seeds. Defaults to the store's instance.
+     * @returns The number of seeds re-encrypted.
+     * @throws {SeedStoreError} If a seed fails its integrity check.
+     */
+    rotate({ passphrase, coinbase }?: SeedStoreKeyOptions): Promise<number>;
+    /**
+     * Encrypts a seed.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @param networkId - The network ID of the Wallet.
+     * @param seed - The seed, as a hex string.
+     * @param keySource - The key to encrypt with.
+     * @returns The file entry.
+     */
+    private encrypt;
+    /**
+     * Decrypts a seed and checks its integrity.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @param entry - The file entry.
+     * @param keySource - The key to decrypt with.
+     * @returns The seed, as a hex string.
+     * @throws {SeedStoreError} If the seed fails its integrity check.
+     */
+    private decrypt;
+    /**
+     * Derives the encryption key of an entry.
+     *
+     * @param kdf - The key derivation parameters of the entry.
+     * @param keySource - The passphrase or API key to derive from.
+     * @returns The 32 byte key.
+     */
+    private deriveKey;
+    /**
+     * Reads and validates the seed file.
+     *
+     * @returns The file contents, or an empty file if it does not exist yet.
+     * @throws {SeedStoreError} If the file cannot be read or is malformed.
+     */
+    private read;
+    /**
+     * Reads the seed file together with the key its entries are encrypted with, once the queued changes have
+     * been applied.
+     *
+     * @returns The file contents and the key source.
+     */
+    private snapshot;
+    /**
+     * Applies a change to the seed file. Changes are applied one at a time, and the file is replaced atomically
+     * so that a crash never leaves it half written.
+     *
+     * @param change - Modifies the file contents in place.
+     */
+    private update;
+    /**
+     * Runs a task once the tasks queued before it have settled, so that reads, changes and key rotations never
+     * interleave.
+     *
+     * @param task - The task.
+     * @returns The result of the task.
+     */
+    private exclusive;
+    /**
+     * Replaces the seed file atomically, through a uniquely named temporary file so that stores sharing the
+     * file never write to the same temporary file.
+     *
+     * @param file - The file contents.
+     */
+    private write;
+    /**
+     * Resolves the key source of the store.
+     *
+     * @param options - The key options.
+     * @param options.passphrase - The passphrase.
+     * @param options.coinbase - The Coinbase instance whose API key is used when there is no passphrase.
+     * @returns The key source.
+     * @throws {ArgumentError} If the passphrase is empty.
+     */
+    private static toKeySource;
+    /**
+     * Returns the authenticated data binding a seed to its Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @param networkId - The network ID of the Wallet.
+     * @returns The authenticated data.
+     */
+    private static associatedData;
+    /**
+     * Computes the ECDH shared secret of the API key with itself, which only the holder of the API key can derive.
+     * EC keys use P-256 directly, while Ed25519 keys are converted to X25519 keys first.
+     *
+     * @param privateKey - The private key of the API key.
+     * @returns The shared secret.
+     * @throws {InvalidAPIKeyFormatError} If the private key cannot be parsed.
+     */
+    private static apiKeySharedSecret;
+    /**
+     * Checks the shape of a file entry, including that its scrypt cost parameters are within the limits.
+     *
+     * @param entry - The entry.
+     * @returns True if the entry is well formed.
+     */
+    private static isEntry;
+    /**
+     * Checks that scrypt cost parameters are valid and within the limits: N is a power of two greater than 1,
+     * and N, r, p and the memory use are no larger than the limits.
+     *
+     * @param kdf - The key derivation parameters.
+     * @param kdf.N - The CPU and memory cost.
+     * @param kdf.r - The block size.
+     * @param kdf.p - The parallelization.
+     * @returns True if the parameters are within the limits.
+     */
+    private static isScryptCost;
+}
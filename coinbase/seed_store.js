@@ -0,0 +1,451 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SeedStore = void 0;
+const crypto_1 = require("crypto");
+const fs_1 = require("fs");
+const ed2curve_1 = __importDefault(require("ed2curve"));
+const coinbase_1 = require("./coinbase");
+const errors_1 = require("./errors");
+const types_1 = require("./types");
+const wallet_1 = require("./wallet");
+/**
+ * The version of the seed file format.
+ */
+const FILE_VERSION = 1;
+/**
+ * The cipher the seeds are encrypted with.
+ */
+const CIPHER = "aes-256-gcm";
+/**
+ * The scrypt cost parameters for passphrase-derived keys.
+ */
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+/**
+ * The largest scrypt cost parameters a stored entry may ask for, so that a tampered file cannot make loading
+ * exhaust memory or CPU. Derivation uses about 128 * N * r bytes, which is capped at 256 MiB.
+ */
+const SCRYPT_LIMITS = { N: 2 ** 20, r: 32, p: 16, maxmem: 256 * 1024 * 1024 };
+/**
+ * A SeedStore keeps the seeds of exported Wallets in a file, encrypted at rest with AES-256-GCM.
+ *
+ * Each seed is encrypted with its own random salt and IV, under a key derived either from a passphrase with
+ * scrypt, or from the private key of the CDP API key with ECDH. The Wallet ID and network ID are bound to the
+ * ciphertext as authenticated data, so a seed that was tampered with, or moved to another Wallet's entry, fails
+ * to load.
+ *
+ * @example
+ * ```ts
+ * const store = new SeedStore({ filePath: "./seeds.json", passphrase: process.env.SEED_PASSPHRASE });
+ * await store.save(wallet);
+ * const restored = await store.importWallet(wallet.getId());
+ * ```
+ */
+class SeedStore {
+    /**
+     * Initializes a new SeedStore object. The file is created on the first save.
+     *
+     * @param options - The store options.
+     * @param options.filePath - The path of the file the encrypted seeds are stored in.
+     * @param options.passphrase - The passphrase the seeds are encrypted with. Defaults to a key derived from the
+     * private key of the CDP API key.
+     * @param options.coinbase - The Coinbase instance whose API key encrypts the seeds, and which imported Wallets are
+     * bound to. Defaults to the default SDK instance.
+     * @throws {ArgumentError} If the file path or passphrase is empty.
+     */
+    constructor({ filePath, passphrase, coinbase }) {
+        if (!filePath) {
+            throw new errors_1.ArgumentError("Seed store file path must not be empty");
+        }
+        this.filePath = filePath;
+        this.coinbase = coinbase;
+        this.keySource = SeedStore.toKeySource({ passphrase, coinbase });
+        this.pending = Promise.resolve();
+    }
+    /**
+     * Encrypts and saves the seed of a Wallet, replacing any seed already stored for it.
+     *
+     * @param wallet - The Wallet, or the data it exported.
+     * @throws {ArgumentError} If the data is not valid WalletData.
+     * @throws {Error} If the Wallet does not have a seed.
+     */
+    async save(wallet) {
+        const data = wallet instanceof wallet_1.Wallet ? wallet.export() : wallet;
+        if (!(0, types_1.isWalletData)(data)) {
+            throw new errors_1.ArgumentError("Invalid WalletData");
+        }
+        const walletId = (data.walletId ?? data.wallet_id);
+        const networkId = data.networkId ?? data.network_id;
+        await this.update(async (file) => {
+            file.wallets[walletId] = await this.encrypt(walletId, networkId, data.seed, this.keySource);
+        });
+    }
+    /**
+     * Loads and decrypts the seed of a Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns The WalletData, which can be passed to `Wallet.import`.
+     * @throws {SeedStoreError} If no seed is stored for the Wallet, or it fails its integrity check.
+     */
+    async load(walletId) {
+        const { file, keySource } = await this.snapshot();
+        const entry = file.wallets[walletId];
+        if (!entry) {
+            throw new errors_1.SeedStoreError(`No seed is stored for wallet ${walletId}`);
+        }
+        return {
+            walletId,
+            seed: await this.decrypt(walletId, entry, keySource),
+            networkId: entry.networkId,
+        };
+    }
+    /**
+     * Loads the seed of a Wallet and imports the Wallet with it.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns The Wallet, able to sign.
+     * @throws {SeedStoreError} If no seed is stored for the Wallet, or it fails its integrity check.
+     */
+    async importWallet(walletId) {
+        return wallet_1.Wallet.import(await this.load(walletId), undefined, this.coinbase);
+    }
+    /**
+     * Returns whether a seed is stored for a Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns True if a seed is stored.
+     */
+    async has(walletId) {
+        const file = await this.read();
+        return walletId in file.wallets;
+    }
+    /**
+     * Lists the Wallets whose seeds are stored. The seeds are not decrypted.
+     *
+     * @returns The stored Wallets.
+     */
+    async list() {
+        const file = await this.read();
+        return Object.entries(file.wallets).map(([walletId, entry]) => ({
+            walletId,
+            networkId: entry.networkId,
+        }));
+    }
+    /**
+     * Deletes the seed of a Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns True if a seed was stored for the Wallet.
+     */
+    async delete(walletId) {
+        let deleted = false;
+        await this.update(file => {
+            deleted = walletId in file.wallets;
+            delete file.wallets[walletId];
+        });
+        return deleted;
+    }
+    /**
+     * Decrypts every stored seed, checking that none has been tampered with.
+     *
+     * @throws {SeedStoreError} If a seed fails its integrity check.
+     */
+    async verify() {
+        const { file, keySource } = await this.snapshot();
+        for (const [walletId, entry] of Object.entries(file.wallets)) {
+            await this.decrypt(walletId, entry, keySource);
+        }
+    }
+    /**
+     * Re-encrypts every stored seed under a new key, and uses the new key from then on. The file is only
+     * rewritten once every seed has been decrypted, so a seed that fails its integrity check aborts the rotation.
+     * Saves queued behind the rotation encrypt with the new key.
+     *
+     * @param options - The new key.
+     * @param options.passphrase - The new passphrase. Defaults to a key derived from the private key of the CDP API key.
+     * @param options.coinbase - The Coinbase instance whose API key encrypts the seeds. Defaults to the store's instance.
+     * @returns The number of seeds re-encrypted.
+     * @throws {SeedStoreError} If a seed fails its integrity check.
+     */
+    async rotate({ passphrase, coinbase = this.coinbase } = {}) {
+        const keySource = SeedStore.toKeySource({ passphrase, coinbase });
+        return this.exclusive(async () => {
+            const file = await this.read();
+            const wallets = {};
+            for (const [walletId, entry] of Object.entries(file.wallets)) {
+                const seed = await this.decrypt(walletId, entry, this.keySource);
+                wallets[walletId] = await this.encrypt(walletId, entry.networkId, seed, keySource);
+            }
+            file.wallets = wallets;
+            await this.write(file);
+            this.keySource = keySource;
+            return Object.keys(wallets).length;
+        });
+    }
+    /**
+     * Encrypts a seed.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @param networkId - The network ID of the Wallet.
+     * @param seed - The seed, as a hex string.
+     * @param keySource - The key to encrypt with.
+     * @returns The file entry.
+     */
+    async encrypt(walletId, networkId, seed, keySource) {
+        const salt = (0, crypto_1.randomBytes)(16);
+        const iv = (0, crypto_1.randomBytes)(12);
+        const kdf = keySource.passphrase !== undefined
+            ? { name: "scrypt", salt: salt.toString("hex"), ...SCRYPT_PARAMS }
+            : { name: "api-key-ecdh", salt: salt.toString("hex") };
+        const key = await this.deriveKey(kdf, keySource);
+        const cipher = (0, crypto_1.createCipheriv)(CIPHER, key, iv);
+        cipher.setAAD(SeedStore.associatedData(walletId, networkId));
+        const ciphertext = Buffer.concat([cipher.update(seed, "utf8"), cipher.final()]);
+        return {
+            networkId,
+            kdf,
+            iv: iv.toString("hex"),
+            authTag: cipher.getAuthTag().toString("hex"),
+            ciphertext: ciphertext.toString("hex"),
+        };
+    }
+    /**
+     * Decrypts a seed and checks its integrity.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @param entry - The file entry.
+     * @param keySource - The key to decrypt with.
+     * @returns The seed, as a hex string.
+     * @throws {SeedStoreError} If the seed fails its integrity check.
+     */
+    async decrypt(walletId, entry, keySource) {
+        if (entry.kdf.name === "scrypt" && keySource.passphrase === undefined) {
+            throw new errors_1.SeedStoreError(`The seed of wallet ${walletId} is encrypted with a passphrase`);
+        }
+        if (entry.kdf.name === "api-key-ecdh" && keySource.passphrase !== undefined) {
+            throw new errors_1.SeedStoreError(`The seed of wallet ${walletId} is encrypted with the API key`);
+        }
+        const key = await this.deriveKey(entry.kdf, keySource);
+        try {
+            const decipher = (0, crypto_1.createDecipheriv)(CIPHER, key, Buffer.from(entry.iv, "hex"));
+            decipher.setAAD(SeedStore.associatedData(walletId, entry.networkId));
+            decipher.setAuthTag(Buffer.from(entry.authTag, "hex"));
+            return Buffer.concat([
+                decipher.update(Buffer.from(entry.ciphertext, "hex")),
+                decipher.final(),
+            ]).toString("utf8");
+        }
+        catch {
+            throw new errors_1.SeedStoreError(`The seed of wallet ${walletId} failed its integrity check: the key is wrong or the entry was modified`);
+        }
+    }
+    /**
+     * Derives the encryption key of an entry.
+     *
+     * @param kdf - The key derivation parameters of the entry.
+     * @param keySource - The passphrase or API key to derive from.
+     * @returns The 32 byte key.
+     */
+    async deriveKey(kdf, keySource) {
+        const salt = Buffer.from(kdf.salt, "hex");
+        if (kdf.name === "scrypt") {
+            const { N, r, p } = kdf;
+            return new Promise((resolve, reject) => {
+                (0, crypto_1.scrypt)(keySource.passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r }, (error, key) => error ? reject(error) : resolve(key));
+            });
+        }
+        const sharedSecret = SeedStore.apiKeySharedSecret(coinbase_1.Coinbase.resolve(keySource.coinbase).apiKeyPrivateKey);
+        return Buffer.from((0, crypto_1.hkdfSync)("sha256", sharedSecret, salt, "coinbase-sdk seed store", 32));
+    }
+    /**
+     * Reads and validates the seed file.
+     *
+     * @returns The file contents, or an empty file if it does not exist yet.
+     * @throws {SeedStoreError} If the file cannot be read or is malformed.
+     */
+    async read() {
+        let contents;
+        try {
+            contents = await fs_1.promises.readFile(this.filePath, "utf8");
+        }
+        catch (error) {
+            if (error.code === "ENOENT") {
+                return { version: FILE_VERSION, wallets: {} };
+            }
+            throw new errors_1.SeedStoreError(`Could not read seed store ${this.filePath}: ${error.message}`);
+        }
+        let file;
+        try {
+            file = JSON.parse(contents);
+        }
+        catch {
+            throw new errors_1.SeedStoreError(`Seed store ${this.filePath} is not valid JSON`);
+        }
+        if (file?.version !== FILE_VERSION || typeof file.wallets !== "object" || file.wallets === null) {
+            throw new errors_1.SeedStoreError(`Seed store ${this.filePath} is not a version ${FILE_VERSION} seed store`);
+        }
+        for (const [walletId, entry] of Object.entries(file.wallets)) {
+            if (!SeedStore.isEntry(entry)) {
+                throw new errors_1.SeedStoreError(`The entry of wallet ${walletId} in ${this.filePath} is malformed`);
+            }
+        }
+        return file;
+    }
+    /**
+     * Reads the seed file together with the key its entries are encrypted with, once the queued changes have
+     * been applied.
+     *
+     * @returns The file contents and the key source.
+     */
+    async snapshot() {
+        return this.exclusive(async () => ({ file: await this.read(), keySource: this.keySource }));
+    }
+    /**
+     * Applies a change to the seed file. Changes are applied one at a time, and the file is replaced atomically
+     * so that a crash never leaves it half written.
+     *
+     * @param change - Modifies the file contents in place.
+     */
+    async update(change) {
+        await this.exclusive(async () => {
+            const file = await this.read();
+            await change(file);
+            await this.write(file);
+        });
+    }
+    /**
+     * Runs a task once the tasks queued before it have settled, so that reads, changes and key rotations never
+     * interleave.
+     *
+     * @param task - The task.
+     * @returns The result of the task.
+     */
+    exclusive(task) {
+        const run = this.pending.then(task);
+        this.pending = run.catch(() => undefined);
+        return run;
+    }
+    /**
+     * Replaces the seed file atomically, through a uniquely named temporary file so that stores sharing the
+     * file never write to the same temporary file.
+     *
+     * @param file - The file contents.
+     */
+    async write(file) {
+        const tempPath = `${this.filePath}.${(0, crypto_1.randomBytes)(8).toString("hex")}.tmp`;
+        try {
+            await fs_1.promises.writeFile(tempPath, JSON.stringify(file, null, 2), { mode: 0o600 });
+            await fs_1.promises.rename(tempPath, this.filePath);
+        }
+        catch (error) {
+            await fs_1.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+    }
+    /**
+     * Resolves the key source of the store.
+     *
+     * @param options - The key options.
+     * @param options.passphrase - The passphrase.
+     * @param options.coinbase - The Coinbase instance whose API key is used when there is no passphrase.
+     * @returns The key source.
+     * @throws {ArgumentError} If the passphrase is empty.
+     */
+    static toKeySource({ passphrase, coinbase }) {
+        if (passphrase === "") {
+            throw new errors_1.ArgumentError("Seed store passphrase must not be empty");
+        }
+        return { passphrase, coinbase };
+    }
+    /**
+     * Returns the authenticated data binding a seed to its Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @param networkId - The network ID of the Wallet.
+     * @returns The authenticated data.
+     */
+    static associatedData(walletId, networkId) {
+        return Buffer.from(JSON.stringify({ version: FILE_VERSION, walletId, networkId: networkId ?? null }));
+    }
+    /**
+     * Computes the ECDH shared secret of the API key with itself, which only the holder of the API key can derive.
+     * EC keys use P-256 directly, while Ed25519 keys are converted to X25519 keys first.
+     *
+     * @param privateKey - The private key of the API key.
+     * @returns The shared secret.
+     * @throws {InvalidAPIKeyFormatError} If the private key cannot be parsed.
+     */
+    static apiKeySharedSecret(privateKey) {
+        if (!privateKey) {
+            throw new errors_1.InvalidConfigurationError("An API key or a passphrase is required to encrypt seeds");
+        }
+        try {
+            if (privateKey.startsWith("-----BEGIN")) {
+                const key = (0, crypto_1.createPrivateKey)(privateKey);
+                return (0, crypto_1.diffieHellman)({ privateKey: key, publicKey: (0, crypto_1.createPublicKey)(key) });
+            }
+            const decoded = Buffer.from(privateKey, "base64");
+            const x25519Public = ed2curve_1.default.convertPublicKey(decoded.subarray(32));
+            if (decoded.length !== 64 || !x25519Public) {
+                throw new Error("Invalid Ed25519 key");
+            }
+            const x25519Private = ed2curve_1.default.convertSecretKey(decoded);
+            const jwk = {
+                kty: "OKP",
+                crv: "X25519",
+                d: Buffer.from(x25519Private).toString("base64url"),
+                x: Buffer.from(x25519Public).toString("base64url"),
+            };
+            return (0, crypto_1.diffieHellman)({
+                privateKey: (0, crypto_1.createPrivateKey)({ key: jwk, format: "jwk" }),
+                publicKey: (0, crypto_1.createPublicKey)({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x }, format: "jwk" }),
+            });
+        }
+        catch {
+            throw new errors_1.InvalidAPIKeyFormatError("Could not derive a seed encryption key from the API key");
+        }
+    }
+    /**
+     * Checks the shape of a file entry, including that its scrypt cost parameters are within the limits.
+     *
+     * @param entry - The entry.
+     * @returns True if the entry is well formed.
+     */
+    static isEntry(entry) {
+        if (typeof entry !== "object" || entry === null) {
+            return false;
+        }
+        const { kdf, iv, authTag, ciphertext } = entry;
+        const isHex = (value) => typeof value === "string" && /^([0-9a-f]{2})+$/i.test(value);
+        return (typeof kdf === "object" &&
+            kdf !== null &&
+            (kdf.name === "api-key-ecdh" ||
+                (kdf.name === "scrypt" && SeedStore.isScryptCost(kdf))) &&
+            isHex(kdf.salt) &&
+            isHex(iv) &&
+            isHex(authTag) &&
+            isHex(ciphertext));
+    }
+    /**
+     * Checks that scrypt cost parameters are valid and within the limits: N is a power of two greater than 1,
+     * and N, r, p and the memory use are no larger than the limits.
+     *
+     * @param kdf - The key derivation parameters.
+     * @param kdf.N - The CPU and memory cost.
+     * @param kdf.r - The block size.
+     * @param kdf.p - The parallelization.
+     * @returns True if the parameters are within the limits.
+     */
+    static isScryptCost({ N, r, p }) {
+        const inRange = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+        return (inRange(N, SCRYPT_LIMITS.N) &&
+            N > 1 &&
+            (N & (N - 1)) === 0 &&
+            inRange(r, SCRYPT_LIMITS.r) &&
+            inRange(p, SCRYPT_LIMITS.p) &&
+            128 * N * r <= SCRYPT_LIMITS.maxmem);
+    }
+}
+exports.SeedStore = SeedStore;
@@ -1,8 +1,13 @@
+import { Coinbase } from "./coinbase";
+import { ServerSignerEvent, SeedCreationEventResult, SignatureCreationEventResult } from "../client/api";
+import { Paginator } from "./paginator";
+import { CreateServerSignerOptions, PaginationOptions, PaginationResponse, PaginatorOptions, ServerSignerStatus } from "./types";
 /**
  * A representation of a Server-Signer. Server-Signers are assigned to sign transactions for a Wallet.
  */
 export declare class ServerSigner {
     private model;
+    private coinbase?;
     /**
      * Private constructor to prevent direct instantiation outside of factory method.
      * Creates a new ServerSigner instance.
@@ -10,17 +15,61 @@ export declare class ServerSigner {
      *
      * @ignore
      * @param serverSignerModel - The Server-Signer model.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @hideconstructor
      */
     private constructor();
+    /**
+     * Registers a new 1 of 1 Server-Signer with the CDP Project.
+     *
+     * @param options - The options to create the Server-Signer.
+     * @param options.serverSignerId - The ID of the Server-Signer. Defaults to a random UUID.
+     * @param options.isMpc - Whether the Server-Signer uses MPC. Defaults to false.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The Server-Signer.
+     * @throws {APIError} if the API request to create the Server-Signer fails.
+     */
+    static create({ serverSignerId, isMpc }?: CreateServerSignerOptions, coinbase?: Coinbase): Promise<ServerSigner>;
+    /**
+     * Fetches a Server-Signer by its ID.
+     *
+     * @param serverSignerId - The ID of the Server-Signer.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The Server-Signer.
+     * @throws {APIError} if the API request to get the Server-Signer fails.
+     */
+    static fetch(serverSignerId: string, coinbase?: Coinbase): Promise<ServerSigner>;
     /**
      * Returns the default Server-Signer for the CDP Project.
      *
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The default Server-Signer.
      * @throws {APIError} if the API request to list Server-Signers fails.
      * @throws {Error} if there is no Server-Signer associated with the CDP Project.
      */
-    static getDefault(): Promise<ServerSigner>;
+    static getDefault(coinbase?: Coinbase): Promise<ServerSigner>;
+    /**
+     * Lists the Server-Signers of the CDP Project.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of Server-Signers to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of Server-Signers. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The paginated list response of Server-Signers.
+     * @throws {APIError} if the API request to list Server-Signers fails.
+     */
+    static listServerSigners({ limit, page }?: PaginationOptions, coinbase?: Coinbase): Promise<PaginationResponse<ServerSigner>>;
+    /**
+     * Iterates over all the Server-Signers of the CDP Project, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Server-Signers to return. Defaults to all of them.
+     * @param options.pageSize - The number of Server-Signers to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the Server-Signers.
+     */
+    static paginate(options?: PaginatorOptions, coinbase?: Coinbase): Paginator<ServerSigner>;
     /**
      * Returns the ID of the Server-Signer.
      *
@@ -33,6 +82,63 @@ export declare class ServerSigner {
      * @returns The Wallet IDs.
      */
     getWallets(): string[] | undefined;
+    /**
+     * Returns whether the Server-Signer uses MPC.
+     *
+     * @returns True if the Server-Signer uses MPC.
+     */
+    isMpc(): boolean;
+    /**
+     * Returns the status of the Server-Signer's seed for a Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns The status, or undefined if the Wallet does not use a Server-Signer.
+     * @throws {APIError} if the API request to get the Wallet fails.
+     */
+    getWalletStatus(walletId: string): Promise<ServerSignerStatus | undefined>;
+    /**
+     * Lists the seed creation and signature creation events the Server-Signer has to process.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of events to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of events. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @returns The paginated list response of events.
+     * @throws {APIError} if the API request to list the events fails.
+     */
+    listEvents({ limit, page }?: PaginationOptions): Promise<PaginationResponse<ServerSignerEvent>>;
+    /**
+     * Iterates over all the events the Server-Signer has to process, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of events to return. Defaults to all of them.
+     * @param options.pageSize - The number of events to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @returns A Paginator over the events.
+     */
+    events(options?: PaginatorOptions): Paginator<ServerSignerEvent>;
+    /**
+     * Submits the result of a seed creation event.
+     *
+     * @param result - The result of the event.
+     * @returns The submitted result.
+     * @throws {APIError} if the API request to submit the result fails.
+     */
+    submitSeedEventResult(result: SeedCreationEventResult): Promise<SeedCreationEventResult>;
+    /**
+     * Submits the result of a signature creation event.
+     *
+     * @param result - The result of the event.
+     * @returns The submitted result.
+     * @throws {APIError} if the API request to submit the result fails.
+     */
+    submitSignatureEventResult(result: SignatureCreationEventResult): Promise<SignatureCreationEventResult>;
+    /**
+     * Reloads the Server-Signer from the API.
+     *
+     * @returns The Server-Signer.
+     * @throws {APIError} if the API request to get the Server-Signer fails.
+     */
+    reload(): Promise<ServerSigner>;
     /**
      * Returns a String representation of the Server-Signer.
      *
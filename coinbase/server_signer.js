@@ -1,7 +1,10 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.ServerSigner = void 0;
+const crypto_1 = require("crypto");
 const coinbase_1 = require("./coinbase");
+const paginator_1 = require("./paginator");
+const wallet_1 = require("./wallet");
 /**
  * A representation of a Server-Signer. Server-Signers are assigned to sign transactions for a Wallet.
  */
@@ -13,24 +16,89 @@ class ServerSigner {
      *
      * @ignore
      * @param serverSignerModel - The Server-Signer model.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @hideconstructor
      */
-    constructor(serverSignerModel) {
+    constructor(serverSignerModel, coinbase) {
         this.model = serverSignerModel;
+        this.coinbase = coinbase;
+    }
+    /**
+     * Registers a new 1 of 1 Server-Signer with the CDP Project.
+     *
+     * @param options - The options to create the Server-Signer.
+     * @param options.serverSignerId - The ID of the Server-Signer. Defaults to a random UUID.
+     * @param options.isMpc - Whether the Server-Signer uses MPC. Defaults to false.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The Server-Signer.
+     * @throws {APIError} if the API request to create the Server-Signer fails.
+     */
+    static async create({ serverSignerId = (0, crypto_1.randomUUID)(), isMpc = false } = {}, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.serverSigner.createServerSigner({
+            server_signer_id: serverSignerId,
+            enrollment_data: Buffer.from(serverSignerId).toString("base64"),
+            is_mpc: isMpc,
+        });
+        return new ServerSigner(response.data, coinbase);
+    }
+    /**
+     * Fetches a Server-Signer by its ID.
+     *
+     * @param serverSignerId - The ID of the Server-Signer.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The Server-Signer.
+     * @throws {APIError} if the API request to get the Server-Signer fails.
+     */
+    static async fetch(serverSignerId, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.serverSigner.getServerSigner(serverSignerId);
+        return new ServerSigner(response.data, coinbase);
     }
     /**
      * Returns the default Server-Signer for the CDP Project.
      *
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The default Server-Signer.
      * @throws {APIError} if the API request to list Server-Signers fails.
      * @throws {Error} if there is no Server-Signer associated with the CDP Project.
      */
-    static async getDefault() {
-        const response = await coinbase_1.Coinbase.apiClients.serverSigner.listServerSigners();
+    static async getDefault(coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.serverSigner.listServerSigners();
         if (response.data.data.length === 0) {
             throw new Error("No Server-Signer is associated with the project");
         }
-        return new ServerSigner(response.data.data[0]);
+        return new ServerSigner(response.data.data[0], coinbase);
+    }
+    /**
+     * Lists the Server-Signers of the CDP Project.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of Server-Signers to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of Server-Signers. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The paginated list response of Server-Signers.
+     * @throws {APIError} if the API request to list Server-Signers fails.
+     */
+    static async listServerSigners({ limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined } = {}, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.serverSigner.listServerSigners(limit, page);
+        const hasMore = response.data.has_more;
+        return {
+            data: response.data.data.map(model => new ServerSigner(model, coinbase)),
+            hasMore,
+            nextPage: hasMore ? response.data.next_page : undefined,
+        };
+    }
+    /**
+     * Iterates over all the Server-Signers of the CDP Project, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Server-Signers to return. Defaults to all of them.
+     * @param options.pageSize - The number of Server-Signers to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the Server-Signers.
+     */
+    static paginate(options = {}, coinbase) {
+        return new paginator_1.Paginator((limit, page) => ServerSigner.listServerSigners({ limit, page }, coinbase), options);
     }
     /**
      * Returns the ID of the Server-Signer.
@@ -48,6 +116,88 @@ class ServerSigner {
     getWallets() {
         return this.model.wallets;
     }
+    /**
+     * Returns whether the Server-Signer uses MPC.
+     *
+     * @returns True if the Server-Signer uses MPC.
+     */
+    isMpc() {
+        return this.model.is_mpc;
+    }
+    /**
+     * Returns the status of the Server-Signer's seed for a Wallet.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @returns The status, or undefined if the Wallet does not use a Server-Signer.
+     * @throws {APIError} if the API request to get the Wallet fails.
+     */
+    async getWalletStatus(walletId) {
+        const wallet = await wallet_1.Wallet.fetch(walletId, this.coinbase);
+        return wallet.getServerSignerStatus();
+    }
+    /**
+     * Lists the seed creation and signature creation events the Server-Signer has to process.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of events to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of events. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @returns The paginated list response of events.
+     * @throws {APIError} if the API request to list the events fails.
+     */
+    async listEvents({ limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined } = {}) {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.serverSigner.listServerSignerEvents(this.getId(), limit, page);
+        const hasMore = response.data.has_more;
+        return {
+            data: response.data.data,
+            hasMore,
+            nextPage: hasMore ? response.data.next_page : undefined,
+        };
+    }
+    /**
+     * Iterates over all the events the Server-Signer has to process, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of events to return. Defaults to all of them.
+     * @param options.pageSize - The number of events to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @returns A Paginator over the events.
+     */
+    events(options = {}) {
+        return new paginator_1.Paginator((limit, page) => this.listEvents({ limit, page }), options);
+    }
+    /**
+     * Submits the result of a seed creation event.
+     *
+     * @param result - The result of the event.
+     * @returns The submitted result.
+     * @throws {APIError} if the API request to submit the result fails.
+     */
+    async submitSeedEventResult(result) {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.serverSigner.submitServerSignerSeedEventResult(this.getId(), result);
+        return response.data;
+    }
+    /**
+     * Submits the result of a signature creation event.
+     *
+     * @param result - The result of the event.
+     * @returns The submitted result.
+     * @throws {APIError} if the API request to submit the result fails.
+     */
+    async submitSignatureEventResult(result) {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.serverSigner.submitServerSignerSignatureEventResult(this.getId(), result);
+        return response.data;
+    }
+    /**
+     * Reloads the Server-Signer from the API.
+     *
+     * @returns The Server-Signer.
+     * @throws {APIError} if the API request to get the Server-Signer fails.
+     */
+    async reload() {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.serverSigner.getServerSigner(this.getId());
+        this.model = response.data;
+        return this;
+    }
     /**
      * Returns a String representation of the Server-Signer.
      *
@@ -0,0 +1,75 @@
+import { ServerSigner } from "./server_signer";
+import { ServerSignerEventProcessorOptions, ServerSignerKeyStore } from "./types";
+/**
+ * Processes the events of a Server-Signer: seed creation events get a new seed from the key store, signature
+ * creation events get signed by it, and the results are submitted back to the API.
+ *
+ * Events are processed in a single pass with `processEvents`, or polled for with `start` and `stop`. A failed
+ * event is reported to `onError` and retried on the next pass. A seed's extended public key is only submitted
+ * once the key store's `createSeed` resolves, which it must only do once the seed is stored durably. A seed
+ * creation event whose seed is already stored, because submitting it failed before, resubmits that seed.
+ *
+ * @example
+ * ```ts
+ * const seedsPath = "./server-signer-seeds.json";
+ * const seeds = existsSync(seedsPath) ? JSON.parse(readFileSync(seedsPath, "utf8")) : {};
+ * const keyStore = new LocalServerSignerKeyStore({
+ *   seeds,
+ *   persist: async seeds => {
+ *     await writeFile(`${seedsPath}.tmp`, JSON.stringify(seeds), { mode: 0o600 });
+ *     await rename(`${seedsPath}.tmp`, seedsPath);
+ *   },
+ * });
+ * const processor = new ServerSignerEventProcessor(await ServerSigner.getDefault(), keyStore);
+ * processor.start();
+ * ```
+ */
+export declare class ServerSignerEventProcessor {
+    private readonly serverSigner;
+    private readonly keyStore;
+    private readonly intervalMs;
+    private readonly onError;
+    private handled;
+    private stopped;
+    private timer?;
+    private running?;
+    /**
+     * Initializes a new ServerSignerEventProcessor object.
+     *
+     * @param serverSigner - The Server-Signer to process the events of.
+     * @param keyStore - The key store to create seeds and sign with.
+     * @param options - The processor options.
+     * @param options.intervalSeconds - The interval between polls for new events, once started. Defaults to 1.
+     * @param options.onError - Called with every error processing an event. Defaults to logging the error to the console.
+     */
+    constructor(serverSigner: ServerSigner, keyStore: ServerSignerKeyStore, { intervalSeconds, onError }?: ServerSignerEventProcessorOptions);
+    /**
+     * Processes every pending event once. Events whose results were already submitted are skipped until the API
+     * stops returning them.
+     *
+     * @returns The number of events processed.
+     * @throws {APIError} If the events cannot be listed.
+     */
+    processEvents(): Promise<number>;
+    /**
+     * Starts polling for events. Errors listing events are reported to `onError`, and polling continues.
+     */
+    start(): void;
+    /**
+     * Stops polling for events.
+     *
+     * @returns A promise that resolves once the pass in progress, if any, has finished.
+     */
+    stop(): Promise<void>;
+    /**
+     * Runs a pass and schedules the next one.
+     */
+    private poll;
+    /**
+     * Processes an event with the key store and submits its result. A new seed is only submitted once the key
+     * store has stored it, and the seed already stored for the Wallet is resubmitted instead of creating another.
+     *
+     * @param serverSignerEvent - The event.
+     */
+    private processEvent;
+}
@@ -0,0 +1,170 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ServerSignerEventProcessor = void 0;
+const logger_1 = require("./logger");
+/**
+ * Processes the events of a Server-Signer: seed creation events get a new seed from the key store, signature
+ * creation events get signed by it, and the results are submitted back to the API.
+ *
+ * Events are processed in a single pass with `processEvents`, or polled for with `start` and `stop`. A failed
+ * event is reported to `onError` and retried on the next pass. A seed's extended public key is only submitted
+ * once the key store's `createSeed` resolves, which it must only do once the seed is stored durably. A seed
+ * creation event whose seed is already stored, because submitting it failed before, resubmits that seed.
+ *
+ * @example
+ * ```ts
+ * const seedsPath = "./server-signer-seeds.json";
+ * const seeds = existsSync(seedsPath) ? JSON.parse(readFileSync(seedsPath, "utf8")) : {};
+ * const keyStore = new LocalServerSignerKeyStore({
+ *   seeds,
+ *   persist: async seeds => {
+ *     await writeFile(`${seedsPath}.tmp`, JSON.stringify(seeds), { mode: 0o600 });
+ *     await rename(`${seedsPath}.tmp`, seedsPath);
+ *   },
+ * });
+ * const processor = new ServerSignerEventProcessor(await ServerSigner.getDefault(), keyStore);
+ * processor.start();
+ * ```
+ */
+class ServerSignerEventProcessor {
+    /**
+     * Initializes a new ServerSignerEventProcessor object.
+     *
+     * @param serverSigner - The Server-Signer to process the events of.
+     * @param keyStore - The key store to create seeds and sign with.
+     * @param options - The processor options.
+     * @param options.intervalSeconds - The interval between polls for new events, once started. Defaults to 1.
+     * @param options.onError - Called with every error processing an event. Defaults to logging the error to the console.
+     */
+    constructor(serverSigner, keyStore, { intervalSeconds = 1, onError } = {}) {
+        this.serverSigner = serverSigner;
+        this.keyStore = keyStore;
+        this.intervalMs = intervalSeconds * 1000;
+        this.onError =
+            onError ??
+                ((error, event) => new logger_1.ConsoleLogger("error").error("Server-Signer event processing failed", {
+                    serverSignerId: serverSigner.getId(),
+                    walletId: event?.event.wallet_id,
+                    error: error.message,
+                }));
+        this.handled = new Set();
+        this.stopped = true;
+    }
+    /**
+     * Processes every pending event once. Events whose results were already submitted are skipped until the API
+     * stops returning them.
+     *
+     * @returns The number of events processed.
+     * @throws {APIError} If the events cannot be listed.
+     */
+    async processEvents() {
+        const seen = new Set();
+        let processed = 0;
+        for await (const event of this.serverSigner.events()) {
+            const key = eventKey(event);
+            seen.add(key);
+            if (this.handled.has(key)) {
+                continue;
+            }
+            try {
+                await this.processEvent(event);
+                this.handled.add(key);
+                processed++;
+            }
+            catch (error) {
+                this.onError(error, event);
+            }
+        }
+        for (const key of this.handled) {
+            if (!seen.has(key)) {
+                this.handled.delete(key);
+            }
+        }
+        return processed;
+    }
+    /**
+     * Starts polling for events. Errors listing events are reported to `onError`, and polling continues.
+     */
+    start() {
+        if (!this.stopped) {
+            return;
+        }
+        this.stopped = false;
+        this.poll();
+    }
+    /**
+     * Stops polling for events.
+     *
+     * @returns A promise that resolves once the pass in progress, if any, has finished.
+     */
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = undefined;
+        await this.running;
+    }
+    /**
+     * Runs a pass and schedules the next one.
+     */
+    poll() {
+        this.timer = undefined;
+        this.running = this.processEvents()
+            .then(() => undefined, error => this.onError(error))
+            .finally(() => {
+            this.running = undefined;
+            if (!this.stopped) {
+                this.timer = setTimeout(() => this.poll(), this.intervalMs);
+            }
+        });
+    }
+    /**
+     * Processes an event with the key store and submits its result. A new seed is only submitted once the key
+     * store has stored it, and the seed already stored for the Wallet is resubmitted instead of creating another.
+     *
+     * @param serverSignerEvent - The event.
+     */
+    async processEvent(serverSignerEvent) {
+        const event = serverSignerEvent.event;
+        if (isSignatureCreationEvent(event)) {
+            const signature = await this.keyStore.sign(event);
+            await this.serverSigner.submitSignatureEventResult({
+                wallet_id: event.wallet_id,
+                wallet_user_id: event.wallet_user_id,
+                address_id: event.address_id,
+                transaction_type: event.transaction_type,
+                transaction_id: event.transaction_id,
+                signature,
+            });
+            return;
+        }
+        const { seedId, extendedPublicKey } = (await this.keyStore.findSeed(event)) ?? (await this.keyStore.createSeed(event));
+        await this.serverSigner.submitSeedEventResult({
+            wallet_id: event.wallet_id,
+            wallet_user_id: event.wallet_user_id,
+            extended_public_key: extendedPublicKey,
+            seed_id: seedId,
+        });
+    }
+}
+exports.ServerSignerEventProcessor = ServerSignerEventProcessor;
+/**
+ * Returns whether an event asks for a signature rather than a seed.
+ *
+ * @param event - The event.
+ * @returns True if the event is a signature creation event.
+ */
+function isSignatureCreationEvent(event) {
+    return "signing_payload" in event;
+}
+/**
+ * Returns a key identifying the work an event asks for, which stays the same across polls.
+ *
+ * @param serverSignerEvent - The event.
+ * @returns The key.
+ */
+function eventKey(serverSignerEvent) {
+    const event = serverSignerEvent.event;
+    return isSignatureCreationEvent(event)
+        ? `signature:${event.transaction_type}:${event.transaction_id}:${event.signing_payload}`
+        : `seed:${event.wallet_id}`;
+}
@@ -0,0 +1,72 @@
+import { SeedCreationEvent, SignatureCreationEvent } from "../client/api";
+import { LocalServerSignerKeyStoreOptions, ServerSignerKeyStore } from "./types";
+/**
+ * A ServerSignerKeyStore that signs with seeds held in process memory. Every new seed is handed to `persist`,
+ * which must store it durably, e.g. encrypted at rest, before the seed's extended public key is returned: once
+ * the Server-Signer submits it, the Wallet's addresses are derived from the seed, and a seed that was lost
+ * would leave their funds unrecoverable. Persisted seeds are passed back to the constructor on the next run.
+ *
+ * Seeds are keyed by the ID of the Wallet they were created for, which also serves as their seed ID.
+ */
+export declare class LocalServerSignerKeyStore implements ServerSignerKeyStore {
+    private readonly addressPathPrefix;
+    private readonly persist;
+    private persisting;
+    private readonly seeds;
+    /**
+     * Initializes a new LocalServerSignerKeyStore object.
+     *
+     * @param options - The key store options.
+     * @param options.persist - Stores all the seeds durably, as hex strings keyed by seed ID. Called whenever a seed
+     * is created, one call at a time, and must resolve only once the seeds are stored.
+     * @param options.seeds - The seeds to load, as hex strings keyed by seed ID. Defaults to none.
+     * @throws {ArgumentError} If `persist` is not a function, or a seed is not a hex string of 16 to 64 bytes.
+     */
+    constructor({ persist, seeds }: LocalServerSignerKeyStoreOptions);
+    /**
+     * Returns the seed already created for the Wallet of the event, if any. Seeds are keyed by the ID of the
+     * Wallet they were created for, so a seed persisted by an earlier run is found after a restart.
+     *
+     * @param event - The seed creation event.
+     * @returns The ID of the seed and the extended public key of its master key, or undefined if there is none.
+     */
+    findSeed(event: SeedCreationEvent): Promise<{
+        seedId: string;
+        extendedPublicKey: string;
+    } | undefined>;
+    /**
+     * Creates a random seed for the Wallet of the event and persists it, with the Wallet ID as its seed ID. If
+     * persisting fails, the seed is discarded.
+     *
+     * @param event - The seed creation event.
+     * @returns The ID of the new seed and the extended public key of its master key.
+     * @throws {ArgumentError} If the key store already holds a seed for the Wallet.
+     * @throws The error `persist` failed with.
+     */
+    createSeed(event: SeedCreationEvent): Promise<{
+        seedId: string;
+        extendedPublicKey: string;
+    }>;
+    /**
+     * Signs a payload with the key derived for the address index of the event.
+     *
+     * @param event - The signature creation event.
+     * @returns The signature, as a hex string without a 0x prefix.
+     * @throws {SignerError} If the seed is unknown or its key at the address index is not the event's address.
+     */
+    sign(event: SignatureCreationEvent): Promise<string>;
+    /**
+     * Returns the seeds held by the key store.
+     *
+     * @returns The seeds, as hex strings keyed by seed ID.
+     */
+    exportSeeds(): Record<string, string>;
+    /**
+     * Returns the master node of a seed.
+     *
+     * @param seedId - The ID of the seed.
+     * @returns The master node.
+     * @throws {SignerError} If the seed is unknown.
+     */
+    private masterNode;
+}
@@ -0,0 +1,124 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.LocalServerSignerKeyStore = void 0;
+const crypto_1 = require("crypto");
+const bip32_1 = require("@scure/bip32");
+const ethers_1 = require("ethers");
+const errors_1 = require("./errors");
+const utils_1 = require("./utils");
+/**
+ * A ServerSignerKeyStore that signs with seeds held in process memory. Every new seed is handed to `persist`,
+ * which must store it durably, e.g. encrypted at rest, before the seed's extended public key is returned: once
+ * the Server-Signer submits it, the Wallet's addresses are derived from the seed, and a seed that was lost
+ * would leave their funds unrecoverable. Persisted seeds are passed back to the constructor on the next run.
+ *
+ * Seeds are keyed by the ID of the Wallet they were created for, which also serves as their seed ID.
+ */
+class LocalServerSignerKeyStore {
+    /**
+     * Initializes a new LocalServerSignerKeyStore object.
+     *
+     * @param options - The key store options.
+     * @param options.persist - Stores all the seeds durably, as hex strings keyed by seed ID. Called whenever a seed
+     * is created, one call at a time, and must resolve only once the seeds are stored.
+     * @param options.seeds - The seeds to load, as hex strings keyed by seed ID. Defaults to none.
+     * @throws {ArgumentError} If `persist` is not a function, or a seed is not a hex string of 16 to 64 bytes.
+     */
+    constructor({ persist, seeds = {} }) {
+        if (typeof persist !== "function") {
+            throw new errors_1.ArgumentError("LocalServerSignerKeyStore requires a persist function to store new seeds");
+        }
+        this.addressPathPrefix = "m/44'/60'/0'/0";
+        this.persist = persist;
+        this.persisting = Promise.resolve();
+        this.seeds = new Map();
+        for (const [seedId, seed] of Object.entries(seeds)) {
+            if (!/^([0-9a-fA-F]{2}){16,64}$/.test(seed)) {
+                throw new errors_1.ArgumentError(`Invalid seed for seed ID ${seedId}`);
+            }
+            this.seeds.set(seedId, seed);
+        }
+    }
+    /**
+     * Returns the seed already created for the Wallet of the event, if any. Seeds are keyed by the ID of the
+     * Wallet they were created for, so a seed persisted by an earlier run is found after a restart.
+     *
+     * @param event - The seed creation event.
+     * @returns The ID of the seed and the extended public key of its master key, or undefined if there is none.
+     */
+    async findSeed(event) {
+        if (!this.seeds.has(event.wallet_id)) {
+            return undefined;
+        }
+        return { seedId: event.wallet_id, extendedPublicKey: this.masterNode(event.wallet_id).publicExtendedKey };
+    }
+    /**
+     * Creates a random seed for the Wallet of the event and persists it, with the Wallet ID as its seed ID. If
+     * persisting fails, the seed is discarded.
+     *
+     * @param event - The seed creation event.
+     * @returns The ID of the new seed and the extended public key of its master key.
+     * @throws {ArgumentError} If the key store already holds a seed for the Wallet.
+     * @throws The error `persist` failed with.
+     */
+    async createSeed(event) {
+        const seedId = event.wallet_id;
+        if (this.seeds.has(seedId)) {
+            throw new errors_1.ArgumentError(`A seed already exists for Wallet ${seedId}`);
+        }
+        const seed = (0, crypto_1.randomBytes)(64).toString("hex");
+        this.seeds.set(seedId, seed);
+        // Persist calls run one at a time, so that an older set of seeds never overwrites a newer one.
+        const persisted = this.persisting.then(() => this.persist(this.exportSeeds()));
+        this.persisting = persisted.catch(() => undefined);
+        try {
+            await persisted;
+        }
+        catch (error) {
+            this.seeds.delete(seedId);
+            throw error;
+        }
+        return { seedId, extendedPublicKey: this.masterNode(seedId).publicExtendedKey };
+    }
+    /**
+     * Signs a payload with the key derived for the address index of the event.
+     *
+     * @param event - The signature creation event.
+     * @returns The signature, as a hex string without a 0x prefix.
+     * @throws {SignerError} If the seed is unknown or its key at the address index is not the event's address.
+     */
+    async sign(event) {
+        const node = this.masterNode(event.seed_id).derive(`${this.addressPathPrefix}/${event.address_index}`);
+        const key = new ethers_1.ethers.Wallet((0, utils_1.convertStringToHex)(node.privateKey));
+        if (key.address.toLowerCase() !== event.address_id.toLowerCase()) {
+            throw new errors_1.SignerError(`Seed ${event.seed_id} does not hold the key of address ${event.address_id}`);
+        }
+        const payload = event.signing_payload.startsWith("0x")
+            ? event.signing_payload
+            : `0x${event.signing_payload}`;
+        return key.signingKey.sign(payload).serialized.slice(2);
+    }
+    /**
+     * Returns the seeds held by the key store.
+     *
+     * @returns The seeds, as hex strings keyed by seed ID.
+     */
+    exportSeeds() {
+        return Object.fromEntries(this.seeds);
+    }
+    /**
+     * Returns the master node of a seed.
+     *
+     * @param seedId - The ID of the seed.
+     * @returns The master node.
+     * @throws {SignerError} If the seed is unknown.
+     */
+    masterNode(seedId) {
+        const seed = this.seeds.get(seedId);
+        if (!seed) {
+            throw new errors_1.SignerError(`Unknown seed ${seedId}`);
+        }
+        return bip32_1.HDKey.fromMasterSeed(Buffer.from(seed, "hex"));
+    }
+}
+exports.LocalServerSignerKeyStore = LocalServerSignerKeyStore;
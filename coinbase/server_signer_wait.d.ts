@@ -0,0 +1,38 @@
+import { Attributes } from "@opentelemetry/api";
+import { ServerSignerStage, ServerSignerWaitOptions } from "./types";
+/**
+ * Waits for the Server-Signer to sign a resource, and then for the resource to be confirmed onchain or fail.
+ *
+ * The wait goes through the stages of `ServerSignerStage`: awaiting signature until the Server-Signer picks up
+ * the signature event, broadcast once it has signed, and confirmed or failed once the resource is final.
+ *
+ * @param resource - The resource to wait for.
+ * @param options - The options to configure the wait.
+ * @param options.intervalSeconds - The interval between status checks. Defaults to 0.2.
+ * @param options.timeoutSeconds - The maximum time to wait for the resource to be confirmed or fail. Defaults to 60.
+ * @param options.signatureTimeoutSeconds - The maximum time to wait for the Server-Signer to sign. Defaults to `timeoutSeconds`.
+ * @param options.signal - A signal to stop waiting.
+ * @param options.onStageChange - Called with the first observed stage and on every stage change after that.
+ * @param context - How the resource is described in errors and telemetry.
+ * @param context.name - The name of the resource.
+ * @param context.getStage - Returns the stage of the resource.
+ * @param context.attributes - The attributes of the telemetry spans covering the wait.
+ * @returns The resource, confirmed or failed.
+ * @throws {ServerSignerTimeoutError} If the Server-Signer does not sign within `signatureTimeoutSeconds`.
+ * @throws {TimeoutError} If the signed resource is not confirmed and does not fail within `timeoutSeconds`.
+ * @throws The abort reason if `signal` is aborted.
+ */
+export declare function waitForServerSigner<T extends {
+    reload(): Promise<unknown>;
+}>(resource: T, { intervalSeconds, timeoutSeconds, signatureTimeoutSeconds, signal, onStageChange, }: ServerSignerWaitOptions<T> | undefined, { name, getStage, attributes, }: {
+    name: string;
+    getStage: (resource: T) => ServerSignerStage;
+    attributes?: Attributes;
+}): Promise<T>;
+/**
+ * Returns the Server-Signer stage of a resource from the status of its transaction.
+ *
+ * @param status - The status of the transaction or sponsored send.
+ * @returns The stage.
+ */
+export declare function serverSignerStage(status: string | undefined): ServerSignerStage;
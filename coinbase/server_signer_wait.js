@@ -0,0 +1,86 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.serverSignerStage = exports.waitForServerSigner = void 0;
+const wait_1 = require("../utils/wait");
+const errors_1 = require("./errors");
+const types_1 = require("./types");
+/**
+ * Waits for the Server-Signer to sign a resource, and then for the resource to be confirmed onchain or fail.
+ *
+ * The wait goes through the stages of `ServerSignerStage`: awaiting signature until the Server-Signer picks up
+ * the signature event, broadcast once it has signed, and confirmed or failed once the resource is final.
+ *
+ * @param resource - The resource to wait for.
+ * @param options - The options to configure the wait.
+ * @param options.intervalSeconds - The interval between status checks. Defaults to 0.2.
+ * @param options.timeoutSeconds - The maximum time to wait for the resource to be confirmed or fail. Defaults to 60.
+ * @param options.signatureTimeoutSeconds - The maximum time to wait for the Server-Signer to sign. Defaults to `timeoutSeconds`.
+ * @param options.signal - A signal to stop waiting.
+ * @param options.onStageChange - Called with the first observed stage and on every stage change after that.
+ * @param context - How the resource is described in errors and telemetry.
+ * @param context.name - The name of the resource.
+ * @param context.getStage - Returns the stage of the resource.
+ * @param context.attributes - The attributes of the telemetry spans covering the wait.
+ * @returns The resource, confirmed or failed.
+ * @throws {ServerSignerTimeoutError} If the Server-Signer does not sign within `signatureTimeoutSeconds`.
+ * @throws {TimeoutError} If the signed resource is not confirmed and does not fail within `timeoutSeconds`.
+ * @throws The abort reason if `signal` is aborted.
+ */
+async function waitForServerSigner(resource, { intervalSeconds = 0.2, timeoutSeconds = 60, signatureTimeoutSeconds = timeoutSeconds, signal, onStageChange, } = {}, { name, getStage, attributes = {} }) {
+    const startTime = Date.now();
+    const reload = async () => {
+        await resource.reload();
+        return resource;
+    };
+    let lastStage;
+    const onStatusChange = (stage, updated) => {
+        if (stage !== lastStage) {
+            lastStage = stage;
+            onStageChange?.(stage, updated);
+        }
+    };
+    const context = { name, getStatus: getStage, attributes };
+    const signatureTimeout = Math.min(signatureTimeoutSeconds, timeoutSeconds);
+    try {
+        await (0, wait_1.wait)(reload, updated => getStage(updated) !== types_1.ServerSignerStage.AWAITING_SIGNATURE, undefined, { intervalSeconds, timeoutSeconds: signatureTimeout, signal, onStatusChange }, context);
+    }
+    catch (error) {
+        if (error instanceof errors_1.TimeoutError) {
+            throw new errors_1.ServerSignerTimeoutError(`${name} was not signed by the Server-Signer within ${signatureTimeout} seconds`, error.lastStatus);
+        }
+        throw error;
+    }
+    const remainingSeconds = Math.max(0, timeoutSeconds - (Date.now() - startTime) / 1000);
+    try {
+        await (0, wait_1.wait)(reload, updated => [types_1.ServerSignerStage.CONFIRMED, types_1.ServerSignerStage.FAILED].includes(getStage(updated)), undefined, { intervalSeconds, timeoutSeconds: remainingSeconds, signal, onStatusChange }, context);
+    }
+    catch (error) {
+        if (error instanceof errors_1.TimeoutError) {
+            throw new errors_1.TimeoutError(`${name} was signed but not confirmed within ${timeoutSeconds} seconds (last stage: ${lastStage})`, lastStage);
+        }
+        throw error;
+    }
+    return resource;
+}
+exports.waitForServerSigner = waitForServerSigner;
+/**
+ * Returns the Server-Signer stage of a resource from the status of its transaction.
+ *
+ * @param status - The status of the transaction or sponsored send.
+ * @returns The stage.
+ */
+function serverSignerStage(status) {
+    switch (status) {
+        case types_1.TransactionStatus.SIGNED:
+        case types_1.TransactionStatus.BROADCAST:
+        case types_1.SponsoredSendStatus.SUBMITTED:
+            return types_1.ServerSignerStage.BROADCAST;
+        case types_1.TransactionStatus.COMPLETE:
+            return types_1.ServerSignerStage.CONFIRMED;
+        case types_1.TransactionStatus.FAILED:
+            return types_1.ServerSignerStage.FAILED;
+        default:
+            return types_1.ServerSignerStage.AWAITING_SIGNATURE;
+    }
+}
+exports.serverSignerStage = serverSignerStage;
@@ -0,0 +1,58 @@
+import { ethers } from "ethers";
+import { Signer, SignerLike } from "./types";
+/**
+ * A Signer backed by an in-memory ethers.js Wallet.
+ */
+export declare class LocalSigner implements Signer {
+    private readonly wallet;
+    /**
+     * Initializes a new LocalSigner object.
+     *
+     * @param wallet - The ethers.js Wallet holding the key.
+     */
+    constructor(wallet: ethers.Wallet);
+    /**
+     * Returns the address of the key.
+     *
+     * @returns The address.
+     */
+    getAddress(): Promise<string>;
+    /**
+     * Signs a transaction.
+     *
+     * @param transaction - The transaction to sign.
+     * @returns The signed transaction, serialized as a hex string.
+     */
+    signTransaction(transaction: ethers.TransactionLike<string>): Promise<string>;
+    /**
+     * Signs a 32 byte digest.
+     *
+     * @param digest - The digest, as a hex string.
+     * @returns The serialized signature.
+     */
+    signDigest(digest: string): Promise<string>;
+    /**
+     * Signs EIP-712 typed data.
+     *
+     * @param domain - The EIP-712 domain.
+     * @param types - The EIP-712 types.
+     * @param value - The value to sign.
+     * @returns The serialized signature.
+     */
+    signTypedData(domain: ethers.TypedDataDomain, types: Record<string, ethers.TypedDataField[]>, value: Record<string, unknown>): Promise<string>;
+}
+/**
+ * Returns whether a value implements the Signer interface.
+ *
+ * @param value - The value to check.
+ * @returns True if the value is a Signer.
+ */
+export declare function isSigner(value: unknown): value is Signer;
+/**
+ * Converts a key into a Signer, wrapping in-memory ethers.js Wallets in a LocalSigner.
+ *
+ * @param key - The Signer or ethers.js Wallet.
+ * @returns The Signer.
+ * @throws {ArgumentError} If the key is neither a Signer nor an ethers.js Wallet.
+ */
+export declare function toSigner(key: SignerLike): Signer;
@@ -0,0 +1,90 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.toSigner = exports.isSigner = exports.LocalSigner = void 0;
+const ethers_1 = require("ethers");
+const errors_1 = require("./errors");
+/**
+ * A Signer backed by an in-memory ethers.js Wallet.
+ */
+class LocalSigner {
+    /**
+     * Initializes a new LocalSigner object.
+     *
+     * @param wallet - The ethers.js Wallet holding the key.
+     */
+    constructor(wallet) {
+        this.wallet = wallet;
+    }
+    /**
+     * Returns the address of the key.
+     *
+     * @returns The address.
+     */
+    async getAddress() {
+        return this.wallet.address;
+    }
+    /**
+     * Signs a transaction.
+     *
+     * @param transaction - The transaction to sign.
+     * @returns The signed transaction, serialized as a hex string.
+     */
+    async signTransaction(transaction) {
+        return this.wallet.signTransaction(transaction);
+    }
+    /**
+     * Signs a 32 byte digest.
+     *
+     * @param digest - The digest, as a hex string.
+     * @returns The serialized signature.
+     */
+    async signDigest(digest) {
+        return this.wallet.signingKey.sign(digest).serialized;
+    }
+    /**
+     * Signs EIP-712 typed data.
+     *
+     * @param domain - The EIP-712 domain.
+     * @param types - The EIP-712 types.
+     * @param value - The value to sign.
+     * @returns The serialized signature.
+     */
+    async signTypedData(domain, types, value) {
+        return this.wallet.signTypedData(domain, types, value);
+    }
+}
+exports.LocalSigner = LocalSigner;
+/**
+ * Returns whether a value implements the Signer interface.
+ *
+ * @param value - The value to check.
+ * @returns True if the value is a Signer.
+ */
+function isSigner(value) {
+    if (typeof value !== "object" || value === null) {
+        return false;
+    }
+    const signer = value;
+    return (typeof signer.getAddress === "function" &&
+        typeof signer.signTransaction === "function" &&
+        typeof signer.signDigest === "function" &&
+        typeof signer.signTypedData === "function");
+}
+exports.isSigner = isSigner;
+/**
+ * Converts a key into a Signer, wrapping in-memory ethers.js Wallets in a LocalSigner.
+ *
+ * @param key - The Signer or ethers.js Wallet.
+ * @returns The Signer.
+ * @throws {ArgumentError} If the key is neither a Signer nor an ethers.js Wallet.
+ */
+function toSigner(key) {
+    if (isSigner(key)) {
+        return key;
+    }
+    if (key instanceof ethers_1.ethers.Wallet) {
+        return new LocalSigner(key);
+    }
+    throw new errors_1.ArgumentError("Key must be a Signer or an ethers.js Wallet");
+}
+exports.toSigner = toSigner;
@@ -1,19 +1,25 @@
-import { ethers } from "ethers";
 import { SmartContract as SmartContractModel } from "../client/api";
 import { Transaction } from "./transaction";
-import { SmartContractOptions, SmartContractType, RegisterContractOptions, PaginationOptions, PaginationResponse, UpdateContractOptions } from "./types";
+import { SmartContractOptions, SmartContractType, RegisterContractOptions, PaginationOptions, PaginationResponse, PaginatorOptions, UpdateContractOptions, SignerLike } from "./types";
 import { ContractEvent } from "./contract_event";
+import { Coinbase } from "./coinbase";
+import { Paginator } from "./paginator";
+import { WaitOptions } from "../utils/wait";
 /**
  * A representation of a SmartContract on the blockchain.
  */
 export declare class SmartContract {
     private model;
+    private coinbase?;
+    private idempotencyKey?;
     /**
      * Creates a new SmartContract instance.
      *
      * @param contractModel - The SmartContract model from the API.
+     * @param coinbase - The Coinbase instance the SmartContract is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Smart Contract was created with, if any.
      */
-    constructor(contractModel: SmartContractModel);
+    constructor(contractModel: SmartContractModel, coinbase?: Coinbase, idempotencyKey?: string);
     /**
      * Returns whether the SmartContract is external.
      *
@@ -30,9 +36,28 @@ export declare class SmartContract {
      * @param eventName - The event name.
      * @param fromBlockHeight - The start block height.
      * @param toBlockHeight - The end block height.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The contract events.
      */
-    static listEvents(networkId: string, protocolName: string, contractAddress: string, contractName: string, eventName: string, fromBlockHeight: number, toBlockHeight: number): Promise<ContractEvent[]>;
+    static listEvents(networkId: string, protocolName: string, contractAddress: string, contractName: string, eventName: string, fromBlockHeight: number, toBlockHeight: number, coinbase?: Coinbase): Promise<ContractEvent[]>;
+    /**
+     * Iterates over the ContractEvents for the provided network, contract, and event details, fetching pages as needed.
+     *
+     * @param networkId - The network ID.
+     * @param protocolName - The protocol name.
+     * @param contractAddress - The contract address.
+     * @param contractName - The contract name.
+     * @param eventName - The event name.
+     * @param fromBlockHeight - The start block height.
+     * @param toBlockHeight - The end block height.
+     * @param options - The iteration options. The API picks the page size.
+     * @param options.maxItems - The maximum number of ContractEvents to return. Defaults to all of them.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the contract events.
+     * @throws {ArgumentError} If a page size is passed, since the API does not take one.
+     */
+    static paginateEvents(networkId: string, protocolName: string, contractAddress: string, contractName: string, eventName: string, fromBlockHeight: number, toBlockHeight: number, options?: Omit<PaginatorOptions, "pageSize">, coinbase?: Coinbase): Paginator<ContractEvent>;
     /**
      * Register a smart contract.
      *
@@ -41,31 +66,60 @@ export declare class SmartContract {
      * @param options.contractAddress - The contract address.
      * @param options.abi - The ABI of the contract.
      * @param options.contractName - The contract name.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The smart contract.
      */
-    static register({ networkId, contractAddress, abi, contractName, }: RegisterContractOptions): Promise<SmartContract>;
+    static register({ networkId, contractAddress, abi, contractName, }: RegisterContractOptions, coinbase?: Coinbase): Promise<SmartContract>;
     /**
      * Lists Smart Contracts.
      *
      * @param options - The pagination options.
      * @param options.page - The cursor for pagination across multiple pages of Smart Contract. Don\&#39;t include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      *
      * @returns The paginated list response of Smart Contracts.
      */
-    static list({ page }?: PaginationOptions): Promise<PaginationResponse<SmartContract>>;
+    static list({ page }?: PaginationOptions, coinbase?: Coinbase): Promise<PaginationResponse<SmartContract>>;
+    /**
+     * Iterates over all Smart Contracts, fetching pages as needed.
+     *
+     * @param options - The iteration options. The API picks the page size.
+     * @param options.maxItems - The maximum number of Smart Contracts to return. Defaults to all of them.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the Smart Contracts.
+     * @throws {ArgumentError} If a page size is passed, since the API does not take one.
+     */
+    static paginate(options?: Omit<PaginatorOptions, "pageSize">, coinbase?: Coinbase): Paginator<SmartContract>;
+    /**
+     * Validates the iteration options of the Smart Contract list calls, which do not take a page size.
+     *
+     * @param options - The iteration options.
+     * @returns The iteration options without a page size.
+     * @throws {ArgumentError} If a page size is passed.
+     */
+    private static iterationOptions;
     /**
      * Converts a SmartContractModel into a SmartContract object.
      *
      * @param contractModel - The SmartContract model object.
+     * @param coinbase - The Coinbase instance the SmartContract is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Smart Contract was created with, if any.
      * @returns The SmartContract object.
      */
-    static fromModel(contractModel: SmartContractModel): SmartContract;
+    static fromModel(contractModel: SmartContractModel, coinbase?: Coinbase, idempotencyKey?: string): SmartContract;
     /**
      * Returns the ID of the SmartContract.
      *
      * @returns The SmartContract ID.
      */
     getId(): string;
+    /**
+     * Returns the idempotency key the Smart Contract was created with.
+     *
+     * @returns The idempotency key, or undefined if the Smart Contract was not created by this SDK instance.
+     */
+    getIdempotencyKey(): string | undefined;
     /**
      * Returns the Network ID of the SmartContract.
      *
@@ -124,10 +178,10 @@ export declare class SmartContract {
      * Signs the SmartContract deployment with the provided key and returns the hex signature
      * required for broadcasting the SmartContract deployment.
      *
-     * @param key - The key to sign the SmartContract deployment with
+     * @param key - The Signer or ethers.js Wallet to sign the SmartContract deployment with
      * @returns The hex-encoded signed payload
      */
-    sign(key: ethers.Wallet): Promise<string>;
+    sign(key: SignerLike): Promise<string>;
     /**
      * Update a smart contract.
      *
@@ -152,14 +206,15 @@ export declare class SmartContract {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the SmartContract deployment.
      * @param options.timeoutSeconds - The maximum time to wait for the SmartContract deployment to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The SmartContract object in a terminal state.
-     * @throws {Error} if the SmartContract deployment times out.
+     * @throws {TimeoutError} if the SmartContract deployment times out.
      */
-    wait({ intervalSeconds, timeoutSeconds }?: {
-        intervalSeconds?: number | undefined;
-        timeoutSeconds?: number | undefined;
-    }): Promise<SmartContract>;
+    wait({ intervalSeconds, timeoutSeconds, ...options }?: WaitOptions<SmartContract>): Promise<SmartContract>;
     /**
      * Reloads the SmartContract model with the latest data from the server.
      *
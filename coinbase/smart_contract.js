@@ -5,9 +5,10 @@ const api_1 = require("../client/api");
 const transaction_1 = require("./transaction");
 const types_1 = require("./types");
 const coinbase_1 = require("./coinbase");
-const utils_1 = require("./utils");
-const errors_1 = require("./errors");
+const wait_1 = require("../utils/wait");
 const contract_event_1 = require("./contract_event");
+const paginator_1 = require("./paginator");
+const errors_1 = require("./errors");
 /**
  * A representation of a SmartContract on the blockchain.
  */
@@ -16,12 +17,16 @@ class SmartContract {
      * Creates a new SmartContract instance.
      *
      * @param contractModel - The SmartContract model from the API.
+     * @param coinbase - The Coinbase instance the SmartContract is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Smart Contract was created with, if any.
      */
-    constructor(contractModel) {
+    constructor(contractModel, coinbase, idempotencyKey) {
         if (!contractModel) {
             throw new Error("SmartContract model cannot be empty");
         }
         this.model = contractModel;
+        this.coinbase = coinbase;
+        this.idempotencyKey = idempotencyKey;
     }
     /**
      * Returns whether the SmartContract is external.
@@ -41,24 +46,39 @@ class SmartContract {
      * @param eventName - The event name.
      * @param fromBlockHeight - The start block height.
      * @param toBlockHeight - The end block height.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The contract events.
      */
-    static async listEvents(networkId, protocolName, contractAddress, contractName, eventName, fromBlockHeight, toBlockHeight) {
-        const contractEvents = [];
-        const queue = [""];
-        while (queue.length > 0) {
-            const page = queue.shift();
-            const response = await coinbase_1.Coinbase.apiClients.contractEvent.listContractEvents(networkId, protocolName, contractAddress, contractName, eventName, fromBlockHeight, toBlockHeight, page?.length ? page : undefined);
-            response.data.data.forEach(contractEvent => {
-                contractEvents.push(new contract_event_1.ContractEvent(contractEvent));
-            });
-            if (response.data.has_more) {
-                if (response.data.next_page) {
-                    queue.push(response.data.next_page);
-                }
-            }
-        }
-        return contractEvents;
+    static async listEvents(networkId, protocolName, contractAddress, contractName, eventName, fromBlockHeight, toBlockHeight, coinbase) {
+        return SmartContract.paginateEvents(networkId, protocolName, contractAddress, contractName, eventName, fromBlockHeight, toBlockHeight, {}, coinbase).toArray();
+    }
+    /**
+     * Iterates over the ContractEvents for the provided network, contract, and event details, fetching pages as needed.
+     *
+     * @param networkId - The network ID.
+     * @param protocolName - The protocol name.
+     * @param contractAddress - The contract address.
+     * @param contractName - The contract name.
+     * @param eventName - The event name.
+     * @param fromBlockHeight - The start block height.
+     * @param toBlockHeight - The end block height.
+     * @param options - The iteration options. The API picks the page size.
+     * @param options.maxItems - The maximum number of ContractEvents to return. Defaults to all of them.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the contract events.
+     * @throws {ArgumentError} If a page size is passed, since the API does not take one.
+     */
+    static paginateEvents(networkId, protocolName, contractAddress, contractName, eventName, fromBlockHeight, toBlockHeight, options = {}, coinbase) {
+        const { maxItems, page } = SmartContract.iterationOptions(options);
+        return new paginator_1.Paginator(async (_, page) => {
+            const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.contractEvent.listContractEvents(networkId, protocolName, contractAddress, contractName, eventName, fromBlockHeight, toBlockHeight, page);
+            return {
+                data: response.data.data.map(contractEvent => new contract_event_1.ContractEvent(contractEvent)),
+                hasMore: response.data.has_more,
+                nextPage: response.data.next_page,
+            };
+        }, { maxItems, page });
     }
     /**
      * Register a smart contract.
@@ -68,30 +88,32 @@ class SmartContract {
      * @param options.contractAddress - The contract address.
      * @param options.abi - The ABI of the contract.
      * @param options.contractName - The contract name.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The smart contract.
      */
-    static async register({ networkId, contractAddress, abi, contractName, }) {
-        const response = await coinbase_1.Coinbase.apiClients.smartContract.registerSmartContract(networkId, contractAddress, {
+    static async register({ networkId, contractAddress, abi, contractName, }, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.smartContract.registerSmartContract(networkId, contractAddress, {
             abi: JSON.stringify(abi),
             contract_name: contractName,
         });
-        return SmartContract.fromModel(response.data);
+        return SmartContract.fromModel(response.data, coinbase);
     }
     /**
      * Lists Smart Contracts.
      *
      * @param options - The pagination options.
      * @param options.page - The cursor for pagination across multiple pages of Smart Contract. Don\&#39;t include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      *
      * @returns The paginated list response of Smart Contracts.
      */
-    static async list({ page = undefined } = {}) {
+    static async list({ page = undefined } = {}, coinbase) {
         const data = [];
         let nextPage;
-        const response = await coinbase_1.Coinbase.apiClients.smartContract.listSmartContracts(page);
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.smartContract.listSmartContracts(page);
         const smartContracts = response.data.data;
         for (const sc of smartContracts) {
-            data.push(new SmartContract(sc));
+            data.push(new SmartContract(sc, coinbase));
         }
         const hasMore = response.data.has_more ? response.data.has_more : false;
         if (hasMore) {
@@ -105,14 +127,44 @@ class SmartContract {
             nextPage,
         };
     }
+    /**
+     * Iterates over all Smart Contracts, fetching pages as needed.
+     *
+     * @param options - The iteration options. The API picks the page size.
+     * @param options.maxItems - The maximum number of Smart Contracts to return. Defaults to all of them.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the Smart Contracts.
+     * @throws {ArgumentError} If a page size is passed, since the API does not take one.
+     */
+    static paginate(options = {}, coinbase) {
+        const { maxItems, page } = SmartContract.iterationOptions(options);
+        return new paginator_1.Paginator((_, nextPage) => SmartContract.list({ page: nextPage }, coinbase), { maxItems, page });
+    }
+    /**
+     * Validates the iteration options of the Smart Contract list calls, which do not take a page size.
+     *
+     * @param options - The iteration options.
+     * @returns The iteration options without a page size.
+     * @throws {ArgumentError} If a page size is passed.
+     */
+    static iterationOptions(options) {
+        const { pageSize, ...iterationOptions } = options;
+        if (pageSize !== undefined) {
+            throw new errors_1.ArgumentError("pageSize is not supported: the API picks the page size of Smart Contract lists");
+        }
+        return iterationOptions;
+    }
     /**
      * Converts a SmartContractModel into a SmartContract object.
      *
      * @param contractModel - The SmartContract model object.
+     * @param coinbase - The Coinbase instance the SmartContract is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Smart Contract was created with, if any.
      * @returns The SmartContract object.
      */
-    static fromModel(contractModel) {
-        return new SmartContract(contractModel);
+    static fromModel(contractModel, coinbase, idempotencyKey) {
+        return new SmartContract(contractModel, coinbase, idempotencyKey);
     }
     /**
      * Returns the ID of the SmartContract.
@@ -122,6 +174,14 @@ class SmartContract {
     getId() {
         return this.model.smart_contract_id;
     }
+    /**
+     * Returns the idempotency key the Smart Contract was created with.
+     *
+     * @returns The idempotency key, or undefined if the Smart Contract was not created by this SDK instance.
+     */
+    getIdempotencyKey() {
+        return this.idempotencyKey;
+    }
     /**
      * Returns the Network ID of the SmartContract.
      *
@@ -239,7 +299,7 @@ class SmartContract {
      * Signs the SmartContract deployment with the provided key and returns the hex signature
      * required for broadcasting the SmartContract deployment.
      *
-     * @param key - The key to sign the SmartContract deployment with
+     * @param key - The Signer or ethers.js Wallet to sign the SmartContract deployment with
      * @returns The hex-encoded signed payload
      */
     async sign(key) {
@@ -256,11 +316,11 @@ class SmartContract {
      * @returns The smart contract.
      */
     async update({ abi, contractName }) {
-        const response = await coinbase_1.Coinbase.apiClients.smartContract.updateSmartContract(this.getNetworkId(), this.getContractAddress(), {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartContract.updateSmartContract(this.getNetworkId(), this.getContractAddress(), {
             abi: JSON.stringify(abi),
             contract_name: contractName,
         });
-        return SmartContract.fromModel(response.data);
+        return SmartContract.fromModel(response.data, this.coinbase);
     }
     /**
      * Broadcasts the SmartContract deployment to the Network.
@@ -276,8 +336,8 @@ class SmartContract {
         const deploySmartContractRequest = {
             signed_payload: this.getTransaction().getSignature(),
         };
-        const response = await coinbase_1.Coinbase.apiClients.smartContract.deploySmartContract(this.getWalletId(), this.getDeployerAddress(), this.getId(), deploySmartContractRequest);
-        return SmartContract.fromModel(response.data);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartContract.deploySmartContract(this.getWalletId(), this.getDeployerAddress(), this.getId(), deploySmartContractRequest);
+        return SmartContract.fromModel(response.data, this.coinbase);
     }
     /**
      * Waits for the SmartContract deployment to be confirmed on the Network or fail on chain.
@@ -287,24 +347,22 @@ class SmartContract {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the SmartContract deployment.
      * @param options.timeoutSeconds - The maximum time to wait for the SmartContract deployment to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The SmartContract object in a terminal state.
-     * @throws {Error} if the SmartContract deployment times out.
+     * @throws {TimeoutError} if the SmartContract deployment times out.
      */
-    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10 } = {}) {
+    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10, ...options } = {}) {
         if (this.isExternal)
             throw new Error("Cannot wait for an external SmartContract");
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutSeconds * 1000) {
+        await (0, wait_1.wait)(async () => {
             await this.reload();
-            // If the SmartContract deployment is in a terminal state, return the SmartContract.
-            const status = this.getTransaction().getStatus();
-            if (status === types_1.TransactionStatus.COMPLETE || status === types_1.TransactionStatus.FAILED) {
-                return this;
-            }
-            await (0, utils_1.delay)(intervalSeconds);
-        }
-        throw new errors_1.TimeoutError("SmartContract deployment timed out");
+            return this;
+        }, smartContract => [types_1.TransactionStatus.COMPLETE, types_1.TransactionStatus.FAILED].includes(smartContract.getTransaction().getStatus()), undefined, { intervalSeconds, timeoutSeconds, ...options }, { name: "SmartContract", getStatus: smartContract => smartContract.getTransaction().getStatus(), attributes: { "coinbase_sdk.smart_contract.id": this.getId() } });
+        return this;
     }
     /**
      * Reloads the SmartContract model with the latest data from the server.
@@ -314,7 +372,7 @@ class SmartContract {
     async reload() {
         if (this.isExternal)
             throw new Error("Cannot reload an external SmartContract");
-        const result = await coinbase_1.Coinbase.apiClients.smartContract.getSmartContract(this.getWalletId(), this.getDeployerAddress(), this.getId());
+        const result = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartContract.getSmartContract(this.getWalletId(), this.getDeployerAddress(), this.getId());
         this.model = result?.data;
     }
     /**
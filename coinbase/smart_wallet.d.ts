@@ -0,0 +1,228 @@
+import Decimal from "decimal.js";
+import { BalanceMap } from "./balance_map";
+import { Coinbase } from "./coinbase";
+import { Paginator } from "./paginator";
+import { UserOperation } from "./user_operation";
+import { PaginationOptions, PaginationResponse, PaginatorOptions, SmartWalletData, SmartWalletOwner, SmartWalletOwnerOptions } from "./types";
+import { CreateUserOperationOptions } from "../actions/createUserOperation";
+import { PreviewUserOperationOptions, PreviewUserOperationReturnType } from "../actions/previewUserOperation";
+import { SendUserOperationOptions, SendUserOperationReturnType } from "../actions/sendUserOperation";
+import { WaitForUserOperationOptions, WaitForUserOperationReturnType } from "../actions/waitForUserOperation";
+/**
+ * A representation of a smart wallet, an ERC-4337 account whose user operations are signed by one of its owners.
+ */
+export declare class SmartWallet {
+    private model;
+    private owner?;
+    private readonly coinbase?;
+    /**
+     * Private constructor to prevent direct instantiation outside of factory methods.
+     * Use SmartWallet.create, SmartWallet.fetch or SmartWallet.import instead.
+     *
+     * @ignore
+     * @param smartWalletModel - The smart wallet model.
+     * @param owner - The owner that signs the smart wallet's user operations, if any.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @hideconstructor
+     */
+    private constructor();
+    /**
+     * Creates a new smart wallet owned by `owner`.
+     *
+     * @param options - The options to create the smart wallet.
+     * @param options.owner - The owner of the smart wallet, which signs its user operations.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The smart wallet.
+     * @throws {APIError} if the API request to create the smart wallet fails.
+     */
+    static create({ owner }: {
+        owner: SmartWalletOwner;
+    }, coinbase?: Coinbase): Promise<SmartWallet>;
+    /**
+     * Fetches a smart wallet by its address. Attach an owner with `useOwner` to send user operations from it.
+     *
+     * @param address - The address of the smart wallet.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The smart wallet.
+     * @throws {APIError} if the API request to get the smart wallet fails.
+     */
+    static fetch(address: string, coinbase?: Coinbase): Promise<SmartWallet>;
+    /**
+     * Imports a smart wallet from data exported with `export`, without an API request.
+     *
+     * @param data - The smart wallet data.
+     * @param owner - The owner that signs the smart wallet's user operations, if any.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The smart wallet.
+     * @throws {ArgumentError} if `owner` is not an owner of the smart wallet.
+     */
+    static import(data: SmartWalletData, owner?: SmartWalletOwner, coinbase?: Coinbase): SmartWallet;
+    /**
+     * Lists the smart wallets of the CDP Project.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of smart wallets to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of smart wallets. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The paginated list response of smart wallets.
+     * @throws {APIError} if the API request to list smart wallets fails.
+     */
+    static listSmartWallets({ limit, page }?: PaginationOptions, coinbase?: Coinbase): Promise<PaginationResponse<SmartWallet>>;
+    /**
+     * Iterates over all the smart wallets of the CDP Project, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of smart wallets to return. Defaults to all of them.
+     * @param options.pageSize - The number of smart wallets to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the smart wallets.
+     */
+    static paginate(options?: PaginatorOptions, coinbase?: Coinbase): Paginator<SmartWallet>;
+    /**
+     * Returns the address of the smart wallet.
+     *
+     * @returns The address.
+     */
+    getAddress(): `0x${string}`;
+    /**
+     * Returns the addresses of the owners of the smart wallet.
+     *
+     * @returns The owner addresses.
+     */
+    getOwners(): string[];
+    /**
+     * Returns whether an owner is attached to sign the smart wallet's user operations.
+     *
+     * @returns True if the smart wallet can send user operations.
+     */
+    canSign(): boolean;
+    /**
+     * Attaches the owner that signs the smart wallet's user operations.
+     *
+     * @param owner - The owner, e.g. a viem LocalAccount or the account returned by `toViemAccount`.
+     * @throws {ArgumentError} if `owner` is not an owner of the smart wallet.
+     */
+    useOwner(owner: SmartWalletOwner): void;
+    /**
+     * Adds an owner to the smart wallet onchain, and waits for the user operation to complete.
+     *
+     * @param address - The address of the new owner.
+     * @param options - The options to send the user operation.
+     * @param options.chainId - The chain ID of the network to add the owner on.
+     * @param options.paymasterUrl - The URL of an ERC-7677 compliant paymaster to sponsor the user operation.
+     * @returns The completed or failed user operation.
+     * @throws {ArgumentError} if the address is already an owner.
+     * @throws {UnsupportedChainError} if the chain does not support smart wallets.
+     * @throws {Error} if no owner is attached to sign the user operation.
+     */
+    addOwner(address: `0x${string}`, { chainId, paymasterUrl }: SmartWalletOwnerOptions): Promise<WaitForUserOperationReturnType>;
+    /**
+     * Removes an owner from the smart wallet onchain, and waits for the user operation to complete.
+     *
+     * @param address - The address of the owner to remove.
+     * @param options - The options to send the user operation.
+     * @param options.chainId - The chain ID of the network to remove the owner on.
+     * @param options.paymasterUrl - The URL of an ERC-7677 compliant paymaster to sponsor the user operation.
+     * @returns The completed or failed user operation.
+     * @throws {ArgumentError} if the address is not an owner of the smart wallet onchain.
+     * @throws {UnsupportedChainError} if the chain does not support smart wallets.
+     * @throws {Error} if no owner is attached to sign the user operation.
+     */
+    removeOwner(address: `0x${string}`, { chainId, paymasterUrl }: SmartWalletOwnerOptions): Promise<WaitForUserOperationReturnType>;
+    /**
+     * Returns the balances of the smart wallet on a network.
+     *
+     * @param networkId - The network ID.
+     * @returns The map from asset ID to balance.
+     * @throws {APIError} if the API request to list balances fails.
+     */
+    listBalances(networkId: string): Promise<BalanceMap>;
+    /**
+     * Returns the balance of an asset of the smart wallet on a network.
+     *
+     * @param networkId - The network ID.
+     * @param assetId - The asset ID.
+     * @returns The balance of the asset.
+     * @throws {APIError} if the API request to get the balance fails.
+     */
+    getBalance(networkId: string, assetId: string): Promise<Decimal>;
+    /**
+     * Sends a user operation signed by the attached owner.
+     *
+     * @param options - The options for the user operation.
+     * @returns The broadcast user operation.
+     * @throws {Error} if no owner is attached to sign the user operation.
+     * @throws {APIError} if the API request to create or broadcast the user operation fails.
+     */
+    sendUserOperation<T extends readonly unknown[]>(options: SendUserOperationOptions<T>): Promise<SendUserOperationReturnType>;
+    /**
+     * Creates a user operation and previews it. The user operation is only signed by the attached owner and
+     * broadcast when `confirm` is called.
+     *
+     * @param options - The options for the user operation and its preview.
+     * @param options.publicClient - A viem public client for the network, used to simulate the calls and estimate their gas.
+     * @returns The preview, and functions to confirm or reject the user operation.
+     * @throws {Error} if no owner is attached to sign the user operation.
+     * @throws {APIError} if the API request to create the user operation fails.
+     */
+    previewUserOperation<T extends readonly unknown[]>(options: PreviewUserOperationOptions<T>): Promise<PreviewUserOperationReturnType>;
+    /**
+     * Creates a user operation without signing or broadcasting it, so that its signatures can be collected from
+     * one or more owners, e.g. in other processes, before it is broadcast.
+     *
+     * @param options - The options for the user operation.
+     * @param options.owners - The addresses of the owners allowed to sign. Defaults to the owners of the smart wallet.
+     * @param options.approvalThreshold - The number of distinct owners whose signatures are collected before
+     * broadcasting. Advisory: the contract accepts any single owner's signature. Defaults to 1.
+     * @returns The unsigned user operation.
+     * @throws {ArgumentError} if the approval threshold is not between 1 and the number of owners.
+     * @throws {APIError} if the API request to create the user operation fails.
+     */
+    createUserOperation<T extends readonly unknown[]>(options: CreateUserOperationOptions<T>): Promise<UserOperation>;
+    /**
+     * Waits for a user operation of the smart wallet to complete or fail.
+     *
+     * @param options - The options for the wait.
+     * @param options.userOpHash - The hash of the user operation.
+     * @param options.waitOptions - The options to configure the wait.
+     * @returns The completed or failed user operation.
+     * @throws {TimeoutError} if the user operation does not complete or fail within the timeout.
+     */
+    waitForUserOperation({ userOpHash, waitOptions, }: Omit<WaitForUserOperationOptions, "smartWalletAddress">): Promise<WaitForUserOperationReturnType>;
+    /**
+     * Reloads the smart wallet model with the latest data from the server.
+     *
+     * @returns The reloaded smart wallet.
+     * @throws {APIError} if the API request to get the smart wallet fails.
+     */
+    reload(): Promise<SmartWallet>;
+    /**
+     * Exports the smart wallet's data, which can be used to import the smart wallet later. The attached owner is
+     * not exported.
+     *
+     * @returns The smart wallet data.
+     */
+    export(): SmartWalletData;
+    /**
+     * Returns a String representation of the smart wallet.
+     *
+     * @returns a String representation of the smart wallet.
+     */
+    toString(): string;
+    /**
+     * Returns whether an address is an owner of the smart wallet.
+     *
+     * @param address - The address.
+     * @returns True if the address is an owner.
+     */
+    private isOwner;
+    /**
+     * Returns the onchain index of an owner of the smart wallet.
+     *
+     * @param networkId - The network ID.
+     * @param encodedOwner - The ABI-encoded owner.
+     * @returns The index, or undefined if the owner is not found.
+     */
+    private findOwnerIndex;
+}
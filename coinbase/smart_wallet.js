@@ -0,0 +1,394 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SmartWallet = void 0;
+const viem_1 = require("viem");
+const coinbase_1 = require("./coinbase");
+const address_1 = require("./address");
+const errors_1 = require("./errors");
+const paginator_1 = require("./paginator");
+const read_contract_1 = require("./read_contract");
+const chain_1 = require("../types/chain");
+const createUserOperation_1 = require("../actions/createUserOperation");
+const previewUserOperation_1 = require("../actions/previewUserOperation");
+const sendUserOperation_1 = require("../actions/sendUserOperation");
+const waitForUserOperation_1 = require("../actions/waitForUserOperation");
+/**
+ * The owner management functions of the Coinbase Smart Wallet contract.
+ */
+const OWNER_ABI = [
+    {
+        type: "function",
+        name: "addOwnerAddress",
+        inputs: [{ name: "owner", type: "address" }],
+        outputs: [],
+        stateMutability: "nonpayable",
+    },
+    {
+        type: "function",
+        name: "removeOwnerAtIndex",
+        inputs: [
+            { name: "index", type: "uint256" },
+            { name: "owner", type: "bytes" },
+        ],
+        outputs: [],
+        stateMutability: "nonpayable",
+    },
+    {
+        type: "function",
+        name: "ownerAtIndex",
+        inputs: [{ name: "index", type: "uint256" }],
+        outputs: [{ name: "", type: "bytes" }],
+        stateMutability: "view",
+    },
+    {
+        type: "function",
+        name: "nextOwnerIndex",
+        inputs: [],
+        outputs: [{ name: "", type: "uint256" }],
+        stateMutability: "view",
+    },
+];
+/**
+ * A representation of a smart wallet, an ERC-4337 account whose user operations are signed by one of its owners.
+ */
+class SmartWallet {
+    /**
+     * Private constructor to prevent direct instantiation outside of factory methods.
+     * Use SmartWallet.create, SmartWallet.fetch or SmartWallet.import instead.
+     *
+     * @ignore
+     * @param smartWalletModel - The smart wallet model.
+     * @param owner - The owner that signs the smart wallet's user operations, if any.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @hideconstructor
+     */
+    constructor(smartWalletModel, owner, coinbase) {
+        this.model = smartWalletModel;
+        this.owner = owner;
+        this.coinbase = coinbase;
+    }
+    /**
+     * Creates a new smart wallet owned by `owner`.
+     *
+     * @param options - The options to create the smart wallet.
+     * @param options.owner - The owner of the smart wallet, which signs its user operations.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The smart wallet.
+     * @throws {APIError} if the API request to create the smart wallet fails.
+     */
+    static async create({ owner }, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.smartWallet.createSmartWallet({
+            owner: owner.address,
+        });
+        return new SmartWallet(response.data, owner, coinbase);
+    }
+    /**
+     * Fetches a smart wallet by its address. Attach an owner with `useOwner` to send user operations from it.
+     *
+     * @param address - The address of the smart wallet.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The smart wallet.
+     * @throws {APIError} if the API request to get the smart wallet fails.
+     */
+    static async fetch(address, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.smartWallet.getSmartWallet(address);
+        return new SmartWallet(response.data, undefined, coinbase);
+    }
+    /**
+     * Imports a smart wallet from data exported with `export`, without an API request.
+     *
+     * @param data - The smart wallet data.
+     * @param owner - The owner that signs the smart wallet's user operations, if any.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The smart wallet.
+     * @throws {ArgumentError} if `owner` is not an owner of the smart wallet.
+     */
+    static import(data, owner, coinbase) {
+        const smartWallet = new SmartWallet({ address: data.address, owners: [...data.owners] }, undefined, coinbase);
+        if (owner) {
+            smartWallet.useOwner(owner);
+        }
+        return smartWallet;
+    }
+    /**
+     * Lists the smart wallets of the CDP Project.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of smart wallets to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of smart wallets. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The paginated list response of smart wallets.
+     * @throws {APIError} if the API request to list smart wallets fails.
+     */
+    static async listSmartWallets({ limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined } = {}, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.smartWallet.listSmartWallets(limit, page);
+        const hasMore = response.data.has_more;
+        return {
+            data: response.data.data.map(model => new SmartWallet(model, undefined, coinbase)),
+            hasMore,
+            nextPage: hasMore ? response.data.next_page : undefined,
+        };
+    }
+    /**
+     * Iterates over all the smart wallets of the CDP Project, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of smart wallets to return. Defaults to all of them.
+     * @param options.pageSize - The number of smart wallets to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the smart wallets.
+     */
+    static paginate(options = {}, coinbase) {
+        return new paginator_1.Paginator((limit, page) => SmartWallet.listSmartWallets({ limit, page }, coinbase), options);
+    }
+    /**
+     * Returns the address of the smart wallet.
+     *
+     * @returns The address.
+     */
+    getAddress() {
+        return this.model.address;
+    }
+    /**
+     * Returns the addresses of the owners of the smart wallet.
+     *
+     * @returns The owner addresses.
+     */
+    getOwners() {
+        return this.model.owners;
+    }
+    /**
+     * Returns whether an owner is attached to sign the smart wallet's user operations.
+     *
+     * @returns True if the smart wallet can send user operations.
+     */
+    canSign() {
+        return this.owner !== undefined;
+    }
+    /**
+     * Attaches the owner that signs the smart wallet's user operations.
+     *
+     * @param owner - The owner, e.g. a viem LocalAccount or the account returned by `toViemAccount`.
+     * @throws {ArgumentError} if `owner` is not an owner of the smart wallet.
+     */
+    useOwner(owner) {
+        if (!this.isOwner(owner.address)) {
+            throw new errors_1.ArgumentError(`${owner.address} is not an owner of smart wallet ${this.getAddress()}`);
+        }
+        this.owner = owner;
+    }
+    /**
+     * Adds an owner to the smart wallet onchain, and waits for the user operation to complete.
+     *
+     * @param address - The address of the new owner.
+     * @param options - The options to send the user operation.
+     * @param options.chainId - The chain ID of the network to add the owner on.
+     * @param options.paymasterUrl - The URL of an ERC-7677 compliant paymaster to sponsor the user operation.
+     * @returns The completed or failed user operation.
+     * @throws {ArgumentError} if the address is already an owner.
+     * @throws {UnsupportedChainError} if the chain does not support smart wallets.
+     * @throws {Error} if no owner is attached to sign the user operation.
+     */
+    async addOwner(address, { chainId, paymasterUrl }) {
+        if (this.isOwner(address)) {
+            throw new errors_1.ArgumentError(`${address} is already an owner of smart wallet ${this.getAddress()}`);
+        }
+        const operation = await this.sendUserOperation({
+            calls: [{ to: this.getAddress(), abi: OWNER_ABI, functionName: "addOwnerAddress", args: [address] }],
+            chainId,
+            paymasterUrl,
+        });
+        const result = await this.waitForUserOperation({ userOpHash: operation.userOpHash });
+        await this.reload();
+        return result;
+    }
+    /**
+     * Removes an owner from the smart wallet onchain, and waits for the user operation to complete.
+     *
+     * @param address - The address of the owner to remove.
+     * @param options - The options to send the user operation.
+     * @param options.chainId - The chain ID of the network to remove the owner on.
+     * @param options.paymasterUrl - The URL of an ERC-7677 compliant paymaster to sponsor the user operation.
+     * @returns The completed or failed user operation.
+     * @throws {ArgumentError} if the address is not an owner of the smart wallet onchain.
+     * @throws {UnsupportedChainError} if the chain does not support smart wallets.
+     * @throws {Error} if no owner is attached to sign the user operation.
+     */
+    async removeOwner(address, { chainId, paymasterUrl }) {
+        const networkId = (0, chain_1.getSmartWalletNetworkId)(chainId);
+        const encodedOwner = (0, viem_1.encodeAbiParameters)([{ type: "address" }], [address]);
+        const index = await this.findOwnerIndex(networkId, encodedOwner);
+        if (index === undefined) {
+            throw new errors_1.ArgumentError(`${address} is not an owner of smart wallet ${this.getAddress()} on ${networkId}`);
+        }
+        const operation = await this.sendUserOperation({
+            calls: [
+                {
+                    to: this.getAddress(),
+                    abi: OWNER_ABI,
+                    functionName: "removeOwnerAtIndex",
+                    args: [index, encodedOwner],
+                },
+            ],
+            chainId,
+            paymasterUrl,
+        });
+        const result = await this.waitForUserOperation({ userOpHash: operation.userOpHash });
+        await this.reload();
+        if (this.owner && this.owner.address.toLowerCase() === address.toLowerCase()) {
+            this.owner = undefined;
+        }
+        return result;
+    }
+    /**
+     * Returns the balances of the smart wallet on a network.
+     *
+     * @param networkId - The network ID.
+     * @returns The map from asset ID to balance.
+     * @throws {APIError} if the API request to list balances fails.
+     */
+    async listBalances(networkId) {
+        return new address_1.Address(networkId, this.getAddress(), this.coinbase).listBalances();
+    }
+    /**
+     * Returns the balance of an asset of the smart wallet on a network.
+     *
+     * @param networkId - The network ID.
+     * @param assetId - The asset ID.
+     * @returns The balance of the asset.
+     * @throws {APIError} if the API request to get the balance fails.
+     */
+    async getBalance(networkId, assetId) {
+        return new address_1.Address(networkId, this.getAddress(), this.coinbase).getBalance(assetId);
+    }
+    /**
+     * Sends a user operation signed by the attached owner.
+     *
+     * @param options - The options for the user operation.
+     * @returns The broadcast user operation.
+     * @throws {Error} if no owner is attached to sign the user operation.
+     * @throws {APIError} if the API request to create or broadcast the user operation fails.
+     */
+    async sendUserOperation(options) {
+        if (!this.owner) {
+            throw new Error("Cannot send a user operation without an owner; attach one with useOwner");
+        }
+        return (0, sendUserOperation_1.sendUserOperation)({ address: this.getAddress(), owners: [this.owner] }, options, this.coinbase);
+    }
+    /**
+     * Creates a user operation and previews it. The user operation is only signed by the attached owner and
+     * broadcast when `confirm` is called.
+     *
+     * @param options - The options for the user operation and its preview.
+     * @param options.publicClient - A viem public client for the network, used to simulate the calls and estimate their gas.
+     * @returns The preview, and functions to confirm or reject the user operation.
+     * @throws {Error} if no owner is attached to sign the user operation.
+     * @throws {APIError} if the API request to create the user operation fails.
+     */
+    async previewUserOperation(options) {
+        if (!this.owner) {
+            throw new Error("Cannot send a user operation without an owner; attach one with useOwner");
+        }
+        return (0, previewUserOperation_1.previewUserOperation)({ address: this.getAddress(), owners: [this.owner] }, options, this.coinbase);
+    }
+    /**
+     * Creates a user operation without signing or broadcasting it, so that its signatures can be collected from
+     * one or more owners, e.g. in other processes, before it is broadcast.
+     *
+     * @param options - The options for the user operation.
+     * @param options.owners - The addresses of the owners allowed to sign. Defaults to the owners of the smart wallet.
+     * @param options.approvalThreshold - The number of distinct owners whose signatures are collected before
+     * broadcasting. Advisory: the contract accepts any single owner's signature. Defaults to 1.
+     * @returns The unsigned user operation.
+     * @throws {ArgumentError} if the approval threshold is not between 1 and the number of owners.
+     * @throws {APIError} if the API request to create the user operation fails.
+     */
+    async createUserOperation(options) {
+        return (0, createUserOperation_1.createUserOperation)({ address: this.getAddress(), owners: this.owner ? [this.owner] : [] }, { owners: this.getOwners(), ...options }, this.coinbase);
+    }
+    /**
+     * Waits for a user operation of the smart wallet to complete or fail.
+     *
+     * @param options - The options for the wait.
+     * @param options.userOpHash - The hash of the user operation.
+     * @param options.waitOptions - The options to configure the wait.
+     * @returns The completed or failed user operation.
+     * @throws {TimeoutError} if the user operation does not complete or fail within the timeout.
+     */
+    async waitForUserOperation({ userOpHash, waitOptions }) {
+        return (0, waitForUserOperation_1.waitForUserOperation)({ userOpHash, smartWalletAddress: this.getAddress(), waitOptions }, this.coinbase);
+    }
+    /**
+     * Reloads the smart wallet model with the latest data from the server.
+     *
+     * @returns The reloaded smart wallet.
+     * @throws {APIError} if the API request to get the smart wallet fails.
+     */
+    async reload() {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartWallet.getSmartWallet(this.getAddress());
+        this.model = response.data;
+        return this;
+    }
+    /**
+     * Exports the smart wallet's data, which can be used to import the smart wallet later. The attached owner is
+     * not exported.
+     *
+     * @returns The smart wallet data.
+     */
+    export() {
+        return {
+            address: this.getAddress(),
+            owners: [...this.getOwners()],
+        };
+    }
+    /**
+     * Returns a String representation of the smart wallet.
+     *
+     * @returns a String representation of the smart wallet.
+     */
+    toString() {
+        return `SmartWallet{address: '${this.getAddress()}', owners: '${this.getOwners()}'}`;
+    }
+    /**
+     * Returns whether an address is an owner of the smart wallet.
+     *
+     * @param address - The address.
+     * @returns True if the address is an owner.
+     */
+    isOwner(address) {
+        return this.getOwners().some(owner => owner.toLowerCase() === address.toLowerCase());
+    }
+    /**
+     * Returns the onchain index of an owner of the smart wallet.
+     *
+     * @param networkId - The network ID.
+     * @param encodedOwner - The ABI-encoded owner.
+     * @returns The index, or undefined if the owner is not found.
+     */
+    async findOwnerIndex(networkId, encodedOwner) {
+        const nextOwnerIndex = await (0, read_contract_1.readContract)({
+            networkId,
+            contractAddress: this.getAddress(),
+            method: "nextOwnerIndex",
+            args: {},
+            abi: OWNER_ABI,
+            coinbase: this.coinbase,
+        });
+        for (let index = BigInt(0); index < BigInt(nextOwnerIndex); index++) {
+            const owner = await (0, read_contract_1.readContract)({
+                networkId,
+                contractAddress: this.getAddress(),
+                method: "ownerAtIndex",
+                args: { index: index.toString() },
+                abi: OWNER_ABI,
+                coinbase: this.coinbase,
+            });
+            if (owner.toLowerCase() === encodedOwner.toLowerCase()) {
+                return index;
+            }
+        }
+        return undefined;
+    }
+}
+exports.SmartWallet = SmartWallet;
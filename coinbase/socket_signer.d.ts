@@ -0,0 +1,130 @@
+/// <reference types="node" />
+import { Server } from "net";
+import { ethers } from "ethers";
+import { Signer, SignerServerOptions, SocketSignerOptions } from "./types";
+/**
+ * A Signer that delegates signing to a separate signer process over a Unix domain socket or a local TCP port,
+ * so that keys never enter the memory of the process using the SDK.
+ *
+ * Requests and responses are JSON objects, one per line. A request is `{ "id", "method", "params" }`, and the
+ * signer answers `{ "id", "result" }` or `{ "id", "error": { "message" } }`. The methods are `getAddress`,
+ * `signTransaction` (params `address` and the unsigned serialized `transaction`; result the signed serialized
+ * transaction), `signDigest` (params `address` and `digest`; result the serialized signature) and `signTypedData`
+ * (params `address`, `domain`, `types` and `value`; result the serialized signature). `createSignerServer`
+ * implements the signer side of the protocol.
+ *
+ * Every signature is checked against the signer's address before it is returned.
+ *
+ * Anyone who can connect to a TCP port can send requests, so TCP connections must carry an auth token, sent as
+ * the `auth` field of every request. Unix domain sockets rely on file permissions instead.
+ */
+export declare class SocketSigner implements Signer {
+    private readonly connectOptions;
+    private readonly timeoutMs;
+    private address?;
+    private readonly authToken?;
+    private socket?;
+    private nextId;
+    private pending;
+    private buffer;
+    /**
+     * Initializes a new SocketSigner object. The connection is opened on the first request.
+     *
+     * @param options - The signer options.
+     * @param options.path - The path of the Unix domain socket, or Windows named pipe, the signer listens on.
+     * @param options.host - The host the signer listens on, when it listens on TCP. Defaults to localhost.
+     * @param options.port - The port the signer listens on, when it listens on TCP.
+     * @param options.address - The address of the key to sign with, for signers holding several keys.
+     * @param options.authToken - The token the signer requires on every request. Required over TCP.
+     * @param options.timeoutSeconds - How long to wait for each response. Defaults to 30.
+     * @throws {ArgumentError} If neither a path nor a port is given, a port is given without an auth token, or the
+     * address is invalid.
+     */
+    constructor({ path, host, port, address, authToken, timeoutSeconds }: SocketSignerOptions);
+    /**
+     * Returns the address of the key, asking the signer for it if it was not configured.
+     *
+     * @returns The address.
+     */
+    getAddress(): Promise<string>;
+    /**
+     * Signs a transaction.
+     *
+     * @param transaction - The transaction to sign.
+     * @returns The signed transaction, serialized as a hex string.
+     * @throws {SignerError} If the signer fails, or signs a different transaction or with a different key.
+     */
+    signTransaction(transaction: ethers.TransactionLike<string>): Promise<string>;
+    /**
+     * Signs a 32 byte digest.
+     *
+     * @param digest - The digest, as a hex string.
+     * @returns The serialized signature.
+     * @throws {SignerError} If the signer fails, or signs with a different key.
+     */
+    signDigest(digest: string): Promise<string>;
+    /**
+     * Signs EIP-712 typed data.
+     *
+     * @param domain - The EIP-712 domain.
+     * @param types - The EIP-712 types.
+     * @param value - The value to sign.
+     * @returns The serialized signature.
+     * @throws {SignerError} If the signer fails, or signs with a different key.
+     */
+    signTypedData(domain: ethers.TypedDataDomain, types: Record<string, ethers.TypedDataField[]>, value: Record<string, unknown>): Promise<string>;
+    /**
+     * Closes the connection to the signer. Requests still waiting for a response are rejected.
+     */
+    close(): void;
+    /**
+     * Sends a request to the signer and waits for its response.
+     *
+     * @param method - The method.
+     * @param params - The parameters.
+     * @returns The result.
+     * @throws {SignerError} If the signer returns an error, the connection fails, or the response times out.
+     */
+    private request;
+    /**
+     * Returns the connection to the signer, opening it if needed. The connection does not keep the process
+     * alive on its own.
+     *
+     * @returns The socket.
+     */
+    private connect;
+    /**
+     * Handles data received from the signer.
+     *
+     * @param chunk - The data.
+     */
+    private receive;
+    /**
+     * Drops the connection and rejects every pending request. The next request reconnects.
+     *
+     * @param error - The error to reject the pending requests with.
+     */
+    private disconnect;
+}
+/**
+ * Creates a server that signs with the given Signers for SocketSigner clients. This is the reference signer
+ * process: run it separately from the application, with access to the keys the application must not hold.
+ *
+ * The server signs for any request it accepts. Without an auth token it only accepts connections over a Unix
+ * domain socket or Windows named pipe, whose file permissions decide who may connect: listening on a TCP port
+ * without one emits an `error` and closes the server. With an auth token, every request must carry it.
+ *
+ * @example
+ * ```ts
+ * const server = createSignerServer(new LocalSigner(new ethers.Wallet(process.env.PRIVATE_KEY!)));
+ * server.listen("/run/cdp-signer.sock");
+ * ```
+ *
+ * @param signers - The Signers to sign with. Requests pick a Signer by its address, which may be omitted when
+ * there is only one.
+ * @param options - The server options.
+ * @param options.authToken - The token every request must carry. Required to listen on a TCP port.
+ * @returns The server. Call `listen` on it with a socket path, or with a port when an auth token is set.
+ * @throws {ArgumentError} If the auth token is empty.
+ */
+export declare function createSignerServer(signers: Signer | Signer[], { authToken }?: SignerServerOptions): Server;
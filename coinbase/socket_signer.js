@@ -0,0 +1,388 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createSignerServer = exports.SocketSigner = void 0;
+const crypto_1 = require("crypto");
+const net_1 = require("net");
+const ethers_1 = require("ethers");
+const errors_1 = require("./errors");
+/**
+ * The largest message either side of the socket accepts, in characters.
+ */
+const MAX_MESSAGE_LENGTH = 1024 * 1024;
+/**
+ * A Signer that delegates signing to a separate signer process over a Unix domain socket or a local TCP port,
+ * so that keys never enter the memory of the process using the SDK.
+ *
+ * Requests and responses are JSON objects, one per line. A request is `{ "id", "method", "params" }`, and the
+ * signer answers `{ "id", "result" }` or `{ "id", "error": { "message" } }`. The methods are `getAddress`,
+ * `signTransaction` (params `address` and the unsigned serialized `transaction`; result the signed serialized
+ * transaction), `signDigest` (params `address` and `digest`; result the serialized signature) and `signTypedData`
+ * (params `address`, `domain`, `types` and `value`; result the serialized signature). `createSignerServer`
+ * implements the signer side of the protocol.
+ *
+ * Every signature is checked against the signer's address before it is returned.
+ *
+ * Anyone who can connect to a TCP port can send requests, so TCP connections must carry an auth token, sent as
+ * the `auth` field of every request. Unix domain sockets rely on file permissions instead.
+ */
+class SocketSigner {
+    /**
+     * Initializes a new SocketSigner object. The connection is opened on the first request.
+     *
+     * @param options - The signer options.
+     * @param options.path - The path of the Unix domain socket, or Windows named pipe, the signer listens on.
+     * @param options.host - The host the signer listens on, when it listens on TCP. Defaults to localhost.
+     * @param options.port - The port the signer listens on, when it listens on TCP.
+     * @param options.address - The address of the key to sign with, for signers holding several keys.
+     * @param options.authToken - The token the signer requires on every request. Required over TCP.
+     * @param options.timeoutSeconds - How long to wait for each response. Defaults to 30.
+     * @throws {ArgumentError} If neither a path nor a port is given, a port is given without an auth token, or the
+     * address is invalid.
+     */
+    constructor({ path, host = "localhost", port, address, authToken, timeoutSeconds = 30 }) {
+        if (!path && port === undefined) {
+            throw new errors_1.ArgumentError("SocketSigner requires a socket path or a port");
+        }
+        if (!path && !authToken) {
+            throw new errors_1.ArgumentError("SocketSigner requires an auth token to connect over TCP");
+        }
+        if (address !== undefined && !ethers_1.ethers.isAddress(address)) {
+            throw new errors_1.ArgumentError(`Invalid signer address: ${address}`);
+        }
+        this.connectOptions = path ? { path } : { host, port: port };
+        this.address = address === undefined ? undefined : ethers_1.ethers.getAddress(address);
+        this.authToken = authToken;
+        this.timeoutMs = timeoutSeconds * 1000;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.buffer = "";
+    }
+    /**
+     * Returns the address of the key, asking the signer for it if it was not configured.
+     *
+     * @returns The address.
+     */
+    async getAddress() {
+        if (this.address === undefined) {
+            this.address = ethers_1.ethers.getAddress(await this.request("getAddress", {}));
+        }
+        return this.address;
+    }
+    /**
+     * Signs a transaction.
+     *
+     * @param transaction - The transaction to sign.
+     * @returns The signed transaction, serialized as a hex string.
+     * @throws {SignerError} If the signer fails, or signs a different transaction or with a different key.
+     */
+    async signTransaction(transaction) {
+        const address = await this.getAddress();
+        const unsigned = transaction instanceof ethers_1.ethers.Transaction
+            ? transaction.clone()
+            : ethers_1.ethers.Transaction.from({ ...transaction, from: undefined });
+        const result = await this.request("signTransaction", {
+            address,
+            transaction: unsigned.unsignedSerialized,
+        });
+        let signed;
+        try {
+            signed = ethers_1.ethers.Transaction.from(result);
+        }
+        catch {
+            throw new errors_1.SignerError("Signer returned a malformed transaction");
+        }
+        if (signed.unsignedHash !== unsigned.unsignedHash || !sameAddress(signed.from, address)) {
+            throw new errors_1.SignerError(`Signer did not sign the requested transaction with ${address}`);
+        }
+        return signed.serialized;
+    }
+    /**
+     * Signs a 32 byte digest.
+     *
+     * @param digest - The digest, as a hex string.
+     * @returns The serialized signature.
+     * @throws {SignerError} If the signer fails, or signs with a different key.
+     */
+    async signDigest(digest) {
+        const address = await this.getAddress();
+        const signature = await this.request("signDigest", { address, digest });
+        checkSignature(() => ethers_1.ethers.recoverAddress(digest, signature), address);
+        return ethers_1.ethers.Signature.from(signature).serialized;
+    }
+    /**
+     * Signs EIP-712 typed data.
+     *
+     * @param domain - The EIP-712 domain.
+     * @param types - The EIP-712 types.
+     * @param value - The value to sign.
+     * @returns The serialized signature.
+     * @throws {SignerError} If the signer fails, or signs with a different key.
+     */
+    async signTypedData(domain, types, value) {
+        const address = await this.getAddress();
+        const signature = await this.request("signTypedData", { address, domain, types, value });
+        checkSignature(() => ethers_1.ethers.verifyTypedData(domain, types, value, signature), address);
+        return ethers_1.ethers.Signature.from(signature).serialized;
+    }
+    /**
+     * Closes the connection to the signer. Requests still waiting for a response are rejected.
+     */
+    close() {
+        this.socket?.end();
+        this.disconnect(new errors_1.SignerError("SocketSigner was closed"));
+    }
+    /**
+     * Sends a request to the signer and waits for its response.
+     *
+     * @param method - The method.
+     * @param params - The parameters.
+     * @returns The result.
+     * @throws {SignerError} If the signer returns an error, the connection fails, or the response times out.
+     */
+    request(method, params) {
+        const socket = this.connect();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new errors_1.SignerError(`Signer did not answer ${method} within ${this.timeoutMs / 1000} seconds`));
+            }, this.timeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+            socket.write(`${JSON.stringify({ id, method, params, auth: this.authToken }, jsonReplacer)}\n`);
+        });
+    }
+    /**
+     * Returns the connection to the signer, opening it if needed. The connection does not keep the process
+     * alive on its own.
+     *
+     * @returns The socket.
+     */
+    connect() {
+        if (this.socket) {
+            return this.socket;
+        }
+        const socket = (0, net_1.createConnection)(this.connectOptions);
+        socket.setEncoding("utf8");
+        socket.unref();
+        // Events of a connection that has since been replaced are ignored.
+        socket.on("data", chunk => this.socket === socket && this.receive(chunk));
+        socket.on("error", error => this.socket === socket &&
+            this.disconnect(new errors_1.SignerError(`Signer connection failed: ${error.message}`)));
+        socket.on("close", () => this.socket === socket && this.disconnect(new errors_1.SignerError("Signer connection closed")));
+        this.socket = socket;
+        this.buffer = "";
+        return socket;
+    }
+    /**
+     * Handles data received from the signer.
+     *
+     * @param chunk - The data.
+     */
+    receive(chunk) {
+        this.buffer += chunk;
+        if (this.buffer.length > MAX_MESSAGE_LENGTH) {
+            this.socket?.destroy();
+            this.disconnect(new errors_1.SignerError("Signer response is too large"));
+            return;
+        }
+        let newline;
+        while ((newline = this.buffer.indexOf("\n")) >= 0) {
+            const line = this.buffer.slice(0, newline);
+            this.buffer = this.buffer.slice(newline + 1);
+            let response;
+            try {
+                response = JSON.parse(line);
+            }
+            catch {
+                continue;
+            }
+            const pending = this.pending.get(response.id);
+            if (!pending) {
+                continue;
+            }
+            this.pending.delete(response.id);
+            clearTimeout(pending.timer);
+            if (response.error) {
+                pending.reject(new errors_1.SignerError(`Signer error: ${response.error.message ?? "unknown error"}`));
+            }
+            else {
+                pending.resolve(response.result);
+            }
+        }
+    }
+    /**
+     * Drops the connection and rejects every pending request. The next request reconnects.
+     *
+     * @param error - The error to reject the pending requests with.
+     */
+    disconnect(error) {
+        this.socket = undefined;
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(error);
+        }
+        this.pending.clear();
+    }
+}
+exports.SocketSigner = SocketSigner;
+/**
+ * Creates a server that signs with the given Signers for SocketSigner clients. This is the reference signer
+ * process: run it separately from the application, with access to the keys the application must not hold.
+ *
+ * The server signs for any request it accepts. Without an auth token it only accepts connections over a Unix
+ * domain socket or Windows named pipe, whose file permissions decide who may connect: listening on a TCP port
+ * without one emits an `error` and closes the server. With an auth token, every request must carry it.
+ *
+ * @example
+ * ```ts
+ * const server = createSignerServer(new LocalSigner(new ethers.Wallet(process.env.PRIVATE_KEY!)));
+ * server.listen("/run/cdp-signer.sock");
+ * ```
+ *
+ * @param signers - The Signers to sign with. Requests pick a Signer by its address, which may be omitted when
+ * there is only one.
+ * @param options - The server options.
+ * @param options.authToken - The token every request must carry. Required to listen on a TCP port.
+ * @returns The server. Call `listen` on it with a socket path, or with a port when an auth token is set.
+ * @throws {ArgumentError} If the auth token is empty.
+ */
+function createSignerServer(signers, { authToken } = {}) {
+    if (authToken === "") {
+        throw new errors_1.ArgumentError("Signer server auth token must not be empty");
+    }
+    const list = Array.isArray(signers) ? signers : [signers];
+    let byAddress;
+    const resolveSigner = async (address) => {
+        byAddress ?? (byAddress = Promise.all(list.map(async (signer) => [(await signer.getAddress()).toLowerCase(), signer])).then(entries => new Map(entries)));
+        if (address === undefined) {
+            if (list.length !== 1) {
+                throw new Error("An address is required when the signer holds several keys");
+            }
+            return list[0];
+        }
+        const signer = (await byAddress).get(String(address).toLowerCase());
+        if (!signer) {
+            throw new Error(`No key is held for address ${address}`);
+        }
+        return signer;
+    };
+    const dispatch = async (method, params) => {
+        const signer = await resolveSigner(params.address);
+        switch (method) {
+            case "getAddress":
+                return signer.getAddress();
+            case "signTransaction":
+                return signer.signTransaction(ethers_1.ethers.Transaction.from(params.transaction));
+            case "signDigest":
+                return signer.signDigest(params.digest);
+            case "signTypedData":
+                return signer.signTypedData(params.domain, params.types, params.value);
+            default:
+                throw new Error(`Unknown method: ${method}`);
+        }
+    };
+    const server = (0, net_1.createServer)(socket => {
+        // Unix domain sockets and named pipes have no remote address.
+        if (authToken === undefined && socket.remoteAddress !== undefined) {
+            socket.destroy();
+            return;
+        }
+        let buffer = "";
+        socket.setEncoding("utf8");
+        socket.on("error", () => socket.destroy());
+        const handle = async (line) => {
+            let id = null;
+            let response;
+            try {
+                const request = JSON.parse(line);
+                id = request.id ?? null;
+                if (authToken !== undefined && !sameToken(request.auth, authToken)) {
+                    throw new Error("Unauthorized");
+                }
+                response = { id, result: await dispatch(request.method, request.params ?? {}) };
+            }
+            catch (error) {
+                response = { id, error: { message: error.message } };
+            }
+            if (!socket.destroyed) {
+                socket.write(`${JSON.stringify(response)}\n`);
+            }
+        };
+        socket.on("data", chunk => {
+            buffer += chunk;
+            if (buffer.length > MAX_MESSAGE_LENGTH) {
+                socket.destroy();
+                return;
+            }
+            let newline;
+            while ((newline = buffer.indexOf("\n")) >= 0) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 1);
+                if (line.trim()) {
+                    void handle(line);
+                }
+            }
+        });
+    });
+    server.on("listening", () => {
+        if (authToken === undefined && typeof server.address() !== "string") {
+            server.close();
+            server.emit("error", new errors_1.ArgumentError("createSignerServer requires an auth token to listen on a TCP port"));
+        }
+    });
+    return server;
+}
+exports.createSignerServer = createSignerServer;
+/**
+ * Returns whether two addresses are the same, whatever their casing.
+ *
+ * @param a - The first address.
+ * @param b - The second address.
+ * @returns True if the addresses are the same.
+ */
+function sameAddress(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+/**
+ * Compares an auth token with the expected one in constant time.
+ *
+ * @param token - The token sent with a request.
+ * @param expected - The expected token.
+ * @returns True if the tokens are the same.
+ */
+function sameToken(token, expected) {
+    if (typeof token !== "string") {
+        return false;
+    }
+    const digest = (value) => (0, crypto_1.createHash)("sha256").update(value).digest();
+    return (0, crypto_1.timingSafeEqual)(digest(token), digest(expected));
+}
+/**
+ * Checks that a signature was made by the expected address.
+ *
+ * @param recover - Recovers the address that made the signature.
+ * @param address - The expected address.
+ * @throws {SignerError} If the signature is malformed or made by another address.
+ */
+function checkSignature(recover, address) {
+    let recovered;
+    try {
+        recovered = recover();
+    }
+    catch {
+        throw new errors_1.SignerError("Signer returned a malformed signature");
+    }
+    if (!sameAddress(recovered, address)) {
+        throw new errors_1.SignerError(`Signer did not sign with ${address}`);
+    }
+}
+/**
+ * Serializes bigints, which typed data values may hold, as decimal strings.
+ *
+ * @param _key - The key being serialized.
+ * @param value - The value being serialized.
+ * @returns The JSON-compatible value.
+ */
+function jsonReplacer(_key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
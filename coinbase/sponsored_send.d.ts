@@ -1,6 +1,5 @@
-import { ethers } from "ethers";
 import { SponsoredSend as SponsoredSendModel } from "../client/api";
-import { SponsoredSendStatus } from "./types";
+import { SponsoredSendStatus, SignerLike } from "./types";
 /**
  * A representation of an onchain Sponsored Send.
  */
@@ -29,10 +28,10 @@ export declare class SponsoredSend {
     /**
      * Signs the Sponsored Send with the provided key and returns the hex signature.
      *
-     * @param key - The key to sign the Sponsored Send with
+     * @param key - The Signer or ethers.js Wallet to sign the Sponsored Send with
      * @returns The hex-encoded signature
      */
-    sign(key: ethers.Wallet): Promise<string>;
+    sign(key: SignerLike): Promise<string>;
     /**
      * Returns whether the Sponsored Send has been signed.
      *
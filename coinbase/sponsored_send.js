@@ -1,7 +1,7 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.SponsoredSend = void 0;
-const ethers_1 = require("ethers");
+const signer_1 = require("./signer");
 const types_1 = require("./types");
 /**
  * A representation of an onchain Sponsored Send.
@@ -39,12 +39,11 @@ class SponsoredSend {
     /**
      * Signs the Sponsored Send with the provided key and returns the hex signature.
      *
-     * @param key - The key to sign the Sponsored Send with
+     * @param key - The Signer or ethers.js Wallet to sign the Sponsored Send with
      * @returns The hex-encoded signature
      */
     async sign(key) {
-        ethers_1.ethers.toBeArray;
-        const signature = key.signingKey.sign(ethers_1.ethers.getBytes(this.getTypedDataHash())).serialized;
+        const signature = await (0, signer_1.toSigner)(key).signDigest(this.getTypedDataHash());
         this.model.signature = signature;
         return signature;
     }
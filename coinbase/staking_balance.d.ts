@@ -1,5 +1,8 @@
 import { StakingBalance as StakingBalanceModel } from "../client";
 import { Balance } from "./balance";
+import { Coinbase } from "./coinbase";
+import { Paginator } from "./paginator";
+import { PaginatorOptions } from "./types";
 /**
  * A representation of the staking balance for a given asset on a specific date.
  */
@@ -19,9 +22,26 @@ export declare class StakingBalance {
      * @param addressId - The address ID.
      * @param startTime - The start time.
      * @param endTime - The end time.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The staking balances.
      */
-    static list(networkId: string, assetId: string, addressId: string, startTime: string, endTime: string): Promise<StakingBalance[]>;
+    static list(networkId: string, assetId: string, addressId: string, startTime: string, endTime: string, coinbase?: Coinbase): Promise<StakingBalance[]>;
+    /**
+     * Iterates over the StakingBalances for the provided network, asset, and address, fetching pages as needed.
+     *
+     * @param networkId - The network ID.
+     * @param assetId - The asset ID.
+     * @param addressId - The address ID.
+     * @param startTime - The start time.
+     * @param endTime - The end time.
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of StakingBalances to return. Defaults to all of them.
+     * @param options.pageSize - The number of StakingBalances to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the staking balances.
+     */
+    static paginate(networkId: string, assetId: string, addressId: string, startTime: string, endTime: string, options?: PaginatorOptions, coinbase?: Coinbase): Paginator<StakingBalance>;
     /**
      * Returns the bonded stake amount of the StakingBalance.
      *
@@ -3,6 +3,7 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.StakingBalance = void 0;
 const balance_1 = require("./balance");
 const coinbase_1 = require("./coinbase");
+const paginator_1 = require("./paginator");
 /**
  * A representation of the staking balance for a given asset on a specific date.
  */
@@ -23,24 +24,36 @@ class StakingBalance {
      * @param addressId - The address ID.
      * @param startTime - The start time.
      * @param endTime - The end time.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The staking balances.
      */
-    static async list(networkId, assetId, addressId, startTime, endTime) {
-        const stakingBalances = [];
-        const queue = [""];
-        while (queue.length > 0) {
-            const page = queue.shift();
-            const response = await coinbase_1.Coinbase.apiClients.stake.fetchHistoricalStakingBalances(networkId, assetId, addressId, startTime, endTime, 100, page?.length ? page : undefined);
-            response.data.data.forEach(stakingBalance => {
-                stakingBalances.push(new StakingBalance(stakingBalance));
-            });
-            if (response.data.has_more) {
-                if (response.data.next_page) {
-                    queue.push(response.data.next_page);
-                }
-            }
-        }
-        return stakingBalances;
+    static async list(networkId, assetId, addressId, startTime, endTime, coinbase) {
+        return StakingBalance.paginate(networkId, assetId, addressId, startTime, endTime, {}, coinbase).toArray();
+    }
+    /**
+     * Iterates over the StakingBalances for the provided network, asset, and address, fetching pages as needed.
+     *
+     * @param networkId - The network ID.
+     * @param assetId - The asset ID.
+     * @param addressId - The address ID.
+     * @param startTime - The start time.
+     * @param endTime - The end time.
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of StakingBalances to return. Defaults to all of them.
+     * @param options.pageSize - The number of StakingBalances to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the staking balances.
+     */
+    static paginate(networkId, assetId, addressId, startTime, endTime, options = {}, coinbase) {
+        return new paginator_1.Paginator(async (limit, page) => {
+            const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.stake.fetchHistoricalStakingBalances(networkId, assetId, addressId, startTime, endTime, limit, page);
+            return {
+                data: response.data.data.map(stakingBalance => new StakingBalance(stakingBalance)),
+                hasMore: response.data.has_more,
+                nextPage: response.data.next_page,
+            };
+        }, options);
     }
     /**
      * Returns the bonded stake amount of the StakingBalance.
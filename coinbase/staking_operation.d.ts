@@ -1,7 +1,8 @@
-import { ethers } from "ethers";
 import { StakingOperation as StakingOperationModel, StakingOperationStatusEnum } from "../client/api";
 import { Transaction } from "./transaction";
-import { Amount } from "./types";
+import { Amount, SignerLike } from "./types";
+import { Coinbase } from "./coinbase";
+import { WaitOptions } from "../utils/wait";
 export declare const UnstakeTypeExecution = "execution";
 export declare const UnstakeTypeConsensus = "consensus";
 /**
@@ -32,13 +33,17 @@ export declare function IsDedicatedEthUnstakeV2Operation(assetId: string, action
 export declare class StakingOperation {
     private model;
     private readonly transactions;
+    private coinbase?;
+    private idempotencyKey?;
     /**
      * Creates a StakingOperation object.
      *
      * @class
      * @param model - The staking operation response from the API call.
+     * @param coinbase - The Coinbase instance the staking operation is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Staking Operation was created with, if any.
      */
-    constructor(model: StakingOperationModel);
+    constructor(model: StakingOperationModel, coinbase?: Coinbase, idempotencyKey?: string);
     /**
      * Get the staking operation for the given ID.
      *
@@ -46,17 +51,24 @@ export declare class StakingOperation {
      * @param addressId - The address ID.
      * @param id - The staking operation ID.
      * @param walletId - The wallet ID of the staking operation.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @throws {Error} If the wallet id is defined but empty.
      *
      * @returns The staking operation object.
      */
-    static fetch(networkId: string, addressId: string, id: string, walletId?: string): Promise<StakingOperation>;
+    static fetch(networkId: string, addressId: string, id: string, walletId?: string, coinbase?: Coinbase): Promise<StakingOperation>;
     /**
      * Returns the Staking Operation ID.
      *
      * @returns The Staking Operation ID.
      */
     getID(): string;
+    /**
+     * Returns the idempotency key the Staking Operation was created with.
+     *
+     * @returns The idempotency key, or undefined if the Staking Operation was not created by this SDK instance.
+     */
+    getIdempotencyKey(): string | undefined;
     /**
      * Get the status of the staking operation.
      *
@@ -132,19 +144,20 @@ export declare class StakingOperation {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval at which to poll, in seconds
      * @param options.timeoutSeconds - The maximum amount of time to wait for the StakingOperation to complete, in seconds
-     * @throws {Error} If the StakingOperation takes longer than the given timeout.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
+     * @throws {TimeoutError} If the StakingOperation takes longer than the given timeout.
      * @returns The completed StakingOperation object.
      */
-    wait({ intervalSeconds, timeoutSeconds, }?: {
-        intervalSeconds?: number | undefined;
-        timeoutSeconds?: number | undefined;
-    }): Promise<StakingOperationModel>;
+    wait({ intervalSeconds, timeoutSeconds, ...options }?: WaitOptions<StakingOperation>): Promise<StakingOperationModel>;
     /**
      * Sign the transactions in the StakingOperation object.
      *
-     * @param key - The key used to sign the transactions.
+     * @param key - The Signer or ethers.js Wallet used to sign the transactions.
      */
-    sign(key: ethers.Wallet): Promise<void>;
+    sign(key: SignerLike): Promise<void>;
     /**
      * loadTransactionsFromModel loads new unsigned transactions from the model into the transactions array.
      * Note: For External Address model since tx signing and broadcast status happens by the end user and not our backend
@@ -162,12 +175,14 @@ export declare class StakingOperation {
 export declare class ExecutionLayerWithdrawalOptionsBuilder {
     private readonly networkId;
     private validatorAmounts;
+    private readonly coinbase?;
     /**
      * Creates an instance of ExecutionLayerWithdrawalOptionsBuilder.
      *
      * @param networkId - The network ID.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      */
-    constructor(networkId: string);
+    constructor(networkId: string, coinbase?: Coinbase);
     /**
      * Adds a validator withdrawal with the specified public key and amount.
      *
@@ -7,7 +7,7 @@ exports.ConsensusLayerExitOptionBuilder = exports.ExecutionLayerWithdrawalOption
 const api_1 = require("../client/api");
 const transaction_1 = require("./transaction");
 const coinbase_1 = require("./coinbase");
-const utils_1 = require("./utils");
+const wait_1 = require("../utils/wait");
 const types_1 = require("./types");
 const asset_1 = require("./asset");
 const decimal_js_1 = __importDefault(require("decimal.js"));
@@ -50,12 +50,16 @@ class StakingOperation {
      *
      * @class
      * @param model - The staking operation response from the API call.
+     * @param coinbase - The Coinbase instance the staking operation is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Staking Operation was created with, if any.
      */
-    constructor(model) {
+    constructor(model, coinbase, idempotencyKey) {
         if (!model) {
             throw new Error("Invalid model type");
         }
         this.model = model;
+        this.coinbase = coinbase;
+        this.idempotencyKey = idempotencyKey;
         this.transactions = [];
         this.loadTransactionsFromModel();
     }
@@ -66,18 +70,19 @@ class StakingOperation {
      * @param addressId - The address ID.
      * @param id - The staking operation ID.
      * @param walletId - The wallet ID of the staking operation.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @throws {Error} If the wallet id is defined but empty.
      *
      * @returns The staking operation object.
      */
-    static async fetch(networkId, addressId, id, walletId) {
+    static async fetch(networkId, addressId, id, walletId, coinbase) {
         if (walletId === undefined) {
-            const result = await coinbase_1.Coinbase.apiClients.stake.getExternalStakingOperation(networkId, addressId, id);
-            return new StakingOperation(result.data);
+            const result = await coinbase_1.Coinbase.resolve(coinbase).apiClients.stake.getExternalStakingOperation(networkId, addressId, id);
+            return new StakingOperation(result.data, coinbase);
         }
         else if (walletId != undefined && walletId != "") {
-            const result = await coinbase_1.Coinbase.apiClients.walletStake.getStakingOperation(walletId, addressId, id);
-            return new StakingOperation(result.data);
+            const result = await coinbase_1.Coinbase.resolve(coinbase).apiClients.walletStake.getStakingOperation(walletId, addressId, id);
+            return new StakingOperation(result.data, coinbase);
         }
         else {
             throw new Error("Invalid wallet ID");
@@ -91,6 +96,14 @@ class StakingOperation {
     getID() {
         return this.model.id;
     }
+    /**
+     * Returns the idempotency key the Staking Operation was created with.
+     *
+     * @returns The idempotency key, or undefined if the Staking Operation was not created by this SDK instance.
+     */
+    getIdempotencyKey() {
+        return this.idempotencyKey;
+    }
     /**
      * Get the status of the staking operation.
      *
@@ -188,11 +201,11 @@ class StakingOperation {
      */
     async reload() {
         if (this.getWalletID() === undefined) {
-            const result = await coinbase_1.Coinbase.apiClients.stake.getExternalStakingOperation(this.getNetworkID(), this.getAddressID(), this.getID());
+            const result = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.stake.getExternalStakingOperation(this.getNetworkID(), this.getAddressID(), this.getID());
             this.model = result.data;
         }
         else if (this.getWalletID() != undefined && this.getWalletID() != "") {
-            const result = await coinbase_1.Coinbase.apiClients.walletStake.getStakingOperation(this.getWalletID(), this.getAddressID(), this.getID());
+            const result = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.walletStake.getStakingOperation(this.getWalletID(), this.getAddressID(), this.getID());
             this.model = result.data;
         }
         this.loadTransactionsFromModel();
@@ -203,30 +216,27 @@ class StakingOperation {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval at which to poll, in seconds
      * @param options.timeoutSeconds - The maximum amount of time to wait for the StakingOperation to complete, in seconds
-     * @throws {Error} If the StakingOperation takes longer than the given timeout.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
+     * @throws {TimeoutError} If the StakingOperation takes longer than the given timeout.
      * @returns The completed StakingOperation object.
      */
-    async wait({ intervalSeconds = 5, timeoutSeconds = 3600, } = {}) {
+    async wait({ intervalSeconds = 5, timeoutSeconds = 3600, ...options } = {}) {
         if (this.getWalletID() != undefined) {
             throw new Error("cannot wait on staking operation for wallet address.");
         }
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutSeconds * 1000) {
+        await (0, wait_1.wait)(async () => {
             await this.reload();
-            if (this.isTerminalState()) {
-                return this.model;
-            }
-            if (Date.now() - startTime > timeoutSeconds * 1000) {
-                throw new Error("Staking operation timed out");
-            }
-            await (0, utils_1.delay)(intervalSeconds);
-        }
-        throw new Error("Staking operation timed out");
+            return this;
+        }, stakingOperation => stakingOperation.isTerminalState(), undefined, { intervalSeconds, timeoutSeconds, ...options }, { name: "StakingOperation", getStatus: stakingOperation => stakingOperation.getStatus(), attributes: { "coinbase_sdk.staking_operation.id": this.getID() } });
+        return this.model;
     }
     /**
      * Sign the transactions in the StakingOperation object.
      *
-     * @param key - The key used to sign the transactions.
+     * @param key - The Signer or ethers.js Wallet used to sign the transactions.
      */
     async sign(key) {
         for (const tx of this.transactions) {
@@ -267,10 +277,12 @@ class ExecutionLayerWithdrawalOptionsBuilder {
      * Creates an instance of ExecutionLayerWithdrawalOptionsBuilder.
      *
      * @param networkId - The network ID.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      */
-    constructor(networkId) {
+    constructor(networkId, coinbase) {
         this.validatorAmounts = {};
         this.networkId = networkId;
+        this.coinbase = coinbase;
     }
     /**
      * Adds a validator withdrawal with the specified public key and amount.
@@ -288,7 +300,7 @@ class ExecutionLayerWithdrawalOptionsBuilder {
      * @returns A promise that resolves to an object containing the execution layer withdrawal options merged with any provided options.
      */
     async build(options = {}) {
-        const asset = await asset_1.Asset.fetch(this.networkId, coinbase_1.Coinbase.assets.Eth);
+        const asset = await asset_1.Asset.fetch(this.networkId, coinbase_1.Coinbase.assets.Eth, this.coinbase);
         const validatorAmounts = {};
         for (const pubKey in this.validatorAmounts) {
             const amount = this.validatorAmounts[pubKey];
@@ -1,6 +1,8 @@
 import { StakingReward as StakingRewardModel } from "../client";
 import { Asset } from "./asset";
-import { Amount, StakingRewardFormat } from "./types";
+import { Amount, PaginatorOptions, StakingRewardFormat } from "./types";
+import { Coinbase } from "./coinbase";
+import { Paginator } from "./paginator";
 /**
  * A representation of a staking reward earned on a network for a given asset.
  */
@@ -25,9 +27,27 @@ export declare class StakingReward {
      * @param startTime - The start time.
      * @param endTime - The end time.
      * @param format - The format to return the rewards in. (usd, native). Defaults to usd.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The staking rewards.
      */
-    static list(networkId: string, assetId: string, addressIds: Array<string>, startTime: string, endTime: string, format?: StakingRewardFormat): Promise<StakingReward[]>;
+    static list(networkId: string, assetId: string, addressIds: Array<string>, startTime: string, endTime: string, format?: StakingRewardFormat, coinbase?: Coinbase): Promise<StakingReward[]>;
+    /**
+     * Iterates over the StakingRewards for the provided network, asset, and addresses, fetching pages as needed.
+     *
+     * @param networkId - The network ID.
+     * @param assetId - The asset ID.
+     * @param addressIds - The address ID.
+     * @param startTime - The start time.
+     * @param endTime - The end time.
+     * @param format - The format to return the rewards in. (usd, native). Defaults to usd.
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of StakingRewards to return. Defaults to all of them.
+     * @param options.pageSize - The number of StakingRewards to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the staking rewards.
+     */
+    static paginate(networkId: string, assetId: string, addressIds: Array<string>, startTime: string, endTime: string, format?: StakingRewardFormat, options?: PaginatorOptions, coinbase?: Coinbase): Paginator<StakingReward>;
     /**
      * Returns the amount of the StakingReward.
      *
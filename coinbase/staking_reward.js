@@ -8,6 +8,7 @@ const decimal_js_1 = __importDefault(require("decimal.js"));
 const coinbase_1 = require("./coinbase");
 const asset_1 = require("./asset");
 const types_1 = require("./types");
+const paginator_1 = require("./paginator");
 /**
  * A representation of a staking reward earned on a network for a given asset.
  */
@@ -33,13 +34,31 @@ class StakingReward {
      * @param startTime - The start time.
      * @param endTime - The end time.
      * @param format - The format to return the rewards in. (usd, native). Defaults to usd.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
      * @returns The staking rewards.
      */
-    static async list(networkId, assetId, addressIds, startTime, endTime, format = types_1.StakingRewardFormat.USD) {
-        const stakingRewards = [];
-        const queue = [""];
-        while (queue.length > 0) {
-            const page = queue.shift();
+    static async list(networkId, assetId, addressIds, startTime, endTime, format = types_1.StakingRewardFormat.USD, coinbase) {
+        return StakingReward.paginate(networkId, assetId, addressIds, startTime, endTime, format, {}, coinbase).toArray();
+    }
+    /**
+     * Iterates over the StakingRewards for the provided network, asset, and addresses, fetching pages as needed.
+     *
+     * @param networkId - The network ID.
+     * @param assetId - The asset ID.
+     * @param addressIds - The address ID.
+     * @param startTime - The start time.
+     * @param endTime - The end time.
+     * @param format - The format to return the rewards in. (usd, native). Defaults to usd.
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of StakingRewards to return. Defaults to all of them.
+     * @param options.pageSize - The number of StakingRewards to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the staking rewards.
+     */
+    static paginate(networkId, assetId, addressIds, startTime, endTime, format = types_1.StakingRewardFormat.USD, options = {}, coinbase) {
+        let asset;
+        return new paginator_1.Paginator(async (limit, page) => {
             const request = {
                 network_id: coinbase_1.Coinbase.normalizeNetwork(networkId),
                 asset_id: assetId,
@@ -48,18 +67,14 @@ class StakingReward {
                 end_time: endTime,
                 format: format,
             };
-            const response = await coinbase_1.Coinbase.apiClients.stake.fetchStakingRewards(request, 100, page?.length ? page : undefined);
-            const asset = await asset_1.Asset.fetch(networkId, assetId);
-            response.data.data.forEach(stakingReward => {
-                stakingRewards.push(new StakingReward(stakingReward, asset, format));
-            });
-            if (response.data.has_more) {
-                if (response.data.next_page) {
-                    queue.push(response.data.next_page);
-                }
-            }
-        }
-        return stakingRewards;
+            const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.stake.fetchStakingRewards(request, limit, page);
+            asset ?? (asset = await asset_1.Asset.fetch(networkId, assetId, coinbase));
+            return {
+                data: response.data.data.map(stakingReward => new StakingReward(stakingReward, asset, format)),
+                hasMore: response.data.has_more,
+                nextPage: response.data.next_page,
+            };
+        }, options);
     }
     /**
      * Returns the amount of the StakingReward.
@@ -0,0 +1,37 @@
+import { Attributes, Span } from "@opentelemetry/api";
+import { Axios } from "axios";
+/**
+ * The name the SDK's tracer and meter are registered under.
+ */
+export declare const INSTRUMENTATION_NAME = "@coinbase/coinbase-sdk";
+/**
+ * Runs the function inside a new active span. The span records the error and is marked as failed
+ * if the function throws.
+ *
+ * @param name - The span name, e.g. `Transfer.wait`.
+ * @param attributes - The span attributes.
+ * @param fn - The function to run.
+ * @returns The result of the function.
+ */
+export declare function withSpan<T>(name: string, attributes: Attributes, fn: (span: Span) => Promise<T>): Promise<T>;
+/**
+ * Records a status check made while waiting for an operation.
+ *
+ * @param operation - The name of the waiting operation, e.g. `Transfer.wait`.
+ */
+export declare function recordPollingIteration(operation: string): void;
+/**
+ * Records the terminal status an operation reached.
+ *
+ * @param operation - The name of the waiting operation, e.g. `Transfer.wait`.
+ * @param status - The terminal status.
+ */
+export declare function recordTerminalStatus(operation: string, status: string | undefined): void;
+/**
+ * Registers interceptors that trace every API request attempt as a client span, propagate the trace context
+ * to the API, and record request latency and retries. Failed attempts are passed on unchanged, so they must be
+ * registered before the retry and error interceptors.
+ *
+ * @param axiosInstance - The Axios instance to register the interceptors.
+ */
+export declare const registerTelemetryInterceptors: (axiosInstance: Axios) => void;
@@ -0,0 +1,151 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.registerTelemetryInterceptors = exports.recordTerminalStatus = exports.recordPollingIteration = exports.withSpan = exports.INSTRUMENTATION_NAME = void 0;
+const api_1 = require("@opentelemetry/api");
+const package_json_1 = require("../../package.json");
+/**
+ * The name the SDK's tracer and meter are registered under.
+ */
+exports.INSTRUMENTATION_NAME = "@coinbase/coinbase-sdk";
+const instrumentsByMeter = new WeakMap();
+/**
+ * Returns the SDK's tracer from the globally registered tracer provider.
+ *
+ * @returns The tracer.
+ */
+function getTracer() {
+    return api_1.trace.getTracer(exports.INSTRUMENTATION_NAME, package_json_1.version);
+}
+/**
+ * Returns the SDK's instruments from the globally registered meter provider.
+ * Instruments are looked up on every call so that a provider registered after the SDK is loaded is used.
+ *
+ * @returns The instruments.
+ */
+function getInstruments() {
+    const meter = api_1.metrics.getMeter(exports.INSTRUMENTATION_NAME, package_json_1.version);
+    let instruments = instrumentsByMeter.get(meter);
+    if (!instruments) {
+        instruments = {
+            requestDuration: meter.createHistogram("coinbase_sdk.http.client.request.duration", {
+                description: "The duration of API requests.",
+                unit: "ms",
+            }),
+            retries: meter.createCounter("coinbase_sdk.http.client.retries", {
+                description: "The number of retried API requests.",
+            }),
+            pollingIterations: meter.createCounter("coinbase_sdk.polling.iterations", {
+                description: "The number of status checks made while waiting for an operation.",
+            }),
+            terminalStatuses: meter.createCounter("coinbase_sdk.operation.terminal_status", {
+                description: "The number of operations that reached a terminal status.",
+            }),
+        };
+        instrumentsByMeter.set(meter, instruments);
+    }
+    return instruments;
+}
+/**
+ * Runs the function inside a new active span. The span records the error and is marked as failed
+ * if the function throws.
+ *
+ * @param name - The span name, e.g. `Transfer.wait`.
+ * @param attributes - The span attributes.
+ * @param fn - The function to run.
+ * @returns The result of the function.
+ */
+async function withSpan(name, attributes, fn) {
+    return getTracer().startActiveSpan(name, { attributes }, async (span) => {
+        try {
+            return await fn(span);
+        }
+        catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: api_1.SpanStatusCode.ERROR, message: error.message });
+            throw error;
+        }
+        finally {
+            span.end();
+        }
+    });
+}
+exports.withSpan = withSpan;
+/**
+ * Records a status check made while waiting for an operation.
+ *
+ * @param operation - The name of the waiting operation, e.g. `Transfer.wait`.
+ */
+function recordPollingIteration(operation) {
+    getInstruments().pollingIterations.add(1, { "coinbase_sdk.operation": operation });
+    api_1.trace.getActiveSpan()?.addEvent("poll");
+}
+exports.recordPollingIteration = recordPollingIteration;
+/**
+ * Records the terminal status an operation reached.
+ *
+ * @param operation - The name of the waiting operation, e.g. `Transfer.wait`.
+ * @param status - The terminal status.
+ */
+function recordTerminalStatus(operation, status) {
+    getInstruments().terminalStatuses.add(1, {
+        "coinbase_sdk.operation": operation,
+        "coinbase_sdk.status": String(status),
+    });
+    api_1.trace.getActiveSpan()?.setAttribute("coinbase_sdk.status", String(status));
+}
+exports.recordTerminalStatus = recordTerminalStatus;
+/**
+ * Registers interceptors that trace every API request attempt as a client span, propagate the trace context
+ * to the API, and record request latency and retries. Failed attempts are passed on unchanged, so they must be
+ * registered before the retry and error interceptors.
+ *
+ * @param axiosInstance - The Axios instance to register the interceptors.
+ */
+const registerTelemetryInterceptors = (axiosInstance) => {
+    const requests = new WeakMap();
+    axiosInstance.interceptors.request.use(config => {
+        const method = config.method?.toUpperCase() ?? "GET";
+        const retryCount = config["axios-retry"]?.retryCount ?? 0;
+        const attributes = {
+            "http.request.method": method,
+            "url.full": config.url ?? "",
+        };
+        if (retryCount > 0) {
+            attributes["http.request.resend_count"] = retryCount;
+            getInstruments().retries.add(1, { "http.request.method": method });
+        }
+        const span = getTracer().startSpan(`HTTP ${method}`, { kind: api_1.SpanKind.CLIENT, attributes });
+        api_1.propagation.inject(api_1.trace.setSpan(api_1.context.active(), span), config.headers, {
+            set: (headers, key, value) => headers.set(key, value),
+        });
+        requests.set(config, { span, start: Date.now() });
+        return config;
+    });
+    const finish = (config, status, error) => {
+        const request = config ? requests.get(config) : undefined;
+        if (!request) {
+            return;
+        }
+        const attributes = { "http.request.method": config.method?.toUpperCase() ?? "GET" };
+        if (status !== undefined) {
+            attributes["http.response.status_code"] = status;
+            request.span.setAttribute("http.response.status_code", status);
+        }
+        if (error) {
+            attributes["error.type"] = status !== undefined ? String(status) : error.code ?? "Error";
+            request.span.recordException(error);
+            request.span.setStatus({ code: api_1.SpanStatusCode.ERROR, message: error.message });
+        }
+        getInstruments().requestDuration.record(Date.now() - request.start, attributes);
+        request.span.end();
+        requests.delete(config);
+    };
+    axiosInstance.interceptors.response.use(response => {
+        finish(response.config, response.status);
+        return response;
+    }, error => {
+        finish(error.config, error.response?.status, error);
+        return Promise.reject(error);
+    });
+};
+exports.registerTelemetryInterceptors = registerTelemetryInterceptors;
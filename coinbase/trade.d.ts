@@ -1,30 +1,42 @@
 import { Decimal } from "decimal.js";
-import { ethers } from "ethers";
 import { Trade as CoinbaseTrade } from "../client/api";
 import { Transaction } from "./transaction";
-import { TransactionStatus } from "./types";
+import { TransactionStatus, SignerLike } from "./types";
+import { Coinbase } from "./coinbase";
+import { WaitOptions } from "../utils/wait";
+import { StatusDescription, StatusEventSource } from "../utils/status_watcher";
 /**
  * A representation of a Trade, which trades an amount of an Asset to another Asset on a Network.
  * The fee is assumed to be paid in the native Asset of the Network.
  */
-export declare class Trade {
+export declare class Trade extends StatusEventSource<Trade> {
     private model;
     private transaction?;
     private approveTransaction?;
+    private coinbase?;
+    private idempotencyKey?;
     /**
      * Trades should be created through Wallet.trade or Address.trade.
      *
      * @class
      * @param model - The underlying Trade object.
+     * @param coinbase - The Coinbase instance the Trade is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Trade was created with, if any.
      * @throws {Error} - If the Trade model is empty.
      */
-    constructor(model: CoinbaseTrade);
+    constructor(model: CoinbaseTrade, coinbase?: Coinbase, idempotencyKey?: string);
     /**
      * Returns the Trade ID.
      *
      * @returns The Trade ID.
      */
     getId(): string;
+    /**
+     * Returns the idempotency key the Trade was created with.
+     *
+     * @returns The idempotency key, or undefined if the Trade was not created by this SDK instance.
+     */
+    getIdempotencyKey(): string | undefined;
     /**
      * Returns the Network ID of the Trade.
      *
@@ -83,9 +95,9 @@ export declare class Trade {
      * Signs the Trade with the provided key.
      * This signs the transfer transaction and will sign the approval transaction if present.
      *
-     * @param key - The key to sign the Transfer with
+     * @param key - The Signer or ethers.js Wallet to sign the Transfer with
      */
-    sign(key: ethers.Wallet): Promise<void>;
+    sign(key: SignerLike): Promise<void>;
     /**
      * Broadcasts the Trade to the Network.
      *
@@ -106,20 +118,28 @@ export declare class Trade {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval at which to poll the Network, in seconds
      * @param options.timeoutSeconds - The maximum amount of time to wait for the Trade to complete, in seconds
-     * @throws {Error} If the Trade takes longer than the given timeout.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
+     * @throws {TimeoutError} If the Trade takes longer than the given timeout.
      * @throws {APIError} If the request fails.
      * @returns The completed Trade object.
      */
-    wait({ intervalSeconds, timeoutSeconds }?: {
-        intervalSeconds?: number | undefined;
-        timeoutSeconds?: number | undefined;
-    }): Promise<Trade>;
+    wait({ intervalSeconds, timeoutSeconds, ...options }?: WaitOptions<Trade>): Promise<Trade>;
     /**
      * Reloads the Trade model with the latest version from the server side.
      *
      * @returns The most recent version of Trade from the server.
      */
     reload(): Promise<Trade>;
+    /**
+     * Returns when the Trade is in a terminal state, and how it is described in status changes, errors and
+     * telemetry.
+     *
+     * @returns The status description of the Trade.
+     */
+    protected describeStatus(): StatusDescription<Trade>;
     /**
      * Returns a String representation of the Trade.
      *
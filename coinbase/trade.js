@@ -5,24 +5,30 @@ const decimal_js_1 = require("decimal.js");
 const coinbase_1 = require("./coinbase");
 const errors_1 = require("./errors");
 const transaction_1 = require("./transaction");
-const utils_1 = require("./utils");
+const wait_1 = require("../utils/wait");
+const status_watcher_1 = require("../utils/status_watcher");
 /**
  * A representation of a Trade, which trades an amount of an Asset to another Asset on a Network.
  * The fee is assumed to be paid in the native Asset of the Network.
  */
-class Trade {
+class Trade extends status_watcher_1.StatusEventSource {
     /**
      * Trades should be created through Wallet.trade or Address.trade.
      *
      * @class
      * @param model - The underlying Trade object.
+     * @param coinbase - The Coinbase instance the Trade is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Trade was created with, if any.
      * @throws {Error} - If the Trade model is empty.
      */
-    constructor(model) {
+    constructor(model, coinbase, idempotencyKey) {
+        super();
         if (!model) {
             throw new Error("Trade model cannot be empty");
         }
         this.model = model;
+        this.coinbase = coinbase;
+        this.idempotencyKey = idempotencyKey;
     }
     /**
      * Returns the Trade ID.
@@ -32,6 +38,14 @@ class Trade {
     getId() {
         return this.model.trade_id;
     }
+    /**
+     * Returns the idempotency key the Trade was created with.
+     *
+     * @returns The idempotency key, or undefined if the Trade was not created by this SDK instance.
+     */
+    getIdempotencyKey() {
+        return this.idempotencyKey;
+    }
     /**
      * Returns the Network ID of the Trade.
      *
@@ -114,7 +128,7 @@ class Trade {
      * Signs the Trade with the provided key.
      * This signs the transfer transaction and will sign the approval transaction if present.
      *
-     * @param key - The key to sign the Transfer with
+     * @param key - The Signer or ethers.js Wallet to sign the Transfer with
      */
     async sign(key) {
         if (this.getApproveTransaction()) {
@@ -137,7 +151,7 @@ class Trade {
         if (approveTx && !approveTx.isSigned()) {
             throw new errors_1.NotSignedError("Cannot broadcast Trade with unsigned approve transaction");
         }
-        const response = await coinbase_1.Coinbase.apiClients.trade.broadcastTrade(this.getWalletId(), tx.fromAddressId(), this.getId(), {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.trade.broadcastTrade(this.getWalletId(), tx.fromAddressId(), this.getId(), {
             signed_payload: tx.getSignature(),
             approve_transaction_signed_payload: approveTx ? approveTx.getSignature() : undefined,
         });
@@ -159,20 +173,20 @@ class Trade {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval at which to poll the Network, in seconds
      * @param options.timeoutSeconds - The maximum amount of time to wait for the Trade to complete, in seconds
-     * @throws {Error} If the Trade takes longer than the given timeout.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
+     * @throws {TimeoutError} If the Trade takes longer than the given timeout.
      * @throws {APIError} If the request fails.
      * @returns The completed Trade object.
      */
-    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10 } = {}) {
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutSeconds * 1000) {
+    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10, ...options } = {}) {
+        await (0, wait_1.wait)(async () => {
             await this.reload();
-            if (this.getTransaction().isTerminalState()) {
-                return this;
-            }
-            await (0, utils_1.delay)(intervalSeconds);
-        }
-        throw new errors_1.TimeoutError("Trade timed out");
+            return this;
+        }, trade => trade.getTransaction().isTerminalState(), undefined, { intervalSeconds, timeoutSeconds, ...options }, { name: "Trade", getStatus: trade => trade.getTransaction().getStatus(), attributes: { "coinbase_sdk.trade.id": this.getId() } });
+        return this;
     }
     /**
      * Reloads the Trade model with the latest version from the server side.
@@ -180,9 +194,21 @@ class Trade {
      * @returns The most recent version of Trade from the server.
      */
     async reload() {
-        const result = await coinbase_1.Coinbase.apiClients.trade.getTrade(this.getWalletId(), this.getAddressId(), this.getId());
+        const result = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.trade.getTrade(this.getWalletId(), this.getAddressId(), this.getId());
         return this.resetModel(result?.data);
     }
+    /**
+     * Returns when the Trade is in a terminal state, and how it is described in status changes, errors and
+     * telemetry.
+     *
+     * @returns The status description of the Trade.
+     */
+    describeStatus() {
+        return {
+            isTerminal: trade => trade.getTransaction().isTerminalState(),
+            context: { name: "Trade", getStatus: trade => trade.getTransaction().getStatus(), attributes: { "coinbase_sdk.trade.id": this.getId() } },
+        };
+    }
     /**
      * Returns a String representation of the Trade.
      *
@@ -1,6 +1,6 @@
 import { ethers } from "ethers";
 import { Transaction as TransactionModel, EthereumTransaction } from "../client/api";
-import { TransactionStatus } from "./types";
+import { TransactionStatus, SignerLike } from "./types";
 /**
  * A representation of an onchain Transaction.
  */
@@ -96,10 +96,10 @@ export declare class Transaction {
     /**
      * Signs the Transaction with the provided key and returns the hex signing payload.
      *
-     * @param key - The key to sign the transaction with
+     * @param key - The Signer or ethers.js Wallet to sign the transaction with
      * @returns The hex-encoded signed payload
      */
-    sign(key: ethers.Wallet): Promise<string>;
+    sign(key: SignerLike): Promise<string>;
     /**
      * Returns the Signed Payload of the Transaction.
      *
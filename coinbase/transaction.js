@@ -2,6 +2,7 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.Transaction = void 0;
 const ethers_1 = require("ethers");
+const signer_1 = require("./signer");
 const types_1 = require("./types");
 const utils_1 = require("./utils");
 /**
@@ -157,11 +158,11 @@ class Transaction {
     /**
      * Signs the Transaction with the provided key and returns the hex signing payload.
      *
-     * @param key - The key to sign the transaction with
+     * @param key - The Signer or ethers.js Wallet to sign the transaction with
      * @returns The hex-encoded signed payload
      */
     async sign(key) {
-        const signedPayload = await key.signTransaction(this.rawTransaction());
+        const signedPayload = await (0, signer_1.toSigner)(key).signTransaction(this.rawTransaction());
         this.model.signed_payload = signedPayload;
         // Removes the '0x' prefix as required by the API.
         return signedPayload.slice(2);
@@ -1,21 +1,28 @@
 import { Decimal } from "decimal.js";
-import { TransferStatus } from "./types";
+import { TransferStatus, SignerLike } from "./types";
 import { Transaction } from "./transaction";
 import { SponsoredSend } from "./sponsored_send";
 import { Transfer as TransferModel } from "../client/api";
 import { ethers } from "ethers";
+import { Coinbase } from "./coinbase";
+import { WaitOptions } from "../utils/wait";
+import { StatusDescription, StatusEventSource } from "../utils/status_watcher";
 /**
  * A representation of a Transfer, which moves an Amount of an Asset from
  * a user-controlled Wallet to another Address. The fee is assumed to be paid
  * in the native Asset of the Network.
  */
-export declare class Transfer {
+export declare class Transfer extends StatusEventSource<Transfer> {
     private model;
+    private coinbase?;
+    private idempotencyKey?;
     /**
      * Private constructor to prevent direct instantiation outside of the factory methods.
      *
      * @ignore
      * @param transferModel - The Transfer model.
+     * @param coinbase - The Coinbase instance the Transfer is bound to.
+     * @param idempotencyKey - The idempotency key the Transfer was created with, if any.
      * @hideconstructor
      */
     private constructor();
@@ -23,15 +30,23 @@ export declare class Transfer {
      * Converts a TransferModel into a Transfer object.
      *
      * @param transferModel - The Transfer model object.
+     * @param coinbase - The Coinbase instance the Transfer is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Transfer was created with, if any.
      * @returns The Transfer object.
      */
-    static fromModel(transferModel: TransferModel): Transfer;
+    static fromModel(transferModel: TransferModel, coinbase?: Coinbase, idempotencyKey?: string): Transfer;
     /**
      * Returns the ID of the Transfer.
      *
      * @returns The Transfer ID.
      */
     getId(): string;
+    /**
+     * Returns the idempotency key the Transfer was created with.
+     *
+     * @returns The idempotency key, or undefined if the Transfer was not created by this SDK instance.
+     */
+    getIdempotencyKey(): string | undefined;
     /**
      * Returns the Network ID of the Transfer.
      *
@@ -85,10 +100,10 @@ export declare class Transfer {
      * Signs the Transfer with the provided key and returns the hex signature
      * required for broadcasting the Transfer.
      *
-     * @param key - The key to sign the Transfer with
+     * @param key - The Signer or ethers.js Wallet to sign the Transfer with
      * @returns The hex-encoded signed payload
      */
-    sign(key: ethers.Wallet): Promise<string>;
+    sign(key: SignerLike): Promise<string>;
     /**
      * Returns the Status of the Transfer.
      *
@@ -134,20 +149,28 @@ export declare class Transfer {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the Transfer.
      * @param options.timeoutSeconds - The maximum time to wait for the Transfer to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The Transfer object in a terminal state.
-     * @throws {Error} if the Transfer times out.
+     * @throws {TimeoutError} if the Transfer times out.
      */
-    wait({ intervalSeconds, timeoutSeconds }?: {
-        intervalSeconds?: number | undefined;
-        timeoutSeconds?: number | undefined;
-    }): Promise<Transfer>;
+    wait({ intervalSeconds, timeoutSeconds, ...options }?: WaitOptions<Transfer>): Promise<Transfer>;
     /**
      * Reloads the Transfer model with the latest data from the server.
      *
      * @throws {APIError} if the API request to get a Transfer fails.
      */
     reload(): Promise<void>;
+    /**
+     * Returns when the Transfer is in a terminal state, and how it is described in status changes, errors and
+     * telemetry.
+     *
+     * @returns The status description of the Transfer.
+     */
+    protected describeStatus(): StatusDescription<Transfer>;
     /**
      * Returns a string representation of the Transfer.
      *
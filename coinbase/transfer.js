@@ -6,35 +6,42 @@ const types_1 = require("./types");
 const transaction_1 = require("./transaction");
 const sponsored_send_1 = require("./sponsored_send");
 const coinbase_1 = require("./coinbase");
-const utils_1 = require("./utils");
-const errors_1 = require("./errors");
+const wait_1 = require("../utils/wait");
+const status_watcher_1 = require("../utils/status_watcher");
 /**
  * A representation of a Transfer, which moves an Amount of an Asset from
  * a user-controlled Wallet to another Address. The fee is assumed to be paid
  * in the native Asset of the Network.
  */
-class Transfer {
+class Transfer extends status_watcher_1.StatusEventSource {
     /**
      * Private constructor to prevent direct instantiation outside of the factory methods.
      *
      * @ignore
      * @param transferModel - The Transfer model.
+     * @param coinbase - The Coinbase instance the Transfer is bound to.
+     * @param idempotencyKey - The idempotency key the Transfer was created with, if any.
      * @hideconstructor
      */
-    constructor(transferModel) {
+    constructor(transferModel, coinbase, idempotencyKey) {
+        super();
         if (!transferModel) {
             throw new Error("Transfer model cannot be empty");
         }
         this.model = transferModel;
+        this.coinbase = coinbase;
+        this.idempotencyKey = idempotencyKey;
     }
     /**
      * Converts a TransferModel into a Transfer object.
      *
      * @param transferModel - The Transfer model object.
+     * @param coinbase - The Coinbase instance the Transfer is bound to. Defaults to the default SDK instance.
+     * @param idempotencyKey - The idempotency key the Transfer was created with, if any.
      * @returns The Transfer object.
      */
-    static fromModel(transferModel) {
-        return new Transfer(transferModel);
+    static fromModel(transferModel, coinbase, idempotencyKey) {
+        return new Transfer(transferModel, coinbase, idempotencyKey);
     }
     /**
      * Returns the ID of the Transfer.
@@ -44,6 +51,14 @@ class Transfer {
     getId() {
         return this.model.transfer_id;
     }
+    /**
+     * Returns the idempotency key the Transfer was created with.
+     *
+     * @returns The idempotency key, or undefined if the Transfer was not created by this SDK instance.
+     */
+    getIdempotencyKey() {
+        return this.idempotencyKey;
+    }
     /**
      * Returns the Network ID of the Transfer.
      *
@@ -116,7 +131,7 @@ class Transfer {
      * Signs the Transfer with the provided key and returns the hex signature
      * required for broadcasting the Transfer.
      *
-     * @param key - The key to sign the Transfer with
+     * @param key - The Signer or ethers.js Wallet to sign the Transfer with
      * @returns The hex-encoded signed payload
      */
     async sign(key) {
@@ -199,8 +214,8 @@ class Transfer {
         const broadcastTransferRequest = {
             signed_payload: this.getSendTransactionDelegate().getSignature(),
         };
-        const response = await coinbase_1.Coinbase.apiClients.transfer.broadcastTransfer(this.getWalletId(), this.getFromAddressId(), this.getId(), broadcastTransferRequest);
-        return Transfer.fromModel(response.data);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.transfer.broadcastTransfer(this.getWalletId(), this.getFromAddressId(), this.getId(), broadcastTransferRequest);
+        return Transfer.fromModel(response.data, this.coinbase);
     }
     /**
      * Waits for the Transfer to be confirmed on the Network or fail on chain.
@@ -210,22 +225,20 @@ class Transfer {
      * @param options - The options to configure the wait function.
      * @param options.intervalSeconds - The interval to check the status of the Transfer.
      * @param options.timeoutSeconds - The maximum time to wait for the Transfer to be confirmed.
+     * @param options.backoffMultiplier - The factor the interval grows by after every status check. Defaults to 1.
+     * @param options.maxIntervalSeconds - The upper bound for the interval, in seconds.
+     * @param options.signal - A signal to cancel the wait.
+     * @param options.onStatusChange - Called with the first observed status and on every status change.
      *
      * @returns The Transfer object in a terminal state.
-     * @throws {Error} if the Transfer times out.
+     * @throws {TimeoutError} if the Transfer times out.
      */
-    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10 } = {}) {
-        const startTime = Date.now();
-        while (Date.now() - startTime < timeoutSeconds * 1000) {
+    async wait({ intervalSeconds = 0.2, timeoutSeconds = 10, ...options } = {}) {
+        await (0, wait_1.wait)(async () => {
             await this.reload();
-            // If the Transfer is in a terminal state, return the Transfer.
-            const status = this.getStatus();
-            if (status === types_1.TransferStatus.COMPLETE || status === types_1.TransferStatus.FAILED) {
-                return this;
-            }
-            await (0, utils_1.delay)(intervalSeconds);
-        }
-        throw new errors_1.TimeoutError("Transfer timed out");
+            return this;
+        }, transfer => [types_1.TransferStatus.COMPLETE, types_1.TransferStatus.FAILED].includes(transfer.getStatus()), undefined, { intervalSeconds, timeoutSeconds, ...options }, { name: "Transfer", getStatus: transfer => transfer.getStatus(), attributes: { "coinbase_sdk.transfer.id": this.getId() } });
+        return this;
     }
     /**
      * Reloads the Transfer model with the latest data from the server.
@@ -233,9 +246,21 @@ class Transfer {
      * @throws {APIError} if the API request to get a Transfer fails.
      */
     async reload() {
-        const result = await coinbase_1.Coinbase.apiClients.transfer.getTransfer(this.getWalletId(), this.getFromAddressId(), this.getId());
+        const result = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.transfer.getTransfer(this.getWalletId(), this.getFromAddressId(), this.getId());
         this.model = result?.data;
     }
+    /**
+     * Returns when the Transfer is in a terminal state, and how it is described in status changes, errors and
+     * telemetry.
+     *
+     * @returns The status description of the Transfer.
+     */
+    describeStatus() {
+        return {
+            isTerminal: transfer => [types_1.TransferStatus.COMPLETE, types_1.TransferStatus.FAILED].includes(transfer.getStatus()),
+            context: { name: "Transfer", getStatus: transfer => transfer.getStatus(), attributes: { "coinbase_sdk.transfer.id": this.getId() } },
+        };
+    }
     /**
      * Returns a string representation of the Transfer.
      *
@@ -1,10 +1,21 @@
 import { Decimal } from "decimal.js";
-import { AxiosPromise, AxiosRequestConfig, RawAxiosRequestConfig } from "axios";
-import { Address as AddressModel, AddressList, AddressBalanceList, AddressHistoricalBalanceList, Balance, CreateAddressRequest, CreateWalletRequest, BroadcastTransferRequest, CreateTransferRequest, TransferList, Wallet as WalletModel, SmartWallet as SmartWalletModel, Transfer as TransferModel, Trade as TradeModel, Asset as AssetModel, WalletList, TradeList as TradeListModel, CreateTradeRequest, BroadcastTradeRequest, ServerSignerList, BuildStakingOperationRequest, StakingOperation as StakingOperationModel, GetStakingContextRequest, StakingContext as StakingContextModel, FetchStakingRewardsRequest, FetchStakingRewards200Response, FetchHistoricalStakingBalances200Response, FaucetTransaction, BroadcastStakingOperationRequest, CreateStakingOperationRequest, ValidatorList, Validator, ValidatorStatus as APIValidatorStatus, Webhook as WebhookModel, WebhookList, CreateWebhookRequest, UpdateWebhookRequest, ContractEventList, CreatePayloadSignatureRequest, PayloadSignature as PayloadSignatureModel, PayloadSignatureList, WebhookEventType, WebhookEventFilter, AddressTransactionList, BroadcastContractInvocationRequest, CreateContractInvocationRequest, ContractInvocationList, ContractInvocation as ContractInvocationModel, SmartContractList, CreateSmartContractRequest, SmartContract as SmartContractModel, FundOperation as FundOperationModel, FundQuote as FundQuoteModel, DeploySmartContractRequest, WebhookEventTypeFilter, CreateWalletWebhookRequest, ReadContractRequest, SolidityValue, FundOperationList, CreateFundOperationRequest, CreateFundQuoteRequest, AddressReputation, RegisterSmartContractRequest, UpdateSmartContractRequest, CompileSmartContractRequest, CompiledSmartContract, BroadcastExternalTransactionRequest, BroadcastExternalTransaction200Response, CreateSmartWalletRequest, CreateUserOperationRequest, UserOperation as UserOperationModel, BroadcastUserOperationRequest } from "./../client/api";
+import { ethers } from "ethers";
+import type { PublicClient } from "viem";
+import { AxiosError, AxiosPromise, AxiosRequestConfig, RawAxiosRequestConfig } from "axios";
+import { Address as AddressModel, AddressList, AddressBalanceList, AddressHistoricalBalanceList, Balance, CreateAddressRequest, CreateWalletRequest, BroadcastTransferRequest, CreateTransferRequest, TransferList, Wallet as WalletModel, SmartWallet as SmartWalletModel, Transfer as TransferModel, Trade as TradeModel, Asset as AssetModel, WalletList, TradeList as TradeListModel, CreateTradeRequest, BroadcastTradeRequest, ServerSignerList, BuildStakingOperationRequest, StakingOperation as StakingOperationModel, GetStakingContextRequest, StakingContext as StakingContextModel, FetchStakingRewardsRequest, FetchStakingRewards200Response, FetchHistoricalStakingBalances200Response, FaucetTransaction, BroadcastStakingOperationRequest, CreateStakingOperationRequest, ValidatorList, Validator, ValidatorStatus as APIValidatorStatus, Webhook as WebhookModel, WebhookList, CreateWebhookRequest, UpdateWebhookRequest, ContractEventList, CreatePayloadSignatureRequest, PayloadSignature as PayloadSignatureModel, PayloadSignatureList, WebhookEventType, WebhookEventFilter, WebhookSmartContractEventFilter, WebhookStatus, WebhookWalletActivityFilter, AddressTransactionList, BroadcastContractInvocationRequest, CreateContractInvocationRequest, ContractInvocationList, ContractInvocation as ContractInvocationModel, SmartContractList, CreateSmartContractRequest, SmartContract as SmartContractModel, FundOperation as FundOperationModel, FundQuote as FundQuoteModel, DeploySmartContractRequest, WebhookEventTypeFilter, CreateWalletWebhookRequest, ReadContractRequest, SolidityValue, FundOperationList, CreateFundOperationRequest, CreateFundQuoteRequest, AddressReputation, RegisterSmartContractRequest, UpdateSmartContractRequest, CompileSmartContractRequest, CompiledSmartContract, BroadcastExternalTransactionRequest, BroadcastExternalTransaction200Response, CreateSmartWalletRequest, SmartWalletList, Network as NetworkModel, FeatureSet, CreateUserOperationRequest, UserOperation as UserOperationModel, BroadcastUserOperationRequest, ServerSigner as ServerSignerModel, CreateServerSignerRequest, ServerSignerEvent, ServerSignerEventList, SeedCreationEvent, SeedCreationEventResult, SignatureCreationEvent, SignatureCreationEventResult } from "./../client/api";
 import { Address } from "./address";
 import { Wallet } from "./wallet";
 import { HistoricalBalance } from "./historical_balance";
 import { Transaction } from "./transaction";
+import { APIError } from "./api_error";
+import { RetryPolicy } from "./retry_policy";
+import { ContractEvent } from "./contract_event";
+import { Coinbase } from "./coinbase";
+import { SmartWalletChainId } from "../types/chain";
+import { Transfer } from "./transfer";
+import { Trade } from "./trade";
+import { ContractInvocation } from "./contract_invocation";
+import { SmartContract } from "./smart_contract";
 export type AssetAPIClient = {
     /**
      * Get the asset for the specified asset ID.
@@ -138,6 +149,7 @@ export type SmartWalletAPIClient = {
     createUserOperation: (smartWalletAddress: string, networkId: string, createUserOperationRequest: CreateUserOperationRequest, options?: RawAxiosRequestConfig) => AxiosPromise<UserOperationModel>;
     broadcastUserOperation: (smartWalletAddress: string, userOperationId: string, broadcastUserOperationRequest: BroadcastUserOperationRequest, options?: RawAxiosRequestConfig) => AxiosPromise<UserOperationModel>;
     getUserOperation: (smartWalletAddress: string, userOpHash: string, options?: RawAxiosRequestConfig) => AxiosPromise<UserOperationModel>;
+    listSmartWallets: (limit?: number, page?: string, options?: RawAxiosRequestConfig) => AxiosPromise<SmartWalletList>;
 };
 /**
  * AddressAPI client type definition.
@@ -422,6 +434,55 @@ export type ServerSignerAPIClient = {
      * @throws {APIError} If the request fails.
      */
     listServerSigners(limit?: number, page?: string, options?: AxiosRequestConfig): AxiosPromise<ServerSignerList>;
+    /**
+     * Creates a Server-Signer.
+     *
+     * @param createServerSignerRequest - The Server-Signer creation request.
+     * @param options - Axios request options.
+     * @returns - A promise resolving to the Server-Signer.
+     * @throws {APIError} If the request fails.
+     */
+    createServerSigner(createServerSignerRequest?: CreateServerSignerRequest, options?: AxiosRequestConfig): AxiosPromise<ServerSignerModel>;
+    /**
+     * Gets a Server-Signer.
+     *
+     * @param serverSignerId - The ID of the Server-Signer.
+     * @param options - Axios request options.
+     * @returns - A promise resolving to the Server-Signer.
+     * @throws {APIError} If the request fails.
+     */
+    getServerSigner(serverSignerId: string, options?: AxiosRequestConfig): AxiosPromise<ServerSignerModel>;
+    /**
+     * Lists the events a Server-Signer has to process.
+     *
+     * @param serverSignerId - The ID of the Server-Signer.
+     * @param limit - The maximum number of events to return.
+     * @param page - The cursor for pagination across multiple pages of events.
+     * @param options - Axios request options.
+     * @returns - A promise resolving to the event list.
+     * @throws {APIError} If the request fails.
+     */
+    listServerSignerEvents(serverSignerId: string, limit?: number, page?: string, options?: AxiosRequestConfig): AxiosPromise<ServerSignerEventList>;
+    /**
+     * Submits the result of a seed creation event.
+     *
+     * @param serverSignerId - The ID of the Server-Signer.
+     * @param seedCreationEventResult - The result of the event.
+     * @param options - Axios request options.
+     * @returns - A promise resolving to the submitted result.
+     * @throws {APIError} If the request fails.
+     */
+    submitServerSignerSeedEventResult(serverSignerId: string, seedCreationEventResult?: SeedCreationEventResult, options?: AxiosRequestConfig): AxiosPromise<SeedCreationEventResult>;
+    /**
+     * Submits the result of a signature creation event.
+     *
+     * @param serverSignerId - The ID of the Server-Signer.
+     * @param signatureCreationEventResult - The result of the event.
+     * @param options - Axios request options.
+     * @returns - A promise resolving to the submitted result.
+     * @throws {APIError} If the request fails.
+     */
+    submitServerSignerSignatureEventResult(serverSignerId: string, signatureCreationEventResult?: SignatureCreationEventResult, options?: AxiosRequestConfig): AxiosPromise<SignatureCreationEventResult>;
 };
 /**
  * ExternalSmartContractAPIClient client type definition.
@@ -442,6 +503,20 @@ export type ExternalSmartContractAPIClient = {
      */
     listContractEvents(networkId: string, protocolName: string, contractAddress: string, contractName: string, eventName: string, fromBlockHeight: number, toBlockHeight: number, nextPage?: string): AxiosPromise<ContractEventList>;
 };
+export type NetworkAPIClient = {
+    /**
+     * Get the network for the specified network ID.
+     *
+     * @param networkId - The ID of the blockchain network.
+     * @param options - Override http request option.
+     * @throws {APIError} If the request fails.
+     */
+    getNetwork(networkId: string, options?: RawAxiosRequestConfig): AxiosPromise<NetworkModel>;
+};
+/**
+ * A feature a network may support, as reported in its feature set.
+ */
+export type NetworkFeature = keyof FeatureSet;
 /**
  * API clients type definition for the Coinbase SDK.
  * Represents the set of API clients available in the SDK.
@@ -465,6 +540,7 @@ export type ApiClients = {
     fund?: FundOperationApiClient;
     addressReputation?: AddressReputationApiClient;
     smartWallet?: SmartWalletAPIClient;
+    network?: NetworkAPIClient;
 };
 /**
  * Transfer status type definition.
@@ -611,6 +687,92 @@ export declare enum ServerSignerStatus {
     PENDING = "pending_seed_creation",
     ACTIVE = "active_seed"
 }
+/**
+ * The stage a resource signed by the Server-Signer is in.
+ */
+export declare enum ServerSignerStage {
+    AWAITING_SIGNATURE = "awaiting_signature",
+    BROADCAST = "broadcast",
+    CONFIRMED = "confirmed",
+    FAILED = "failed"
+}
+/**
+ * Options for waiting for the Server-Signer to sign a resource and for the resource to land onchain.
+ */
+export type ServerSignerWaitOptions<T = unknown> = {
+    /** The interval between status checks. Defaults to 0.2 seconds. */
+    intervalSeconds?: number;
+    /** The maximum time to wait for the resource to be confirmed or fail. Defaults to 60 seconds. */
+    timeoutSeconds?: number;
+    /** The maximum time to wait for the Server-Signer to sign. Defaults to `timeoutSeconds`. */
+    signatureTimeoutSeconds?: number;
+    /** A signal to stop waiting. The wait rejects with the signal's abort reason. */
+    signal?: AbortSignal;
+    /** Called with the first observed stage and on every stage change after that. */
+    onStageChange?: (stage: ServerSignerStage, resource: T) => void;
+};
+/**
+ * Options for creating a Server-Signer.
+ */
+export type CreateServerSignerOptions = {
+    /** The ID of the Server-Signer. Defaults to a random UUID. */
+    serverSignerId?: string;
+    /** Whether the Server-Signer uses MPC. Defaults to false. */
+    isMpc?: boolean;
+};
+/**
+ * Options for a LocalServerSignerKeyStore.
+ */
+export type LocalServerSignerKeyStoreOptions = {
+    /** Stores all the seeds durably, as hex strings keyed by seed ID, which is the ID of their Wallet. Must resolve only once they are stored. */
+    persist: (seeds: Record<string, string>) => Promise<void>;
+    /** The seeds to load, as hex strings keyed by seed ID. Defaults to none. */
+    seeds?: Record<string, string>;
+};
+/**
+ * A key store holds the seeds of a Server-Signer and signs with them. ServerSignerEventProcessor hands it the
+ * events it fetches, so that seeds can live in memory, on disk or in an HSM.
+ */
+export interface ServerSignerKeyStore {
+    /**
+     * Returns the seed already stored for the Wallet of a seed creation event, if any. The event is retried when
+     * submitting a new seed fails, and the stored seed must then be resubmitted instead of creating another one.
+     *
+     * @param event - The seed creation event.
+     * @returns The ID of the seed and the extended public key of its master key, or undefined if there is none.
+     */
+    findSeed(event: SeedCreationEvent): Promise<{
+        seedId: string;
+        extendedPublicKey: string;
+    } | undefined>;
+    /**
+     * Creates a seed for a Wallet. Must resolve only once the seed is stored durably: the extended public key is
+     * submitted as soon as it resolves, and the Wallet's addresses are derived from it from then on.
+     *
+     * @param event - The seed creation event.
+     * @returns The ID of the new seed and the extended public key of its master key.
+     */
+    createSeed(event: SeedCreationEvent): Promise<{
+        seedId: string;
+        extendedPublicKey: string;
+    }>;
+    /**
+     * Signs a payload with the key of an address.
+     *
+     * @param event - The signature creation event.
+     * @returns The signature, as a hex string without a 0x prefix.
+     */
+    sign(event: SignatureCreationEvent): Promise<string>;
+}
+/**
+ * Options for a ServerSignerEventProcessor.
+ */
+export type ServerSignerEventProcessorOptions = {
+    /** The interval between polls for new events, once started. Defaults to 1 second. */
+    intervalSeconds?: number;
+    /** Called with every error processing an event. The event is retried on the next poll. */
+    onError?: (error: Error, event?: ServerSignerEvent) => void;
+};
 /**
  * Options for creating a Wallet.
  */
@@ -620,6 +782,261 @@ export type WalletCreateOptions = {
     timeoutSeconds?: number;
     intervalSeconds?: number;
 };
+/**
+ * A Signer holds the key of an Address and signs on its behalf. Keys can live in memory, or behind a signing
+ * service such as an HSM, a KMS or a separate signer process.
+ */
+export interface Signer {
+    /**
+     * Returns the address of the key.
+     */
+    getAddress(): Promise<string>;
+    /**
+     * Signs a transaction and returns it serialized with its signature, as a 0x-prefixed hex string.
+     */
+    signTransaction(transaction: ethers.TransactionLike<string>): Promise<string>;
+    /**
+     * Signs a 32 byte digest and returns the serialized signature, as a 0x-prefixed hex string.
+     */
+    signDigest(digest: string): Promise<string>;
+    /**
+     * Signs EIP-712 typed data and returns the serialized signature, as a 0x-prefixed hex string.
+     */
+    signTypedData(domain: ethers.TypedDataDomain, types: Record<string, ethers.TypedDataField[]>, value: Record<string, unknown>): Promise<string>;
+}
+/**
+ * A key resources can be signed with: a Signer, or an in-memory ethers.js Wallet.
+ */
+export type SignerLike = Signer | ethers.Wallet;
+/**
+ * Options for a SocketSigner.
+ */
+export type SocketSignerOptions = {
+    /** The path of the Unix domain socket, or Windows named pipe, the signer listens on. */
+    path?: string;
+    /** The host the signer listens on, when it listens on TCP. Defaults to localhost. */
+    host?: string;
+    /** The port the signer listens on, when it listens on TCP. */
+    port?: number;
+    /** The address of the key to sign with, for signers holding several keys. Defaults to the signer's only key. */
+    address?: string;
+    /** The token the signer requires on every request. Required over TCP. */
+    authToken?: string;
+    /** How long to wait for each response. Defaults to 30 seconds. */
+    timeoutSeconds?: number;
+};
+/**
+ * Options for a signer server created with createSignerServer.
+ */
+export type SignerServerOptions = {
+    /** The token every request must carry. Required to listen on a TCP port. */
+    authToken?: string;
+};
+/**
+ * Options for a viem account wrapping a WalletAddress.
+ */
+export type ViemAccountOptions = {
+    /** The interval to check the status of Server-Signer Payload Signatures. Defaults to 0.2 seconds. */
+    intervalSeconds?: number;
+    /** The maximum time to wait for a Server-Signer Payload Signature. Defaults to 10 seconds. */
+    timeoutSeconds?: number;
+};
+/**
+ * Options for a CdpEthersProvider.
+ */
+export type CdpEthersProviderOptions = {
+    /** The network ID to read from. */
+    networkId: string;
+    /** The chain ID of the network. Defaults to the chain ID of known networks. */
+    chainId?: number | bigint;
+    /** The Coinbase instance to use. Defaults to the default SDK instance. */
+    coinbase?: Coinbase;
+};
+/**
+ * Options for a CdpEthersSigner.
+ */
+export type CdpEthersSignerOptions = {
+    /** The interval to check the status of Payload Signatures and sent transactions. Defaults to 0.2 seconds. */
+    intervalSeconds?: number;
+    /** The maximum time to wait for a Payload Signature or a sent transaction. Defaults to 60 seconds. */
+    timeoutSeconds?: number;
+};
+/**
+ * An owner of a smart wallet that can sign its user operations, e.g. a viem LocalAccount or the account
+ * returned by `toViemAccount`.
+ */
+export type SmartWalletOwner = {
+    /** The address of the owner. */
+    address: `0x${string}`;
+    /** Signs a 32 byte hash. */
+    sign: (parameters: {
+        hash: `0x${string}`;
+    }) => Promise<`0x${string}`>;
+};
+/**
+ * A smart wallet user operations can be sent from.
+ */
+export type SmartWalletLike = {
+    /** The address of the smart wallet. */
+    address: `0x${string}`;
+    /** The owners that can sign for the smart wallet. The first owner signs user operations. */
+    owners: readonly SmartWalletOwner[];
+};
+/**
+ * The data required to recreate a SmartWallet object.
+ */
+export type SmartWalletData = {
+    /** The address of the smart wallet. */
+    address: string;
+    /** The addresses of the owners of the smart wallet. */
+    owners: string[];
+};
+/**
+ * Options for changing the owners of a smart wallet.
+ */
+export type SmartWalletOwnerOptions = {
+    /** The chain ID of the network to change the owners on. */
+    chainId: SmartWalletChainId;
+    /** The URL of an ERC-7677 compliant paymaster to sponsor the user operation. */
+    paymasterUrl?: string;
+};
+/**
+ * The data required to recreate a UserOperation object, including the signatures collected so far.
+ */
+export type UserOperationData = {
+    /** The address of the smart wallet the user operation is sent from. */
+    smartWalletAddress: `0x${string}`;
+    /** The user operation model. */
+    model: UserOperationModel;
+    /** The addresses of the owners allowed to sign the user operation. */
+    owners: string[];
+    /** The number of distinct owners whose signatures are collected before broadcasting. Advisory: the contract accepts any single owner's signature. */
+    approvalThreshold: number;
+    /** The signatures collected so far, by owner address. */
+    signatures: Record<string, `0x${string}`>;
+    /** The URL of the paymaster sponsoring the user operation, if any. */
+    paymasterUrl?: string;
+    /** Whether the user operation was created with a policy, which must be passed to `UserOperation.import` to broadcast it. */
+    policyRequired?: boolean;
+};
+/**
+ * A call of a user operation, decoded with the ABI it was created with.
+ */
+export type DecodedUserOperationCall = {
+    /** The address the call is interacting with. */
+    to: `0x${string}`;
+    /** The value sent with the call, in wei. */
+    value: bigint;
+    /** The encoded call data. */
+    data: `0x${string}`;
+    /** The name of the called function, if the call was created with an ABI. */
+    functionName?: string;
+    /** The decoded arguments of the called function, if the call was created with an ABI. */
+    args?: readonly unknown[];
+};
+/**
+ * Options for previewing a user operation.
+ */
+export type UserOperationPreviewOptions = {
+    /** A viem public client for the network of the user operation, used to simulate its calls and estimate their gas. */
+    publicClient?: PublicClient;
+};
+/**
+ * The result of simulating the calls of a user operation.
+ */
+export type UserOperationSimulation = {
+    /** Whether every call succeeded. */
+    success: boolean;
+    /** The index of the first call that failed, if any. */
+    failedCallIndex?: number;
+    /** The error of the first call that failed, if any. */
+    error?: string;
+};
+/**
+ * Options for a UserOperationPolicy.
+ */
+export type UserOperationPolicyOptions = {
+    /** The addresses calls may target. Defaults to any address. */
+    allowedTargets?: string[];
+    /** The functions calls may call, as 4-byte selectors or signatures like `transfer(address,uint256)`. Defaults to any function. */
+    allowedSelectors?: string[];
+    /** The maximum native value, in wei, a user operation may send across its calls. */
+    maxValuePerOperation?: bigint;
+    /** The maximum native value, in wei, a smart wallet may send within the rolling window. */
+    maxValuePerWindow?: bigint;
+    /** The maximum amounts of ERC-20 tokens, in their smallest unit, by token address. */
+    tokenLimits?: Record<string, UserOperationTokenLimit>;
+    /** The length of the rolling window. Defaults to 24 hours. */
+    windowSeconds?: number;
+};
+/**
+ * The maximum amounts of an ERC-20 token a UserOperationPolicy lets user operations transfer or approve.
+ */
+export type UserOperationTokenLimit = {
+    /** The maximum amount, in the token's smallest unit, a user operation may transfer or approve across its calls. */
+    maxPerOperation?: bigint;
+    /** The maximum amount, in the token's smallest unit, a smart wallet may transfer or approve within the rolling window. */
+    maxPerWindow?: bigint;
+};
+/**
+ * The amounts a user operation that passed a UserOperationPolicy check reserved towards the rolling window caps.
+ */
+export type UserOperationPolicyReservation = {
+    /** Releases the reserved amounts, e.g. when the user operation could not be broadcast. Releasing twice has no effect. */
+    release(): void;
+};
+/**
+ * A preview of a user operation that has been created but not broadcast.
+ */
+export type UserOperationPreview = {
+    /** The address of the smart wallet the user operation is sent from. */
+    smartWalletAddress: `0x${string}`;
+    /** The ID of the network of the user operation. */
+    networkId: string;
+    /** The hash of the user operation, which is what the owners sign. */
+    userOpHash: `0x${string}`;
+    /** The unsigned payload of the user operation. */
+    unsignedPayload: string;
+    /** The calls of the user operation. */
+    calls: DecodedUserOperationCall[];
+    /** Whether the user operation was created with a paymaster URL. The paymaster is not asked whether it will sponsor it. */
+    paymasterConfigured: boolean;
+    /** The URL of the paymaster sponsoring the user operation, if any. */
+    paymasterUrl?: string;
+    /**
+     * The sum of the gas each call is estimated to use when sent on its own from the smart wallet, if a public client
+     * was given and the simulation succeeded. It excludes the verification and pre-verification gas of the user
+     * operation, and is not its call gas limit.
+     */
+    estimatedCallGas?: bigint;
+    /** The result of simulating the calls, if a public client was given. */
+    simulation?: UserOperationSimulation;
+};
+/**
+ * Options for a SeedStore.
+ */
+export type SeedStoreOptions = {
+    /** The path of the file the encrypted seeds are stored in. */
+    filePath: string;
+    /**
+     * The passphrase the seeds are encrypted with. If omitted, the seeds are encrypted with a key derived from
+     * the private key of the CDP API key.
+     */
+    passphrase?: string;
+    /** The Coinbase instance whose API key encrypts the seeds, and which imported Wallets are bound to. */
+    coinbase?: Coinbase;
+};
+/**
+ * The new key of a SeedStore, used when rotating it.
+ */
+export type SeedStoreKeyOptions = Omit<SeedStoreOptions, "filePath">;
+/**
+ * A Wallet whose seed is held in a SeedStore.
+ */
+export type StoredWallet = {
+    walletId: string;
+    networkId?: string;
+};
 /**
  * CoinbaseOptions type definition.
  */
@@ -640,6 +1057,15 @@ export type CoinbaseOptions = {
      * If true, logs API requests and responses to the console.
      */
     debugging?: boolean;
+    /**
+     * The logger to write API request and response entries to. Defaults to a console logger if
+     * `debugging` is true, and to no logging otherwise.
+     */
+    logger?: Logger;
+    /**
+     * Callbacks invoked for every API request attempt.
+     */
+    requestHooks?: RequestHooks;
     /**
      * The base path for the API.
      */
@@ -648,6 +1074,11 @@ export type CoinbaseOptions = {
      * The maximum number of network retries for the API GET requests.
      */
     maxNetworkRetries?: number;
+    /**
+     * The retry policy for failed API requests, or the options to build one from.
+     * Takes precedence over `maxNetworkRetries`.
+     */
+    retryPolicy?: RetryPolicy | RetryPolicyOptions;
     /**
      * The source for the API request, used for analytics. Defaults to `sdk`.
      */
@@ -656,6 +1087,158 @@ export type CoinbaseOptions = {
      * The version of the source for the API request, used for analytics.
      */
     sourceVersion?: string;
+    /**
+     * Whether the instance becomes the default SDK instance. Defaults to true.
+     * Set to false to configure an additional, independent SDK instance.
+     */
+    setAsDefault?: boolean;
+};
+/**
+ * The severity of a log entry.
+ */
+export type LogLevel = "debug" | "info" | "warn" | "error";
+/**
+ * The structured fields of a log entry.
+ */
+export type LogFields = Record<string, unknown>;
+/**
+ * A Logger receives the SDK's log entries. The SDK logs request metadata only, never headers or bodies;
+ * use `redact` before logging any other SDK data.
+ */
+export interface Logger {
+    debug(message: string, fields?: LogFields): void;
+    info(message: string, fields?: LogFields): void;
+    warn(message: string, fields?: LogFields): void;
+    error(message: string, fields?: LogFields): void;
+}
+/**
+ * The description of an API request passed to the request hooks.
+ */
+export type ApiRequestInfo = {
+    /**
+     * The HTTP method of the request.
+     */
+    method: string;
+    /**
+     * The full URL of the request.
+     */
+    url: string;
+    /**
+     * The path of the request URL.
+     */
+    path: string;
+    /**
+     * The HTTP status of the response, if one was received.
+     */
+    status?: number;
+    /**
+     * The time between sending the request and receiving the response, in milliseconds.
+     */
+    latencyMs?: number;
+    /**
+     * The correlation ID of a failed request, for reference in support requests.
+     */
+    correlationId?: string;
+    /**
+     * The API error code of a failed request.
+     */
+    apiCode?: string;
+    /**
+     * The error message of a failed request.
+     */
+    errorMessage?: string;
+};
+/**
+ * Callbacks invoked for every API request attempt, including retries.
+ * Errors thrown by a hook are logged and otherwise ignored.
+ */
+export type RequestHooks = {
+    /**
+     * Called before a request is sent.
+     */
+    onRequest?: (info: ApiRequestInfo) => void;
+    /**
+     * Called when a response with a successful status is received.
+     */
+    onResponse?: (info: ApiRequestInfo) => void;
+    /**
+     * Called when a request fails.
+     */
+    onError?: (info: ApiRequestInfo) => void;
+};
+/**
+ * The jitter strategy applied to retry delays: `none` uses the exact backoff delay, `full` picks a
+ * random delay up to the backoff delay, and `equal` keeps half the backoff delay and randomizes the rest.
+ */
+export type RetryJitter = "none" | "full" | "equal";
+/**
+ * RetryPolicyOptions type definition.
+ */
+export type RetryPolicyOptions = {
+    /**
+     * The maximum number of retries after the initial attempt. Defaults to 3.
+     */
+    maxRetries?: number;
+    /**
+     * The delay before the first retry, in milliseconds. Defaults to 200.
+     */
+    baseDelayMs?: number;
+    /**
+     * The upper bound for the backoff delay, in milliseconds. Defaults to 10000.
+     */
+    maxDelayMs?: number;
+    /**
+     * The longest delay requested by `Retry-After` that is waited for, in milliseconds. A request asked to wait
+     * longer is not retried, and fails with the error of its last attempt. Defaults to 300000.
+     */
+    maxRetryAfterMs?: number;
+    /**
+     * The factor the delay grows by on each retry. Defaults to 2.
+     */
+    backoffMultiplier?: number;
+    /**
+     * The jitter strategy applied to the backoff delay. Defaults to `full`.
+     */
+    jitter?: RetryJitter;
+    /**
+     * The HTTP status codes that are retried. Defaults to 429, 500, 502, 503 and 504.
+     */
+    retryableStatuses?: number[];
+    /**
+     * The APIError classes that are retried, matched against the error the API returned.
+     * Defaults to ResourceExhaustedError.
+     */
+    retryableErrors?: (typeof APIError)[];
+    /**
+     * The HTTP methods that are always safe to retry. Defaults to GET.
+     */
+    retryableMethods?: string[];
+    /**
+     * Whether requests carrying an idempotency key are retried regardless of their method. Defaults to true.
+     */
+    retryIdempotentRequests?: boolean;
+    /**
+     * Whether requests that failed without a response are retried. Defaults to true.
+     */
+    retryNetworkErrors?: boolean;
+    /**
+     * Whether the `Retry-After` response header replaces the backoff delay, as given. Defaults to true.
+     */
+    respectRetryAfter?: boolean;
+    /**
+     * An optional predicate overriding the status and error class rules.
+     * It is only consulted for requests that are safe to retry.
+     */
+    shouldRetry?: (error: AxiosError) => boolean;
+};
+/**
+ * The SDK state a resource uses to talk to the API: a configured Coinbase instance,
+ * or the default SDK configuration.
+ */
+export type CoinbaseContext = {
+    apiClients: ApiClients;
+    apiKeyPrivateKey: string;
+    useServerSigner: boolean;
 };
 /**
  * CoinbaseConfigureFromJsonOptions type definition.
@@ -673,10 +1256,24 @@ export type CoinbaseConfigureFromJsonOptions = {
      * If true, logs API requests and responses to the console.
      */
     debugging?: boolean;
+    /**
+     * The logger to write API request and response entries to. Defaults to a console logger if
+     * `debugging` is true, and to no logging otherwise.
+     */
+    logger?: Logger;
+    /**
+     * Callbacks invoked for every API request attempt.
+     */
+    requestHooks?: RequestHooks;
     /**
      * The base path for the API.
      */
     basePath?: string;
+    /**
+     * The retry policy for failed API requests, or the options to build one from.
+     * Takes precedence over `maxNetworkRetries`.
+     */
+    retryPolicy?: RetryPolicy | RetryPolicyOptions;
     /**
      * The source for the API request, used for analytics. Defaults to `sdk`.
      */
@@ -685,6 +1282,11 @@ export type CoinbaseConfigureFromJsonOptions = {
      * The version of the source for the API request, used for analytics.
      */
     sourceVersion?: string;
+    /**
+     * Whether the instance becomes the default SDK instance. Defaults to true.
+     * Set to false to configure an additional, independent SDK instance.
+     */
+    setAsDefault?: boolean;
 };
 /**
  * StakeOptionsMode type definition.
@@ -747,6 +1349,118 @@ export type CreateTransferOptions = {
     destination: Destination;
     gasless?: boolean;
     skipBatching?: boolean;
+    /** Waits for the Server-Signer to sign and for the result to be confirmed or fail, when using a Server-Signer. Ignored when signing locally. */
+    waitForServerSigner?: boolean | ServerSignerWaitOptions<Transfer>;
+    /** The idempotency key for the request. Generated if not provided. */
+    idempotencyKey?: string;
+};
+/**
+ * A Transfer of a batch created with `WalletAddress.createTransfers`.
+ */
+export type BatchTransfer = Omit<CreateTransferOptions, "waitForServerSigner">;
+/**
+ * The status of a Transfer of a batch: not created yet, created but not broadcast by the SDK (a Server-Signer
+ * broadcasts it), broadcast, or failed. A failed Transfer is retried when the batch is resumed, unless its
+ * result has a `transferId` and reloading it shows that the Transfer failed on-chain.
+ */
+export type BatchTransferStatus = "pending" | "created" | "broadcast" | "failed";
+/**
+ * The result of a Transfer of a batch.
+ */
+export type BatchTransferResult = {
+    /** The index of the Transfer in the batch. */
+    index: number;
+    /** The idempotency key the Transfer is created with, which is reused when the batch is resumed. */
+    idempotencyKey: string;
+    /** The destination of the Transfer: the address, or the ID of the Wallet or Address it is sent to. */
+    destination: string;
+    /** The ID of the Asset of the Transfer. */
+    assetId: string;
+    /** The amount of the Transfer, in units of the Asset. */
+    amount: string;
+    status: BatchTransferStatus;
+    /** The ID of the Transfer, once it is created. */
+    transferId?: string;
+    /** The hash of the transaction of the Transfer, once it is broadcast. */
+    transactionHash?: string;
+    /** The error the Transfer failed with, usually an APIError. */
+    error?: APIError | Error;
+};
+/**
+ * The report of a batch of Transfers, which can be persisted and passed back to resume the batch.
+ */
+export type BatchTransferReport = {
+    /** The result of each Transfer, in the order of the batch. */
+    results: BatchTransferResult[];
+};
+/**
+ * Options for creating a batch of Transfers.
+ */
+export type CreateTransfersOptions = {
+    /** The maximum number of Transfers in flight at once. Defaults to 5. */
+    concurrency?: number;
+    /** The report of an earlier, interrupted run of the same batch. */
+    resume?: BatchTransferReport;
+    /**
+     * Called with the result of a Transfer and the report whenever the result changes, e.g. to persist the report.
+     * It is awaited; if it throws, no further Transfers are started and `createTransfers` throws its error.
+     */
+    onResult?: (result: BatchTransferResult, report: BatchTransferReport) => void | Promise<void>;
+};
+/**
+ * The format of a payout file.
+ */
+export type PayoutFormat = "csv" | "json";
+/**
+ * A payout parsed from a payout file, before it is validated.
+ */
+export type Payout = {
+    /** The line of the payout in a CSV file, or its position in a JSON file, starting at 1. */
+    line: number;
+    destination: string;
+    assetId: string;
+    /** The amount in whole units of the asset, as written in the file. */
+    amount: string;
+};
+/**
+ * A payout validated by a dry run.
+ */
+export type PayoutValidation = Payout & {
+    /** Whether the journal records the payout as sent or as failed on-chain, in which case it is not sent again. */
+    completed: boolean;
+    /** The problems found with the payout. The payout is valid if there are none. */
+    errors: string[];
+};
+/**
+ * The total of the payouts of an asset that are still to be sent, and the balance that must cover it.
+ * Payouts in different denominations of the same asset, e.g. ETH and Gwei, are added up in its primary denomination.
+ */
+export type PayoutTotal = {
+    assetId: string;
+    amount: Decimal;
+    balance: Decimal;
+};
+/**
+ * The report of a dry run of a payout file.
+ */
+export type PayoutDryRunReport = {
+    networkId: string;
+    addressId: string;
+    payouts: PayoutValidation[];
+    totals: PayoutTotal[];
+    /** The problems found with the totals, e.g. insufficient funds. */
+    errors: string[];
+    /** Whether all payouts are valid and covered by the balances. */
+    valid: boolean;
+};
+/**
+ * Options for creating a PayoutImporter.
+ */
+export type PayoutImporterOptions = {
+    /** The path of the journal file that records the progress of the payouts. */
+    journalPath: string;
+    /** The maximum number of payouts in flight at once. Defaults to 5. */
+    concurrency?: number;
 };
 /**
  * Options for creating a Trade.
@@ -755,6 +1469,10 @@ export type CreateTradeOptions = {
     amount: Amount;
     fromAssetId: string;
     toAssetId: string;
+    /** Waits for the Server-Signer to sign and for the result to be confirmed or fail, when using a Server-Signer. Ignored when signing locally. */
+    waitForServerSigner?: boolean | ServerSignerWaitOptions<Trade>;
+    /** The idempotency key for the request. Generated if not provided. */
+    idempotencyKey?: string;
 };
 /**
  * Options for creating a Contract Invocation.
@@ -766,6 +1484,10 @@ export type CreateContractInvocationOptions = {
     args: object;
     amount?: Amount;
     assetId?: string;
+    /** Waits for the Server-Signer to sign and for the result to be confirmed or fail, when using a Server-Signer. Ignored when signing locally. */
+    waitForServerSigner?: boolean | ServerSignerWaitOptions<ContractInvocation>;
+    /** The idempotency key for the request. Generated if not provided. */
+    idempotencyKey?: string;
 };
 /**
  * Options for creating a ERC20.
@@ -774,6 +1496,10 @@ export type CreateERC20Options = {
     name: string;
     symbol: string;
     totalSupply: Amount;
+    /** Waits for the Server-Signer to sign and for the result to be confirmed or fail, when using a Server-Signer. Ignored when signing locally. */
+    waitForServerSigner?: boolean | ServerSignerWaitOptions<SmartContract>;
+    /** The idempotency key for the request. Generated if not provided. */
+    idempotencyKey?: string;
 };
 /**
  * Options for creating a ERC721.
@@ -782,12 +1508,20 @@ export type CreateERC721Options = {
     name: string;
     symbol: string;
     baseURI: string;
+    /** Waits for the Server-Signer to sign and for the result to be confirmed or fail, when using a Server-Signer. Ignored when signing locally. */
+    waitForServerSigner?: boolean | ServerSignerWaitOptions<SmartContract>;
+    /** The idempotency key for the request. Generated if not provided. */
+    idempotencyKey?: string;
 };
 /**
  * Options for creating a ERC1155.
  */
 export type CreateERC1155Options = {
     uri: string;
+    /** Waits for the Server-Signer to sign and for the result to be confirmed or fail, when using a Server-Signer. Ignored when signing locally. */
+    waitForServerSigner?: boolean | ServerSignerWaitOptions<SmartContract>;
+    /** The idempotency key for the request. Generated if not provided. */
+    idempotencyKey?: string;
 };
 /**
  * Options for creating an arbitrary contract.
@@ -801,6 +1535,10 @@ export type CreateCustomContractOptions = {
     contractName: string;
     /** The arguments for the constructor. */
     constructorArgs: Record<string, any>;
+    /** Waits for the Server-Signer to sign and for the result to be confirmed or fail, when using a Server-Signer. Ignored when signing locally. */
+    waitForServerSigner?: boolean | ServerSignerWaitOptions<SmartContract>;
+    /** The idempotency key for the request. Generated if not provided. */
+    idempotencyKey?: string;
 };
 /**
  * Options for creating a fund operation.
@@ -808,11 +1546,13 @@ export type CreateCustomContractOptions = {
 export type CreateFundOptions = {
     amount: Amount;
     assetId: string;
+    /** The idempotency key for the request. Generated if not provided. */
+    idempotencyKey?: string;
 };
 /**
  * Options for creating a quote for a fund operation.
  */
-export type CreateQuoteOptions = CreateFundOptions;
+export type CreateQuoteOptions = Omit<CreateFundOptions, "idempotencyKey">;
 /**
  * Options for listing historical balances of an address.
  */
@@ -960,16 +1700,66 @@ export type TypedDataField = {
     type: string;
 };
 /**
- * Options for creating a Webhook.
+ * Options shared by Webhooks of every event type.
  */
-export type CreateWebhookOptions = {
+type BaseWebhookOptions = {
+    /** The network ID to monitor. */
     networkId: string;
+    /** The URL to send notifications to. */
     notificationUri: string;
-    eventType: WebhookEventType;
-    eventTypeFilter?: WebhookEventTypeFilter;
-    eventFilters?: Array<WebhookEventFilter>;
+    /** The custom header carrying the payload signature. */
     signatureHeader?: string;
 };
+/**
+ * Options for creating a Webhook that monitors ERC20 or ERC721 token transfers.
+ */
+export type TokenTransferWebhookOptions = BaseWebhookOptions & {
+    eventType: typeof WebhookEventType.Erc20Transfer | typeof WebhookEventType.Erc721Transfer;
+    /** Transfers matching any of the filters are sent. */
+    eventFilters: Array<WebhookEventFilter>;
+    eventTypeFilter?: never;
+};
+/**
+ * Options for creating a Webhook that monitors the activity of a wallet's addresses.
+ */
+export type WalletActivityWebhookOptions = BaseWebhookOptions & {
+    eventType: typeof WebhookEventType.WalletActivity;
+    eventTypeFilter: WebhookWalletActivityFilter;
+    eventFilters?: never;
+};
+/**
+ * Options for creating a Webhook that monitors smart contract events.
+ */
+export type SmartContractEventWebhookOptions = BaseWebhookOptions & {
+    eventType: typeof WebhookEventType.SmartContractEventActivity;
+    eventTypeFilter: WebhookSmartContractEventFilter;
+    eventFilters?: never;
+};
+/**
+ * Options for creating a Webhook. The filters a Webhook takes depend on its event type.
+ */
+export type CreateWebhookOptions = TokenTransferWebhookOptions | WalletActivityWebhookOptions | SmartContractEventWebhookOptions;
+/**
+ * Options for creating a Webhook that monitors every address of a Wallet.
+ */
+export type CreateWalletWebhookOptions = {
+    /** The URL to send notifications to. */
+    notificationUri: string;
+    /** The custom header carrying the payload signature. */
+    signatureHeader?: string;
+};
+/**
+ * Options for creating a Webhook that monitors a single address.
+ */
+export type CreateAddressWebhookOptions = CreateWalletWebhookOptions & {
+    /**
+     * The type of event to monitor. Token transfer webhooks send the transfers from and to the address.
+     * Defaults to `erc20_transfer`, or to `wallet_activity` for a WalletAddress.
+     */
+    eventType?: typeof WebhookEventType.Erc20Transfer | typeof WebhookEventType.Erc721Transfer | typeof WebhookEventType.WalletActivity;
+    /** The token contract to restrict token transfer webhooks to. */
+    contractAddress?: string;
+};
 /**
  * Options for updating a Webhook.
  */
@@ -977,6 +1767,85 @@ export type UpdateWebhookOptions = {
     notificationUri?: string;
     eventFilters?: Array<WebhookEventFilter>;
     eventTypeFilter?: WebhookEventTypeFilter;
+    /** The new status, to pause or resume notifications. */
+    status?: WebhookStatus;
+};
+/**
+ * Fields shared by webhook events of every type.
+ */
+export type WebhookEventBase = {
+    webhookId: string;
+    network: string;
+    transactionHash: string;
+    blockHash?: string;
+    blockNumber?: number;
+    blockTime?: string;
+    transactionIndex?: number;
+    logIndex?: number;
+    /** The parsed delivery body, including fields the SDK does not map. */
+    payload: Record<string, unknown>;
+};
+/**
+ * An ERC20 token transfer sent by an `erc20_transfer` Webhook.
+ */
+export type ERC20TransferEvent = WebhookEventBase & {
+    eventType: typeof WebhookEventType.Erc20Transfer;
+    contractAddress: string;
+    from: string;
+    to: string;
+    /** The transferred amount, in atomic units. */
+    value: string;
+};
+/**
+ * An ERC721 token transfer sent by an `erc721_transfer` Webhook.
+ */
+export type ERC721TransferEvent = WebhookEventBase & {
+    eventType: typeof WebhookEventType.Erc721Transfer;
+    contractAddress: string;
+    from: string;
+    to: string;
+    tokenId: string;
+};
+/**
+ * An activity of a wallet address sent by a `wallet_activity` Webhook.
+ */
+export type WalletActivityEvent = WebhookEventBase & {
+    eventType: typeof WebhookEventType.WalletActivity;
+    walletId?: string;
+    contractAddress?: string;
+    from?: string;
+    to?: string;
+    value?: string;
+};
+/**
+ * A smart contract event sent by a `smart_contract_event_activity` Webhook.
+ */
+export type SmartContractActivityEvent = WebhookEventBase & {
+    eventType: typeof WebhookEventType.SmartContractEventActivity;
+    contractEvent: ContractEvent;
+};
+/**
+ * A typed webhook event.
+ */
+export type WebhookEvent = ERC20TransferEvent | ERC721TransferEvent | WalletActivityEvent | SmartContractActivityEvent;
+/**
+ * Where a WebhookVerifier records received deliveries to reject replays. `add` must record the key and
+ * report whether it was absent in one atomic step, like Redis `SET key value NX PXAT expiresAt`, so that
+ * concurrent deliveries of the same signed request cannot both be accepted.
+ */
+export interface WebhookReplayCache {
+    add(key: string, expiresAt: number): boolean | Promise<boolean>;
+    delete?(key: string): void | Promise<void>;
+}
+/**
+ * Options for creating a WebhookVerifier.
+ */
+export type WebhookVerifierOptions = {
+    secret: string | Buffer;
+    signatureHeader?: string;
+    timestampHeader?: string;
+    toleranceSeconds?: number;
+    replayCache?: WebhookReplayCache;
 };
 /**
  * Options for registering a smart contract.
@@ -1191,6 +2060,17 @@ export type PaginationOptions = {
     limit?: number;
     page?: string;
 };
+/**
+ * Options for iterating over every item of a list endpoint.
+ */
+export type PaginatorOptions = {
+    /** The maximum number of items to return across all pages. Defaults to no limit. */
+    maxItems?: number;
+    /** The number of items to request per page. Can range between 1 and 100. Defaults to 100. */
+    pageSize?: number;
+    /** The cursor of the first page to fetch. Defaults to the first page. */
+    page?: string;
+};
 /**
  * Paginated list response.
  */
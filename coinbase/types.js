@@ -1,6 +1,6 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.SmartContractType = exports.StakeOptionsMode = exports.ServerSignerStatus = exports.isMnemonicSeedPhrase = exports.isWalletData = exports.FundOperationStatus = exports.PayloadSignatureStatus = exports.StakingRewardFormat = exports.ValidatorStatus = exports.SponsoredSendStatus = exports.TransactionStatus = exports.TransferStatus = void 0;
+exports.SmartContractType = exports.StakeOptionsMode = exports.ServerSignerStage = exports.ServerSignerStatus = exports.isMnemonicSeedPhrase = exports.isWalletData = exports.FundOperationStatus = exports.PayloadSignatureStatus = exports.StakingRewardFormat = exports.ValidatorStatus = exports.SponsoredSendStatus = exports.TransactionStatus = exports.TransferStatus = void 0;
 /**
  * Transfer status type definition.
  */
@@ -134,6 +134,16 @@ var ServerSignerStatus;
     ServerSignerStatus["PENDING"] = "pending_seed_creation";
     ServerSignerStatus["ACTIVE"] = "active_seed";
 })(ServerSignerStatus || (exports.ServerSignerStatus = ServerSignerStatus = {}));
+/**
+ * The stage a resource signed by the Server-Signer is in.
+ */
+var ServerSignerStage;
+(function (ServerSignerStage) {
+    ServerSignerStage["AWAITING_SIGNATURE"] = "awaiting_signature";
+    ServerSignerStage["BROADCAST"] = "broadcast";
+    ServerSignerStage["CONFIRMED"] = "confirmed";
+    ServerSignerStage["FAILED"] = "failed";
+})(ServerSignerStage || (exports.ServerSignerStage = ServerSignerStage = {}));
 /**
  * StakeOptionsMode type definition.
  */
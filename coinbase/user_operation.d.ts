@@ -0,0 +1,262 @@
+import { Call, UserOperation as UserOperationModel, UserOperationStatusEnum } from "../client/api";
+import { Coinbase } from "./coinbase";
+import { SmartWalletOwner, UserOperationData, UserOperationPreview, UserOperationPreviewOptions } from "./types";
+import { UserOperationPolicy } from "./user_operation_policy";
+import type { Calls } from "../types/calls";
+import type { SendUserOperationReturnType } from "../actions/sendUserOperation";
+import type { WaitForUserOperationReturnType } from "../actions/waitForUserOperation";
+import type { WaitOptions } from "../utils/wait";
+/**
+ * A representation of a user operation of a smart wallet, and of the owner signatures collected for it.
+ *
+ * The smart wallet contract validates a single owner signature onchain, so the approval threshold is an advisory,
+ * client-side check: this object collects and verifies the signatures of that many distinct owners and refuses
+ * to broadcast until they have signed, but any owner can broadcast the user operation with their own signature
+ * through another client. Use it to coordinate approvals between cooperating owners, not as an access control.
+ */
+export declare class UserOperation {
+    private model;
+    private readonly smartWalletAddress;
+    private readonly owners;
+    private readonly approvalThreshold;
+    private readonly signatures;
+    private readonly paymasterUrl?;
+    private readonly sourceCalls?;
+    private readonly policy?;
+    private readonly policyRequired;
+    private rejected;
+    private broadcasting?;
+    private readonly coinbase?;
+    /**
+     * Private constructor to prevent direct instantiation outside of factory methods.
+     * Use createUserOperation or UserOperation.import instead.
+     *
+     * @ignore
+     * @param model - The user operation model.
+     * @param smartWalletAddress - The address of the smart wallet.
+     * @param options - The signing options.
+     * @param options.owners - The addresses of the owners allowed to sign the user operation.
+     * @param options.approvalThreshold - The number of distinct owners whose signatures this object collects before
+     * it broadcasts the user operation. Advisory: the contract accepts any single owner's signature.
+     * @param options.paymasterUrl - The URL of the paymaster sponsoring the user operation, if any.
+     * @param options.calls - The calls the user operation was created with, used to decode them in previews.
+     * @param options.policy - The policy the user operation must satisfy before it is broadcast, if any.
+     * @param options.policyRequired - Whether the user operation was created with a policy, so that it cannot be
+     * broadcast without one. Defaults to whether a policy is given.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @throws {ArgumentError} if the approval threshold is not between 1 and the number of owners.
+     * @hideconstructor
+     */
+    constructor(model: UserOperationModel, smartWalletAddress: `0x${string}`, { owners, approvalThreshold, paymasterUrl, calls, policy, policyRequired, }: {
+        owners: readonly string[];
+        approvalThreshold: number;
+        paymasterUrl?: string;
+        calls?: Calls<readonly unknown[]>;
+        policy?: UserOperationPolicy;
+        policyRequired?: boolean;
+    }, coinbase?: Coinbase);
+    /**
+     * Imports a user operation from data exported with `export`, e.g. to collect signatures in another process.
+     *
+     * The exported data is not trusted: the user operation and the owners of its smart wallet are reloaded from
+     * the API, and the import is rejected unless the exported calls match the user operation, every exported owner
+     * is an owner of the smart wallet, and the exported approval threshold is the one passed by the importer, since
+     * the API does not store it. The imported signatures are verified again.
+     *
+     * The calls and the policy are not part of the exported data, since they hold ABIs and bigints. Pass them
+     * again to decode the calls in previews and to check the policy before broadcasting: a user operation that was
+     * created with a policy cannot be broadcast from an import without one.
+     *
+     * @param data - The user operation data.
+     * @param options - The import options.
+     * @param options.approvalThreshold - The number of distinct owners whose signatures must be collected before
+     * broadcasting. The exported approval threshold must match it.
+     * @param options.calls - The calls the user operation was created with. They must encode to its calls.
+     * @param options.policy - The policy the user operation must satisfy before it is broadcast.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The user operation.
+     * @throws {ArgumentError} if the exported data does not match the user operation, its smart wallet or the
+     * approval threshold, a signature is invalid, or the calls do not match the user operation.
+     * @throws {APIError} if the API request to get the user operation or the smart wallet fails.
+     */
+    static import(data: UserOperationData, { approvalThreshold, calls, policy }: {
+        approvalThreshold: number;
+        calls?: Calls<readonly unknown[]>;
+        policy?: UserOperationPolicy;
+    }, coinbase?: Coinbase): Promise<UserOperation>;
+    /**
+     * Returns the ID of the user operation.
+     *
+     * @returns The user operation ID.
+     */
+    getId(): string;
+    /**
+     * Returns the network ID of the user operation.
+     *
+     * @returns The network ID.
+     */
+    getNetworkId(): string;
+    /**
+     * Returns the address of the smart wallet the user operation is sent from.
+     *
+     * @returns The smart wallet address.
+     */
+    getSmartWalletAddress(): `0x${string}`;
+    /**
+     * Returns the hash of the user operation, which is what the owners sign.
+     *
+     * @returns The user operation hash.
+     */
+    getUserOpHash(): `0x${string}`;
+    /**
+     * Returns the encoded calls of the user operation.
+     *
+     * @returns The calls.
+     */
+    getCalls(): Call[];
+    /**
+     * Returns the status of the user operation.
+     *
+     * @returns The status.
+     */
+    getStatus(): UserOperationStatusEnum;
+    /**
+     * Returns the hash of the transaction that included the user operation, once it is complete.
+     *
+     * @returns The transaction hash, or undefined if the user operation is not complete.
+     */
+    getTransactionHash(): string | undefined;
+    /**
+     * Returns the number of distinct owners whose signatures this object collects before it broadcasts the user
+     * operation. Advisory: the contract accepts any single owner's signature.
+     *
+     * @returns The approval threshold.
+     */
+    getApprovalThreshold(): number;
+    /**
+     * Returns the signatures collected so far.
+     *
+     * @returns The map from owner address to signature.
+     */
+    getSignatures(): Record<string, `0x${string}`>;
+    /**
+     * Returns the owners that are allowed to sign and have not signed yet.
+     *
+     * @returns The owner addresses.
+     */
+    getPendingOwners(): `0x${string}`[];
+    /**
+     * Returns whether enough owners have signed to broadcast the user operation.
+     *
+     * @returns True if the approval threshold is met.
+     */
+    isReady(): boolean;
+    /**
+     * Returns whether the user operation was rejected, in which case it can no longer be broadcast.
+     *
+     * @returns True if the user operation was rejected.
+     */
+    isRejected(): boolean;
+    /**
+     * Previews the user operation before it is signed and broadcast: its decoded calls, unsigned payload and
+     * paymaster URL, and, given a public client, the result of simulating its calls and the gas they use.
+     *
+     * The calls are simulated one by one from the smart wallet, so a call that depends on the state changes of an
+     * earlier call of the same user operation may fail the simulation even though the user operation would succeed.
+     * The paymaster is not asked whether it will sponsor the user operation, and `estimatedCallGas` is the sum of
+     * the gas of the calls as plain transactions: it is not the call, verification or pre-verification gas limit
+     * of the user operation, which the API sets when it builds it.
+     *
+     * @param options - The preview options.
+     * @param options.publicClient - A viem public client for the network of the user operation.
+     * @returns The preview.
+     */
+    preview({ publicClient }?: UserOperationPreviewOptions): Promise<UserOperationPreview>;
+    /**
+     * Rejects the user operation, so that it can no longer be broadcast.
+     */
+    reject(): void;
+    /**
+     * Signs the user operation with an owner.
+     *
+     * @param owner - The owner, e.g. a viem LocalAccount or the account returned by `toViemAccount`.
+     * @returns The signature.
+     * @throws {ArgumentError} if the owner is not allowed to sign the user operation.
+     */
+    sign(owner: SmartWalletOwner): Promise<`0x${string}`>;
+    /**
+     * Adds a signature produced by an owner elsewhere, e.g. in another process, after verifying it.
+     *
+     * @param ownerAddress - The address of the owner that signed.
+     * @param signature - The signature of the user operation hash.
+     * @throws {ArgumentError} if the owner is not allowed to sign or the signature is not theirs.
+     */
+    addSignature(ownerAddress: string, signature: `0x${string}`): Promise<void>;
+    /**
+     * Adds the signatures of user operation data exported elsewhere, after verifying them.
+     *
+     * @param data - The user operation data.
+     * @throws {ArgumentError} if the data is for another user operation or a signature is invalid.
+     */
+    merge(data: UserOperationData): Promise<void>;
+    /**
+     * Broadcasts the user operation once the approval threshold is met. Concurrent calls share the same
+     * broadcast, and a user operation that was already broadcast cannot be broadcast again.
+     *
+     * @param options - The broadcast options.
+     * @param options.signer - The owner whose signature is broadcast. Defaults to the first owner that signed.
+     * @returns The broadcast user operation.
+     * @throws {Error} if the user operation was already broadcast or rejected, or fewer owners than the approval
+     * threshold have signed.
+     * @throws {UserOperationPolicyError} if the user operation violates its policy, or was created with a policy and
+     * imported without it.
+     * @throws {ArgumentError} if `signer` has not signed.
+     * @throws {APIError} if the API request to broadcast the user operation fails.
+     */
+    broadcast({ signer }?: {
+        signer?: string;
+    }): Promise<SendUserOperationReturnType>;
+    /**
+     * Waits for the broadcast user operation to complete or fail.
+     *
+     * @param waitOptions - The options to configure the wait.
+     * @returns The completed or failed user operation.
+     * @throws {TimeoutError} if the user operation does not complete or fail within the timeout.
+     */
+    wait(waitOptions?: WaitOptions): Promise<WaitForUserOperationReturnType>;
+    /**
+     * Reloads the user operation model with the latest data from the server.
+     *
+     * @returns The reloaded user operation.
+     * @throws {APIError} if the API request to get the user operation fails.
+     */
+    reload(): Promise<UserOperation>;
+    /**
+     * Exports the user operation and the signatures collected so far, which can be imported elsewhere to collect
+     * more signatures. The calls and the policy are not exported, and must be passed to `import` again.
+     *
+     * @returns The user operation data.
+     */
+    export(): UserOperationData;
+    /**
+     * Returns a String representation of the user operation.
+     *
+     * @returns a String representation of the user operation.
+     */
+    toString(): string;
+    /**
+     * Sends the signature of an owner to the API to broadcast the user operation.
+     *
+     * @param signer - The owner whose signature is broadcast. Defaults to the first owner that signed.
+     * @returns The broadcast user operation.
+     */
+    private sendBroadcast;
+    /**
+     * Checks that an address is allowed to sign the user operation.
+     *
+     * @param ownerAddress - The address.
+     * @returns The checksummed address.
+     * @throws {ArgumentError} if the address is not allowed to sign.
+     */
+    private assertOwner;
+}
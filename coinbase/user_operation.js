@@ -0,0 +1,473 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.UserOperation = void 0;
+const viem_1 = require("viem");
+const coinbase_1 = require("./coinbase");
+const errors_1 = require("./errors");
+const createUserOperation_1 = require("../actions/createUserOperation");
+const waitForUserOperation_1 = require("../actions/waitForUserOperation");
+const client_1 = require("../client");
+/**
+ * A representation of a user operation of a smart wallet, and of the owner signatures collected for it.
+ *
+ * The smart wallet contract validates a single owner signature onchain, so the approval threshold is an advisory,
+ * client-side check: this object collects and verifies the signatures of that many distinct owners and refuses
+ * to broadcast until they have signed, but any owner can broadcast the user operation with their own signature
+ * through another client. Use it to coordinate approvals between cooperating owners, not as an access control.
+ */
+class UserOperation {
+    /**
+     * Private constructor to prevent direct instantiation outside of factory methods.
+     * Use createUserOperation or UserOperation.import instead.
+     *
+     * @ignore
+     * @param model - The user operation model.
+     * @param smartWalletAddress - The address of the smart wallet.
+     * @param options - The signing options.
+     * @param options.owners - The addresses of the owners allowed to sign the user operation.
+     * @param options.approvalThreshold - The number of distinct owners whose signatures this object collects before
+     * it broadcasts the user operation. Advisory: the contract accepts any single owner's signature.
+     * @param options.paymasterUrl - The URL of the paymaster sponsoring the user operation, if any.
+     * @param options.calls - The calls the user operation was created with, used to decode them in previews.
+     * @param options.policy - The policy the user operation must satisfy before it is broadcast, if any.
+     * @param options.policyRequired - Whether the user operation was created with a policy, so that it cannot be
+     * broadcast without one. Defaults to whether a policy is given.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @throws {ArgumentError} if the approval threshold is not between 1 and the number of owners.
+     * @hideconstructor
+     */
+    constructor(model, smartWalletAddress, { owners, approvalThreshold, paymasterUrl, calls, policy, policyRequired = policy !== undefined, }, coinbase) {
+        if (!Number.isInteger(approvalThreshold) || approvalThreshold < 1 || approvalThreshold > owners.length) {
+            throw new errors_1.ArgumentError(`Approval threshold must be an integer between 1 and ${owners.length}, got ${approvalThreshold}`);
+        }
+        this.model = model;
+        this.smartWalletAddress = smartWalletAddress;
+        this.owners = owners.map(owner => (0, viem_1.getAddress)(owner));
+        this.approvalThreshold = approvalThreshold;
+        this.signatures = new Map();
+        this.paymasterUrl = paymasterUrl;
+        this.sourceCalls = calls;
+        this.policy = policy;
+        this.policyRequired = policyRequired;
+        this.rejected = false;
+        this.coinbase = coinbase;
+    }
+    /**
+     * Imports a user operation from data exported with `export`, e.g. to collect signatures in another process.
+     *
+     * The exported data is not trusted: the user operation and the owners of its smart wallet are reloaded from
+     * the API, and the import is rejected unless the exported calls match the user operation, every exported owner
+     * is an owner of the smart wallet, and the exported approval threshold is the one passed by the importer, since
+     * the API does not store it. The imported signatures are verified again.
+     *
+     * The calls and the policy are not part of the exported data, since they hold ABIs and bigints. Pass them
+     * again to decode the calls in previews and to check the policy before broadcasting: a user operation that was
+     * created with a policy cannot be broadcast from an import without one.
+     *
+     * @param data - The user operation data.
+     * @param options - The import options.
+     * @param options.approvalThreshold - The number of distinct owners whose signatures must be collected before
+     * broadcasting. The exported approval threshold must match it.
+     * @param options.calls - The calls the user operation was created with. They must encode to its calls.
+     * @param options.policy - The policy the user operation must satisfy before it is broadcast.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The user operation.
+     * @throws {ArgumentError} if the exported data does not match the user operation, its smart wallet or the
+     * approval threshold, a signature is invalid, or the calls do not match the user operation.
+     * @throws {APIError} if the API request to get the user operation or the smart wallet fails.
+     */
+    static async import(data, { approvalThreshold, calls, policy }, coinbase) {
+        const userOpHash = data.model.user_op_hash;
+        if (data.approvalThreshold !== approvalThreshold) {
+            throw new errors_1.ArgumentError(`User operation ${userOpHash} was exported with an approval threshold of ${data.approvalThreshold}, expected ${approvalThreshold}`);
+        }
+        const apiClients = coinbase_1.Coinbase.resolve(coinbase).apiClients;
+        const [{ data: model }, { data: smartWallet }] = await Promise.all([
+            apiClients.smartWallet.getUserOperation(data.smartWalletAddress, userOpHash),
+            apiClients.smartWallet.getSmartWallet(data.smartWalletAddress),
+        ]);
+        if (!callsMatch(data.model.calls, model.calls)) {
+            throw new errors_1.ArgumentError(`Exported calls do not match the calls of user operation ${userOpHash}`);
+        }
+        const smartWalletOwners = smartWallet.owners.map(owner => (0, viem_1.getAddress)(owner));
+        const unknownOwner = data.owners.find(owner => !smartWalletOwners.includes((0, viem_1.getAddress)(owner)));
+        if (unknownOwner) {
+            throw new errors_1.ArgumentError(`${unknownOwner} is not an owner of smart wallet ${data.smartWalletAddress}`);
+        }
+        if (calls && !callsMatch((0, createUserOperation_1.encodeCalls)(calls), model.calls)) {
+            throw new errors_1.ArgumentError(`Calls do not match the calls of user operation ${userOpHash}`);
+        }
+        const userOperation = new UserOperation(model, data.smartWalletAddress, {
+            owners: data.owners,
+            approvalThreshold,
+            paymasterUrl: data.paymasterUrl,
+            calls,
+            policy,
+            policyRequired: data.policyRequired || policy !== undefined,
+        }, coinbase);
+        await userOperation.merge(data);
+        return userOperation;
+    }
+    /**
+     * Returns the ID of the user operation.
+     *
+     * @returns The user operation ID.
+     */
+    getId() {
+        return this.model.id;
+    }
+    /**
+     * Returns the network ID of the user operation.
+     *
+     * @returns The network ID.
+     */
+    getNetworkId() {
+        return this.model.network_id;
+    }
+    /**
+     * Returns the address of the smart wallet the user operation is sent from.
+     *
+     * @returns The smart wallet address.
+     */
+    getSmartWalletAddress() {
+        return this.smartWalletAddress;
+    }
+    /**
+     * Returns the hash of the user operation, which is what the owners sign.
+     *
+     * @returns The user operation hash.
+     */
+    getUserOpHash() {
+        return this.model.user_op_hash;
+    }
+    /**
+     * Returns the encoded calls of the user operation.
+     *
+     * @returns The calls.
+     */
+    getCalls() {
+        return this.model.calls;
+    }
+    /**
+     * Returns the status of the user operation.
+     *
+     * @returns The status.
+     */
+    getStatus() {
+        return this.model.status;
+    }
+    /**
+     * Returns the hash of the transaction that included the user operation, once it is complete.
+     *
+     * @returns The transaction hash, or undefined if the user operation is not complete.
+     */
+    getTransactionHash() {
+        return this.model.transaction_hash;
+    }
+    /**
+     * Returns the number of distinct owners whose signatures this object collects before it broadcasts the user
+     * operation. Advisory: the contract accepts any single owner's signature.
+     *
+     * @returns The approval threshold.
+     */
+    getApprovalThreshold() {
+        return this.approvalThreshold;
+    }
+    /**
+     * Returns the signatures collected so far.
+     *
+     * @returns The map from owner address to signature.
+     */
+    getSignatures() {
+        return Object.fromEntries(this.signatures);
+    }
+    /**
+     * Returns the owners that are allowed to sign and have not signed yet.
+     *
+     * @returns The owner addresses.
+     */
+    getPendingOwners() {
+        return this.owners.filter(owner => !this.signatures.has(owner));
+    }
+    /**
+     * Returns whether enough owners have signed to broadcast the user operation.
+     *
+     * @returns True if the approval threshold is met.
+     */
+    isReady() {
+        return this.signatures.size >= this.approvalThreshold;
+    }
+    /**
+     * Returns whether the user operation was rejected, in which case it can no longer be broadcast.
+     *
+     * @returns True if the user operation was rejected.
+     */
+    isRejected() {
+        return this.rejected;
+    }
+    /**
+     * Previews the user operation before it is signed and broadcast: its decoded calls, unsigned payload and
+     * paymaster URL, and, given a public client, the result of simulating its calls and the gas they use.
+     *
+     * The calls are simulated one by one from the smart wallet, so a call that depends on the state changes of an
+     * earlier call of the same user operation may fail the simulation even though the user operation would succeed.
+     * The paymaster is not asked whether it will sponsor the user operation, and `estimatedCallGas` is the sum of
+     * the gas of the calls as plain transactions: it is not the call, verification or pre-verification gas limit
+     * of the user operation, which the API sets when it builds it.
+     *
+     * @param options - The preview options.
+     * @param options.publicClient - A viem public client for the network of the user operation.
+     * @returns The preview.
+     */
+    async preview({ publicClient } = {}) {
+        const calls = this.getCalls().map((call, index) => decodeCall(call, this.sourceCalls?.[index]));
+        const preview = {
+            smartWalletAddress: this.smartWalletAddress,
+            networkId: this.getNetworkId(),
+            userOpHash: this.getUserOpHash(),
+            unsignedPayload: this.model.unsigned_payload,
+            calls,
+            paymasterConfigured: this.paymasterUrl !== undefined,
+            paymasterUrl: this.paymasterUrl,
+        };
+        if (!publicClient) {
+            return preview;
+        }
+        let estimatedCallGas = BigInt(0);
+        for (const [index, call] of calls.entries()) {
+            try {
+                estimatedCallGas += await publicClient.estimateGas({
+                    account: this.smartWalletAddress,
+                    to: call.to,
+                    data: call.data,
+                    value: call.value,
+                });
+            }
+            catch (error) {
+                return {
+                    ...preview,
+                    simulation: { success: false, failedCallIndex: index, error: error.shortMessage ?? error.message },
+                };
+            }
+        }
+        return { ...preview, estimatedCallGas, simulation: { success: true } };
+    }
+    /**
+     * Rejects the user operation, so that it can no longer be broadcast.
+     */
+    reject() {
+        this.rejected = true;
+    }
+    /**
+     * Signs the user operation with an owner.
+     *
+     * @param owner - The owner, e.g. a viem LocalAccount or the account returned by `toViemAccount`.
+     * @returns The signature.
+     * @throws {ArgumentError} if the owner is not allowed to sign the user operation.
+     */
+    async sign(owner) {
+        const address = this.assertOwner(owner.address);
+        const signature = await owner.sign({ hash: this.getUserOpHash() });
+        this.signatures.set(address, signature);
+        return signature;
+    }
+    /**
+     * Adds a signature produced by an owner elsewhere, e.g. in another process, after verifying it.
+     *
+     * @param ownerAddress - The address of the owner that signed.
+     * @param signature - The signature of the user operation hash.
+     * @throws {ArgumentError} if the owner is not allowed to sign or the signature is not theirs.
+     */
+    async addSignature(ownerAddress, signature) {
+        const address = this.assertOwner(ownerAddress);
+        let signer;
+        try {
+            signer = await (0, viem_1.recoverAddress)({ hash: this.getUserOpHash(), signature });
+        }
+        catch (error) {
+            throw new errors_1.ArgumentError(`Invalid signature from ${address}: ${error.message}`);
+        }
+        if (signer !== address) {
+            throw new errors_1.ArgumentError(`Signature was made by ${signer}, not ${address}`);
+        }
+        this.signatures.set(address, signature);
+    }
+    /**
+     * Adds the signatures of user operation data exported elsewhere, after verifying them.
+     *
+     * @param data - The user operation data.
+     * @throws {ArgumentError} if the data is for another user operation or a signature is invalid.
+     */
+    async merge(data) {
+        if (data.model.user_op_hash !== this.getUserOpHash()) {
+            throw new errors_1.ArgumentError(`Cannot merge user operation ${data.model.user_op_hash} into ${this.getUserOpHash()}`);
+        }
+        for (const [ownerAddress, signature] of Object.entries(data.signatures)) {
+            if (this.signatures.get((0, viem_1.getAddress)(ownerAddress)) !== signature) {
+                await this.addSignature(ownerAddress, signature);
+            }
+        }
+    }
+    /**
+     * Broadcasts the user operation once the approval threshold is met. Concurrent calls share the same
+     * broadcast, and a user operation that was already broadcast cannot be broadcast again.
+     *
+     * @param options - The broadcast options.
+     * @param options.signer - The owner whose signature is broadcast. Defaults to the first owner that signed.
+     * @returns The broadcast user operation.
+     * @throws {Error} if the user operation was already broadcast or rejected, or fewer owners than the approval
+     * threshold have signed.
+     * @throws {UserOperationPolicyError} if the user operation violates its policy, or was created with a policy and
+     * imported without it.
+     * @throws {ArgumentError} if `signer` has not signed.
+     * @throws {APIError} if the API request to broadcast the user operation fails.
+     */
+    async broadcast({ signer } = {}) {
+        if (this.broadcasting) {
+            return this.broadcasting;
+        }
+        if (![client_1.UserOperationStatusEnum.Pending, client_1.UserOperationStatusEnum.Signed].includes(this.getStatus())) {
+            throw new Error(`User operation ${this.getUserOpHash()} cannot be broadcast in status ${this.getStatus()}`);
+        }
+        this.broadcasting = this.sendBroadcast(signer).finally(() => {
+            this.broadcasting = undefined;
+        });
+        return this.broadcasting;
+    }
+    /**
+     * Waits for the broadcast user operation to complete or fail.
+     *
+     * @param waitOptions - The options to configure the wait.
+     * @returns The completed or failed user operation.
+     * @throws {TimeoutError} if the user operation does not complete or fail within the timeout.
+     */
+    async wait(waitOptions) {
+        const result = await (0, waitForUserOperation_1.waitForUserOperation)({ userOpHash: this.getUserOpHash(), smartWalletAddress: this.smartWalletAddress, waitOptions }, this.coinbase);
+        await this.reload();
+        return result;
+    }
+    /**
+     * Reloads the user operation model with the latest data from the server.
+     *
+     * @returns The reloaded user operation.
+     * @throws {APIError} if the API request to get the user operation fails.
+     */
+    async reload() {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartWallet.getUserOperation(this.smartWalletAddress, this.getUserOpHash());
+        this.model = response.data;
+        return this;
+    }
+    /**
+     * Exports the user operation and the signatures collected so far, which can be imported elsewhere to collect
+     * more signatures. The calls and the policy are not exported, and must be passed to `import` again.
+     *
+     * @returns The user operation data.
+     */
+    export() {
+        return {
+            smartWalletAddress: this.smartWalletAddress,
+            model: this.model,
+            owners: [...this.owners],
+            approvalThreshold: this.approvalThreshold,
+            signatures: this.getSignatures(),
+            paymasterUrl: this.paymasterUrl,
+            policyRequired: this.policyRequired,
+        };
+    }
+    /**
+     * Returns a String representation of the user operation.
+     *
+     * @returns a String representation of the user operation.
+     */
+    toString() {
+        return `UserOperation{userOpHash: '${this.getUserOpHash()}', networkId: '${this.getNetworkId()}', status: '${this.getStatus()}', signatures: '${this.signatures.size}/${this.approvalThreshold}'}`;
+    }
+    /**
+     * Sends the signature of an owner to the API to broadcast the user operation.
+     *
+     * @param signer - The owner whose signature is broadcast. Defaults to the first owner that signed.
+     * @returns The broadcast user operation.
+     */
+    async sendBroadcast(signer) {
+        if (this.rejected) {
+            throw new Error(`User operation ${this.getUserOpHash()} was rejected`);
+        }
+        if (!this.isReady()) {
+            throw new Error(`User operation has ${this.signatures.size} of ${this.approvalThreshold} required signatures; pending owners: ${this.getPendingOwners().join(", ")}`);
+        }
+        if (this.policyRequired && !this.policy) {
+            throw new errors_1.UserOperationPolicyError(`User operation ${this.getUserOpHash()} was created with a policy; import it with the policy to broadcast it`);
+        }
+        const [firstSigner] = this.signatures.keys();
+        const signerAddress = signer ? (0, viem_1.getAddress)(signer) : firstSigner;
+        const signature = this.signatures.get(signerAddress);
+        if (!signature) {
+            throw new errors_1.ArgumentError(`${signerAddress} has not signed the user operation`);
+        }
+        const reservation = this.policy?.check(this.smartWalletAddress, this.getCalls(), this.sourceCalls);
+        let response;
+        try {
+            response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.smartWallet.broadcastUserOperation(this.smartWalletAddress, this.getUserOpHash(), { signature });
+        }
+        catch (error) {
+            reservation?.release();
+            throw error;
+        }
+        this.model = response.data;
+        return {
+            smartWalletAddress: this.smartWalletAddress,
+            status: this.getStatus(),
+            userOpHash: this.getUserOpHash(),
+        };
+    }
+    /**
+     * Checks that an address is allowed to sign the user operation.
+     *
+     * @param ownerAddress - The address.
+     * @returns The checksummed address.
+     * @throws {ArgumentError} if the address is not allowed to sign.
+     */
+    assertOwner(ownerAddress) {
+        const address = (0, viem_1.getAddress)(ownerAddress);
+        if (!this.owners.includes(address)) {
+            throw new errors_1.ArgumentError(`${address} is not allowed to sign user operation ${this.getUserOpHash()}`);
+        }
+        return address;
+    }
+}
+exports.UserOperation = UserOperation;
+/**
+ * Returns whether two lists of encoded calls are the same.
+ *
+ * @param calls - The calls.
+ * @param otherCalls - The other calls.
+ * @returns True if the calls have the same targets, data and values, in the same order.
+ */
+function callsMatch(calls, otherCalls) {
+    return (calls.length === otherCalls.length &&
+        calls.every((call, index) => {
+            const otherCall = otherCalls[index];
+            return (call.to.toLowerCase() === otherCall.to.toLowerCase() &&
+                call.data.toLowerCase() === otherCall.data.toLowerCase() &&
+                BigInt(call.value) === BigInt(otherCall.value));
+        }));
+}
+/**
+ * Decodes a call of a user operation with the ABI it was created with, if any.
+ *
+ * @param call - The encoded call.
+ * @param sourceCall - The call the user operation was created with.
+ * @returns The decoded call.
+ */
+function decodeCall(call, sourceCall) {
+    const decoded = {
+        to: call.to,
+        value: BigInt(call.value),
+        data: call.data,
+    };
+    if (sourceCall && "abi" in sourceCall && sourceCall.abi) {
+        const { functionName, args } = (0, viem_1.decodeFunctionData)({ abi: sourceCall.abi, data: call.data });
+        return { ...decoded, functionName, args };
+    }
+    return decoded;
+}
@@ -0,0 +1,79 @@
+import { Call } from "../client/api";
+import { UserOperationPolicyOptions, UserOperationPolicyReservation } from "./types";
+import type { Calls } from "../types/calls";
+/**
+ * A client-side policy for the user operations of smart wallets, e.g. to restrict what a paymaster-sponsored
+ * operation may do. A user operation that violates the policy is rejected with a UserOperationPolicyError before
+ * it is created, and checked again before it is broadcast.
+ *
+ * `maxValuePerOperation` and `maxValuePerWindow` cap the native asset sent as call value. ERC-20 amounts are
+ * capped per token with `tokenLimits`, which decodes the amounts of `transfer`, `transferFrom`, `approve` and
+ * `increaseAllowance` calls to the token, and rejects any other call to it whose amount cannot be checked.
+ *
+ * The amounts a smart wallet spends are reserved when its user operations pass the check before broadcast, and
+ * released if the broadcast fails. They are kept in memory, so the rolling window caps apply to the user
+ * operations broadcast with the same policy instance.
+ *
+ * @example
+ * ```ts
+ * const policy = new UserOperationPolicy({
+ *   allowedTargets: [usdcAddress],
+ *   allowedSelectors: ["transfer(address,uint256)"],
+ *   tokenLimits: {
+ *     [usdcAddress]: { maxPerOperation: parseUnits("100", 6), maxPerWindow: parseUnits("1000", 6) },
+ *   },
+ *   windowSeconds: 24 * 60 * 60,
+ * });
+ * await sendUserOperation(wallet, { calls, chainId: 84532, paymasterUrl, policy });
+ * ```
+ */
+export declare class UserOperationPolicy {
+    private readonly allowedTargets?;
+    private readonly allowedSelectors?;
+    private readonly maxValuePerOperation?;
+    private readonly maxValuePerWindow?;
+    private readonly tokenLimits;
+    private readonly windowMs;
+    private readonly spending;
+    /**
+     * Initializes a new UserOperationPolicy object.
+     *
+     * @param options - The policy options.
+     * @param options.allowedTargets - The addresses calls may target. Defaults to any address.
+     * @param options.allowedSelectors - The functions calls may call, as 4-byte selectors or signatures like
+     * `transfer(address,uint256)`. Calls without data, which only send value, are always allowed. Defaults to any function.
+     * @param options.maxValuePerOperation - The maximum native value, in wei, a user operation may send across its calls.
+     * @param options.maxValuePerWindow - The maximum native value, in wei, a smart wallet may send within the rolling window.
+     * @param options.tokenLimits - The maximum amounts of ERC-20 tokens, in their smallest unit, by token address.
+     * @param options.windowSeconds - The length of the rolling window. Defaults to 24 hours.
+     * @throws {ArgumentError} if a selector or token address is invalid, or the window is not positive.
+     */
+    constructor({ allowedTargets, allowedSelectors, maxValuePerOperation, maxValuePerWindow, tokenLimits, windowSeconds, }?: UserOperationPolicyOptions);
+    /**
+     * Checks the calls of a user operation against the policy and, if they pass, reserves the amounts they spend
+     * towards the rolling window caps in the same step, so that concurrent user operations cannot both pass
+     * against the same remaining allowance. Release the reservation if the user operation is not broadcast.
+     *
+     * @param smartWalletAddress - The address of the smart wallet sending the user operation.
+     * @param calls - The encoded calls of the user operation.
+     * @param sourceCalls - The calls the user operation was created with, used to name the called functions in errors.
+     * @returns The reservation of the amounts the user operation spends.
+     * @throws {UserOperationPolicyError} if the user operation violates the policy.
+     */
+    check(smartWalletAddress: string, calls: readonly Call[], sourceCalls?: Calls<readonly unknown[]>): UserOperationPolicyReservation;
+    /**
+     * Returns the amount a smart wallet has spent, or reserved, within the rolling window.
+     *
+     * @param smartWalletAddress - The address of the smart wallet.
+     * @param tokenAddress - The address of the ERC-20 token. Defaults to the native asset.
+     * @returns The amount, in wei or in the token's smallest unit.
+     */
+    getSpent(smartWalletAddress: string, tokenAddress?: string): bigint;
+    /**
+     * Drops the spending of a smart wallet that has left the rolling window.
+     *
+     * @param key - The spending key of the smart wallet and asset.
+     * @returns The spending within the rolling window.
+     */
+    private prune;
+}
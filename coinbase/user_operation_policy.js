@@ -0,0 +1,214 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.UserOperationPolicy = void 0;
+const viem_1 = require("viem");
+const errors_1 = require("./errors");
+/**
+ * The ERC-20 functions whose amounts token limits decode.
+ */
+const ERC20_SPEND_ABI = (0, viem_1.parseAbi)([
+    "function transfer(address to, uint256 amount)",
+    "function transferFrom(address from, address to, uint256 amount)",
+    "function approve(address spender, uint256 amount)",
+    "function increaseAllowance(address spender, uint256 amount)",
+]);
+/**
+ * The asset key of the native asset in the spending records.
+ */
+const NATIVE_ASSET = "native";
+/**
+ * A client-side policy for the user operations of smart wallets, e.g. to restrict what a paymaster-sponsored
+ * operation may do. A user operation that violates the policy is rejected with a UserOperationPolicyError before
+ * it is created, and checked again before it is broadcast.
+ *
+ * `maxValuePerOperation` and `maxValuePerWindow` cap the native asset sent as call value. ERC-20 amounts are
+ * capped per token with `tokenLimits`, which decodes the amounts of `transfer`, `transferFrom`, `approve` and
+ * `increaseAllowance` calls to the token, and rejects any other call to it whose amount cannot be checked.
+ *
+ * The amounts a smart wallet spends are reserved when its user operations pass the check before broadcast, and
+ * released if the broadcast fails. They are kept in memory, so the rolling window caps apply to the user
+ * operations broadcast with the same policy instance.
+ *
+ * @example
+ * ```ts
+ * const policy = new UserOperationPolicy({
+ *   allowedTargets: [usdcAddress],
+ *   allowedSelectors: ["transfer(address,uint256)"],
+ *   tokenLimits: {
+ *     [usdcAddress]: { maxPerOperation: parseUnits("100", 6), maxPerWindow: parseUnits("1000", 6) },
+ *   },
+ *   windowSeconds: 24 * 60 * 60,
+ * });
+ * await sendUserOperation(wallet, { calls, chainId: 84532, paymasterUrl, policy });
+ * ```
+ */
+class UserOperationPolicy {
+    /**
+     * Initializes a new UserOperationPolicy object.
+     *
+     * @param options - The policy options.
+     * @param options.allowedTargets - The addresses calls may target. Defaults to any address.
+     * @param options.allowedSelectors - The functions calls may call, as 4-byte selectors or signatures like
+     * `transfer(address,uint256)`. Calls without data, which only send value, are always allowed. Defaults to any function.
+     * @param options.maxValuePerOperation - The maximum native value, in wei, a user operation may send across its calls.
+     * @param options.maxValuePerWindow - The maximum native value, in wei, a smart wallet may send within the rolling window.
+     * @param options.tokenLimits - The maximum amounts of ERC-20 tokens, in their smallest unit, by token address.
+     * @param options.windowSeconds - The length of the rolling window. Defaults to 24 hours.
+     * @throws {ArgumentError} if a selector or token address is invalid, or the window is not positive.
+     */
+    constructor({ allowedTargets, allowedSelectors, maxValuePerOperation, maxValuePerWindow, tokenLimits = {}, windowSeconds = 24 * 60 * 60, } = {}) {
+        if (!(windowSeconds > 0)) {
+            throw new errors_1.ArgumentError(`Window must be positive, got ${windowSeconds}`);
+        }
+        this.allowedTargets = allowedTargets && new Set(allowedTargets.map(target => target.toLowerCase()));
+        this.allowedSelectors = allowedSelectors && new Set(allowedSelectors.map(toSelector));
+        this.maxValuePerOperation = maxValuePerOperation;
+        this.maxValuePerWindow = maxValuePerWindow;
+        this.tokenLimits = new Map(Object.entries(tokenLimits).map(([tokenAddress, limits]) => {
+            if (!(0, viem_1.isAddress)(tokenAddress, { strict: false })) {
+                throw new errors_1.ArgumentError(`Invalid token address: ${tokenAddress}`);
+            }
+            return [tokenAddress.toLowerCase(), limits];
+        }));
+        this.windowMs = windowSeconds * 1000;
+        this.spending = new Map();
+    }
+    /**
+     * Checks the calls of a user operation against the policy and, if they pass, reserves the amounts they spend
+     * towards the rolling window caps in the same step, so that concurrent user operations cannot both pass
+     * against the same remaining allowance. Release the reservation if the user operation is not broadcast.
+     *
+     * @param smartWalletAddress - The address of the smart wallet sending the user operation.
+     * @param calls - The encoded calls of the user operation.
+     * @param sourceCalls - The calls the user operation was created with, used to name the called functions in errors.
+     * @returns The reservation of the amounts the user operation spends.
+     * @throws {UserOperationPolicyError} if the user operation violates the policy.
+     */
+    check(smartWalletAddress, calls, sourceCalls) {
+        let value = BigInt(0);
+        const tokenAmounts = new Map();
+        for (const [index, call] of calls.entries()) {
+            if (this.allowedTargets && !this.allowedTargets.has(call.to.toLowerCase())) {
+                throw new errors_1.UserOperationPolicyError(`Call ${index} targets ${call.to}, which is not an allowed target`, index);
+            }
+            if (this.allowedSelectors && call.data !== "0x") {
+                const selector = call.data.slice(0, 10).toLowerCase();
+                if (!this.allowedSelectors.has(selector)) {
+                    const functionName = sourceCalls?.[index]?.functionName;
+                    const description = functionName ? `${functionName} (${selector})` : selector;
+                    throw new errors_1.UserOperationPolicyError(`Call ${index} calls ${description}, which is not an allowed function`, index);
+                }
+            }
+            const token = call.to.toLowerCase();
+            if (this.tokenLimits.has(token) && call.data !== "0x") {
+                const amount = decodeTokenAmount(call.data);
+                if (amount === undefined) {
+                    throw new errors_1.UserOperationPolicyError(`Call ${index} calls ${call.data.slice(0, 10)} on token ${call.to}, whose amount the policy cannot check`, index);
+                }
+                tokenAmounts.set(token, (tokenAmounts.get(token) ?? BigInt(0)) + amount);
+            }
+            value += BigInt(call.value);
+        }
+        const spends = [
+            { asset: NATIVE_ASSET, amount: value, maxPerOperation: this.maxValuePerOperation, maxPerWindow: this.maxValuePerWindow, unit: " wei", description: " wei" },
+            ...[...tokenAmounts].map(([token, amount]) => ({
+                asset: token,
+                amount,
+                ...this.tokenLimits.get(token),
+                unit: "",
+                description: ` of token ${token}`,
+            })),
+        ];
+        for (const { asset, amount, maxPerOperation, maxPerWindow, unit, description } of spends) {
+            if (maxPerOperation !== undefined && amount > maxPerOperation) {
+                throw new errors_1.UserOperationPolicyError(`User operation sends ${amount}${description}, more than the maximum of ${maxPerOperation}${unit} per operation`);
+            }
+            if (maxPerWindow !== undefined) {
+                const spent = this.getSpent(smartWalletAddress, asset === NATIVE_ASSET ? undefined : asset);
+                if (spent + amount > maxPerWindow) {
+                    throw new errors_1.UserOperationPolicyError(`User operation sends ${amount}${description}, but ${smartWalletAddress} already sent ${spent} of its maximum of ${maxPerWindow}${unit} in the last ${this.windowMs / 1000} seconds`);
+                }
+            }
+        }
+        const reserved = spends
+            .filter(({ amount }) => amount > BigInt(0))
+            .map(({ asset, amount }) => {
+            const key = spendingKey(smartWalletAddress, asset);
+            const entry = { timestamp: Date.now(), value: amount };
+            this.spending.set(key, [...this.prune(key), entry]);
+            return { key, entry };
+        });
+        return {
+            release: () => {
+                for (const { key, entry } of reserved.splice(0)) {
+                    this.spending.set(key, (this.spending.get(key) ?? []).filter(existing => existing !== entry));
+                }
+            },
+        };
+    }
+    /**
+     * Returns the amount a smart wallet has spent, or reserved, within the rolling window.
+     *
+     * @param smartWalletAddress - The address of the smart wallet.
+     * @param tokenAddress - The address of the ERC-20 token. Defaults to the native asset.
+     * @returns The amount, in wei or in the token's smallest unit.
+     */
+    getSpent(smartWalletAddress, tokenAddress) {
+        return this.prune(spendingKey(smartWalletAddress, tokenAddress?.toLowerCase() ?? NATIVE_ASSET)).reduce((total, entry) => total + entry.value, BigInt(0));
+    }
+    /**
+     * Drops the spending of a smart wallet that has left the rolling window.
+     *
+     * @param key - The spending key of the smart wallet and asset.
+     * @returns The spending within the rolling window.
+     */
+    prune(key) {
+        const since = Date.now() - this.windowMs;
+        const entries = (this.spending.get(key) ?? []).filter(entry => entry.timestamp > since);
+        this.spending.set(key, entries);
+        return entries;
+    }
+}
+exports.UserOperationPolicy = UserOperationPolicy;
+/**
+ * Returns the key of the spending of a smart wallet in an asset.
+ *
+ * @param smartWalletAddress - The address of the smart wallet.
+ * @param asset - The lowercase token address, or the native asset key.
+ * @returns The key.
+ */
+function spendingKey(smartWalletAddress, asset) {
+    return `${smartWalletAddress.toLowerCase()}:${asset}`;
+}
+/**
+ * Decodes the amount an ERC-20 call spends.
+ *
+ * @param data - The call data.
+ * @returns The amount, or undefined if the call is not a transfer, transferFrom, approve or increaseAllowance.
+ */
+function decodeTokenAmount(data) {
+    try {
+        const { args } = (0, viem_1.decodeFunctionData)({ abi: ERC20_SPEND_ABI, data: data });
+        return args[args.length - 1];
+    }
+    catch {
+        return undefined;
+    }
+}
+/**
+ * Normalizes an allowed function to its 4-byte selector.
+ *
+ * @param selectorOrSignature - A 4-byte selector, or a function signature like `transfer(address,uint256)`.
+ * @returns The lowercase selector.
+ */
+function toSelector(selectorOrSignature) {
+    if (/^0x[0-9a-fA-F]{8}$/.test(selectorOrSignature)) {
+        return selectorOrSignature.toLowerCase();
+    }
+    try {
+        return (0, viem_1.toFunctionSelector)(selectorOrSignature);
+    }
+    catch (error) {
+        throw new errors_1.ArgumentError(`Invalid function selector or signature: ${selectorOrSignature}`);
+    }
+}
@@ -1,6 +1,8 @@
-import { Axios, AxiosResponse, InternalAxiosRequestConfig } from "axios";
+import { Axios, AxiosResponse, InternalAxiosRequestConfig, RawAxiosRequestConfig } from "axios";
 /**
- * Prints Axios response to the console for debugging purposes.
+ * Prints Axios response to the console for debugging purposes. Credentials and signing material are redacted.
+ *
+ * @deprecated Pass a `logger` to `Coinbase.configure` instead.
  *
  * @param response - The Axios response object.
  * @param debugging - Flag to enable or disable logging.
@@ -68,4 +70,18 @@ export declare function formatDate(date: Date): string;
  * @returns a formatted date that is one week ago.
  */
 export declare function getWeekBackDate(date: Date): string;
+/**
+ * Generates a new idempotency key for a mutating API request.
+ *
+ * @returns A random UUID.
+ */
+export declare function generateIdempotencyKey(): string;
+/**
+ * Returns the Axios request options that send the given idempotency key.
+ * Requests carrying the key are safe to retry, so the retry policy retries them regardless of their method.
+ *
+ * @param idempotencyKey - The idempotency key.
+ * @returns The request options.
+ */
+export declare function idempotencyKeyOptions(idempotencyKey: string): RawAxiosRequestConfig;
 export {};
@@ -1,10 +1,15 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.getWeekBackDate = exports.formatDate = exports.parseUnsignedPayload = exports.delay = exports.convertStringToHex = exports.registerAxiosInterceptors = exports.logApiResponse = void 0;
+exports.idempotencyKeyOptions = exports.generateIdempotencyKey = exports.getWeekBackDate = exports.formatDate = exports.parseUnsignedPayload = exports.delay = exports.convertStringToHex = exports.registerAxiosInterceptors = exports.logApiResponse = void 0;
+const crypto_1 = require("crypto");
 const api_error_1 = require("./api_error");
+const constants_1 = require("./constants");
+const logger_1 = require("./logger");
 const errors_1 = require("./errors");
 /**
- * Prints Axios response to the console for debugging purposes.
+ * Prints Axios response to the console for debugging purposes. Credentials and signing material are redacted.
+ *
+ * @deprecated Pass a `logger` to `Coinbase.configure` instead.
  *
  * @param response - The Axios response object.
  * @param debugging - Flag to enable or disable logging.
@@ -12,9 +17,10 @@ const errors_1 = require("./errors");
  */
 const logApiResponse = (response, debugging = false) => {
     if (debugging) {
-        let output = typeof response.data === "string" ? response.data : "";
-        if (typeof response.data === "object") {
-            output = JSON.stringify(response.data, null, 4);
+        const data = (0, logger_1.redact)(response.data);
+        let output = typeof data === "string" ? data : "";
+        if (typeof data === "object") {
+            output = JSON.stringify(data, null, 4);
         }
         console.log(`API RESPONSE: 
       Status: ${response.status} 
@@ -109,3 +115,23 @@ function getWeekBackDate(date) {
     return formatDate(date);
 }
 exports.getWeekBackDate = getWeekBackDate;
+/**
+ * Generates a new idempotency key for a mutating API request.
+ *
+ * @returns A random UUID.
+ */
+function generateIdempotencyKey() {
+    return (0, crypto_1.randomUUID)();
+}
+exports.generateIdempotencyKey = generateIdempotencyKey;
+/**
+ * Returns the Axios request options that send the given idempotency key.
+ * Requests carrying the key are safe to retry, so the retry policy retries them regardless of their method.
+ *
+ * @param idempotencyKey - The idempotency key.
+ * @returns The request options.
+ */
+function idempotencyKeyOptions(idempotencyKey) {
+    return { headers: { [constants_1.IDEMPOTENCY_KEY_HEADER]: idempotencyKey } };
+}
+exports.idempotencyKeyOptions = idempotencyKeyOptions;
@@ -0,0 +1,26 @@
+import { LocalAccount } from "viem";
+import { WalletAddress } from "./address/wallet_address";
+import { ViemAccountOptions } from "./types";
+/**
+ * Wraps a WalletAddress in a viem LocalAccount, so that viem Wallet Clients and actions can sign with it.
+ *
+ * Addresses with a key loaded sign locally with their Signer. Addresses backed by a Server-Signer sign by
+ * creating a Payload Signature and waiting for the Server-Signer to sign it.
+ *
+ * @example
+ * ```ts
+ * import { createWalletClient, http, parseEther } from "viem";
+ * import { baseSepolia } from "viem/chains";
+ *
+ * const account = toViemAccount(await wallet.getDefaultAddress());
+ * const client = createWalletClient({ account, chain: baseSepolia, transport: http() });
+ * await client.sendTransaction({ to: "0x...", value: parseEther("0.001") });
+ * ```
+ *
+ * @param walletAddress - The WalletAddress to sign with.
+ * @param options - The adapter options.
+ * @param options.intervalSeconds - The interval to check the status of Server-Signer Payload Signatures. Defaults to 0.2.
+ * @param options.timeoutSeconds - The maximum time to wait for a Server-Signer Payload Signature. Defaults to 10.
+ * @returns The viem account.
+ */
+export declare function toViemAccount(walletAddress: WalletAddress, { intervalSeconds, timeoutSeconds }?: ViemAccountOptions): LocalAccount;
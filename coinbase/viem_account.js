@@ -0,0 +1,43 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.toViemAccount = void 0;
+const viem_1 = require("viem");
+const accounts_1 = require("viem/accounts");
+/**
+ * Wraps a WalletAddress in a viem LocalAccount, so that viem Wallet Clients and actions can sign with it.
+ *
+ * Addresses with a key loaded sign locally with their Signer. Addresses backed by a Server-Signer sign by
+ * creating a Payload Signature and waiting for the Server-Signer to sign it.
+ *
+ * @example
+ * ```ts
+ * import { createWalletClient, http, parseEther } from "viem";
+ * import { baseSepolia } from "viem/chains";
+ *
+ * const account = toViemAccount(await wallet.getDefaultAddress());
+ * const client = createWalletClient({ account, chain: baseSepolia, transport: http() });
+ * await client.sendTransaction({ to: "0x...", value: parseEther("0.001") });
+ * ```
+ *
+ * @param walletAddress - The WalletAddress to sign with.
+ * @param options - The adapter options.
+ * @param options.intervalSeconds - The interval to check the status of Server-Signer Payload Signatures. Defaults to 0.2.
+ * @param options.timeoutSeconds - The maximum time to wait for a Server-Signer Payload Signature. Defaults to 10.
+ * @returns The viem account.
+ */
+function toViemAccount(walletAddress, { intervalSeconds = 0.2, timeoutSeconds = 10 } = {}) {
+    const sign = async (hash) => (await walletAddress.signDigest(hash, { intervalSeconds, timeoutSeconds }));
+    return (0, accounts_1.toAccount)({
+        address: walletAddress.getId(),
+        sign: async ({ hash }) => sign(hash),
+        signMessage: async ({ message }) => sign((0, viem_1.hashMessage)(message)),
+        signTypedData: async (typedData) => sign((0, viem_1.hashTypedData)(typedData)),
+        signTransaction: async (transaction, { serializer = viem_1.serializeTransaction } = {}) => {
+            // Blob sidecars are not part of the signed payload.
+            const signableTransaction = transaction.type === "eip4844" ? { ...transaction, sidecars: false } : transaction;
+            const signature = await sign((0, viem_1.keccak256)(await serializer(signableTransaction)));
+            return serializer(transaction, (0, viem_1.parseSignature)(signature));
+        },
+    });
+}
+exports.toViemAccount = toViemAccount;
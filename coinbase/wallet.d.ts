@@ -0,0 +1,339 @@
+import Decimal from "decimal.js";
+import { Wallet as WalletModel } from "../client";
+import { WalletAddress } from "./address/wallet_address";
+import { BalanceMap } from "./balance_map";
+import { Coinbase } from "./coinbase";
+import { ContractInvocation } from "./contract_invocation";
+import { FaucetTransaction } from "./faucet_transaction";
+import { Paginator } from "./paginator";
+import { PayloadSignature } from "./payload_signature";
+import { SmartContract } from "./smart_contract";
+import { Trade } from "./trade";
+import { Transfer } from "./transfer";
+import { BatchTransfer, BatchTransferReport, CreateContractInvocationOptions, CreateERC1155Options, CreateERC20Options, CreateERC721Options, CreateTradeOptions, CreateTransferOptions, CreateTransfersOptions, MnemonicSeedPhrase, PaginationOptions, PaginationResponse, PaginatorOptions, ServerSignerStatus, WalletCreateOptions, WalletData } from "./types";
+/**
+ * A representation of a Wallet. Wallets come with a single default Address, but can expand to have a set of Addresses,
+ * each of which can hold a balance of one or more Assets. Wallets can create new Addresses, list their addresses,
+ * list their balances, and transfer Assets to other Addresses.
+ *
+ * Addresses are derived from the Wallet's seed along the BIP-44 Ethereum path `m/44'/60'/0'/0/<index>`. A Wallet
+ * loaded without its seed can read its Addresses and balances, but cannot sign.
+ */
+export declare class Wallet {
+    private model;
+    private coinbase?;
+    private master?;
+    private seed?;
+    private addresses?;
+    private addressPathPrefix;
+    /**
+     * Private constructor to prevent direct instantiation outside of the factory methods.
+     *
+     * @ignore
+     * @param model - The wallet model object.
+     * @param seed - The seed to use for the Wallet, as a hex string. Expects a 16-64 byte seed.
+     * @param coinbase - The Coinbase instance the Wallet is bound to. Defaults to the default SDK instance.
+     * @hideconstructor
+     */
+    private constructor();
+    /**
+     * Returns a new Wallet object. Do not use this method directly. Instead use one of the factory methods:
+     *   - Wallet.create
+     *   - Wallet.import
+     *   - Wallet.fetch
+     *
+     * @param model - The underlying Wallet model object.
+     * @param seed - The seed to use for the Wallet, as a hex string. If undefined, the Wallet cannot sign.
+     * @param coinbase - The Coinbase instance the Wallet is bound to. Defaults to the default SDK instance.
+     * @returns The new Wallet.
+     * @throws {ArgumentError} If the model or seed is invalid.
+     */
+    static init(model: WalletModel, seed?: string, coinbase?: Coinbase): Wallet;
+    /**
+     * Creates a new Wallet on the given network with a single registered Address. The Wallet is given a fresh
+     * random seed, unless the SDK is configured to use a Server-Signer, which then holds the keys.
+     *
+     * @param options - The options to create the Wallet.
+     * @param options.networkId - The network ID of the Wallet. Defaults to Base Sepolia.
+     * @param options.timeoutSeconds - The maximum time to wait for the Server-Signer to create its seed. Defaults to 20.
+     * @param options.intervalSeconds - The interval to check the Server-Signer status. Defaults to 0.2.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The new Wallet.
+     * @throws {TimeoutError} If the Server-Signer does not create its seed in time.
+     */
+    static create({ networkId, timeoutSeconds, intervalSeconds, }?: Omit<WalletCreateOptions, "seed">, coinbase?: Coinbase): Promise<Wallet>;
+    /**
+     * Creates a new Wallet on the given network from the given seed, and registers its first Address.
+     *
+     * @param options - The options to create the Wallet.
+     * @param options.seed - The seed of the Wallet, as a hex string. Defaults to a random seed.
+     * @param options.networkId - The network ID of the Wallet. Defaults to Base Sepolia.
+     * @param options.timeoutSeconds - The maximum time to wait for the Server-Signer to create its seed. Defaults to 20.
+     * @param options.intervalSeconds - The interval to check the Server-Signer status. Defaults to 0.2.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The new Wallet.
+     * @throws {ArgumentError} If the seed is invalid.
+     * @throws {TimeoutError} If the Server-Signer does not create its seed in time.
+     */
+    static createWithSeed({ seed, networkId, timeoutSeconds, intervalSeconds, }?: WalletCreateOptions, coinbase?: Coinbase): Promise<Wallet>;
+    /**
+     * Imports a Wallet. WalletData restores an existing Wallet with its seed and Addresses, while a BIP-39
+     * mnemonic seed phrase creates a new Wallet whose keys are derived from the phrase.
+     *
+     * @param data - The Wallet data from `export()`, or a BIP-39 mnemonic seed phrase.
+     * @param networkId - The network ID of a Wallet created from a mnemonic seed phrase. Defaults to Base Sepolia.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The imported Wallet.
+     * @throws {ArgumentError} If the data is neither WalletData nor a valid mnemonic seed phrase.
+     */
+    static import(data: WalletData | MnemonicSeedPhrase, networkId?: string, coinbase?: Coinbase): Promise<Wallet>;
+    /**
+     * Fetches a Wallet by its ID. The Wallet is loaded without its seed, so it cannot sign until `setSeed` is called.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The Wallet.
+     */
+    static fetch(walletId: string, coinbase?: Coinbase): Promise<Wallet>;
+    /**
+     * Lists the Wallets belonging to the API key. The Wallets are loaded without their seeds.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of Wallets to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of Wallets. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The paginated list response of Wallets.
+     */
+    static listWallets({ limit, page }?: PaginationOptions, coinbase?: Coinbase): Promise<PaginationResponse<Wallet>>;
+    /**
+     * Iterates over all the Wallets belonging to the API key, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Wallets to return. Defaults to all of them.
+     * @param options.pageSize - The number of Wallets to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the Wallets.
+     */
+    static paginate(options?: PaginatorOptions, coinbase?: Coinbase): Paginator<Wallet>;
+    /**
+     * Returns the Wallet ID.
+     *
+     * @returns The Wallet ID.
+     */
+    getId(): string;
+    /**
+     * Returns the network ID of the Wallet.
+     *
+     * @returns The network ID.
+     */
+    getNetworkId(): string;
+    /**
+     * Returns the Server-Signer status of the Wallet.
+     *
+     * @returns The Server-Signer status, or undefined if the Wallet does not use a Server-Signer.
+     */
+    getServerSignerStatus(): ServerSignerStatus | undefined;
+    /**
+     * Returns whether the Wallet has a seed with which it can sign.
+     *
+     * @returns True if the Wallet can sign.
+     */
+    canSign(): boolean;
+    /**
+     * Sets the seed of a Wallet loaded without one, and attaches the derived keys to its loaded Addresses.
+     *
+     * @param seed - The seed of the Wallet, as a hex string.
+     * @throws {ArgumentError} If the seed is invalid.
+     * @throws {Error} If the Wallet already has a seed.
+     */
+    setSeed(seed: string): void;
+    /**
+     * Exports the Wallet's data, which can be used to import the Wallet later.
+     *
+     * The seed gives full control over the Wallet's funds: store the exported data securely, e.g. in a SeedStore.
+     *
+     * @returns The Wallet data.
+     * @throws {Error} If the Wallet does not have a seed.
+     */
+    export(): WalletData;
+    /**
+     * Derives the next Address from the seed, or has the Server-Signer create it, and registers it with the Wallet.
+     *
+     * @returns The new Address.
+     * @throws {Error} If the Wallet has no seed and does not use a Server-Signer.
+     */
+    createAddress(): Promise<WalletAddress>;
+    /**
+     * Lists all the Addresses of the Wallet, fetching every page, and attaches the derived keys if the Wallet
+     * has a seed.
+     *
+     * @returns The Addresses.
+     */
+    listAddresses(): Promise<WalletAddress[]>;
+    /**
+     * Returns the Address with the given ID.
+     *
+     * @param addressId - The Address ID.
+     * @returns The Address, or undefined if the Wallet has no such Address.
+     */
+    getAddress(addressId: string): Promise<WalletAddress | undefined>;
+    /**
+     * Returns the default Address of the Wallet.
+     *
+     * @returns The default Address.
+     * @throws {Error} If the Wallet has no default Address.
+     */
+    getDefaultAddress(): Promise<WalletAddress>;
+    /**
+     * Returns the balances of all the Wallet's Addresses, summed by asset.
+     *
+     * @returns The map from asset ID to balance.
+     */
+    listBalances(): Promise<BalanceMap>;
+    /**
+     * Returns the balance of the provided asset, summed across the Wallet's Addresses.
+     *
+     * @param assetId - The asset ID.
+     * @returns The balance of the asset.
+     */
+    getBalance(assetId: string): Promise<Decimal>;
+    /**
+     * Requests funds from the faucet for the Wallet's default Address.
+     *
+     * @param assetId - The ID of the asset to request. Defaults to the network's native asset.
+     * @returns The faucet transaction.
+     */
+    faucet(assetId?: string): Promise<FaucetTransaction>;
+    /**
+     * Transfers an amount of an asset from the Wallet's default Address. See `WalletAddress.createTransfer`.
+     *
+     * @param options - The options of the Transfer.
+     * @returns The Transfer.
+     */
+    createTransfer(options: CreateTransferOptions): Promise<Transfer>;
+    /**
+     * Transfers many amounts from the Wallet's default Address in one batch. See `WalletAddress.createTransfers`.
+     *
+     * @param transfers - The Transfers to create.
+     * @param options - The options of the batch.
+     * @returns The report of the batch.
+     */
+    createTransfers(transfers: BatchTransfer[], options?: CreateTransfersOptions): Promise<BatchTransferReport>;
+    /**
+     * Trades an amount of one asset for another from the Wallet's default Address. See `WalletAddress.createTrade`.
+     *
+     * @param options - The options of the Trade.
+     * @returns The Trade.
+     */
+    createTrade(options: CreateTradeOptions): Promise<Trade>;
+    /**
+     * Invokes a contract method from the Wallet's default Address. See `WalletAddress.invokeContract`.
+     *
+     * @param options - The options of the contract invocation.
+     * @returns The ContractInvocation.
+     */
+    invokeContract(options: CreateContractInvocationOptions): Promise<ContractInvocation>;
+    /**
+     * Deploys an ERC20 token contract from the Wallet's default Address. See `WalletAddress.deployToken`.
+     *
+     * @param options - The options of the token.
+     * @returns The deployed SmartContract.
+     */
+    deployToken(options: CreateERC20Options): Promise<SmartContract>;
+    /**
+     * Deploys an ERC721 token contract from the Wallet's default Address. See `WalletAddress.deployNFT`.
+     *
+     * @param options - The options of the NFT.
+     * @returns The deployed SmartContract.
+     */
+    deployNFT(options: CreateERC721Options): Promise<SmartContract>;
+    /**
+     * Deploys an ERC1155 token contract from the Wallet's default Address. See `WalletAddress.deployMultiToken`.
+     *
+     * @param options - The options of the multi-token.
+     * @returns The deployed SmartContract.
+     */
+    deployMultiToken(options: CreateERC1155Options): Promise<SmartContract>;
+    /**
+     * Signs a payload with the Wallet's default Address. See `WalletAddress.createPayloadSignature`.
+     *
+     * @param unsignedPayload - The hex encoded payload to sign.
+     * @returns The PayloadSignature.
+     */
+    createPayloadSignature(unsignedPayload: string): Promise<PayloadSignature>;
+    /**
+     * Reloads the Wallet model with the latest data from the server.
+     */
+    reload(): Promise<void>;
+    /**
+     * Returns a String representation of the Wallet.
+     *
+     * @returns A String representation of the Wallet.
+     */
+    toString(): string;
+    /**
+     * Waits until the Server-Signer has created the Wallet's seed.
+     *
+     * @param options - The options to configure the wait.
+     * @param options.intervalSeconds - The interval to check the Server-Signer status.
+     * @param options.timeoutSeconds - The maximum time to wait.
+     * @throws {TimeoutError} If the Server-Signer does not create its seed in time.
+     */
+    private waitForSigner;
+    /**
+     * Returns the loaded Addresses, listing them first if they have not been loaded yet.
+     *
+     * @returns The loaded Addresses.
+     */
+    private loadAddresses;
+    /**
+     * Validates the seed and sets it as the Wallet's master node.
+     *
+     * @param seed - The seed, as a hex string.
+     * @throws {ArgumentError} If the seed is invalid.
+     */
+    private setMasterNode;
+    /**
+     * Derives the HD node of the Address at the given index.
+     *
+     * @param index - The Address index.
+     * @returns The HD node.
+     */
+    private deriveNode;
+    /**
+     * Derives the signing key of the Address at the given index.
+     *
+     * @param index - The Address index.
+     * @returns The signing key.
+     */
+    private deriveKey;
+    /**
+     * Converts an HD node into the ethers.js Wallet the Address signs with.
+     *
+     * @param node - The HD node.
+     * @returns The ethers.js Wallet.
+     */
+    private toSigner;
+    /**
+     * Creates the attestation proving the Wallet owns the key of a new Address: a recoverable signature over
+     * the SHA-256 hash of the Wallet ID and public key.
+     *
+     * @param node - The HD node of the Address.
+     * @returns The hex encoded attestation.
+     */
+    private createAttestation;
+    /**
+     * Generates a random seed.
+     *
+     * @returns The seed, as a hex string.
+     */
+    private static generateSeed;
+    /**
+     * Validates a seed.
+     *
+     * @param seed - The seed, as a hex string.
+     * @throws {ArgumentError} If the seed is not a 16-64 byte hex string.
+     */
+    private static validateSeed;
+}
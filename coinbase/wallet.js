@@ -0,0 +1,587 @@
+"use strict";
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
+    Object.defineProperty(o, "default", { enumerable: true, value: v });
+}) : function(o, v) {
+    o["default"] = v;
+});
+var __importStar = (this && this.__importStar) || function (mod) {
+    if (mod && mod.__esModule) return mod;
+    var result = {};
+    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
+    __setModuleDefault(result, mod);
+    return result;
+};
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Wallet = void 0;
+const crypto = __importStar(require("crypto"));
+const bip32_1 = require("@scure/bip32");
+const bip39 = __importStar(require("bip39"));
+const decimal_js_1 = __importDefault(require("decimal.js"));
+const ethers_1 = require("ethers");
+const secp256k1 = __importStar(require("secp256k1"));
+const client_1 = require("../client");
+const wallet_address_1 = require("./address/wallet_address");
+const asset_1 = require("./asset");
+const balance_1 = require("./balance");
+const balance_map_1 = require("./balance_map");
+const coinbase_1 = require("./coinbase");
+const errors_1 = require("./errors");
+const paginator_1 = require("./paginator");
+const types_1 = require("./types");
+const utils_1 = require("./utils");
+const wait_1 = require("../utils/wait");
+/**
+ * A representation of a Wallet. Wallets come with a single default Address, but can expand to have a set of Addresses,
+ * each of which can hold a balance of one or more Assets. Wallets can create new Addresses, list their addresses,
+ * list their balances, and transfer Assets to other Addresses.
+ *
+ * Addresses are derived from the Wallet's seed along the BIP-44 Ethereum path `m/44'/60'/0'/0/<index>`. A Wallet
+ * loaded without its seed can read its Addresses and balances, but cannot sign.
+ */
+class Wallet {
+    /**
+     * Private constructor to prevent direct instantiation outside of the factory methods.
+     *
+     * @ignore
+     * @param model - The wallet model object.
+     * @param seed - The seed to use for the Wallet, as a hex string. Expects a 16-64 byte seed.
+     * @param coinbase - The Coinbase instance the Wallet is bound to. Defaults to the default SDK instance.
+     * @hideconstructor
+     */
+    constructor(model, seed, coinbase) {
+        this.addressPathPrefix = "m/44'/60'/0'/0";
+        this.model = model;
+        this.coinbase = coinbase;
+        if (seed) {
+            this.setMasterNode(seed);
+        }
+    }
+    /**
+     * Returns a new Wallet object. Do not use this method directly. Instead use one of the factory methods:
+     *   - Wallet.create
+     *   - Wallet.import
+     *   - Wallet.fetch
+     *
+     * @param model - The underlying Wallet model object.
+     * @param seed - The seed to use for the Wallet, as a hex string. If undefined, the Wallet cannot sign.
+     * @param coinbase - The Coinbase instance the Wallet is bound to. Defaults to the default SDK instance.
+     * @returns The new Wallet.
+     * @throws {ArgumentError} If the model or seed is invalid.
+     */
+    static init(model, seed, coinbase) {
+        if (!model) {
+            throw new errors_1.ArgumentError("Wallet model cannot be empty");
+        }
+        return new Wallet(model, seed, coinbase);
+    }
+    /**
+     * Creates a new Wallet on the given network with a single registered Address. The Wallet is given a fresh
+     * random seed, unless the SDK is configured to use a Server-Signer, which then holds the keys.
+     *
+     * @param options - The options to create the Wallet.
+     * @param options.networkId - The network ID of the Wallet. Defaults to Base Sepolia.
+     * @param options.timeoutSeconds - The maximum time to wait for the Server-Signer to create its seed. Defaults to 20.
+     * @param options.intervalSeconds - The interval to check the Server-Signer status. Defaults to 0.2.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The new Wallet.
+     * @throws {TimeoutError} If the Server-Signer does not create its seed in time.
+     */
+    static async create({ networkId = coinbase_1.Coinbase.networks.BaseSepolia, timeoutSeconds = 20, intervalSeconds = 0.2, } = {}, coinbase) {
+        return Wallet.createWithSeed({ networkId, timeoutSeconds, intervalSeconds }, coinbase);
+    }
+    /**
+     * Creates a new Wallet on the given network from the given seed, and registers its first Address.
+     *
+     * @param options - The options to create the Wallet.
+     * @param options.seed - The seed of the Wallet, as a hex string. Defaults to a random seed.
+     * @param options.networkId - The network ID of the Wallet. Defaults to Base Sepolia.
+     * @param options.timeoutSeconds - The maximum time to wait for the Server-Signer to create its seed. Defaults to 20.
+     * @param options.intervalSeconds - The interval to check the Server-Signer status. Defaults to 0.2.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The new Wallet.
+     * @throws {ArgumentError} If the seed is invalid.
+     * @throws {TimeoutError} If the Server-Signer does not create its seed in time.
+     */
+    static async createWithSeed({ seed, networkId = coinbase_1.Coinbase.networks.BaseSepolia, timeoutSeconds = 20, intervalSeconds = 0.2, } = {}, coinbase) {
+        const useServerSigner = coinbase_1.Coinbase.resolve(coinbase).useServerSigner;
+        if (seed !== undefined) {
+            Wallet.validateSeed(seed);
+        }
+        const walletSeed = useServerSigner ? undefined : seed ?? Wallet.generateSeed();
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.wallet.createWallet({
+            wallet: {
+                network_id: networkId,
+                use_server_signer: useServerSigner,
+            },
+        });
+        const wallet = Wallet.init(response.data, walletSeed, coinbase);
+        if (useServerSigner) {
+            await wallet.waitForSigner({ intervalSeconds, timeoutSeconds });
+        }
+        wallet.addresses = [];
+        await wallet.createAddress();
+        return wallet;
+    }
+    /**
+     * Imports a Wallet. WalletData restores an existing Wallet with its seed and Addresses, while a BIP-39
+     * mnemonic seed phrase creates a new Wallet whose keys are derived from the phrase.
+     *
+     * @param data - The Wallet data from `export()`, or a BIP-39 mnemonic seed phrase.
+     * @param networkId - The network ID of a Wallet created from a mnemonic seed phrase. Defaults to Base Sepolia.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The imported Wallet.
+     * @throws {ArgumentError} If the data is neither WalletData nor a valid mnemonic seed phrase.
+     */
+    static async import(data, networkId = coinbase_1.Coinbase.networks.BaseSepolia, coinbase) {
+        if ((0, types_1.isMnemonicSeedPhrase)(data)) {
+            const mnemonicPhrase = data.mnemonicPhrase.trim();
+            if (!bip39.validateMnemonic(mnemonicPhrase)) {
+                throw new errors_1.ArgumentError("Invalid BIP-39 mnemonic seed phrase");
+            }
+            const seed = bip39.mnemonicToSeedSync(mnemonicPhrase).toString("hex");
+            return Wallet.createWithSeed({ seed, networkId }, coinbase);
+        }
+        if ((0, types_1.isWalletData)(data)) {
+            const walletId = data.walletId ?? data.wallet_id;
+            const wallet = await Wallet.fetch(walletId, coinbase);
+            wallet.setSeed(data.seed);
+            await wallet.listAddresses();
+            return wallet;
+        }
+        throw new errors_1.ArgumentError("Invalid import data: expected WalletData or a MnemonicSeedPhrase");
+    }
+    /**
+     * Fetches a Wallet by its ID. The Wallet is loaded without its seed, so it cannot sign until `setSeed` is called.
+     *
+     * @param walletId - The ID of the Wallet.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The Wallet.
+     */
+    static async fetch(walletId, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.wallet.getWallet(walletId);
+        return Wallet.init(response.data, undefined, coinbase);
+    }
+    /**
+     * Lists the Wallets belonging to the API key. The Wallets are loaded without their seeds.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of Wallets to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of Wallets. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The paginated list response of Wallets.
+     */
+    static async listWallets({ limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined } = {}, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.wallet.listWallets(limit, page);
+        const hasMore = response.data.has_more;
+        return {
+            data: response.data.data.map(walletModel => Wallet.init(walletModel, undefined, coinbase)),
+            hasMore,
+            nextPage: hasMore ? response.data.next_page : undefined,
+        };
+    }
+    /**
+     * Iterates over all the Wallets belonging to the API key, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Wallets to return. Defaults to all of them.
+     * @param options.pageSize - The number of Wallets to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the Wallets.
+     */
+    static paginate(options = {}, coinbase) {
+        return new paginator_1.Paginator((limit, page) => Wallet.listWallets({ limit, page }, coinbase), options);
+    }
+    /**
+     * Returns the Wallet ID.
+     *
+     * @returns The Wallet ID.
+     */
+    getId() {
+        return this.model.id;
+    }
+    /**
+     * Returns the network ID of the Wallet.
+     *
+     * @returns The network ID.
+     */
+    getNetworkId() {
+        return this.model.network_id;
+    }
+    /**
+     * Returns the Server-Signer status of the Wallet.
+     *
+     * @returns The Server-Signer status, or undefined if the Wallet does not use a Server-Signer.
+     */
+    getServerSignerStatus() {
+        switch (this.model.server_signer_status) {
+            case client_1.WalletServerSignerStatusEnum.PendingSeedCreation:
+                return types_1.ServerSignerStatus.PENDING;
+            case client_1.WalletServerSignerStatusEnum.ActiveSeed:
+                return types_1.ServerSignerStatus.ACTIVE;
+            default:
+                return undefined;
+        }
+    }
+    /**
+     * Returns whether the Wallet has a seed with which it can sign.
+     *
+     * @returns True if the Wallet can sign.
+     */
+    canSign() {
+        return this.master !== undefined;
+    }
+    /**
+     * Sets the seed of a Wallet loaded without one, and attaches the derived keys to its loaded Addresses.
+     *
+     * @param seed - The seed of the Wallet, as a hex string.
+     * @throws {ArgumentError} If the seed is invalid.
+     * @throws {Error} If the Wallet already has a seed.
+     */
+    setSeed(seed) {
+        if (this.master !== undefined) {
+            throw new Error("Seed is already set");
+        }
+        this.setMasterNode(seed);
+        for (const address of this.addresses ?? []) {
+            address.setKey(this.deriveKey(address.getIndex()));
+        }
+    }
+    /**
+     * Exports the Wallet's data, which can be used to import the Wallet later.
+     *
+     * The seed gives full control over the Wallet's funds: store the exported data securely, e.g. in a SeedStore.
+     *
+     * @returns The Wallet data.
+     * @throws {Error} If the Wallet does not have a seed.
+     */
+    export() {
+        if (!this.seed) {
+            throw new Error("Cannot export a Wallet without a seed");
+        }
+        return {
+            walletId: this.getId(),
+            seed: this.seed,
+            networkId: this.getNetworkId(),
+        };
+    }
+    /**
+     * Derives the next Address from the seed, or has the Server-Signer create it, and registers it with the Wallet.
+     *
+     * @returns The new Address.
+     * @throws {Error} If the Wallet has no seed and does not use a Server-Signer.
+     */
+    async createAddress() {
+        const apiClients = coinbase_1.Coinbase.resolve(this.coinbase).apiClients;
+        const addresses = await this.loadAddresses();
+        let request;
+        let key;
+        if (!coinbase_1.Coinbase.resolve(this.coinbase).useServerSigner) {
+            if (!this.master) {
+                throw new Error("Cannot create an Address for a Wallet without a seed");
+            }
+            const addressIndex = addresses.reduce((next, address) => Math.max(next, address.getIndex() + 1), 0);
+            const node = this.deriveNode(addressIndex);
+            key = this.toSigner(node);
+            request = {
+                public_key: (0, utils_1.convertStringToHex)(node.publicKey),
+                attestation: this.createAttestation(node),
+                address_index: addressIndex,
+            };
+        }
+        const response = await apiClients.address.createAddress(this.getId(), request);
+        const address = new wallet_address_1.WalletAddress(response.data, key, this.coinbase);
+        addresses.push(address);
+        if (!this.model.default_address) {
+            await this.reload();
+        }
+        return address;
+    }
+    /**
+     * Lists all the Addresses of the Wallet, fetching every page, and attaches the derived keys if the Wallet
+     * has a seed.
+     *
+     * @returns The Addresses.
+     */
+    async listAddresses() {
+        const apiClients = coinbase_1.Coinbase.resolve(this.coinbase).apiClients;
+        const addressModels = await new paginator_1.Paginator(async (limit, page) => {
+            const response = await apiClients.address.listAddresses(this.getId(), limit, page);
+            return {
+                data: response.data.data,
+                hasMore: response.data.has_more,
+                nextPage: response.data.next_page,
+            };
+        }).toArray();
+        this.addresses = addressModels.map(addressModel => new wallet_address_1.WalletAddress(addressModel, this.master ? this.deriveKey(addressModel.index) : undefined, this.coinbase));
+        return [...this.addresses];
+    }
+    /**
+     * Returns the Address with the given ID.
+     *
+     * @param addressId - The Address ID.
+     * @returns The Address, or undefined if the Wallet has no such Address.
+     */
+    async getAddress(addressId) {
+        const addresses = await this.loadAddresses();
+        return addresses.find(address => address.getId() === addressId);
+    }
+    /**
+     * Returns the default Address of the Wallet.
+     *
+     * @returns The default Address.
+     * @throws {Error} If the Wallet has no default Address.
+     */
+    async getDefaultAddress() {
+        if (!this.model.default_address) {
+            await this.reload();
+        }
+        const defaultAddressId = this.model.default_address?.address_id;
+        const address = defaultAddressId ? await this.getAddress(defaultAddressId) : undefined;
+        if (!address) {
+            throw new Error("Wallet does not have a default Address");
+        }
+        return address;
+    }
+    /**
+     * Returns the balances of all the Wallet's Addresses, summed by asset.
+     *
+     * @returns The map from asset ID to balance.
+     */
+    async listBalances() {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.wallet.listWalletBalances(this.getId());
+        return balance_map_1.BalanceMap.fromBalances(response.data.data);
+    }
+    /**
+     * Returns the balance of the provided asset, summed across the Wallet's Addresses.
+     *
+     * @param assetId - The asset ID.
+     * @returns The balance of the asset.
+     */
+    async getBalance(assetId) {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.wallet.getWalletBalance(this.getId(), asset_1.Asset.primaryDenomination(assetId));
+        if (!response.data?.amount) {
+            return new decimal_js_1.default(0);
+        }
+        return balance_1.Balance.fromModelAndAssetId(response.data, assetId).amount;
+    }
+    /**
+     * Requests funds from the faucet for the Wallet's default Address.
+     *
+     * @param assetId - The ID of the asset to request. Defaults to the network's native asset.
+     * @returns The faucet transaction.
+     */
+    async faucet(assetId) {
+        return (await this.getDefaultAddress()).faucet(assetId);
+    }
+    /**
+     * Transfers an amount of an asset from the Wallet's default Address. See `WalletAddress.createTransfer`.
+     *
+     * @param options - The options of the Transfer.
+     * @returns The Transfer.
+     */
+    async createTransfer(options) {
+        return (await this.getDefaultAddress()).createTransfer(options);
+    }
+    /**
+     * Transfers many amounts from the Wallet's default Address in one batch. See `WalletAddress.createTransfers`.
+     *
+     * @param transfers - The Transfers to create.
+     * @param options - The options of the batch.
+     * @returns The report of the batch.
+     */
+    async createTransfers(transfers, options) {
+        return (await this.getDefaultAddress()).createTransfers(transfers, options);
+    }
+    /**
+     * Trades an amount of one asset for another from the Wallet's default Address. See `WalletAddress.createTrade`.
+     *
+     * @param options - The options of the Trade.
+     * @returns The Trade.
+     */
+    async createTrade(options) {
+        return (await this.getDefaultAddress()).createTrade(options);
+    }
+    /**
+     * Invokes a contract method from the Wallet's default Address. See `WalletAddress.invokeContract`.
+     *
+     * @param options - The options of the contract invocation.
+     * @returns The ContractInvocation.
+     */
+    async invokeContract(options) {
+        return (await this.getDefaultAddress()).invokeContract(options);
+    }
+    /**
+     * Deploys an ERC20 token contract from the Wallet's default Address. See `WalletAddress.deployToken`.
+     *
+     * @param options - The options of the token.
+     * @returns The deployed SmartContract.
+     */
+    async deployToken(options) {
+        return (await this.getDefaultAddress()).deployToken(options);
+    }
+    /**
+     * Deploys an ERC721 token contract from the Wallet's default Address. See `WalletAddress.deployNFT`.
+     *
+     * @param options - The options of the NFT.
+     * @returns The deployed SmartContract.
+     */
+    async deployNFT(options) {
+        return (await this.getDefaultAddress()).deployNFT(options);
+    }
+    /**
+     * Deploys an ERC1155 token contract from the Wallet's default Address. See `WalletAddress.deployMultiToken`.
+     *
+     * @param options - The options of the multi-token.
+     * @returns The deployed SmartContract.
+     */
+    async deployMultiToken(options) {
+        return (await this.getDefaultAddress()).deployMultiToken(options);
+    }
+    /**
+     * Signs a payload with the Wallet's default Address. See `WalletAddress.createPayloadSignature`.
+     *
+     * @param unsignedPayload - The hex encoded payload to sign.
+     * @returns The PayloadSignature.
+     */
+    async createPayloadSignature(unsignedPayload) {
+        return (await this.getDefaultAddress()).createPayloadSignature(unsignedPayload);
+    }
+    /**
+     * Reloads the Wallet model with the latest data from the server.
+     */
+    async reload() {
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.wallet.getWallet(this.getId());
+        this.model = response.data;
+    }
+    /**
+     * Returns a String representation of the Wallet.
+     *
+     * @returns A String representation of the Wallet.
+     */
+    toString() {
+        return `Wallet{id: '${this.getId()}', networkId: '${this.getNetworkId()}', serverSignerStatus: '${this.getServerSignerStatus()}'}`;
+    }
+    /**
+     * Waits until the Server-Signer has created the Wallet's seed.
+     *
+     * @param options - The options to configure the wait.
+     * @param options.intervalSeconds - The interval to check the Server-Signer status.
+     * @param options.timeoutSeconds - The maximum time to wait.
+     * @throws {TimeoutError} If the Server-Signer does not create its seed in time.
+     */
+    async waitForSigner({ intervalSeconds, timeoutSeconds }) {
+        await (0, wait_1.wait)(async () => {
+            await this.reload();
+            return this;
+        }, wallet => wallet.getServerSignerStatus() === types_1.ServerSignerStatus.ACTIVE, undefined, { intervalSeconds, timeoutSeconds }, {
+            name: "Wallet",
+            getStatus: wallet => wallet.getServerSignerStatus(),
+            attributes: { "coinbase_sdk.wallet.id": this.getId() },
+        });
+    }
+    /**
+     * Returns the loaded Addresses, listing them first if they have not been loaded yet.
+     *
+     * @returns The loaded Addresses.
+     */
+    async loadAddresses() {
+        if (!this.addresses) {
+            await this.listAddresses();
+        }
+        return this.addresses;
+    }
+    /**
+     * Validates the seed and sets it as the Wallet's master node.
+     *
+     * @param seed - The seed, as a hex string.
+     * @throws {ArgumentError} If the seed is invalid.
+     */
+    setMasterNode(seed) {
+        Wallet.validateSeed(seed);
+        this.seed = seed;
+        this.master = bip32_1.HDKey.fromMasterSeed(Buffer.from(seed, "hex"));
+    }
+    /**
+     * Derives the HD node of the Address at the given index.
+     *
+     * @param index - The Address index.
+     * @returns The HD node.
+     */
+    deriveNode(index) {
+        const node = this.master.derive(`${this.addressPathPrefix}/${index}`);
+        if (!node.privateKey || !node.publicKey) {
+            throw new Error(`Failed to derive the key of Address ${index}`);
+        }
+        return node;
+    }
+    /**
+     * Derives the signing key of the Address at the given index.
+     *
+     * @param index - The Address index.
+     * @returns The signing key.
+     */
+    deriveKey(index) {
+        return this.toSigner(this.deriveNode(index));
+    }
+    /**
+     * Converts an HD node into the ethers.js Wallet the Address signs with.
+     *
+     * @param node - The HD node.
+     * @returns The ethers.js Wallet.
+     */
+    toSigner(node) {
+        return new ethers_1.ethers.Wallet((0, utils_1.convertStringToHex)(node.privateKey));
+    }
+    /**
+     * Creates the attestation proving the Wallet owns the key of a new Address: a recoverable signature over
+     * the SHA-256 hash of the Wallet ID and public key.
+     *
+     * @param node - The HD node of the Address.
+     * @returns The hex encoded attestation.
+     */
+    createAttestation(node) {
+        const payload = JSON.stringify({
+            wallet_id: this.getId(),
+            public_key: (0, utils_1.convertStringToHex)(node.publicKey),
+        });
+        const hashedPayload = crypto.createHash("sha256").update(payload).digest();
+        const { signature, recid } = secp256k1.ecdsaSign(hashedPayload, node.privateKey);
+        // The recovery byte is offset by 27, plus 4 to mark a compressed public key.
+        return Buffer.concat([Buffer.from([recid + 27 + 4]), Buffer.from(signature)]).toString("hex");
+    }
+    /**
+     * Generates a random seed.
+     *
+     * @returns The seed, as a hex string.
+     */
+    static generateSeed() {
+        return crypto.randomBytes(32).toString("hex");
+    }
+    /**
+     * Validates a seed.
+     *
+     * @param seed - The seed, as a hex string.
+     * @throws {ArgumentError} If the seed is not a 16-64 byte hex string.
+     */
+    static validateSeed(seed) {
+        if (!/^([0-9a-fA-F]{2}){16,64}$/.test(seed)) {
+            throw new errors_1.ArgumentError("Seed must be a hex string of 16 to 64 bytes");
+        }
+    }
+}
+exports.Wallet = Wallet;
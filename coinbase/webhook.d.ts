@@ -0,0 +1,165 @@
+import { Webhook as WebhookModel, WebhookEventFilter, WebhookEventType, WebhookEventTypeFilter, WebhookStatus } from "../client";
+import { Coinbase } from "./coinbase";
+import { Paginator } from "./paginator";
+import { WebhookVerifier } from "./webhook_verifier";
+import { CreateWalletWebhookOptions, CreateWebhookOptions, PaginationOptions, PaginationResponse, PaginatorOptions, UpdateWebhookOptions, WebhookVerifierOptions } from "./types";
+/**
+ * A representation of a Webhook, which sends a notification to a URL whenever a monitored onchain event occurs.
+ */
+export declare class Webhook {
+    private model;
+    private coinbase?;
+    /**
+     * Initializes a new Webhook object.
+     *
+     * @param model - The underlying Webhook object.
+     * @param coinbase - The Coinbase instance the Webhook is bound to. Defaults to the default SDK instance.
+     * @throws {Error} If the model is not provided.
+     */
+    constructor(model: WebhookModel, coinbase?: Coinbase);
+    /**
+     * Converts a WebhookModel into a Webhook object.
+     *
+     * @param webhookModel - The Webhook model object.
+     * @param coinbase - The Coinbase instance the Webhook is bound to. Defaults to the default SDK instance.
+     * @returns The Webhook object.
+     */
+    static fromModel(webhookModel: WebhookModel, coinbase?: Coinbase): Webhook;
+    /**
+     * Creates a new Webhook. The filters a Webhook takes depend on its event type: token transfer webhooks
+     * take event filters, while wallet activity and smart contract event webhooks take an event type filter.
+     *
+     * @param options - The options to create the Webhook.
+     * @param options.networkId - The network ID to monitor.
+     * @param options.notificationUri - The URL to send notifications to.
+     * @param options.eventType - The type of event to monitor.
+     * @param options.eventTypeFilter - The filter for wallet activity and smart contract event webhooks.
+     * @param options.eventFilters - The filters for token transfer webhooks. Events matching any of the filters are sent.
+     * @param options.signatureHeader - The custom header carrying the payload signature.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The new Webhook.
+     * @throws {ArgumentError} If the filters do not match the event type.
+     */
+    static create({ networkId, notificationUri, eventType, eventTypeFilter, eventFilters, signatureHeader, }: CreateWebhookOptions, coinbase?: Coinbase): Promise<Webhook>;
+    /**
+     * Creates a new Webhook that monitors the activity of every address in a Wallet.
+     *
+     * @param walletId - The ID of the Wallet to monitor.
+     * @param options - The options to create the Webhook.
+     * @param options.notificationUri - The URL to send notifications to.
+     * @param options.signatureHeader - The custom header carrying the payload signature.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The new Webhook.
+     */
+    static createForWallet(walletId: string, { notificationUri, signatureHeader }: CreateWalletWebhookOptions, coinbase?: Coinbase): Promise<Webhook>;
+    /**
+     * Lists the Webhooks.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of Webhooks to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of Webhooks. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The paginated list response of Webhooks.
+     */
+    static list({ limit, page }?: PaginationOptions, coinbase?: Coinbase): Promise<PaginationResponse<Webhook>>;
+    /**
+     * Iterates over all Webhooks, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Webhooks to return. Defaults to all of them.
+     * @param options.pageSize - The number of Webhooks to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the Webhooks.
+     */
+    static paginate(options?: PaginatorOptions, coinbase?: Coinbase): Paginator<Webhook>;
+    /**
+     * Returns the ID of the Webhook.
+     *
+     * @returns The Webhook ID.
+     */
+    getId(): string | undefined;
+    /**
+     * Returns the network ID of the Webhook.
+     *
+     * @returns The network ID.
+     */
+    getNetworkId(): string | undefined;
+    /**
+     * Returns the URL notifications are sent to.
+     *
+     * @returns The notification URI.
+     */
+    getNotificationURI(): string | undefined;
+    /**
+     * Returns the type of event the Webhook monitors.
+     *
+     * @returns The event type.
+     */
+    getEventType(): WebhookEventType | undefined;
+    /**
+     * Returns the event type filter of a wallet activity or smart contract event Webhook.
+     *
+     * @returns The event type filter.
+     */
+    getEventTypeFilter(): WebhookEventTypeFilter | undefined;
+    /**
+     * Returns the event filters of a token transfer Webhook.
+     *
+     * @returns The event filters.
+     */
+    getEventFilters(): Array<WebhookEventFilter> | undefined;
+    /**
+     * Returns the header carrying the payload signature.
+     *
+     * @returns The signature header.
+     */
+    getSignatureHeader(): string | undefined;
+    /**
+     * Returns the status of the Webhook.
+     *
+     * @returns The status.
+     */
+    getStatus(): WebhookStatus;
+    /**
+     * Updates the Webhook. Options that are not provided keep their current value.
+     *
+     * @param options - The options to update the Webhook.
+     * @param options.notificationUri - The new URL to send notifications to.
+     * @param options.eventTypeFilter - The new filter for wallet activity and smart contract event webhooks.
+     * @param options.eventFilters - The new filters for token transfer webhooks.
+     * @param options.status - The new status, to pause or resume notifications.
+     * @returns The updated Webhook.
+     * @throws {ArgumentError} If the filters do not match the event type.
+     */
+    update({ notificationUri, eventTypeFilter, eventFilters, status, }?: UpdateWebhookOptions): Promise<Webhook>;
+    /**
+     * Deletes the Webhook.
+     */
+    delete(): Promise<void>;
+    /**
+     * Creates a verifier for the deliveries of the Webhook, reading the signature from the Webhook's
+     * signature header.
+     *
+     * @param options - The verifier options.
+     * @param options.secret - The secret the deliveries are signed with.
+     * @returns The verifier.
+     * @throws {ArgumentError} If the secret is empty.
+     */
+    createVerifier(options: WebhookVerifierOptions): WebhookVerifier;
+    /**
+     * Returns a String representation of the Webhook.
+     *
+     * @returns A String representation of the Webhook.
+     */
+    toString(): string;
+    /**
+     * Checks that the filters match the event type.
+     *
+     * @param eventType - The event type.
+     * @param eventTypeFilter - The event type filter.
+     * @param eventFilters - The event filters.
+     * @throws {ArgumentError} If the filters do not match the event type.
+     */
+    private static validateFilters;
+}
@@ -0,0 +1,270 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Webhook = void 0;
+const client_1 = require("../client");
+const coinbase_1 = require("./coinbase");
+const errors_1 = require("./errors");
+const paginator_1 = require("./paginator");
+const webhook_verifier_1 = require("./webhook_verifier");
+/**
+ * A representation of a Webhook, which sends a notification to a URL whenever a monitored onchain event occurs.
+ */
+class Webhook {
+    /**
+     * Initializes a new Webhook object.
+     *
+     * @param model - The underlying Webhook object.
+     * @param coinbase - The Coinbase instance the Webhook is bound to. Defaults to the default SDK instance.
+     * @throws {Error} If the model is not provided.
+     */
+    constructor(model, coinbase) {
+        if (!model) {
+            throw new Error("Webhook model cannot be empty");
+        }
+        this.model = model;
+        this.coinbase = coinbase;
+    }
+    /**
+     * Converts a WebhookModel into a Webhook object.
+     *
+     * @param webhookModel - The Webhook model object.
+     * @param coinbase - The Coinbase instance the Webhook is bound to. Defaults to the default SDK instance.
+     * @returns The Webhook object.
+     */
+    static fromModel(webhookModel, coinbase) {
+        return new Webhook(webhookModel, coinbase);
+    }
+    /**
+     * Creates a new Webhook. The filters a Webhook takes depend on its event type: token transfer webhooks
+     * take event filters, while wallet activity and smart contract event webhooks take an event type filter.
+     *
+     * @param options - The options to create the Webhook.
+     * @param options.networkId - The network ID to monitor.
+     * @param options.notificationUri - The URL to send notifications to.
+     * @param options.eventType - The type of event to monitor.
+     * @param options.eventTypeFilter - The filter for wallet activity and smart contract event webhooks.
+     * @param options.eventFilters - The filters for token transfer webhooks. Events matching any of the filters are sent.
+     * @param options.signatureHeader - The custom header carrying the payload signature.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The new Webhook.
+     * @throws {ArgumentError} If the filters do not match the event type.
+     */
+    static async create({ networkId, notificationUri, eventType, eventTypeFilter, eventFilters, signatureHeader, }, coinbase) {
+        Webhook.validateFilters(eventType, eventTypeFilter, eventFilters);
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.webhook.createWebhook({
+            network_id: networkId,
+            notification_uri: notificationUri,
+            event_type: eventType,
+            event_type_filter: eventTypeFilter,
+            event_filters: eventFilters,
+            signature_header: signatureHeader,
+        });
+        return Webhook.fromModel(response.data, coinbase);
+    }
+    /**
+     * Creates a new Webhook that monitors the activity of every address in a Wallet.
+     *
+     * @param walletId - The ID of the Wallet to monitor.
+     * @param options - The options to create the Webhook.
+     * @param options.notificationUri - The URL to send notifications to.
+     * @param options.signatureHeader - The custom header carrying the payload signature.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The new Webhook.
+     */
+    static async createForWallet(walletId, { notificationUri, signatureHeader }, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.webhook.createWalletWebhook(walletId, {
+            notification_uri: notificationUri,
+            signature_header: signatureHeader,
+        });
+        return Webhook.fromModel(response.data, coinbase);
+    }
+    /**
+     * Lists the Webhooks.
+     *
+     * @param options - The pagination options.
+     * @param options.limit - The maximum number of Webhooks to return. Limit can range between 1 and 100.
+     * @param options.page - The cursor for pagination across multiple pages of Webhooks. Don't include this parameter on the first call. Use the next page value returned in a previous response to request subsequent results.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns The paginated list response of Webhooks.
+     */
+    static async list({ limit = coinbase_1.Coinbase.defaultPageLimit, page = undefined } = {}, coinbase) {
+        const response = await coinbase_1.Coinbase.resolve(coinbase).apiClients.webhook.listWebhooks(limit, page);
+        const hasMore = response.data.has_more ?? false;
+        return {
+            data: response.data.data.map(webhook => Webhook.fromModel(webhook, coinbase)),
+            hasMore,
+            nextPage: hasMore ? response.data.next_page : undefined,
+        };
+    }
+    /**
+     * Iterates over all Webhooks, fetching pages as needed.
+     *
+     * @param options - The iteration options.
+     * @param options.maxItems - The maximum number of Webhooks to return. Defaults to all of them.
+     * @param options.pageSize - The number of Webhooks to fetch per page. Can range between 1 and 100.
+     * @param options.page - The cursor of the first page to fetch. Defaults to the first page.
+     * @param coinbase - The Coinbase instance to use. Defaults to the default SDK instance.
+     * @returns A Paginator over the Webhooks.
+     */
+    static paginate(options = {}, coinbase) {
+        return new paginator_1.Paginator((limit, page) => Webhook.list({ limit, page }, coinbase), options);
+    }
+    /**
+     * Returns the ID of the Webhook.
+     *
+     * @returns The Webhook ID.
+     */
+    getId() {
+        return this.model.id;
+    }
+    /**
+     * Returns the network ID of the Webhook.
+     *
+     * @returns The network ID.
+     */
+    getNetworkId() {
+        return this.model.network_id;
+    }
+    /**
+     * Returns the URL notifications are sent to.
+     *
+     * @returns The notification URI.
+     */
+    getNotificationURI() {
+        return this.model.notification_uri;
+    }
+    /**
+     * Returns the type of event the Webhook monitors.
+     *
+     * @returns The event type.
+     */
+    getEventType() {
+        return this.model.event_type;
+    }
+    /**
+     * Returns the event type filter of a wallet activity or smart contract event Webhook.
+     *
+     * @returns The event type filter.
+     */
+    getEventTypeFilter() {
+        return this.model.event_type_filter;
+    }
+    /**
+     * Returns the event filters of a token transfer Webhook.
+     *
+     * @returns The event filters.
+     */
+    getEventFilters() {
+        return this.model.event_filters;
+    }
+    /**
+     * Returns the header carrying the payload signature.
+     *
+     * @returns The signature header.
+     */
+    getSignatureHeader() {
+        return this.model.signature_header;
+    }
+    /**
+     * Returns the status of the Webhook.
+     *
+     * @returns The status.
+     */
+    getStatus() {
+        return this.model.status;
+    }
+    /**
+     * Updates the Webhook. Options that are not provided keep their current value.
+     *
+     * @param options - The options to update the Webhook.
+     * @param options.notificationUri - The new URL to send notifications to.
+     * @param options.eventTypeFilter - The new filter for wallet activity and smart contract event webhooks.
+     * @param options.eventFilters - The new filters for token transfer webhooks.
+     * @param options.status - The new status, to pause or resume notifications.
+     * @returns The updated Webhook.
+     * @throws {ArgumentError} If the filters do not match the event type.
+     */
+    async update({ notificationUri, eventTypeFilter, eventFilters, status, } = {}) {
+        const newEventTypeFilter = eventTypeFilter ?? this.getEventTypeFilter();
+        const newEventFilters = eventFilters ?? this.getEventFilters();
+        Webhook.validateFilters(this.getEventType(), newEventTypeFilter, newEventFilters);
+        const response = await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.webhook.updateWebhook(this.getId(), {
+            notification_uri: notificationUri ?? this.getNotificationURI(),
+            event_type_filter: newEventTypeFilter,
+            event_filters: newEventFilters,
+            status,
+        });
+        this.model = response.data;
+        return this;
+    }
+    /**
+     * Deletes the Webhook.
+     */
+    async delete() {
+        await coinbase_1.Coinbase.resolve(this.coinbase).apiClients.webhook.deleteWebhook(this.getId());
+    }
+    /**
+     * Creates a verifier for the deliveries of the Webhook, reading the signature from the Webhook's
+     * signature header.
+     *
+     * @param options - The verifier options.
+     * @param options.secret - The secret the deliveries are signed with.
+     * @returns The verifier.
+     * @throws {ArgumentError} If the secret is empty.
+     */
+    createVerifier(options) {
+        return new webhook_verifier_1.WebhookVerifier({
+            signatureHeader: this.getSignatureHeader() || undefined,
+            ...options,
+        });
+    }
+    /**
+     * Returns a String representation of the Webhook.
+     *
+     * @returns A String representation of the Webhook.
+     */
+    toString() {
+        return (`Webhook { id: '${this.getId()}', networkId: '${this.getNetworkId()}', ` +
+            `eventType: '${this.getEventType()}', status: '${this.getStatus()}', ` +
+            `notificationUri: '${this.getNotificationURI()}' }`);
+    }
+    /**
+     * Checks that the filters match the event type.
+     *
+     * @param eventType - The event type.
+     * @param eventTypeFilter - The event type filter.
+     * @param eventFilters - The event filters.
+     * @throws {ArgumentError} If the filters do not match the event type.
+     */
+    static validateFilters(eventType, eventTypeFilter, eventFilters) {
+        switch (eventType) {
+            case client_1.WebhookEventType.Erc20Transfer:
+            case client_1.WebhookEventType.Erc721Transfer:
+                if (!eventFilters?.length) {
+                    throw new errors_1.ArgumentError(`${eventType} webhooks require at least one event filter`);
+                }
+                if (eventTypeFilter) {
+                    throw new errors_1.ArgumentError(`${eventType} webhooks do not take an event type filter`);
+                }
+                return;
+            case client_1.WebhookEventType.WalletActivity:
+                if (!eventTypeFilter || !("wallet_id" in eventTypeFilter) || !eventTypeFilter.wallet_id) {
+                    throw new errors_1.ArgumentError("wallet_activity webhooks require an event type filter with a wallet_id");
+                }
+                break;
+            case client_1.WebhookEventType.SmartContractEventActivity:
+                if (!eventTypeFilter ||
+                    !("contract_addresses" in eventTypeFilter) ||
+                    !eventTypeFilter.contract_addresses.length) {
+                    throw new errors_1.ArgumentError("smart_contract_event_activity webhooks require an event type filter with contract_addresses");
+                }
+                break;
+            default:
+                throw new errors_1.ArgumentError(`Unsupported webhook event type: ${eventType}`);
+        }
+        if (eventFilters?.length) {
+            throw new errors_1.ArgumentError(`${eventType} webhooks do not take event filters`);
+        }
+    }
+}
+exports.Webhook = Webhook;
@@ -0,0 +1,11 @@
+/// <reference types="node" />
+import { WebhookEvent } from "./types";
+/**
+ * Parses the body of a webhook delivery into a typed event. The body is not verified; use a
+ * WebhookVerifier for deliveries that have not been verified yet.
+ *
+ * @param body - The raw request body, or the already parsed JSON payload.
+ * @returns The typed event.
+ * @throws {ArgumentError} If the body is not a JSON object or its event type is not supported.
+ */
+export declare function parseWebhookEvent(body: string | Buffer | object): WebhookEvent;
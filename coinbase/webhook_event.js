@@ -0,0 +1,142 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.parseWebhookEvent = void 0;
+const client_1 = require("../client");
+const contract_event_1 = require("./contract_event");
+const errors_1 = require("./errors");
+/**
+ * Parses the body of a webhook delivery into a typed event. The body is not verified; use a
+ * WebhookVerifier for deliveries that have not been verified yet.
+ *
+ * @param body - The raw request body, or the already parsed JSON payload.
+ * @returns The typed event.
+ * @throws {ArgumentError} If the body is not a JSON object or its event type is not supported.
+ */
+function parseWebhookEvent(body) {
+    const payload = parsePayload(body);
+    const base = {
+        webhookId: String(pick(payload, "webhookId", "webhook_id") ?? ""),
+        network: String(pick(payload, "network", "network_id") ?? ""),
+        transactionHash: String(pick(payload, "transactionHash", "transaction_hash", "tx_hash") ?? ""),
+        blockHash: optionalString(pick(payload, "blockHash", "block_hash")),
+        blockNumber: optionalNumber(pick(payload, "blockNumber", "block_number", "block_height")),
+        blockTime: optionalString(pick(payload, "blockTime", "block_time")),
+        transactionIndex: optionalNumber(pick(payload, "transactionIndex", "transaction_index", "tx_index")),
+        logIndex: optionalNumber(pick(payload, "logIndex", "log_index", "event_index")),
+        payload,
+    };
+    const eventType = pick(payload, "eventType", "event_type");
+    const contractAddress = optionalString(pick(payload, "contractAddress", "contract_address"));
+    const from = optionalString(pick(payload, "from", "from_address"));
+    const to = optionalString(pick(payload, "to", "to_address"));
+    switch (eventType) {
+        case client_1.WebhookEventType.Erc20Transfer:
+            return {
+                ...base,
+                eventType,
+                contractAddress: contractAddress ?? "",
+                from: from ?? "",
+                to: to ?? "",
+                value: String(pick(payload, "value") ?? "0"),
+            };
+        case client_1.WebhookEventType.Erc721Transfer:
+            return {
+                ...base,
+                eventType,
+                contractAddress: contractAddress ?? "",
+                from: from ?? "",
+                to: to ?? "",
+                tokenId: String(pick(payload, "tokenId", "token_id") ?? ""),
+            };
+        case client_1.WebhookEventType.WalletActivity:
+            return {
+                ...base,
+                eventType,
+                walletId: optionalString(pick(payload, "walletId", "wallet_id")),
+                contractAddress,
+                from,
+                to,
+                value: optionalString(pick(payload, "value")),
+            };
+        case client_1.WebhookEventType.SmartContractEventActivity: {
+            const data = pick(payload, "data");
+            return {
+                ...base,
+                eventType,
+                contractEvent: new contract_event_1.ContractEvent({
+                    network_id: base.network,
+                    protocol_name: String(pick(payload, "protocolName", "protocol_name") ?? ""),
+                    contract_name: String(pick(payload, "contractName", "contract_name") ?? ""),
+                    event_name: String(pick(payload, "eventName", "event_name") ?? ""),
+                    sig: String(pick(payload, "sig") ?? ""),
+                    four_bytes: String(pick(payload, "fourBytes", "four_bytes") ?? ""),
+                    contract_address: contractAddress ?? "",
+                    block_time: base.blockTime ?? "",
+                    block_height: base.blockNumber ?? 0,
+                    tx_hash: base.transactionHash,
+                    tx_index: base.transactionIndex ?? 0,
+                    event_index: base.logIndex ?? 0,
+                    data: typeof data === "string" ? data : JSON.stringify(data ?? {}),
+                }),
+            };
+        }
+        default:
+            throw new errors_1.ArgumentError(`Unsupported webhook event type: ${String(eventType)}`);
+    }
+}
+exports.parseWebhookEvent = parseWebhookEvent;
+/**
+ * Parses the body into a JSON object.
+ *
+ * @param body - The raw request body, or the already parsed JSON payload.
+ * @returns The payload.
+ */
+function parsePayload(body) {
+    let payload = body;
+    if (typeof body === "string" || Buffer.isBuffer(body)) {
+        try {
+            payload = JSON.parse(body.toString());
+        }
+        catch {
+            throw new errors_1.ArgumentError("Webhook body is not valid JSON");
+        }
+    }
+    if (typeof payload !== "object" || payload === null || Array.isArray(payload)) {
+        throw new errors_1.ArgumentError("Webhook body must be a JSON object");
+    }
+    return payload;
+}
+/**
+ * Returns the first of the given fields that is set on the payload.
+ *
+ * @param payload - The payload.
+ * @param keys - The field names, in order of preference.
+ * @returns The field value, or undefined if none of the fields is set.
+ */
+function pick(payload, ...keys) {
+    for (const key of keys) {
+        if (payload[key] !== undefined && payload[key] !== null) {
+            return payload[key];
+        }
+    }
+    return undefined;
+}
+/**
+ * Converts a payload field to a string.
+ *
+ * @param value - The field value.
+ * @returns The string, or undefined if the field is not set.
+ */
+function optionalString(value) {
+    return value === undefined ? undefined : String(value);
+}
+/**
+ * Converts a payload field to a number.
+ *
+ * @param value - The field value.
+ * @returns The number, or undefined if the field is not set or not numeric.
+ */
+function optionalNumber(value) {
+    const number = Number(value);
+    return value === undefined || Number.isNaN(number) ? undefined : number;
+}
@@ -0,0 +1,152 @@
+/// <reference types="node" />
+import { IncomingMessage, ServerResponse } from "http";
+import { WebhookEvent, WebhookReplayCache, WebhookVerifierOptions } from "./types";
+/**
+ * Request headers, as a Node `http` headers object or a Fetch API Headers object.
+ */
+export type WebhookHeaders = Record<string, string | string[] | undefined> | {
+    get(name: string): string | null;
+};
+/**
+ * An in-memory replay cache. Entries are dropped once they expire, so memory use is bounded by the
+ * number of deliveries received within the tolerance window.
+ */
+export declare class MemoryReplayCache implements WebhookReplayCache {
+    private entries;
+    /**
+     * Records the key until it expires, unless it is already recorded and has not expired.
+     *
+     * @param key - The delivery key.
+     * @param expiresAt - When the key can be dropped, in milliseconds since the epoch.
+     * @returns True if the key was recorded, false if it was already recorded.
+     */
+    add(key: string, expiresAt: number): boolean;
+    /**
+     * Removes the key.
+     *
+     * @param key - The delivery key.
+     */
+    delete(key: string): void;
+    /**
+     * Drops the expired entries.
+     */
+    private prune;
+}
+/**
+ * A WebhookVerifier checks that webhook deliveries were signed with the shared secret, were sent within the
+ * tolerance window, and have not been received before.
+ *
+ * A delivery is signed with the hex encoded HMAC-SHA256 of `<timestamp>.<raw body>`, where the timestamp is
+ * the Unix time in seconds sent in the timestamp header. Since the timestamp is signed, a replay carries the
+ * same timestamp and signature as the original delivery, so a delivery is recorded by its timestamp and
+ * signature until its timestamp leaves the tolerance window.
+ */
+export declare class WebhookVerifier {
+    /**
+     * The header carrying the signature by default.
+     */
+    static DEFAULT_SIGNATURE_HEADER: string;
+    /**
+     * The header carrying the timestamp by default.
+     */
+    static DEFAULT_TIMESTAMP_HEADER: string;
+    /**
+     * How far the timestamp may be from the current time by default, in seconds.
+     */
+    static DEFAULT_TOLERANCE_SECONDS: number;
+    private secret;
+    private signatureHeader;
+    private timestampHeader;
+    private toleranceSeconds;
+    private replayCache;
+    /**
+     * Initializes a new WebhookVerifier object.
+     *
+     * @param options - The verifier options.
+     * @param options.secret - The secret the deliveries are signed with.
+     * @param options.signatureHeader - The header carrying the signature. Defaults to `x-webhook-signature`.
+     * @param options.timestampHeader - The header carrying the timestamp. Defaults to `x-webhook-timestamp`.
+     * @param options.toleranceSeconds - How far the timestamp may be from the current time. Defaults to 300.
+     * @param options.replayCache - Where received deliveries are recorded. Defaults to an in-memory cache, which
+     * should be replaced by a shared store when several processes receive deliveries.
+     * @throws {ArgumentError} If an option is invalid.
+     */
+    constructor({ secret, signatureHeader, timestampHeader, toleranceSeconds, replayCache, }: WebhookVerifierOptions);
+    /**
+     * Returns the headers that sign the body. Useful to send test deliveries to a local handler.
+     *
+     * @param body - The raw request body.
+     * @param timestamp - The Unix time in seconds. Defaults to now.
+     * @returns The signature and timestamp headers.
+     */
+    sign(body: string | Buffer, timestamp?: number): Record<string, string>;
+    /**
+     * Verifies a delivery and records it as received.
+     *
+     * @param headers - The request headers.
+     * @param body - The raw request body, exactly as received.
+     * @throws {WebhookVerificationError} If the signature or timestamp is missing or invalid.
+     * @throws {WebhookReplayError} If the delivery is correctly signed but has been received before.
+     */
+    verify(headers: WebhookHeaders, body: string | Buffer): Promise<void>;
+    /**
+     * Verifies a delivery, records it as received, and parses it into a typed event.
+     *
+     * @param headers - The request headers.
+     * @param body - The raw request body, exactly as received.
+     * @returns The typed event.
+     * @throws {WebhookVerificationError} If the delivery cannot be verified.
+     * @throws {WebhookReplayError} If the delivery has been received before.
+     * @throws {ArgumentError} If the body is not a supported event.
+     */
+    constructEvent(headers: WebhookHeaders, body: string | Buffer): Promise<WebhookEvent>;
+    /**
+     * Removes a verified delivery from the replay cache, so that a redelivery is accepted. Call this when a
+     * verified delivery could not be processed.
+     *
+     * @param headers - The request headers of the delivery.
+     * @param body - The raw request body of the delivery.
+     */
+    forget(headers: WebhookHeaders, body: string | Buffer): Promise<void>;
+    /**
+     * Computes the signature of the body.
+     *
+     * @param timestamp - The Unix time in seconds.
+     * @param body - The raw request body.
+     * @returns The hex encoded signature.
+     */
+    private computeSignature;
+}
+/**
+ * Options for creating a webhook request handler.
+ */
+export type WebhookHandlerOptions = {
+    verifier: WebhookVerifier;
+    onEvent: (event: WebhookEvent, req: IncomingMessage) => void | Promise<void>;
+    onError?: (error: Error, req: IncomingMessage) => void;
+    maxBodyBytes?: number;
+};
+/**
+ * Creates a Node `http` request handler that verifies webhook deliveries and passes the typed events on.
+ *
+ * The handler responds with 200 once `onEvent` resolves, 400 for unsupported bodies, 401 for deliveries that
+ * fail verification, 405 for methods other than POST, 413 for bodies over `maxBodyBytes`, and 500 if `onEvent`
+ * throws, in which case the delivery is removed from the replay cache so that a redelivery is accepted.
+ * Correctly signed deliveries that have been received before are acknowledged with 200 without calling
+ * `onEvent`, so that the sender stops redelivering them.
+ * Frameworks that have already read the body must expose it unparsed as a string or Buffer on `req.body`.
+ *
+ * @example
+ * ```ts
+ * const verifier = webhook.createVerifier({ secret: process.env.WEBHOOK_SECRET! });
+ * http.createServer(createWebhookHandler({ verifier, onEvent: event => console.log(event.eventType) })).listen(3000);
+ * ```
+ *
+ * @param options - The handler options.
+ * @param options.verifier - The verifier to check deliveries with.
+ * @param options.onEvent - Called with every verified event.
+ * @param options.onError - Called with every rejected delivery and every error thrown by `onEvent`.
+ * @param options.maxBodyBytes - The largest body accepted, in bytes. Defaults to 1 MiB.
+ * @returns The request handler.
+ */
+export declare function createWebhookHandler({ verifier, onEvent, onError, maxBodyBytes, }: WebhookHandlerOptions): (req: IncomingMessage, res: ServerResponse) => Promise<void>;
@@ -0,0 +1,309 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.createWebhookHandler = exports.WebhookVerifier = exports.MemoryReplayCache = void 0;
+const crypto_1 = require("crypto");
+const errors_1 = require("./errors");
+const webhook_event_1 = require("./webhook_event");
+/**
+ * An in-memory replay cache. Entries are dropped once they expire, so memory use is bounded by the
+ * number of deliveries received within the tolerance window.
+ */
+class MemoryReplayCache {
+    constructor() {
+        this.entries = new Map();
+    }
+    /**
+     * Records the key until it expires, unless it is already recorded and has not expired.
+     *
+     * @param key - The delivery key.
+     * @param expiresAt - When the key can be dropped, in milliseconds since the epoch.
+     * @returns True if the key was recorded, false if it was already recorded.
+     */
+    add(key, expiresAt) {
+        this.prune();
+        if (this.entries.has(key)) {
+            return false;
+        }
+        this.entries.set(key, expiresAt);
+        return true;
+    }
+    /**
+     * Removes the key.
+     *
+     * @param key - The delivery key.
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+    /**
+     * Drops the expired entries.
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, expiresAt] of this.entries) {
+            if (expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+exports.MemoryReplayCache = MemoryReplayCache;
+/**
+ * A WebhookVerifier checks that webhook deliveries were signed with the shared secret, were sent within the
+ * tolerance window, and have not been received before.
+ *
+ * A delivery is signed with the hex encoded HMAC-SHA256 of `<timestamp>.<raw body>`, where the timestamp is
+ * the Unix time in seconds sent in the timestamp header. Since the timestamp is signed, a replay carries the
+ * same timestamp and signature as the original delivery, so a delivery is recorded by its timestamp and
+ * signature until its timestamp leaves the tolerance window.
+ */
+class WebhookVerifier {
+    /**
+     * Initializes a new WebhookVerifier object.
+     *
+     * @param options - The verifier options.
+     * @param options.secret - The secret the deliveries are signed with.
+     * @param options.signatureHeader - The header carrying the signature. Defaults to `x-webhook-signature`.
+     * @param options.timestampHeader - The header carrying the timestamp. Defaults to `x-webhook-timestamp`.
+     * @param options.toleranceSeconds - How far the timestamp may be from the current time. Defaults to 300.
+     * @param options.replayCache - Where received deliveries are recorded. Defaults to an in-memory cache, which
+     * should be replaced by a shared store when several processes receive deliveries.
+     * @throws {ArgumentError} If an option is invalid.
+     */
+    constructor({ secret, signatureHeader = WebhookVerifier.DEFAULT_SIGNATURE_HEADER, timestampHeader = WebhookVerifier.DEFAULT_TIMESTAMP_HEADER, toleranceSeconds = WebhookVerifier.DEFAULT_TOLERANCE_SECONDS, replayCache = new MemoryReplayCache(), }) {
+        if (!secret || secret.length === 0) {
+            throw new errors_1.ArgumentError("Webhook secret must not be empty");
+        }
+        if (!Number.isFinite(toleranceSeconds) || toleranceSeconds < 0) {
+            throw new errors_1.ArgumentError("toleranceSeconds must be a non-negative number");
+        }
+        this.secret = secret;
+        this.signatureHeader = signatureHeader;
+        this.timestampHeader = timestampHeader;
+        this.toleranceSeconds = toleranceSeconds;
+        this.replayCache = replayCache;
+    }
+    /**
+     * Returns the headers that sign the body. Useful to send test deliveries to a local handler.
+     *
+     * @param body - The raw request body.
+     * @param timestamp - The Unix time in seconds. Defaults to now.
+     * @returns The signature and timestamp headers.
+     */
+    sign(body, timestamp = Math.floor(Date.now() / 1000)) {
+        return {
+            [this.signatureHeader]: this.computeSignature(timestamp, body),
+            [this.timestampHeader]: String(timestamp),
+        };
+    }
+    /**
+     * Verifies a delivery and records it as received.
+     *
+     * @param headers - The request headers.
+     * @param body - The raw request body, exactly as received.
+     * @throws {WebhookVerificationError} If the signature or timestamp is missing or invalid.
+     * @throws {WebhookReplayError} If the delivery is correctly signed but has been received before.
+     */
+    async verify(headers, body) {
+        if (typeof body !== "string" && !Buffer.isBuffer(body)) {
+            throw new errors_1.WebhookVerificationError("Webhook body must be the raw request body");
+        }
+        const timestampHeader = getHeader(headers, this.timestampHeader);
+        const timestamp = Number(timestampHeader);
+        if (!timestampHeader || !Number.isInteger(timestamp)) {
+            throw new errors_1.WebhookVerificationError("Missing or invalid webhook timestamp");
+        }
+        const signature = getHeader(headers, this.signatureHeader);
+        if (!signature) {
+            throw new errors_1.WebhookVerificationError("Missing webhook signature");
+        }
+        const expected = this.computeSignature(timestamp, body);
+        const actual = Buffer.from(signature, "hex");
+        if (actual.length !== expected.length / 2 || !(0, crypto_1.timingSafeEqual)(actual, Buffer.from(expected, "hex"))) {
+            throw new errors_1.WebhookVerificationError("Invalid webhook signature");
+        }
+        if (Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSeconds) {
+            throw new errors_1.WebhookVerificationError("Webhook timestamp is outside the tolerance window");
+        }
+        const recorded = await this.replayCache.add(deliveryKey(timestamp, expected), (timestamp + this.toleranceSeconds) * 1000);
+        if (!recorded) {
+            throw new errors_1.WebhookReplayError();
+        }
+    }
+    /**
+     * Verifies a delivery, records it as received, and parses it into a typed event.
+     *
+     * @param headers - The request headers.
+     * @param body - The raw request body, exactly as received.
+     * @returns The typed event.
+     * @throws {WebhookVerificationError} If the delivery cannot be verified.
+     * @throws {WebhookReplayError} If the delivery has been received before.
+     * @throws {ArgumentError} If the body is not a supported event.
+     */
+    async constructEvent(headers, body) {
+        await this.verify(headers, body);
+        return (0, webhook_event_1.parseWebhookEvent)(body);
+    }
+    /**
+     * Removes a verified delivery from the replay cache, so that a redelivery is accepted. Call this when a
+     * verified delivery could not be processed.
+     *
+     * @param headers - The request headers of the delivery.
+     * @param body - The raw request body of the delivery.
+     */
+    async forget(headers, body) {
+        const timestamp = Number(getHeader(headers, this.timestampHeader));
+        await this.replayCache.delete?.(deliveryKey(timestamp, this.computeSignature(timestamp, body)));
+    }
+    /**
+     * Computes the signature of the body.
+     *
+     * @param timestamp - The Unix time in seconds.
+     * @param body - The raw request body.
+     * @returns The hex encoded signature.
+     */
+    computeSignature(timestamp, body) {
+        return (0, crypto_1.createHmac)("sha256", this.secret)
+            .update(`${timestamp}.`)
+            .update(body)
+            .digest("hex");
+    }
+}
+exports.WebhookVerifier = WebhookVerifier;
+/**
+ * The header carrying the signature by default.
+ */
+WebhookVerifier.DEFAULT_SIGNATURE_HEADER = "x-webhook-signature";
+/**
+ * The header carrying the timestamp by default.
+ */
+WebhookVerifier.DEFAULT_TIMESTAMP_HEADER = "x-webhook-timestamp";
+/**
+ * How far the timestamp may be from the current time by default, in seconds.
+ */
+WebhookVerifier.DEFAULT_TOLERANCE_SECONDS = 300;
+/**
+ * Creates a Node `http` request handler that verifies webhook deliveries and passes the typed events on.
+ *
+ * The handler responds with 200 once `onEvent` resolves, 400 for unsupported bodies, 401 for deliveries that
+ * fail verification, 405 for methods other than POST, 413 for bodies over `maxBodyBytes`, and 500 if `onEvent`
+ * throws, in which case the delivery is removed from the replay cache so that a redelivery is accepted.
+ * Correctly signed deliveries that have been received before are acknowledged with 200 without calling
+ * `onEvent`, so that the sender stops redelivering them.
+ * Frameworks that have already read the body must expose it unparsed as a string or Buffer on `req.body`.
+ *
+ * @example
+ * ```ts
+ * const verifier = webhook.createVerifier({ secret: process.env.WEBHOOK_SECRET! });
+ * http.createServer(createWebhookHandler({ verifier, onEvent: event => console.log(event.eventType) })).listen(3000);
+ * ```
+ *
+ * @param options - The handler options.
+ * @param options.verifier - The verifier to check deliveries with.
+ * @param options.onEvent - Called with every verified event.
+ * @param options.onError - Called with every rejected delivery and every error thrown by `onEvent`.
+ * @param options.maxBodyBytes - The largest body accepted, in bytes. Defaults to 1 MiB.
+ * @returns The request handler.
+ */
+function createWebhookHandler({ verifier, onEvent, onError, maxBodyBytes = 1024 * 1024, }) {
+    return async (req, res) => {
+        if (req.method !== "POST") {
+            respond(res, 405, { error: "Method Not Allowed" });
+            return;
+        }
+        let body;
+        let event;
+        try {
+            body = await readBody(req, maxBodyBytes);
+            if (body === undefined) {
+                respond(res, 413, { error: "Payload Too Large" });
+                return;
+            }
+            event = await verifier.constructEvent(req.headers, body);
+        }
+        catch (error) {
+            if (error instanceof errors_1.WebhookReplayError) {
+                respond(res, 200, { received: true, duplicate: true });
+                return;
+            }
+            onError?.(error, req);
+            const statusCode = error instanceof errors_1.WebhookVerificationError ? 401 : 400;
+            respond(res, statusCode, { error: error.message });
+            return;
+        }
+        try {
+            await onEvent(event, req);
+            respond(res, 200, { received: true });
+        }
+        catch (error) {
+            onError?.(error, req);
+            await verifier.forget(req.headers, body);
+            respond(res, 500, { error: "Internal Server Error" });
+        }
+    };
+}
+exports.createWebhookHandler = createWebhookHandler;
+/**
+ * Reads the raw request body.
+ *
+ * @param req - The request.
+ * @param maxBodyBytes - The largest body accepted, in bytes. Larger bodies are drained and dropped.
+ * @returns The body, or undefined if it is too large.
+ */
+function readBody(req, maxBodyBytes) {
+    const preread = req.body;
+    if (typeof preread === "string" || Buffer.isBuffer(preread)) {
+        return Promise.resolve(Buffer.byteLength(preread) > maxBodyBytes ? undefined : preread);
+    }
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on("data", chunk => {
+            size += chunk.length;
+            if (size <= maxBodyBytes) {
+                chunks.push(chunk);
+            }
+        });
+        req.on("end", () => resolve(size > maxBodyBytes ? undefined : Buffer.concat(chunks)));
+        req.on("error", reject);
+    });
+}
+/**
+ * Sends a JSON response.
+ *
+ * @param res - The response.
+ * @param statusCode - The HTTP status code.
+ * @param body - The response body.
+ */
+function respond(res, statusCode, body) {
+    if (res.headersSent) {
+        return;
+    }
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+}
+/**
+ * Returns a request header, whatever the casing of its name.
+ *
+ * @param headers - The request headers, as a plain object or a Fetch API Headers object.
+ * @param name - The header name.
+ * @returns The header value, or undefined if the header is not set.
+ */
+function getHeader(headers, name) {
+    if (typeof headers.get === "function") {
+        return headers.get(name) ?? undefined;
+    }
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    const value = key === undefined ? undefined : headers[key];
+    return Array.isArray(value) ? value[0] : value;
+}
+/**
+ * Returns the replay cache key of a delivery.
+ *
+ * @param timestamp - The signed timestamp of the delivery.
+ * @param signature - The signature of the delivery.
+ * @returns The key.
+ */
+function deliveryKey(timestamp, signature) {
+    return `${timestamp}.${signature}`;
+}
@@ -0,0 +1,47 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const api_1 = require("../client/api");
+const chain_1 = require("../types/chain");
+const createUserOperation_1 = require("../actions/createUserOperation");
+const errors_1 = require("../coinbase/errors");
+describe("chain registry", () => {
+    it("describes every network of the API", () => {
+        expect(Object.keys(chain_1.NETWORKS).sort()).toEqual(Object.values(api_1.NetworkIdentifier).sort());
+        for (const [networkId, network] of Object.entries(chain_1.NETWORKS)) {
+            expect(network.networkId).toBe(networkId);
+            expect(network.explorerTransactionUrl).toContain("{hash}");
+            expect(network.explorerAddressUrl).toContain("{address}");
+        }
+    });
+    it("maps the chain ID of every EVM network, and only of those, back to its network", () => {
+        const evmNetworks = Object.values(chain_1.NETWORKS).filter(network => network.protocolFamily === "evm");
+        expect(Object.keys(chain_1.CHAIN_ID_TO_NETWORK_ID)).toHaveLength(evmNetworks.length);
+        for (const network of evmNetworks) {
+            expect((0, chain_1.getNetworkIdForChainId)(network.chainId)).toBe(network.networkId);
+        }
+        expect(Object.values(chain_1.NETWORKS).filter(network => network.chainId === undefined).map(network => network.protocolFamily)).not.toContain("evm");
+    });
+    it("rejects unknown chain IDs", () => {
+        expect(() => (0, chain_1.getNetworkIdForChainId)(999)).toThrow(new errors_1.UnsupportedChainError("Chain ID 999 is not supported"));
+        expect(() => (0, chain_1.getNetworkIdForChainId)(999)).toThrow(errors_1.ArgumentError);
+    });
+    it("only allows smart wallets on networks that support them", () => {
+        expect((0, chain_1.getSmartWalletNetworkId)(8453)).toBe("base-mainnet");
+        expect((0, chain_1.getSmartWalletNetworkId)(84532)).toBe("base-sepolia");
+        expect(() => (0, chain_1.getSmartWalletNetworkId)(137)).toThrow(expect.objectContaining({
+            name: "UnsupportedChainError",
+            message: "Chain ID 137 (polygon-mainnet) is not supported for smart wallets",
+            chainId: 137,
+        }));
+    });
+    it("validates the chain of a user operation before calling the API", async () => {
+        const smartWalletApi = { createUserOperation: jest.fn() };
+        await expect((0, createUserOperation_1.createUserOperation)({ address: "0x" + "5".repeat(40), owners: [] }, { calls: [{ to: "0x" + "6".repeat(40), value: BigInt(1) }], chainId: 1 }, { apiClients: { smartWallet: smartWalletApi } })).rejects.toThrow(errors_1.UnsupportedChainError);
+        expect(smartWalletApi.createUserOperation).not.toHaveBeenCalled();
+    });
+    it("builds explorer links", () => {
+        expect((0, chain_1.getExplorerTransactionUrl)("base-sepolia", "0xabc")).toBe("https://sepolia.basescan.org/tx/0xabc");
+        expect((0, chain_1.getExplorerAddressUrl)("solana-devnet", "So1")).toBe("https://explorer.solana.com/address/So1?cluster=devnet");
+        expect((0, chain_1.getExplorerTransactionUrl)("unknown-network", "0xabc")).toBeUndefined();
+    });
+});
@@ -0,0 +1,43 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const crypto_1 = require("crypto");
+const http_1 = require("http");
+const asset_1 = require("../coinbase/asset");
+const coinbase_1 = require("../coinbase/coinbase");
+describe("Coinbase instances", () => {
+    const privateKey = (0, crypto_1.generateKeyPairSync)("ec", { namedCurve: "prime256v1" })
+        .privateKey.export({ type: "sec1", format: "pem" })
+        .toString();
+    const servers = [];
+    const startServer = async (decimals) => {
+        const requests = [];
+        const server = (0, http_1.createServer)((request, response) => {
+            requests.push(request.url);
+            response.setHeader("content-type", "application/json");
+            response.end(JSON.stringify({ asset_id: "usdc", network_id: "base-sepolia", decimals }));
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        servers.push(server);
+        return { basePath: `http://127.0.0.1:${server.address().port}`, requests };
+    };
+    afterAll(async () => {
+        await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+    });
+    it("sends the requests of resources bound to an instance through its own client", async () => {
+        const first = await startServer(6);
+        const second = await startServer(18);
+        const defaultInstance = new coinbase_1.Coinbase({ apiKeyName: "default", privateKey, basePath: first.basePath });
+        const other = new coinbase_1.Coinbase({ apiKeyName: "other", privateKey, basePath: second.basePath, setAsDefault: false });
+        expect((await asset_1.Asset.fetch("base-sepolia", "usdc", other)).decimals).toBe(18);
+        expect((await asset_1.Asset.fetch("base-sepolia", "usdc")).decimals).toBe(6);
+        expect((await asset_1.Asset.fetch("base-sepolia", "usdc", defaultInstance)).decimals).toBe(6);
+        expect(first.requests).toHaveLength(2);
+        expect(second.requests).toHaveLength(1);
+    });
+    it("keeps the default instance unless setAsDefault is true", () => {
+        const defaultInstance = new coinbase_1.Coinbase({ apiKeyName: "default", privateKey, useServerSigner: true });
+        new coinbase_1.Coinbase({ apiKeyName: "other", privateKey, setAsDefault: false });
+        expect(coinbase_1.Coinbase.resolve(undefined).useServerSigner).toBe(true);
+        expect(coinbase_1.Coinbase.apiClients.asset).toBe(defaultInstance.apiClients.asset);
+    });
+});
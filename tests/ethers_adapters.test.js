@@ -0,0 +1,120 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const ethers_1 = require("ethers");
+const ethers_provider_1 = require("../coinbase/ethers_provider");
+const ethers_signer_1 = require("../coinbase/ethers_signer");
+const wallet_address_1 = require("../coinbase/address/wallet_address");
+const errors_1 = require("../coinbase/errors");
+describe("ethers adapters", () => {
+    const key = new ethers_1.ethers.Wallet("0x" + "1".repeat(64));
+    const tokenAddress = ethers_1.ethers.getAddress("0x" + "7".repeat(40));
+    const recipient = ethers_1.ethers.getAddress("0x" + "2".repeat(40));
+    const erc20Abi = [
+        "function balanceOf(address owner) view returns (uint256)",
+        "function transfer(address to, uint256 amount) returns (bool)",
+    ];
+    let smartContractApi;
+    let coinbase;
+    let provider;
+    beforeEach(() => {
+        smartContractApi = {
+            readContract: jest.fn(async () => ({ data: { type: "uint256", value: "1234" } })),
+        };
+        coinbase = {
+            useServerSigner: false,
+            apiClients: {
+                smartContract: smartContractApi,
+                asset: { getAsset: async (networkId, assetId) => ({ data: { asset_id: assetId, network_id: networkId, decimals: 18 } }) },
+                externalAddress: {
+                    getExternalAddressBalance: async (networkId, _, assetId) => ({
+                        data: { amount: "1500000000000000000", asset: { asset_id: assetId, network_id: networkId, decimals: 18 } },
+                    }),
+                },
+            },
+        };
+        provider = new ethers_provider_1.CdpEthersProvider({ networkId: "base-sepolia", coinbase });
+    });
+    describe("CdpEthersProvider", () => {
+        it("reads registered contracts through readContract", async () => {
+            const token = provider.getContract(tokenAddress, erc20Abi);
+            await expect(token.balanceOf(recipient)).resolves.toBe(BigInt(1234));
+            expect(smartContractApi.readContract).toHaveBeenCalledWith("base-sepolia", tokenAddress, expect.objectContaining({
+                method: "balanceOf",
+                args: JSON.stringify({ owner: recipient }),
+            }));
+            expect((await provider.getNetwork()).chainId).toBe(BigInt(84532));
+        });
+        it("rejects calls to contracts without a registered ABI and to state changing functions", async () => {
+            const data = new ethers_1.ethers.Interface(erc20Abi).encodeFunctionData("transfer", [recipient, 1]);
+            await expect(provider.call({ to: tokenAddress, data })).rejects.toThrow(/No ABI is registered/);
+            provider.registerAbi(tokenAddress, erc20Abi);
+            await expect(provider.call({ to: tokenAddress, data })).rejects.toThrow("transfer is not a view or pure function");
+            expect(smartContractApi.readContract).not.toHaveBeenCalled();
+        });
+        it("reads native balances in wei at the latest block only", async () => {
+            await expect(provider.getBalance(recipient)).resolves.toBe(BigInt("1500000000000000000"));
+            await expect(provider.getBalance(recipient, 12)).rejects.toThrow(errors_1.ArgumentError);
+        });
+        it("requires a chain ID for unknown networks", () => {
+            expect(() => new ethers_provider_1.CdpEthersProvider({ networkId: "unknown-network" })).toThrow(errors_1.ArgumentError);
+            expect(new ethers_provider_1.CdpEthersProvider({ networkId: "unknown-network", chainId: 7 }).chainId).toBe(BigInt(7));
+        });
+    });
+    describe("CdpEthersSigner", () => {
+        const landed = (hash) => ({
+            getId: () => "r1",
+            getStatus: () => "complete",
+            getTransactionHash: () => hash,
+            getTransaction: () => ({
+                getStatus: () => "complete",
+                getSignedPayload: () => undefined,
+                getTransactionHash: () => hash,
+                content: () => undefined,
+                blockHeight: () => "12",
+                blockHash: () => "0x" + "b".repeat(64),
+            }),
+            wait: jest.fn(async () => undefined),
+        });
+        it("signs messages, typed data and transactions with the address key", async () => {
+            const walletAddress = new wallet_address_1.WalletAddress({ wallet_id: "w1", network_id: "base-sepolia", address_id: key.address, public_key: "p", index: 0 }, key, coinbase);
+            const signer = new ethers_signer_1.CdpEthersSigner(walletAddress, provider);
+            expect(ethers_1.ethers.verifyMessage("hello", await signer.signMessage("hello"))).toBe(key.address);
+            const domain = { name: "Test", version: "1", chainId: 84532 };
+            const types = { Mail: [{ name: "to", type: "address" }] };
+            expect(ethers_1.ethers.verifyTypedData(domain, types, { to: recipient }, await signer.signTypedData(domain, types, { to: recipient }))).toBe(key.address);
+            const transaction = { to: recipient, value: BigInt(1), nonce: 0, gasLimit: BigInt(21000), chainId: BigInt(84532), maxFeePerGas: BigInt(2), maxPriorityFeePerGas: BigInt(1) };
+            expect(ethers_1.ethers.Transaction.from(await signer.signTransaction(transaction)).from).toBe(key.address);
+            await expect(signer.signTransaction({ ...transaction, from: recipient })).rejects.toThrow(errors_1.ArgumentError);
+        });
+        it("sends value transfers as Transfers and contract calls as ContractInvocations", async () => {
+            const walletAddress = {
+                getId: () => key.address,
+                createTransfer: jest.fn(async () => landed("0x" + "1".repeat(64))),
+                invokeContract: jest.fn(async () => landed("0x" + "2".repeat(64))),
+            };
+            const signer = new ethers_signer_1.CdpEthersSigner(walletAddress, provider, { intervalSeconds: 0.01, timeoutSeconds: 1 });
+            const sent = await signer.sendTransaction({ to: recipient, value: BigInt(5) });
+            expect(walletAddress.createTransfer).toHaveBeenCalledWith({ amount: BigInt(5), assetId: "wei", destination: recipient });
+            expect([sent.hash, sent.from, sent.blockNumber]).toEqual(["0x" + "1".repeat(64), key.address, 12]);
+            const token = provider.getContract(tokenAddress, erc20Abi, signer);
+            const response = await token.transfer(recipient, BigInt(1000));
+            expect(walletAddress.invokeContract).toHaveBeenCalledWith(expect.objectContaining({
+                contractAddress: tokenAddress,
+                method: "transfer",
+                args: { to: recipient, amount: "1000" },
+                amount: undefined,
+            }));
+            expect(response.hash).toBe("0x" + "2".repeat(64));
+            await expect(signer.sendTransaction({ data: "0x6000" })).rejects.toThrow(/cannot deploy contracts/);
+            await expect(signer.connect(null).sendTransaction({ to: tokenAddress, data: "0xa9059cbb" })).rejects.toThrow(/require a CdpEthersProvider/);
+        });
+        it("rejects a transaction that fails onchain", async () => {
+            const failed = landed("0x" + "3".repeat(64));
+            const transaction = failed.getTransaction();
+            failed.getTransaction = () => ({ ...transaction, getStatus: () => "failed" });
+            failed.getStatus = () => "failed";
+            const signer = new ethers_signer_1.CdpEthersSigner({ getId: () => key.address, createTransfer: async () => failed }, provider);
+            await expect(signer.sendTransaction({ to: recipient, value: BigInt(5) })).rejects.toThrow(`Transaction 0x${"3".repeat(64)} failed with status failed`);
+        });
+    });
+});
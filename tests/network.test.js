@@ -0,0 +1,82 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const network_1 = require("../coinbase/network");
+const external_address_1 = require("../coinbase/address/external_address");
+const errors_1 = require("../coinbase/errors");
+describe("Network", () => {
+    const coinbaseWith = (featureSet) => ({
+        apiClients: {
+            network: {
+                getNetwork: jest.fn(async (id) => ({ data: { id, feature_set: featureSet, native_asset: {} } })),
+            },
+        },
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+        network_1.Network.clearCache();
+    });
+    it("caches networks per Coinbase instance", async () => {
+        const first = coinbaseWith({ stake: true });
+        const second = coinbaseWith({ stake: false });
+        expect((await network_1.Network.fetch("base-sepolia", first)).supports("stake")).toBe(true);
+        expect((await network_1.Network.fetch("base-sepolia", second)).supports("stake")).toBe(false);
+        await network_1.Network.fetch("base-sepolia", first);
+        expect(first.apiClients.network.getNetwork).toHaveBeenCalledTimes(1);
+        expect(second.apiClients.network.getNetwork).toHaveBeenCalledTimes(1);
+    });
+    it("fetches a network again once the cache expires", async () => {
+        jest.useFakeTimers({ now: 0 });
+        const coinbase = coinbaseWith({ stake: true });
+        await network_1.Network.fetch("base-sepolia", coinbase);
+        jest.setSystemTime(network_1.Network.CACHE_TTL_SECONDS * 1000 - 1);
+        await network_1.Network.fetch("base-sepolia", coinbase);
+        expect(coinbase.apiClients.network.getNetwork).toHaveBeenCalledTimes(1);
+        jest.setSystemTime(network_1.Network.CACHE_TTL_SECONDS * 1000);
+        await network_1.Network.fetch("base-sepolia", coinbase);
+        expect(coinbase.apiClients.network.getNetwork).toHaveBeenCalledTimes(2);
+    });
+    describe("staking checks", () => {
+        const addressId = "0x" + "9".repeat(40);
+        const balance = (amount) => ({ amount, asset: { asset_id: "eth", network_id: "ethereum-holesky", decimals: 18 } });
+        const addressWith = (featureSet) => {
+            const coinbase = coinbaseWith(featureSet);
+            coinbase.apiClients.asset = {
+                getAsset: async (networkId, assetId) => ({ data: { asset_id: assetId, network_id: networkId, decimals: 18 } }),
+            };
+            coinbase.apiClients.stake = {
+                getStakingContext: jest.fn(async () => ({
+                    data: {
+                        context: {
+                            stakeable_balance: balance("5000000000000000000"),
+                            unstakeable_balance: balance("0"),
+                            pending_claimable_balance: balance("0"),
+                            claimable_balance: balance("0"),
+                        },
+                    },
+                })),
+                buildStakingOperation: jest.fn(async () => ({ data: { id: "op", network_id: "ethereum-holesky", address_id: addressId, status: "initialized", transactions: [] } })),
+            };
+            const address = new external_address_1.ExternalAddress("ethereum-holesky", addressId, coinbase);
+            jest.spyOn(address, "assertNetworkSupports");
+            return { address, stakeApi: coinbase.apiClients.stake };
+        };
+        it("fails before any staking request on networks without staking", async () => {
+            const { address, stakeApi } = addressWith({ stake: false });
+            await expect(address.buildStakeOperation(1, "eth")).rejects.toThrow(errors_1.NetworkFeatureUnsupportedError);
+            expect(stakeApi.getStakingContext).not.toHaveBeenCalled();
+            expect(stakeApi.buildStakingOperation).not.toHaveBeenCalled();
+        });
+        it("checks the network once per staking operation", async () => {
+            const { address, stakeApi } = addressWith({ stake: true });
+            await address.buildStakeOperation(1, "eth");
+            expect(address.assertNetworkSupports).toHaveBeenCalledTimes(1);
+            expect(address.assertNetworkSupports).toHaveBeenCalledWith("stake");
+            expect(stakeApi.getStakingContext).toHaveBeenCalledTimes(1);
+        });
+        it("checks the network of native ETH unstakes validated server-side", async () => {
+            const { address, stakeApi } = addressWith({ stake: false });
+            await expect(address.buildUnstakeOperation(0, "eth", "native", { unstake_type: "execution" })).rejects.toThrow(errors_1.NetworkFeatureUnsupportedError);
+            expect(stakeApi.buildStakingOperation).not.toHaveBeenCalled();
+        });
+    });
+});
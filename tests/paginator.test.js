@@ -0,0 +1,90 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const paginator_1 = require("../coinbase/paginator");
+const smart_contract_1 = require("../coinbase/smart_contract");
+const wallet_address_1 = require("../coinbase/address/wallet_address");
+const errors_1 = require("../coinbase/errors");
+describe("Paginator", () => {
+    const items = Array.from({ length: 7 }, (_, index) => index);
+    const fetchPage = jest.fn(async (limit, page = "0") => {
+        const start = Number(page);
+        const data = items.slice(start, start + limit);
+        const hasMore = start + limit < items.length;
+        return { data, hasMore, nextPage: hasMore ? String(start + limit) : undefined };
+    });
+    beforeEach(() => {
+        fetchPage.mockClear();
+    });
+    it("fetches the next page only once the previous page is consumed", async () => {
+        const iterator = new paginator_1.Paginator(fetchPage, { pageSize: 3 })[Symbol.asyncIterator]();
+        expect(fetchPage).not.toHaveBeenCalled();
+        for (const expected of [0, 1, 2]) {
+            expect((await iterator.next()).value).toBe(expected);
+        }
+        expect(fetchPage).toHaveBeenCalledTimes(1);
+        await iterator.next();
+        expect(fetchPage).toHaveBeenLastCalledWith(3, "3");
+    });
+    it("fetches every item with the default page size", async () => {
+        await expect(new paginator_1.Paginator(fetchPage).toArray()).resolves.toEqual(items);
+        expect(fetchPage).toHaveBeenCalledWith(paginator_1.Paginator.MAX_PAGE_SIZE, undefined);
+    });
+    it("stops after maxItems and requests no more items than are left", async () => {
+        await expect(new paginator_1.Paginator(fetchPage, { pageSize: 3, maxItems: 5 }).toArray()).resolves.toEqual([0, 1, 2, 3, 4]);
+        expect(fetchPage.mock.calls).toEqual([
+            [3, undefined],
+            [2, "3"],
+        ]);
+        await expect(new paginator_1.Paginator(fetchPage, { maxItems: 0 }).toArray()).resolves.toEqual([]);
+        expect(fetchPage).toHaveBeenCalledTimes(2);
+    });
+    it("starts at the given page", async () => {
+        const pages = [];
+        for await (const page of new paginator_1.Paginator(fetchPage, { pageSize: 3, page: "3" }).pages()) {
+            pages.push(page.data);
+        }
+        expect(pages).toEqual([
+            [3, 4, 5],
+            [6],
+        ]);
+    });
+    it.each([{ pageSize: 0 }, { pageSize: 101 }, { pageSize: 2.5 }, { maxItems: -1 }, { maxItems: 1.5 }])("rejects the options %p", options => {
+        expect(() => new paginator_1.Paginator(fetchPage, options)).toThrow(errors_1.ArgumentError);
+    });
+});
+describe("list iteration", () => {
+    it("passes the page size and cursor of the Paginator to the address list calls", async () => {
+        const addressId = "0x" + "9".repeat(40);
+        const transferModel = (id) => ({
+            transfer_id: id,
+            network_id: "base-sepolia",
+            wallet_id: "w1",
+            address_id: addressId,
+            destination: "0x" + "1".repeat(40),
+            asset_id: "eth",
+            amount: "1",
+            transaction: { status: "complete", unsigned_payload: "", from_address_id: addressId, network_id: "base-sepolia" },
+        });
+        const listTransfers = jest.fn(async (_, __, limit, page) => page
+            ? { data: { data: [transferModel("t3")], has_more: false } }
+            : { data: { data: [transferModel("t1"), transferModel("t2")], has_more: true, next_page: "p2" } });
+        const address = new wallet_address_1.WalletAddress({ wallet_id: "w1", network_id: "base-sepolia", address_id: addressId, public_key: "p", index: 0 }, undefined, { apiClients: { transfer: { listTransfers } } });
+        const transfers = await address.transfers({ pageSize: 2, maxItems: 3 }).toArray();
+        expect(transfers.map(transfer => transfer.getId())).toEqual(["t1", "t2", "t3"]);
+        expect(listTransfers.mock.calls).toEqual([
+            ["w1", addressId, 2, undefined],
+            ["w1", addressId, 1, "p2"],
+        ]);
+    });
+    it("follows the cursors of Smart Contract lists and rejects a page size", async () => {
+        const listSmartContracts = jest.fn(async (page) => ({
+            data: page ? { data: [{ contract_address: "0x2" }], has_more: false } : { data: [{ contract_address: "0x1" }], has_more: true, next_page: "p2" },
+        }));
+        const coinbase = { apiClients: { smartContract: { listSmartContracts } } };
+        const contracts = await smart_contract_1.SmartContract.paginate({}, coinbase).toArray();
+        expect(contracts).toHaveLength(2);
+        expect(listSmartContracts.mock.calls).toEqual([[undefined], ["p2"]]);
+        expect(() => smart_contract_1.SmartContract.paginate({ pageSize: 10 }, coinbase)).toThrow(errors_1.ArgumentError);
+        expect(() => smart_contract_1.SmartContract.paginateEvents("base-sepolia", "uniswap", "0x1", "Pool", "Swap", 1, 2, { pageSize: 10 }, coinbase)).toThrow(errors_1.ArgumentError);
+    });
+});
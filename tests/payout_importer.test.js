@@ -0,0 +1,110 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const decimal_js_1 = require("decimal.js");
+const fs_1 = require("fs");
+const os_1 = require("os");
+const path_1 = require("path");
+const payout_importer_1 = require("../coinbase/payout_importer");
+const wallet_address_1 = require("../coinbase/address/wallet_address");
+describe("PayoutImporter", () => {
+    const destination = (digit) => "0x" + String(digit).repeat(40);
+    const payouts = [1, 2, 3].map(digit => ({ line: digit + 1, destination: destination(digit), assetId: "eth", amount: "1" }));
+    const coinbase = {
+        useServerSigner: false,
+        apiClients: { asset: { getAsset: async (networkId, assetId) => ({ data: { asset_id: assetId, network_id: networkId, decimals: 18 } }) } },
+    };
+    let dir;
+    let journalPath;
+    let address;
+    beforeEach(async () => {
+        dir = await fs_1.promises.mkdtemp((0, path_1.join)((0, os_1.tmpdir)(), "payout-importer-"));
+        journalPath = (0, path_1.join)(dir, "journal.json");
+        address = {
+            coinbase,
+            getNetworkId: () => "base-sepolia",
+            getId: () => destination(9),
+            getBalance: jest.fn().mockResolvedValue(new decimal_js_1.Decimal("1.5")),
+            reloadTransferReport: jest.fn(async (report) => report),
+            createTransfers: jest.fn(async (_, { resume, onResult }) => {
+                for (const result of resume.results) {
+                    await onResult(Object.assign(result, { status: "broadcast" }), resume);
+                }
+                return resume;
+            }),
+        };
+    });
+    afterEach(async () => {
+        await fs_1.promises.rm(dir, { recursive: true, force: true });
+    });
+    it("counts only the payouts whose reloaded Transfers are still to be sent", async () => {
+        const fingerprint = payout_importer_1.PayoutImporter.fingerprint(address, payouts);
+        const results = [0, 1, 2].map(index => ({ index, idempotencyKey: `k${index}`, status: "created", transferId: `t${index}` }));
+        await fs_1.promises.writeFile(journalPath, JSON.stringify({ version: 1, fingerprint, report: { results } }));
+        address.reloadTransferReport.mockResolvedValue({
+            results: [
+                { ...results[0], status: "broadcast" },
+                { ...results[1], status: "failed" },
+                results[2],
+            ],
+        });
+        const importer = new payout_importer_1.PayoutImporter(address, { journalPath });
+        const report = await importer.dryRun(payouts);
+        expect(report.payouts.map(payout => payout.completed)).toEqual([true, true, false]);
+        expect(report.totals).toEqual([{ assetId: "eth", amount: new decimal_js_1.Decimal(1), balance: new decimal_js_1.Decimal("1.5") }]);
+        expect(report.valid).toBe(true);
+    });
+    it("throws when the journal cannot be written", async () => {
+        const importer = new payout_importer_1.PayoutImporter(address, { journalPath });
+        const realRename = fs_1.promises.rename;
+        const rename = jest.spyOn(fs_1.promises, "rename");
+        rename.mockImplementationOnce(realRename).mockRejectedValueOnce(new Error("disk full"));
+        await expect(importer.execute(payouts.slice(0, 1))).rejects.toThrow("disk full");
+        rename.mockRestore();
+        expect(await fs_1.promises.readdir(dir)).toEqual(["journal.json"]);
+    });
+    it("resumes its journal with WalletAddress.createTransfers, sending only the payouts that were not sent", async () => {
+        const created = new Map();
+        const transferApi = {
+            createTransfer: jest.fn(async (walletId, addressId, request, options) => {
+                if (transferApi.createTransfer.mock.calls.length === 2) {
+                    throw new Error("connection reset");
+                }
+                const id = options.headers["X-Idempotency-Key"];
+                created.set(id, {
+                    transfer_id: id,
+                    network_id: "base-sepolia",
+                    wallet_id: walletId,
+                    address_id: addressId,
+                    destination: request.destination,
+                    asset_id: request.asset_id,
+                    amount: request.amount,
+                    asset: { asset_id: request.asset_id, network_id: "base-sepolia", decimals: 18 },
+                    transaction: { status: "pending", unsigned_payload: "", from_address_id: addressId, network_id: "base-sepolia" },
+                });
+                return { data: created.get(id) };
+            }),
+            getTransfer: jest.fn(async (_, __, id) => ({ data: created.get(id) })),
+        };
+        const serverSignerCoinbase = {
+            useServerSigner: true,
+            apiClients: {
+                ...coinbase.apiClients,
+                transfer: transferApi,
+                externalAddress: {
+                    getExternalAddressBalance: async (networkId, _, assetId) => ({
+                        data: { amount: "5000000000000000000", asset: { asset_id: assetId, network_id: networkId, decimals: 18 } },
+                    }),
+                },
+            },
+        };
+        const walletAddress = new wallet_address_1.WalletAddress({ wallet_id: "w1", network_id: "base-sepolia", address_id: destination(9), public_key: "p", index: 0 }, undefined, serverSignerCoinbase);
+        const importer = new payout_importer_1.PayoutImporter(walletAddress, { journalPath });
+        const first = await importer.execute(payouts);
+        expect(first.results.map(result => result.status)).toEqual(["created", "failed", "created"]);
+        const second = await importer.execute(payouts);
+        expect(second.results.map(result => result.status)).toEqual(["created", "created", "created"]);
+        const keys = transferApi.createTransfer.mock.calls.map(([, , , options]) => options.headers["X-Idempotency-Key"]);
+        expect(keys).toHaveLength(4);
+        expect(keys[3]).toBe(keys[1]);
+    });
+});
@@ -0,0 +1,137 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const axios_1 = __importDefault(require("axios"));
+const http_1 = require("http");
+const api_error_1 = require("../coinbase/api_error");
+const retry_policy_1 = require("../coinbase/retry_policy");
+const utils_1 = require("../coinbase/utils");
+const errors_1 = require("../coinbase/errors");
+describe("RetryPolicy", () => {
+    const failure = ({ method = "get", headers = {}, status = 503, code = "internal", retryAfter } = {}) => ({
+        config: { method, headers },
+        response: {
+            status,
+            data: { code, message: code },
+            headers: retryAfter === undefined ? {} : { "retry-after": retryAfter },
+        },
+    });
+    describe("shouldRetry", () => {
+        const policy = new retry_policy_1.RetryPolicy();
+        it("retries GET requests", () => {
+            expect(policy.shouldRetry(failure())).toBe(true);
+        });
+        it("retries POST requests only with an idempotency key", () => {
+            expect(policy.shouldRetry(failure({ method: "post" }))).toBe(false);
+            expect(policy.shouldRetry(failure({ method: "post", headers: { "X-Idempotency-Key": "key" } }))).toBe(true);
+            const withoutIdempotentRetries = new retry_policy_1.RetryPolicy({ retryIdempotentRequests: false });
+            expect(withoutIdempotentRetries.shouldRetry(failure({ method: "post", headers: { "X-Idempotency-Key": "key" } }))).toBe(false);
+        });
+        it("retries the configured APIError classes whatever their status", () => {
+            expect(policy.shouldRetry(failure({ status: 400, code: "resource_exhausted" }))).toBe(true);
+            expect(policy.shouldRetry(failure({ status: 404, code: "not_found" }))).toBe(false);
+            const notFoundPolicy = new retry_policy_1.RetryPolicy({ retryableStatuses: [], retryableErrors: [api_error_1.NotFoundError] });
+            expect(notFoundPolicy.shouldRetry(failure({ status: 404, code: "not_found" }))).toBe(true);
+            expect(notFoundPolicy.shouldRetry(failure({ status: 503, code: "internal" }))).toBe(false);
+        });
+        it("retries network errors unless disabled", () => {
+            const networkError = { config: { method: "get", headers: {} } };
+            expect(policy.shouldRetry(networkError)).toBe(true);
+            expect(new retry_policy_1.RetryPolicy({ retryNetworkErrors: false }).shouldRetry(networkError)).toBe(false);
+            expect(policy.shouldRetry({ ...networkError, code: "ERR_CANCELED" })).toBe(false);
+        });
+        it("does not retry when Retry-After asks to wait longer than maxRetryAfterMs", () => {
+            const capped = new retry_policy_1.RetryPolicy({ maxRetryAfterMs: 30000 });
+            expect(capped.shouldRetry(failure({ status: 429, code: "resource_exhausted", retryAfter: "30" }))).toBe(true);
+            expect(capped.shouldRetry(failure({ status: 429, code: "resource_exhausted", retryAfter: "31" }))).toBe(false);
+        });
+    });
+    describe("getDelay", () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+        it("keeps full jitter between zero and the capped backoff", () => {
+            const policy = new retry_policy_1.RetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000 });
+            jest.spyOn(Math, "random").mockReturnValueOnce(0).mockReturnValueOnce(0.999999).mockReturnValueOnce(0.999999);
+            expect(policy.getDelay(3)).toBe(0);
+            expect(policy.getDelay(3)).toBeCloseTo(400, 2);
+            expect(policy.getDelay(10)).toBeCloseTo(1000, 2);
+        });
+        it("keeps equal jitter between half and all of the backoff", () => {
+            const policy = new retry_policy_1.RetryPolicy({ baseDelayMs: 100, jitter: "equal" });
+            jest.spyOn(Math, "random").mockReturnValueOnce(0).mockReturnValueOnce(0.999999);
+            expect(policy.getDelay(2)).toBe(100);
+            expect(policy.getDelay(2)).toBeCloseTo(200, 2);
+            expect(new retry_policy_1.RetryPolicy({ baseDelayMs: 100, jitter: "none" }).getDelay(2)).toBe(200);
+        });
+        it("honors Retry-After in seconds beyond maxDelayMs", () => {
+            const policy = new retry_policy_1.RetryPolicy({ maxDelayMs: 10000 });
+            expect(policy.getDelay(1, failure({ status: 429, retryAfter: "60" }))).toBe(60000);
+        });
+        it("honors Retry-After as an HTTP date", () => {
+            jest.spyOn(Date, "now").mockReturnValue(Date.parse("Wed, 21 Oct 2026 07:28:00 GMT"));
+            const policy = new retry_policy_1.RetryPolicy();
+            expect(policy.getDelay(1, failure({ status: 429, retryAfter: "Wed, 21 Oct 2026 07:28:45 GMT" }))).toBe(45000);
+            expect(policy.getDelay(1, failure({ status: 429, retryAfter: "Wed, 21 Oct 2026 07:27:00 GMT" }))).toBe(0);
+        });
+        it("ignores Retry-After when not respected", () => {
+            const policy = new retry_policy_1.RetryPolicy({ jitter: "none", respectRetryAfter: false });
+            expect(policy.getDelay(1, failure({ status: 429, retryAfter: "60" }))).toBe(200);
+        });
+    });
+    it("rejects invalid options", () => {
+        expect(() => new retry_policy_1.RetryPolicy({ maxRetries: -1 })).toThrow(errors_1.ArgumentError);
+        expect(() => new retry_policy_1.RetryPolicy({ maxRetryAfterMs: -1 })).toThrow(errors_1.ArgumentError);
+        expect(() => new retry_policy_1.RetryPolicy({ jitter: "random" })).toThrow(errors_1.ArgumentError);
+    });
+    describe("apply", () => {
+        let server;
+        let baseURL;
+        let responses;
+        let requests;
+        beforeEach(async () => {
+            requests = 0;
+            server = (0, http_1.createServer)((request, response) => {
+                const { status, headers = {}, body } = responses[Math.min(requests++, responses.length - 1)];
+                response.writeHead(status, { "content-type": "application/json", ...headers });
+                response.end(JSON.stringify(body));
+            });
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            baseURL = `http://127.0.0.1:${server.address().port}`;
+        });
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+        const client = (policy) => {
+            const instance = axios_1.default.create({ baseURL });
+            policy.apply(instance);
+            (0, utils_1.registerAxiosInterceptors)(instance, config => config, response => response);
+            return instance;
+        };
+        const exhausted = (retryAfter) => ({
+            status: 429,
+            headers: { "retry-after": retryAfter },
+            body: { code: "resource_exhausted", message: "slow down" },
+        });
+        it("waits for Retry-After before retrying", async () => {
+            responses = [exhausted("0.05"), { status: 200, body: { ok: true } }];
+            const started = Date.now();
+            const response = await client(new retry_policy_1.RetryPolicy({ baseDelayMs: 1, maxDelayMs: 10 })).get("/");
+            expect(response.data).toEqual({ ok: true });
+            expect(requests).toBe(2);
+            expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+        });
+        it("surfaces ResourceExhaustedError when Retry-After exceeds the cap", async () => {
+            responses = [exhausted("60"), { status: 200, body: { ok: true } }];
+            await expect(client(new retry_policy_1.RetryPolicy({ maxRetryAfterMs: 1000 })).get("/")).rejects.toBeInstanceOf(api_error_1.ResourceExhaustedError);
+            expect(requests).toBe(1);
+        });
+        it("does not retry a POST without an idempotency key", async () => {
+            responses = [{ status: 503, body: { code: "internal", message: "down" } }, { status: 200, body: {} }];
+            await expect(client(new retry_policy_1.RetryPolicy({ baseDelayMs: 0 })).post("/", {})).rejects.toBeInstanceOf(api_error_1.InternalError);
+            expect(requests).toBe(1);
+        });
+    });
+});
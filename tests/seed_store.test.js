@@ -0,0 +1,59 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const crypto_1 = require("crypto");
+const fs_1 = require("fs");
+const os_1 = require("os");
+const path_1 = require("path");
+const seed_store_1 = require("../coinbase/seed_store");
+const errors_1 = require("../coinbase/errors");
+describe("SeedStore", () => {
+    let dir;
+    let filePath;
+    const seed = (0, crypto_1.randomBytes)(32).toString("hex");
+    beforeEach(async () => {
+        dir = await fs_1.promises.mkdtemp((0, path_1.join)((0, os_1.tmpdir)(), "seed-store-"));
+        filePath = (0, path_1.join)(dir, "seeds.json");
+    });
+    afterEach(async () => {
+        await fs_1.promises.rm(dir, { recursive: true, force: true });
+    });
+    it("saves and loads a seed", async () => {
+        const store = new seed_store_1.SeedStore({ filePath, passphrase: "first" });
+        await store.save({ walletId: "w1", seed, networkId: "base-sepolia" });
+        expect(await store.load("w1")).toEqual({ walletId: "w1", seed, networkId: "base-sepolia" });
+        expect(await fs_1.promises.readFile(filePath, "utf8")).not.toContain(seed);
+    });
+    it("keeps a seed saved while the key is rotated", async () => {
+        const store = new seed_store_1.SeedStore({ filePath, passphrase: "first" });
+        await store.save({ walletId: "w1", seed, networkId: "base-sepolia" });
+        const otherSeed = (0, crypto_1.randomBytes)(32).toString("hex");
+        const [rotated] = await Promise.all([
+            store.rotate({ passphrase: "second" }),
+            store.save({ walletId: "w2", seed: otherSeed, networkId: "base-sepolia" }),
+        ]);
+        expect(rotated).toBe(1);
+        const reopened = new seed_store_1.SeedStore({ filePath, passphrase: "second" });
+        expect((await reopened.load("w1")).seed).toBe(seed);
+        expect((await reopened.load("w2")).seed).toBe(otherSeed);
+        await expect(new seed_store_1.SeedStore({ filePath, passphrase: "first" }).load("w1")).rejects.toThrow(errors_1.SeedStoreError);
+    });
+    it("does not collide on temporary files when stores share the file", async () => {
+        const first = new seed_store_1.SeedStore({ filePath, passphrase: "first" });
+        const second = new seed_store_1.SeedStore({ filePath, passphrase: "first" });
+        await Promise.all([
+            first.save({ walletId: "w1", seed, networkId: "base-sepolia" }),
+            second.save({ walletId: "w2", seed, networkId: "base-sepolia" }),
+        ]);
+        expect(await fs_1.promises.readdir(dir)).toEqual(["seeds.json"]);
+    });
+    it("rejects entries with scrypt costs over the limits", async () => {
+        const store = new seed_store_1.SeedStore({ filePath, passphrase: "first" });
+        await store.save({ walletId: "w1", seed, networkId: "base-sepolia" });
+        const file = JSON.parse(await fs_1.promises.readFile(filePath, "utf8"));
+        for (const kdf of [{ N: 2 ** 30 }, { N: 3000 }, { r: 1000 }, { p: 0 }, { N: 2 ** 20, r: 32 }]) {
+            file.wallets.w1.kdf = { ...file.wallets.w1.kdf, N: 2 ** 15, r: 8, p: 1, ...kdf };
+            await fs_1.promises.writeFile(filePath, JSON.stringify(file));
+            await expect(store.load("w1")).rejects.toThrow(/malformed/);
+        }
+    });
+});
@@ -0,0 +1,81 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const bip32_1 = require("@scure/bip32");
+const server_signer_1 = require("../coinbase/server_signer");
+const server_signer_key_store_1 = require("../coinbase/server_signer_key_store");
+const server_signer_event_processor_1 = require("../coinbase/server_signer_event_processor");
+describe("ServerSignerEventProcessor", () => {
+    const seedEvent = { server_signer_id: "ss", event: { wallet_id: "w1", wallet_user_id: "u1" } };
+    let serverSignerApi;
+    let serverSigner;
+    let stored;
+    beforeEach(async () => {
+        stored = {};
+        serverSignerApi = {
+            getServerSigner: jest.fn().mockResolvedValue({ data: { server_signer_id: "ss", wallets: [], is_mpc: false } }),
+            listServerSignerEvents: jest.fn().mockResolvedValue({ data: { data: [seedEvent], has_more: false } }),
+            submitServerSignerSeedEventResult: jest.fn(async (_, result) => {
+                expect(stored[result.seed_id]).toBeDefined();
+                return { data: result };
+            }),
+        };
+        serverSigner = await server_signer_1.ServerSigner.fetch("ss", { apiClients: { serverSigner: serverSignerApi } });
+    });
+    it("submits a new seed only once it is persisted", async () => {
+        const keyStore = new server_signer_key_store_1.LocalServerSignerKeyStore({
+            persist: async (seeds) => {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                stored = seeds;
+            },
+        });
+        const processor = new server_signer_event_processor_1.ServerSignerEventProcessor(serverSigner, keyStore);
+        expect(await processor.processEvents()).toBe(1);
+        expect(serverSignerApi.submitServerSignerSeedEventResult).toHaveBeenCalledTimes(1);
+        const [serverSignerId, result] = serverSignerApi.submitServerSignerSeedEventResult.mock.calls[0];
+        expect(serverSignerId).toBe("ss");
+        expect(result.wallet_id).toBe("w1");
+        const seed = stored[result.seed_id];
+        expect(result.extended_public_key).toBe(bip32_1.HDKey.fromMasterSeed(Buffer.from(seed, "hex")).publicExtendedKey);
+    });
+    it("does not submit a seed that could not be persisted", async () => {
+        const keyStore = new server_signer_key_store_1.LocalServerSignerKeyStore({
+            persist: async () => {
+                throw new Error("disk full");
+            },
+        });
+        const onError = jest.fn();
+        const processor = new server_signer_event_processor_1.ServerSignerEventProcessor(serverSigner, keyStore, { onError });
+        expect(await processor.processEvents()).toBe(0);
+        expect(serverSignerApi.submitServerSignerSeedEventResult).not.toHaveBeenCalled();
+        expect(onError).toHaveBeenCalledWith(new Error("disk full"), seedEvent);
+        expect(keyStore.exportSeeds()).toEqual({});
+    });
+    it("resubmits the persisted seed when a retry follows a failed submit", async () => {
+        const persist = jest.fn(async (seeds) => {
+            stored = seeds;
+        });
+        const keyStore = new server_signer_key_store_1.LocalServerSignerKeyStore({ persist });
+        serverSignerApi.submitServerSignerSeedEventResult.mockRejectedValueOnce(new Error("service unavailable"));
+        const onError = jest.fn();
+        const processor = new server_signer_event_processor_1.ServerSignerEventProcessor(serverSigner, keyStore, { onError });
+        expect(await processor.processEvents()).toBe(0);
+        expect(onError).toHaveBeenCalledWith(new Error("service unavailable"), seedEvent);
+        expect(await processor.processEvents()).toBe(1);
+        const [[, failed], [, retried]] = serverSignerApi.submitServerSignerSeedEventResult.mock.calls;
+        expect(retried).toEqual(failed);
+        expect(retried.seed_id).toBe("w1");
+        expect(persist).toHaveBeenCalledTimes(1);
+        const restarted = new server_signer_event_processor_1.ServerSignerEventProcessor(serverSigner, new server_signer_key_store_1.LocalServerSignerKeyStore({ persist, seeds: stored }));
+        expect(await restarted.processEvents()).toBe(1);
+        expect(serverSignerApi.submitServerSignerSeedEventResult).toHaveBeenLastCalledWith("ss", failed);
+        expect(persist).toHaveBeenCalledTimes(1);
+    });
+    it("never replaces the seed of a Wallet", async () => {
+        const keyStore = new server_signer_key_store_1.LocalServerSignerKeyStore({ persist: async () => undefined, seeds: { w1: "ab".repeat(32) } });
+        await expect(keyStore.createSeed(seedEvent.event)).rejects.toThrow("A seed already exists for Wallet w1");
+        expect(keyStore.exportSeeds()).toEqual({ w1: "ab".repeat(32) });
+    });
+    it("requires a persist function", () => {
+        expect(() => new server_signer_key_store_1.LocalServerSignerKeyStore({})).toThrow(/persist/);
+    });
+});
@@ -0,0 +1,139 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const server_signer_wait_1 = require("../coinbase/server_signer_wait");
+const wallet_address_1 = require("../coinbase/address/wallet_address");
+const network_1 = require("../coinbase/network");
+const errors_1 = require("../coinbase/errors");
+const types_1 = require("../coinbase/types");
+describe("waitForServerSigner", () => {
+    const resourceWith = (...stages) => {
+        const resource = { stage: stages[0] };
+        resource.reload = jest.fn(async () => {
+            resource.stage = stages.length > 1 ? stages.shift() : stages[0];
+        });
+        return resource;
+    };
+    const context = { name: "Transfer", getStage: (resource) => resource.stage };
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 0 });
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+    it("reports every stage until the resource is confirmed", async () => {
+        const { AWAITING_SIGNATURE, BROADCAST, CONFIRMED } = types_1.ServerSignerStage;
+        const resource = resourceWith(AWAITING_SIGNATURE, AWAITING_SIGNATURE, BROADCAST, BROADCAST, CONFIRMED);
+        const onStageChange = jest.fn();
+        const result = (0, server_signer_wait_1.waitForServerSigner)(resource, { intervalSeconds: 1, onStageChange }, context);
+        await jest.advanceTimersByTimeAsync(4000);
+        await expect(result).resolves.toBe(resource);
+        expect(onStageChange.mock.calls.map(([stage]) => stage)).toEqual([AWAITING_SIGNATURE, BROADCAST, CONFIRMED]);
+    });
+    it("returns a failed resource instead of throwing", async () => {
+        const resource = resourceWith(types_1.ServerSignerStage.BROADCAST, types_1.ServerSignerStage.FAILED);
+        const result = (0, server_signer_wait_1.waitForServerSigner)(resource, { intervalSeconds: 1 }, context);
+        await jest.advanceTimersByTimeAsync(1000);
+        await expect(result).resolves.toHaveProperty("stage", types_1.ServerSignerStage.FAILED);
+    });
+    it("throws a ServerSignerTimeoutError when the Server-Signer does not sign in time", async () => {
+        const resource = resourceWith(types_1.ServerSignerStage.AWAITING_SIGNATURE);
+        const result = (0, server_signer_wait_1.waitForServerSigner)(resource, { intervalSeconds: 1, timeoutSeconds: 60, signatureTimeoutSeconds: 3 }, context);
+        const assertion = expect(result).rejects.toThrow(new errors_1.ServerSignerTimeoutError("Transfer was not signed by the Server-Signer within 3 seconds"));
+        await jest.advanceTimersByTimeAsync(3000);
+        await assertion;
+        await expect(result).rejects.toHaveProperty("lastStatus", types_1.ServerSignerStage.AWAITING_SIGNATURE);
+    });
+    it("throws a plain TimeoutError when the signed resource is not confirmed in time", async () => {
+        const resource = resourceWith(types_1.ServerSignerStage.AWAITING_SIGNATURE, types_1.ServerSignerStage.BROADCAST);
+        const result = (0, server_signer_wait_1.waitForServerSigner)(resource, { intervalSeconds: 1, timeoutSeconds: 5, signatureTimeoutSeconds: 3 }, context);
+        const assertion = expect(result).rejects.toThrow("Transfer was signed but not confirmed within 5 seconds (last stage: broadcast)");
+        await jest.advanceTimersByTimeAsync(5000);
+        await assertion;
+        await expect(result).rejects.toBeInstanceOf(errors_1.TimeoutError);
+        await expect(result).rejects.not.toBeInstanceOf(errors_1.ServerSignerTimeoutError);
+    });
+    it("maps transaction statuses to stages", () => {
+        expect([
+            types_1.TransactionStatus.PENDING,
+            types_1.TransactionStatus.SIGNED,
+            types_1.TransactionStatus.BROADCAST,
+            types_1.SponsoredSendStatus.SUBMITTED,
+            types_1.TransactionStatus.COMPLETE,
+            types_1.TransactionStatus.FAILED,
+            undefined,
+        ].map(server_signer_wait_1.serverSignerStage)).toEqual([
+            "awaiting_signature",
+            "broadcast",
+            "broadcast",
+            "broadcast",
+            "confirmed",
+            "failed",
+            "awaiting_signature",
+        ]);
+    });
+});
+describe("WalletAddress Server-Signer waits", () => {
+    const addressId = "0x" + "9".repeat(40);
+    const tradeModel = (status) => ({
+        trade_id: "t1",
+        network_id: "base-sepolia",
+        wallet_id: "w1",
+        address_id: addressId,
+        from_amount: "1000000000000000000",
+        to_amount: "3000000",
+        from_asset: { asset_id: "eth", network_id: "base-sepolia", decimals: 18 },
+        to_asset: { asset_id: "usdc", network_id: "base-sepolia", decimals: 6 },
+        transaction: { status, unsigned_payload: "", from_address_id: addressId, network_id: "base-sepolia" },
+    });
+    let statuses;
+    let tradeApi;
+    let address;
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 0 });
+        statuses = ["pending", "signed", "complete"];
+        tradeApi = {
+            createTrade: jest.fn(async () => ({ data: tradeModel("pending") })),
+            getTrade: jest.fn(async () => ({ data: tradeModel(statuses.length > 1 ? statuses.shift() : statuses[0]) })),
+        };
+        const coinbase = {
+            useServerSigner: true,
+            apiClients: {
+                trade: tradeApi,
+                network: { getNetwork: async (id) => ({ data: { id, feature_set: { trade: true }, native_asset: {} } }) },
+                asset: {
+                    getAsset: async (networkId, assetId) => ({
+                        data: { asset_id: assetId, network_id: networkId, decimals: assetId === "usdc" ? 6 : 18 },
+                    }),
+                },
+                externalAddress: {
+                    getExternalAddressBalance: async (networkId, _, assetId) => ({
+                        data: { amount: "1500000000000000000", asset: { asset_id: assetId, network_id: networkId, decimals: 18 } },
+                    }),
+                },
+            },
+        };
+        address = new wallet_address_1.WalletAddress({ wallet_id: "w1", network_id: "base-sepolia", address_id: addressId, public_key: "p", index: 0 }, undefined, coinbase);
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+        network_1.Network.clearCache();
+    });
+    it("returns the Trade as soon as it is created by default", async () => {
+        const trade = await address.createTrade({ amount: 1, fromAssetId: "eth", toAssetId: "usdc" });
+        expect(trade.getStatus()).toBe("pending");
+        expect(tradeApi.getTrade).not.toHaveBeenCalled();
+    });
+    it("waits for the Server-Signer to sign and for the Trade to be confirmed when asked to", async () => {
+        const onStageChange = jest.fn();
+        const result = address.createTrade({
+            amount: 1,
+            fromAssetId: "eth",
+            toAssetId: "usdc",
+            waitForServerSigner: { intervalSeconds: 1, onStageChange },
+        });
+        await jest.advanceTimersByTimeAsync(3000);
+        const trade = await result;
+        expect(trade.getStatus()).toBe("complete");
+        expect(onStageChange.mock.calls.map(([stage]) => stage)).toEqual(["awaiting_signature", "broadcast", "confirmed"]);
+    });
+});
@@ -0,0 +1,128 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const viem_1 = require("viem");
+const accounts_1 = require("viem/accounts");
+const smart_wallet_1 = require("../coinbase/smart_wallet");
+const errors_1 = require("../coinbase/errors");
+describe("SmartWallet", () => {
+    const smartWalletAddress = (0, viem_1.getAddress)("0x" + "5".repeat(40));
+    const alice = (0, accounts_1.privateKeyToAccount)("0x" + "1".repeat(64));
+    const bob = (0, accounts_1.privateKeyToAccount)("0x" + "2".repeat(64));
+    const carol = (0, accounts_1.privateKeyToAccount)("0x" + "3".repeat(64));
+    const encodeOwner = (address) => (0, viem_1.encodeAbiParameters)([{ type: "address" }], [address]);
+    const ownerAbi = (0, viem_1.parseAbi)(["function addOwnerAddress(address owner)", "function removeOwnerAtIndex(uint256 index, bytes owner)"]);
+    let owners;
+    let onchainOwners;
+    let operations;
+    let smartWalletApi;
+    let smartContractApi;
+    let coinbase;
+    beforeEach(() => {
+        owners = [alice.address];
+        onchainOwners = [encodeOwner(alice.address)];
+        operations = new Map();
+        smartWalletApi = {
+            createSmartWallet: jest.fn(async ({ owner }) => ({ data: { address: smartWalletAddress, owners: [owner] } })),
+            getSmartWallet: jest.fn(async (address) => ({ data: { address, owners: [...owners] } })),
+            createUserOperation: jest.fn(async (address, network, { calls }) => {
+                const userOpHash = (0, viem_1.keccak256)((0, viem_1.toHex)(`op-${operations.size}`));
+                const model = { id: `op-${operations.size}`, network_id: network, user_op_hash: userOpHash, calls, unsigned_payload: userOpHash, status: "pending" };
+                operations.set(userOpHash, model);
+                return { data: model };
+            }),
+            broadcastUserOperation: jest.fn(async (address, userOpHash) => {
+                // Applies the owner management calls, as the smart wallet contract would onchain.
+                const model = operations.get(userOpHash);
+                for (const call of model.calls.filter(call => call.to === address)) {
+                    const { functionName, args } = (0, viem_1.decodeFunctionData)({ abi: ownerAbi, data: call.data });
+                    if (functionName === "addOwnerAddress") {
+                        owners.push(args[0]);
+                        onchainOwners.push(encodeOwner(args[0]));
+                    }
+                    else {
+                        onchainOwners[Number(args[0])] = "0x";
+                        owners = owners.filter(owner => encodeOwner(owner) !== args[1]);
+                    }
+                }
+                model.status = "complete";
+                model.transaction_hash = "0x" + "f".repeat(64);
+                return { data: { ...model, status: "broadcast" } };
+            }),
+            getUserOperation: jest.fn(async (address, userOpHash) => ({ data: operations.get(userOpHash) })),
+        };
+        smartContractApi = {
+            readContract: jest.fn(async (networkId, address, { method, args }) => method === "nextOwnerIndex"
+                ? { data: { type: "uint256", value: String(onchainOwners.length) } }
+                : { data: { type: "bytes", value: onchainOwners[Number(JSON.parse(args).index)] } }),
+        };
+        coinbase = { apiClients: { smartWallet: smartWalletApi, smartContract: smartContractApi } };
+    });
+    it("creates a smart wallet that its owner can send user operations from", async () => {
+        const smartWallet = await smart_wallet_1.SmartWallet.create({ owner: alice }, coinbase);
+        expect(smartWallet.getAddress()).toBe(smartWalletAddress);
+        expect(smartWallet.getOwners()).toEqual([alice.address]);
+        expect(smartWallet.canSign()).toBe(true);
+        const result = await smartWallet.sendUserOperation({
+            calls: [{ to: smartWalletAddress, abi: ownerAbi, functionName: "addOwnerAddress", args: [bob.address] }],
+            chainId: 84532,
+        });
+        expect(result).toEqual({ smartWalletAddress, status: "broadcast", userOpHash: expect.any(String) });
+        const [, , { signature }] = smartWalletApi.broadcastUserOperation.mock.calls[0];
+        await expect((0, viem_1.recoverAddress)({ hash: result.userOpHash, signature })).resolves.toBe(alice.address);
+    });
+    it("only attaches owners of the smart wallet", async () => {
+        const smartWallet = await smart_wallet_1.SmartWallet.fetch(smartWalletAddress, coinbase);
+        expect(smartWallet.canSign()).toBe(false);
+        await expect(smartWallet.sendUserOperation({ calls: [{ to: bob.address, value: BigInt(1) }], chainId: 84532 })).rejects.toThrow(/without an owner/);
+        expect(() => smartWallet.useOwner(bob)).toThrow(errors_1.ArgumentError);
+        smartWallet.useOwner({ address: alice.address.toLowerCase(), sign: alice.sign });
+        expect(smartWallet.canSign()).toBe(true);
+    });
+    it("exports and imports the smart wallet without its owner", () => {
+        const data = smart_wallet_1.SmartWallet.import({ address: smartWalletAddress, owners: [alice.address, bob.address] }, bob, coinbase).export();
+        expect(data).toEqual({ address: smartWalletAddress, owners: [alice.address, bob.address] });
+        expect(() => smart_wallet_1.SmartWallet.import(data, carol, coinbase)).toThrow(errors_1.ArgumentError);
+        expect(smart_wallet_1.SmartWallet.import(data, undefined, coinbase).canSign()).toBe(false);
+    });
+    it("adds an owner onchain and reloads the owners", async () => {
+        const smartWallet = smart_wallet_1.SmartWallet.import({ address: smartWalletAddress, owners: [alice.address] }, alice, coinbase);
+        const result = await smartWallet.addOwner(bob.address, { chainId: 84532 });
+        expect(result).toEqual(expect.objectContaining({ status: "complete", smartWalletAddress }));
+        expect(smartWallet.getOwners()).toEqual([alice.address, bob.address]);
+        await expect(smartWallet.addOwner(bob.address.toLowerCase(), { chainId: 84532 })).rejects.toThrow(/already an owner/);
+    });
+    it("removes an owner at its onchain index and detaches it if it was the attached owner", async () => {
+        owners = [alice.address, bob.address];
+        onchainOwners = [encodeOwner(alice.address), "0x", encodeOwner(bob.address)];
+        const smartWallet = smart_wallet_1.SmartWallet.import({ address: smartWalletAddress, owners }, bob, coinbase);
+        await smartWallet.removeOwner(bob.address, { chainId: 84532 });
+        const { data } = smartWalletApi.createUserOperation.mock.calls[0][2].calls[0];
+        expect((0, viem_1.decodeFunctionData)({ abi: ownerAbi, data }).args).toEqual([BigInt(2), encodeOwner(bob.address)]);
+        expect(smartWallet.getOwners()).toEqual([alice.address]);
+        expect(smartWallet.canSign()).toBe(false);
+    });
+    it("does not send a user operation to remove an address that is not an owner onchain", async () => {
+        const smartWallet = smart_wallet_1.SmartWallet.import({ address: smartWalletAddress, owners: [alice.address] }, alice, coinbase);
+        await expect(smartWallet.removeOwner(carol.address, { chainId: 84532 })).rejects.toThrow(errors_1.ArgumentError);
+        expect(smartWalletApi.createUserOperation).not.toHaveBeenCalled();
+    });
+    it("rejects chains without smart wallet support", async () => {
+        const smartWallet = smart_wallet_1.SmartWallet.import({ address: smartWalletAddress, owners: [alice.address] }, alice, coinbase);
+        await expect(smartWallet.addOwner(bob.address, { chainId: 1 })).rejects.toThrow(errors_1.UnsupportedChainError);
+        expect(smartWalletApi.createUserOperation).not.toHaveBeenCalled();
+    });
+    it("creates unsigned user operations for all of its owners to approve", async () => {
+        owners = [alice.address, bob.address];
+        const smartWallet = await smart_wallet_1.SmartWallet.fetch(smartWalletAddress, coinbase);
+        const userOperation = await smartWallet.createUserOperation({
+            calls: [{ to: carol.address, value: BigInt(1) }],
+            chainId: 84532,
+            approvalThreshold: 2,
+        });
+        expect(userOperation.getPendingOwners()).toEqual([alice.address, bob.address]);
+        await userOperation.sign(alice);
+        await expect(userOperation.broadcast()).rejects.toThrow(/1 of 2 required signatures/);
+        await userOperation.sign(bob);
+        await expect(userOperation.broadcast()).resolves.toHaveProperty("status", "broadcast");
+    });
+});
@@ -0,0 +1,82 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const ethers_1 = require("ethers");
+const net_1 = require("net");
+const os_1 = require("os");
+const path_1 = require("path");
+const fs_1 = require("fs");
+const socket_signer_1 = require("../coinbase/socket_signer");
+const signer_1 = require("../coinbase/signer");
+const errors_1 = require("../coinbase/errors");
+describe("SocketSigner", () => {
+    const wallet = new ethers_1.ethers.Wallet("0x" + "1".repeat(64));
+    const digest = ethers_1.ethers.keccak256(ethers_1.ethers.toUtf8Bytes("payload"));
+    const listen = (server, ...args) => new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(...args, () => resolve(server));
+    });
+    const close = (server) => new Promise(resolve => server.close(() => resolve()));
+    let server;
+    let signer;
+    afterEach(async () => {
+        signer?.close();
+        signer = undefined;
+        if (server?.listening) {
+            await close(server);
+        }
+    });
+    describe("over TCP", () => {
+        const authToken = "s3cret";
+        beforeEach(async () => {
+            server = await listen((0, socket_signer_1.createSignerServer)(new signer_1.LocalSigner(wallet), { authToken }), 0, "127.0.0.1");
+        });
+        it("signs digests and transactions with the token", async () => {
+            signer = new socket_signer_1.SocketSigner({ host: "127.0.0.1", port: server.address().port, authToken });
+            expect(await signer.getAddress()).toBe(wallet.address);
+            expect(ethers_1.ethers.recoverAddress(digest, await signer.signDigest(digest))).toBe(wallet.address);
+            const transaction = { to: "0x" + "2".repeat(40), value: BigInt(1), nonce: 0, gasLimit: BigInt(21000), chainId: BigInt(84532), maxFeePerGas: BigInt(1), maxPriorityFeePerGas: BigInt(1) };
+            expect(ethers_1.ethers.Transaction.from(await signer.signTransaction(transaction)).from).toBe(wallet.address);
+        });
+        it("rejects requests with a wrong token", async () => {
+            signer = new socket_signer_1.SocketSigner({ host: "127.0.0.1", port: server.address().port, authToken: "wrong" });
+            await expect(signer.signDigest(digest)).rejects.toThrow(new errors_1.SignerError("Signer error: Unauthorized"));
+        });
+        it("requires a token to connect", () => {
+            expect(() => new socket_signer_1.SocketSigner({ port: server.address().port })).toThrow(errors_1.ArgumentError);
+        });
+    });
+    it("refuses to listen on a TCP port without a token", async () => {
+        server = (0, socket_signer_1.createSignerServer)(new signer_1.LocalSigner(wallet));
+        await expect(listen(server, 0, "127.0.0.1")).rejects.toThrow("requires an auth token to listen on a TCP port");
+        expect(server.listening).toBe(false);
+        expect(() => (0, socket_signer_1.createSignerServer)(new signer_1.LocalSigner(wallet), { authToken: "" })).toThrow(errors_1.ArgumentError);
+    });
+    it("signs over a Unix domain socket without a token", async () => {
+        const dir = await fs_1.promises.mkdtemp((0, path_1.join)((0, os_1.tmpdir)(), "socket-signer-"));
+        const path = (0, path_1.join)(dir, "signer.sock");
+        try {
+            server = await listen((0, socket_signer_1.createSignerServer)(new signer_1.LocalSigner(wallet)), path);
+            signer = new socket_signer_1.SocketSigner({ path, address: wallet.address });
+            expect(ethers_1.ethers.recoverAddress(digest, await signer.signDigest(digest))).toBe(wallet.address);
+        }
+        finally {
+            signer?.close();
+            await close(server);
+            await fs_1.promises.rm(dir, { recursive: true, force: true });
+        }
+    });
+    it("rejects signatures made with another key", async () => {
+        const other = new ethers_1.ethers.Wallet("0x" + "2".repeat(64));
+        server = await listen((0, net_1.createServer)(socket => {
+            socket.setEncoding("utf8");
+            socket.on("data", chunk => {
+                for (const line of chunk.split("\n").filter(Boolean)) {
+                    const { id, params } = JSON.parse(line);
+                    socket.write(`${JSON.stringify({ id, result: other.signingKey.sign(params.digest).serialized })}\n`);
+                }
+            });
+        }), 0, "127.0.0.1");
+        signer = new socket_signer_1.SocketSigner({ host: "127.0.0.1", port: server.address().port, authToken: "token", address: wallet.address });
+        await expect(signer.signDigest(digest)).rejects.toThrow(new errors_1.SignerError(`Signer did not sign with ${wallet.address}`));
+    });
+});
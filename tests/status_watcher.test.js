@@ -0,0 +1,88 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const transfer_1 = require("../coinbase/transfer");
+const status_watcher_1 = require("../utils/status_watcher");
+describe("Transfer status events", () => {
+    const addressId = "0x" + "9".repeat(40);
+    const transferModel = (status) => ({
+        transfer_id: "t1",
+        network_id: "base-sepolia",
+        wallet_id: "w1",
+        address_id: addressId,
+        destination: "0x" + "1".repeat(40),
+        asset_id: "eth",
+        amount: "1",
+        transaction: { status, unsigned_payload: "", from_address_id: addressId, network_id: "base-sepolia" },
+    });
+    let statuses;
+    let getTransfer;
+    let transfer;
+    beforeEach(() => {
+        jest.useFakeTimers();
+        statuses = ["pending", "broadcast", "complete"];
+        getTransfer = jest.fn(async () => {
+            const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+            if (status instanceof Error) {
+                throw status;
+            }
+            return { data: transferModel(status) };
+        });
+        transfer = transfer_1.Transfer.fromModel(transferModel("pending"), { apiClients: { transfer: { getTransfer } } });
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+    it("declares the status methods on the resource class", () => {
+        expect(transfer).toBeInstanceOf(status_watcher_1.StatusEventSource);
+        for (const method of ["on", "off", "statusUpdates", Symbol.asyncIterator]) {
+            expect(Object.prototype.hasOwnProperty.call(transfer_1.Transfer.prototype, method)).toBe(false);
+            expect(typeof status_watcher_1.StatusEventSource.prototype[method]).toBe("function");
+        }
+    });
+    it("emits status changes until the Transfer is terminal", async () => {
+        const changes = [];
+        const complete = jest.fn();
+        expect(transfer.on("statusChange", status => changes.push(status)).on("complete", complete)).toBe(transfer);
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(changes).toEqual(["pending", "broadcast", "complete"]);
+        expect(complete).toHaveBeenCalledWith(transfer);
+        expect(getTransfer).toHaveBeenCalledTimes(3);
+    });
+    it("stops polling once the last status listener is removed", async () => {
+        const listener = jest.fn();
+        transfer.on("statusChange", listener);
+        await jest.advanceTimersByTimeAsync(0);
+        transfer.off("statusChange", listener);
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(listener.mock.calls.map(([status]) => status)).toEqual(["pending"]);
+        expect(getTransfer).toHaveBeenCalledTimes(1);
+    });
+    it("yields every status change when iterated", async () => {
+        const iteration = (async () => {
+            const seen = [];
+            for await (const { status, resource } of transfer) {
+                expect(resource).toBe(transfer);
+                seen.push(status);
+            }
+            return seen;
+        })();
+        await jest.advanceTimersByTimeAsync(5000);
+        await expect(iteration).resolves.toEqual(["pending", "broadcast", "complete"]);
+    });
+    it("emits polling errors to error listeners", async () => {
+        const error = new Error("unavailable");
+        statuses = ["pending", error];
+        const onError = jest.fn();
+        transfer.on("error", onError).on("complete", jest.fn());
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(onError).toHaveBeenCalledWith(error);
+        expect(getTransfer).toHaveBeenCalledTimes(2);
+    });
+    it("rejects the next status iterator with an unobserved polling error", async () => {
+        const error = new Error("unavailable");
+        statuses = [error];
+        transfer.on("complete", jest.fn());
+        await jest.advanceTimersByTimeAsync(0);
+        await expect(transfer.statusUpdates().next()).rejects.toBe(error);
+    });
+});
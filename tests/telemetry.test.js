@@ -0,0 +1,137 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const api_1 = require("@opentelemetry/api");
+const axios_1 = __importDefault(require("axios"));
+const http_1 = require("http");
+const retry_policy_1 = require("../coinbase/retry_policy");
+const telemetry_1 = require("../coinbase/telemetry");
+describe("telemetry", () => {
+    const spans = [];
+    const measurements = [];
+    const spanContext = { traceId: "0af7651916cd43dd8448eb211c80319c", spanId: "b7ad6b7169203331", traceFlags: 1 };
+    const startSpan = (name, options = {}) => {
+        const span = {
+            name,
+            kind: options.kind,
+            attributes: { ...options.attributes },
+            exceptions: [],
+            ended: false,
+            setAttribute: (key, value) => {
+                span.attributes[key] = value;
+                return span;
+            },
+            setStatus: status => {
+                span.status = status;
+                return span;
+            },
+            recordException: error => span.exceptions.push(error),
+            addEvent: () => span,
+            end: () => {
+                span.ended = true;
+            },
+            spanContext: () => spanContext,
+            isRecording: () => true,
+        };
+        spans.push(span);
+        return span;
+    };
+    const instrument = name => ({
+        add: (value, attributes) => measurements.push({ name, value, attributes }),
+        record: (value, attributes) => measurements.push({ name, value, attributes }),
+    });
+    beforeAll(() => {
+        api_1.trace.setGlobalTracerProvider({
+            getTracer: () => ({ startSpan, startActiveSpan: (name, options, fn) => fn(startSpan(name, options)) }),
+        });
+        api_1.metrics.setGlobalMeterProvider({
+            getMeter: () => ({ createHistogram: instrument, createCounter: instrument }),
+        });
+        api_1.propagation.setGlobalPropagator({
+            inject: (context, carrier, setter) => {
+                const { traceId, spanId } = api_1.trace.getSpanContext(context);
+                setter.set(carrier, "traceparent", `00-${traceId}-${spanId}-01`);
+            },
+            extract: context => context,
+            fields: () => ["traceparent"],
+        });
+    });
+    beforeEach(() => {
+        spans.length = 0;
+        measurements.length = 0;
+    });
+    describe("withSpan", () => {
+        it("ends the span with the result of the function", async () => {
+            await expect((0, telemetry_1.withSpan)("Transfer.wait", { "coinbase_sdk.transfer.id": "t1" }, async () => "done")).resolves.toBe("done");
+            expect(spans).toEqual([expect.objectContaining({ name: "Transfer.wait", attributes: { "coinbase_sdk.transfer.id": "t1" }, ended: true })]);
+            expect(spans[0].status).toBeUndefined();
+        });
+        it("records the error of the function and marks the span as failed", async () => {
+            const error = new Error("timed out");
+            await expect((0, telemetry_1.withSpan)("Transfer.wait", {}, async () => {
+                throw error;
+            })).rejects.toBe(error);
+            expect(spans[0].exceptions).toEqual([error]);
+            expect(spans[0].status).toEqual({ code: api_1.SpanStatusCode.ERROR, message: "timed out" });
+            expect(spans[0].ended).toBe(true);
+        });
+    });
+    it("counts polling iterations and terminal statuses per operation", () => {
+        (0, telemetry_1.recordPollingIteration)("Transfer.wait");
+        (0, telemetry_1.recordTerminalStatus)("Transfer.wait", "complete");
+        expect(measurements).toEqual([
+            { name: "coinbase_sdk.polling.iterations", value: 1, attributes: { "coinbase_sdk.operation": "Transfer.wait" } },
+            {
+                name: "coinbase_sdk.operation.terminal_status",
+                value: 1,
+                attributes: { "coinbase_sdk.operation": "Transfer.wait", "coinbase_sdk.status": "complete" },
+            },
+        ]);
+    });
+    describe("registerTelemetryInterceptors", () => {
+        let server;
+        let baseURL;
+        let traceparents;
+        let failures;
+        beforeAll(async () => {
+            server = (0, http_1.createServer)((request, response) => {
+                traceparents.push(request.headers.traceparent);
+                const status = failures-- > 0 ? 503 : 200;
+                response.writeHead(status, { "content-type": "application/json" });
+                response.end(JSON.stringify({}));
+            });
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            baseURL = `http://127.0.0.1:${server.address().port}`;
+        });
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+        beforeEach(() => {
+            traceparents = [];
+        });
+        it("traces every attempt as a client span and propagates the trace context", async () => {
+            failures = 1;
+            const instance = axios_1.default.create({ baseURL });
+            (0, telemetry_1.registerTelemetryInterceptors)(instance);
+            new retry_policy_1.RetryPolicy({ baseDelayMs: 0, maxDelayMs: 0 }).apply(instance);
+            await instance.get("/v1/wallets");
+            expect(traceparents).toEqual([`00-${spanContext.traceId}-${spanContext.spanId}-01`, `00-${spanContext.traceId}-${spanContext.spanId}-01`]);
+            expect(spans.map(span => [span.name, span.kind, span.attributes["http.response.status_code"], span.ended])).toEqual([
+                ["HTTP GET", api_1.SpanKind.CLIENT, 503, true],
+                ["HTTP GET", api_1.SpanKind.CLIENT, 200, true],
+            ]);
+            expect(spans[0].status).toEqual(expect.objectContaining({ code: api_1.SpanStatusCode.ERROR }));
+            expect(spans[1].attributes["http.request.resend_count"]).toBe(1);
+            expect(measurements.filter(({ name }) => name === "coinbase_sdk.http.client.retries")).toEqual([
+                { name: "coinbase_sdk.http.client.retries", value: 1, attributes: { "http.request.method": "GET" } },
+            ]);
+            const durations = measurements.filter(({ name }) => name === "coinbase_sdk.http.client.request.duration");
+            expect(durations.map(({ attributes }) => attributes)).toEqual([
+                { "http.request.method": "GET", "http.response.status_code": 503, "error.type": "503" },
+                { "http.request.method": "GET", "http.response.status_code": 200 },
+            ]);
+        });
+    });
+});
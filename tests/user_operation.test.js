@@ -0,0 +1,136 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const viem_1 = require("viem");
+const accounts_1 = require("viem/accounts");
+const createUserOperation_1 = require("../actions/createUserOperation");
+const user_operation_1 = require("../coinbase/user_operation");
+const errors_1 = require("../coinbase/errors");
+describe("UserOperation", () => {
+    const smartWalletAddress = (0, viem_1.getAddress)("0x" + "5".repeat(40));
+    const userOpHash = (0, viem_1.keccak256)((0, viem_1.toHex)("op"));
+    const alice = (0, accounts_1.privateKeyToAccount)("0x" + "1".repeat(64));
+    const bob = (0, accounts_1.privateKeyToAccount)("0x" + "2".repeat(64));
+    const carol = (0, accounts_1.privateKeyToAccount)("0x" + "3".repeat(64));
+    const calls = [{ to: carol.address, value: BigInt(1) }];
+    let model;
+    let smartWalletApi;
+    let coinbase;
+    beforeEach(() => {
+        model = {
+            id: "op",
+            network_id: "base-sepolia",
+            user_op_hash: userOpHash,
+            calls: [{ to: carol.address, data: "0x", value: "1" }],
+            unsigned_payload: userOpHash,
+            status: "pending",
+        };
+        smartWalletApi = {
+            getSmartWallet: jest.fn(async (address) => ({ data: { address, owners: [alice.address, bob.address] } })),
+            createUserOperation: jest.fn(async () => ({ data: { ...model } })),
+            getUserOperation: jest.fn(async () => ({ data: { ...model } })),
+            broadcastUserOperation: jest.fn(async () => ({ data: { ...model, status: "broadcast" } })),
+        };
+        coinbase = { apiClients: { smartWallet: smartWalletApi } };
+    });
+    const create = () => (0, createUserOperation_1.createUserOperation)({ address: smartWalletAddress, owners: [] }, { calls, chainId: 84532, owners: [alice.address, bob.address], approvalThreshold: 2 }, coinbase);
+    describe("import", () => {
+        it("reloads the user operation and collects signatures from several processes", async () => {
+            const userOperation = await create();
+            await userOperation.sign(alice);
+            const imported = await user_operation_1.UserOperation.import(userOperation.export(), { approvalThreshold: 2, calls }, coinbase);
+            expect(smartWalletApi.getUserOperation).toHaveBeenCalledWith(smartWalletAddress, userOpHash);
+            expect(imported.getPendingOwners()).toEqual([bob.address]);
+            await imported.sign(bob);
+            await userOperation.merge(imported.export());
+            expect(userOperation.isReady()).toBe(true);
+        });
+        it("rejects data exported with another approval threshold", async () => {
+            const data = { ...(await create()).export(), approvalThreshold: 1 };
+            await expect(user_operation_1.UserOperation.import(data, { approvalThreshold: 2 }, coinbase)).rejects.toThrow(/approval threshold of 1, expected 2/);
+            expect(smartWalletApi.getUserOperation).not.toHaveBeenCalled();
+        });
+        it("rejects owners that are not owners of the smart wallet", async () => {
+            const data = { ...(await create()).export(), owners: [alice.address, carol.address] };
+            await expect(user_operation_1.UserOperation.import(data, { approvalThreshold: 2 }, coinbase)).rejects.toThrow(`${carol.address} is not an owner of smart wallet ${smartWalletAddress}`);
+        });
+        it("rejects exported calls that differ from the user operation", async () => {
+            const data = (await create()).export();
+            data.model = { ...data.model, calls: [{ to: bob.address, data: "0x", value: "1000" }] };
+            await expect(user_operation_1.UserOperation.import(data, { approvalThreshold: 2 }, coinbase)).rejects.toThrow(new errors_1.ArgumentError(`Exported calls do not match the calls of user operation ${userOpHash}`));
+        });
+        it("rejects calls that do not encode to the calls of the user operation", async () => {
+            const data = (await create()).export();
+            await expect(user_operation_1.UserOperation.import(data, { approvalThreshold: 2, calls: [{ to: carol.address, value: BigInt(2) }] }, coinbase)).rejects.toThrow(/^Calls do not match/);
+        });
+        it("verifies the exported signatures again", async () => {
+            const data = (await create()).export();
+            data.signatures = { [bob.address]: await alice.sign({ hash: userOpHash }) };
+            await expect(user_operation_1.UserOperation.import(data, { approvalThreshold: 2 }, coinbase)).rejects.toThrow(`Signature was made by ${alice.address}, not ${bob.address}`);
+        });
+    });
+    describe("preview", () => {
+        it("decodes the calls and sums the gas they use", async () => {
+            const transfer = { to: carol.address, abi: viem_1.erc20Abi, functionName: "transfer", args: [bob.address, BigInt(5)] };
+            const { data } = (0, createUserOperation_1.encodeCalls)([transfer])[0];
+            model.calls = [{ to: carol.address, data, value: "0" }, { to: carol.address, data: "0x", value: "1" }];
+            const userOperation = await (0, createUserOperation_1.createUserOperation)({ address: smartWalletAddress, owners: [alice] }, { calls: [transfer, ...calls], chainId: 84532 }, coinbase);
+            const publicClient = { estimateGas: jest.fn(async ({ data }) => (data === "0x" ? BigInt(21000) : BigInt(50000))) };
+            const preview = await userOperation.preview({ publicClient });
+            expect(preview.calls[0]).toEqual(expect.objectContaining({ functionName: "transfer", args: [bob.address, BigInt(5)] }));
+            expect(preview.calls[1]).toEqual({ to: carol.address, data: "0x", value: BigInt(1) });
+            expect(preview).toEqual(expect.objectContaining({ estimatedCallGas: BigInt(71000), simulation: { success: true }, paymasterConfigured: false }));
+            expect(publicClient.estimateGas).toHaveBeenCalledWith(expect.objectContaining({ account: smartWalletAddress }));
+        });
+        it("reports the first call that fails to simulate", async () => {
+            const userOperation = await create();
+            const publicClient = { estimateGas: jest.fn().mockRejectedValue(Object.assign(new Error("reverted"), { shortMessage: "execution reverted" })) };
+            await expect(userOperation.preview({ publicClient })).resolves.toEqual(expect.objectContaining({
+                simulation: { success: false, failedCallIndex: 0, error: "execution reverted" },
+            }));
+        });
+        it("does not broadcast a rejected user operation", async () => {
+            const userOperation = await create();
+            await userOperation.sign(alice);
+            await userOperation.sign(bob);
+            userOperation.reject();
+            await expect(userOperation.broadcast()).rejects.toThrow(`User operation ${userOpHash} was rejected`);
+            expect(smartWalletApi.broadcastUserOperation).not.toHaveBeenCalled();
+        });
+    });
+    describe("broadcast", () => {
+        it("shares one broadcast between concurrent calls", async () => {
+            const userOperation = await create();
+            await userOperation.sign(alice);
+            await userOperation.sign(bob);
+            const [first, second] = await Promise.all([userOperation.broadcast(), userOperation.broadcast({ signer: bob.address })]);
+            expect(second).toBe(first);
+            expect(smartWalletApi.broadcastUserOperation).toHaveBeenCalledTimes(1);
+        });
+        it("does not broadcast a user operation again once it was broadcast", async () => {
+            const userOperation = await create();
+            await userOperation.sign(alice);
+            await userOperation.sign(bob);
+            await userOperation.broadcast();
+            await expect(userOperation.broadcast()).rejects.toThrow(`User operation ${userOpHash} cannot be broadcast in status broadcast`);
+            expect(smartWalletApi.broadcastUserOperation).toHaveBeenCalledTimes(1);
+        });
+        it("does not broadcast an imported user operation that was already broadcast elsewhere", async () => {
+            const userOperation = await create();
+            await userOperation.sign(alice);
+            await userOperation.sign(bob);
+            model.status = "complete";
+            const imported = await user_operation_1.UserOperation.import(userOperation.export(), { approvalThreshold: 2 }, coinbase);
+            await expect(imported.broadcast()).rejects.toThrow(/cannot be broadcast in status complete/);
+            expect(smartWalletApi.broadcastUserOperation).not.toHaveBeenCalled();
+        });
+        it("allows another broadcast after a failed one", async () => {
+            const userOperation = await create();
+            await userOperation.sign(alice);
+            await userOperation.sign(bob);
+            smartWalletApi.broadcastUserOperation.mockRejectedValueOnce(new Error("bundler unavailable"));
+            await expect(userOperation.broadcast()).rejects.toThrow("bundler unavailable");
+            await expect(userOperation.broadcast()).resolves.toHaveProperty("status", "broadcast");
+            expect(smartWalletApi.broadcastUserOperation).toHaveBeenCalledTimes(2);
+        });
+    });
+});
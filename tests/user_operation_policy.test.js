@@ -0,0 +1,39 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const viem_1 = require("viem");
+const user_operation_policy_1 = require("../coinbase/user_operation_policy");
+const errors_1 = require("../coinbase/errors");
+describe("UserOperationPolicy", () => {
+    const smartWalletAddress = "0x" + "5".repeat(40);
+    const usdcAddress = "0x" + "7".repeat(40);
+    const transfer = (amount) => ({
+        to: usdcAddress,
+        value: BigInt(0),
+        data: (0, viem_1.encodeFunctionData)({ abi: viem_1.erc20Abi, functionName: "transfer", args: [smartWalletAddress, amount] }),
+    });
+    it("reserves the value a user operation sends when it is checked", () => {
+        const policy = new user_operation_policy_1.UserOperationPolicy({ maxValuePerWindow: BigInt(10) });
+        const calls = [{ to: smartWalletAddress, value: BigInt(8), data: "0x" }];
+        const reservation = policy.check(smartWalletAddress, calls);
+        expect(policy.getSpent(smartWalletAddress)).toBe(BigInt(8));
+        expect(() => policy.check(smartWalletAddress, calls)).toThrow(/already sent 8 of its maximum of 10 wei/);
+        reservation.release();
+        reservation.release();
+        expect(policy.getSpent(smartWalletAddress)).toBe(BigInt(0));
+        expect(() => policy.check(smartWalletAddress, calls)).not.toThrow();
+    });
+    it("caps the amounts of token transfers", () => {
+        const policy = new user_operation_policy_1.UserOperationPolicy({
+            tokenLimits: { [usdcAddress]: { maxPerOperation: BigInt(100), maxPerWindow: BigInt(150) } },
+        });
+        expect(() => policy.check(smartWalletAddress, [transfer(BigInt(101))])).toThrow(/maximum of 100 per operation/);
+        policy.check(smartWalletAddress, [transfer(BigInt(60)), transfer(BigInt(40))]);
+        expect(policy.getSpent(smartWalletAddress, usdcAddress)).toBe(BigInt(100));
+        expect(policy.getSpent(smartWalletAddress)).toBe(BigInt(0));
+        expect(() => policy.check(smartWalletAddress, [transfer(BigInt(51))])).toThrow(/already sent 100 of its maximum of 150/);
+    });
+    it("rejects calls to a capped token whose amount it cannot check", () => {
+        const policy = new user_operation_policy_1.UserOperationPolicy({ tokenLimits: { [usdcAddress]: { maxPerOperation: BigInt(100) } } });
+        expect(() => policy.check(smartWalletAddress, [{ to: usdcAddress, value: BigInt(0), data: "0xdeadbeef" }])).toThrow(errors_1.UserOperationPolicyError);
+    });
+});
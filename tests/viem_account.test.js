@@ -0,0 +1,68 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const ethers_1 = require("ethers");
+const viem_1 = require("viem");
+const viem_account_1 = require("../coinbase/viem_account");
+const wallet_address_1 = require("../coinbase/address/wallet_address");
+describe("toViemAccount", () => {
+    const key = new ethers_1.ethers.Wallet("0x" + "1".repeat(64));
+    const typedData = {
+        domain: { name: "Test", version: "1", chainId: 84532 },
+        types: { Mail: [{ name: "contents", type: "string" }] },
+        primaryType: "Mail",
+        message: { contents: "hello" },
+    };
+    const addressWith = (signingKey, coinbase) => new wallet_address_1.WalletAddress({ wallet_id: "w1", network_id: "base-sepolia", address_id: key.address, public_key: "p", index: 0 }, signingKey, coinbase);
+    describe("with a local key", () => {
+        const account = (0, viem_account_1.toViemAccount)(addressWith(key, { useServerSigner: false, apiClients: {} }));
+        it("signs messages and typed data that viem verifies", async () => {
+            expect(account.address).toBe(key.address);
+            await expect((0, viem_1.verifyMessage)({ address: key.address, message: "hello", signature: await account.signMessage({ message: "hello" }) })).resolves.toBe(true);
+            await expect((0, viem_1.verifyTypedData)({ address: key.address, ...typedData, signature: await account.signTypedData(typedData) })).resolves.toBe(true);
+        });
+        it("signs transactions that recover to the address", async () => {
+            const serialized = await account.signTransaction({
+                chainId: 84532,
+                type: "eip1559",
+                to: "0x" + "2".repeat(40),
+                value: BigInt(1),
+                nonce: 3,
+                gas: BigInt(21000),
+                maxFeePerGas: BigInt(2),
+                maxPriorityFeePerGas: BigInt(1),
+            });
+            expect((0, viem_1.parseTransaction)(serialized)).toEqual(expect.objectContaining({ nonce: 3, value: BigInt(1), chainId: 84532 }));
+            await expect((0, viem_1.recoverTransactionAddress)({ serializedTransaction: serialized })).resolves.toBe(key.address);
+        });
+    });
+    describe("with a Server-Signer", () => {
+        let payloadSignatures;
+        let addressApi;
+        beforeEach(() => {
+            payloadSignatures = {};
+            addressApi = {
+                createPayloadSignature: jest.fn(async (walletId, addressId, request) => {
+                    const model = { payload_signature_id: "ps1", wallet_id: walletId, address_id: addressId, unsigned_payload: request.unsigned_payload, status: "pending" };
+                    payloadSignatures.ps1 = model;
+                    return { data: model };
+                }),
+                getPayloadSignature: jest.fn(async (_, __, id) => {
+                    const model = payloadSignatures[id];
+                    return { data: { ...model, status: "signed", signature: key.signingKey.sign(model.unsigned_payload).serialized.slice(2) } };
+                }),
+            };
+        });
+        it("signs through a Payload Signature and waits for the Server-Signer", async () => {
+            const account = (0, viem_account_1.toViemAccount)(addressWith(undefined, { useServerSigner: true, apiClients: { address: addressApi } }), { intervalSeconds: 0.01 });
+            const signature = await account.signMessage({ message: "hello" });
+            expect(addressApi.createPayloadSignature).toHaveBeenCalledWith("w1", key.address, { unsigned_payload: (0, viem_1.hashMessage)("hello"), signature: undefined }, expect.anything());
+            expect(addressApi.getPayloadSignature).toHaveBeenCalledTimes(1);
+            await expect((0, viem_1.verifyMessage)({ address: key.address, message: "hello", signature })).resolves.toBe(true);
+        });
+        it("rejects when the Server-Signer fails to sign", async () => {
+            addressApi.getPayloadSignature.mockImplementation(async (_, __, id) => ({ data: { ...payloadSignatures[id], status: "failed" } }));
+            const account = (0, viem_account_1.toViemAccount)(addressWith(undefined, { useServerSigner: true, apiClients: { address: addressApi } }), { intervalSeconds: 0.01 });
+            await expect(account.signMessage({ message: "hello" })).rejects.toThrow("Payload Signature ps1 failed");
+        });
+    });
+});
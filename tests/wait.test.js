@@ -0,0 +1,64 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const wait_1 = require("../utils/wait");
+const errors_1 = require("../coinbase/errors");
+describe("wait", () => {
+    const reloadWith = (...statuses) => jest.fn(async () => ({ status: statuses.length > 1 ? statuses.shift() : statuses[0] }));
+    const isComplete = (obj) => obj.status === "complete";
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 0 });
+    });
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+    it("returns the transformed resource once it is terminal and reports every status change", async () => {
+        const reload = reloadWith("pending", "pending", "broadcast", "complete");
+        const onStatusChange = jest.fn();
+        const result = (0, wait_1.wait)(reload, isComplete, (obj) => `done: ${obj.status}`, { intervalSeconds: 1, onStatusChange });
+        await jest.advanceTimersByTimeAsync(3000);
+        await expect(result).resolves.toBe("done: complete");
+        expect(reload).toHaveBeenCalledTimes(4);
+        expect(onStatusChange.mock.calls.map(([status]) => status)).toEqual(["pending", "broadcast", "complete"]);
+    });
+    it("grows the poll interval by the backoff multiplier up to the maximum interval", async () => {
+        const polledAt = [];
+        const reload = jest.fn(async () => {
+            polledAt.push(Date.now());
+            return { status: polledAt.length === 5 ? "complete" : "pending" };
+        });
+        const result = (0, wait_1.wait)(reload, isComplete, undefined, {
+            intervalSeconds: 1,
+            backoffMultiplier: 2,
+            maxIntervalSeconds: 4,
+            timeoutSeconds: 60,
+        });
+        await jest.advanceTimersByTimeAsync(11000);
+        await result;
+        expect(polledAt).toEqual([0, 1000, 3000, 7000, 11000]);
+    });
+    it("throws a TimeoutError with the last observed status", async () => {
+        const reload = reloadWith("pending", "broadcast");
+        const result = (0, wait_1.wait)(reload, isComplete, undefined, { intervalSeconds: 1, timeoutSeconds: 3 }, { name: "Transfer" });
+        const assertion = expect(result).rejects.toThrow(new errors_1.TimeoutError("Transfer timed out after 3 seconds (last status: broadcast)"));
+        await jest.advanceTimersByTimeAsync(3000);
+        await assertion;
+        await expect(result).rejects.toHaveProperty("lastStatus", "broadcast");
+        expect(reload).toHaveBeenCalledTimes(3);
+    });
+    it("stops waiting as soon as the signal is aborted", async () => {
+        const reload = reloadWith("pending");
+        const controller = new AbortController();
+        const result = (0, wait_1.wait)(reload, isComplete, undefined, { intervalSeconds: 10, timeoutSeconds: 60, signal: controller.signal });
+        const assertion = expect(result).rejects.toThrow("shutting down");
+        await jest.advanceTimersByTimeAsync(1000);
+        controller.abort(new Error("shutting down"));
+        await assertion;
+        expect(reload).toHaveBeenCalledTimes(1);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+    it("does not poll when the signal is already aborted", async () => {
+        const reload = reloadWith("complete");
+        await expect((0, wait_1.wait)(reload, isComplete, undefined, { signal: AbortSignal.abort(new Error("cancelled")) })).rejects.toThrow("cancelled");
+        expect(reload).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,92 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const crypto_1 = require("crypto");
+const ethers_1 = require("ethers");
+const secp256k1_1 = require("secp256k1");
+const wallet_1 = require("../coinbase/wallet");
+const errors_1 = require("../coinbase/errors");
+describe("Wallet", () => {
+    const mnemonicPhrase = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+    const seed = "0".repeat(62) + "01";
+    let addressModels;
+    let walletApi;
+    let addressApi;
+    let coinbase;
+    beforeEach(() => {
+        addressModels = [];
+        walletApi = {
+            createWallet: jest.fn(async ({ wallet }) => ({ data: { id: "w1", network_id: wallet.network_id } })),
+            getWallet: jest.fn(async (id) => ({
+                data: { id, network_id: "base-sepolia", default_address: addressModels[0] },
+            })),
+        };
+        addressApi = {
+            createAddress: jest.fn(async (walletId, request) => {
+                const model = {
+                    wallet_id: walletId,
+                    network_id: "base-sepolia",
+                    address_id: ethers_1.ethers.computeAddress(`0x${request.public_key}`),
+                    public_key: request.public_key,
+                    index: request.address_index,
+                };
+                addressModels.push(model);
+                return { data: model };
+            }),
+            listAddresses: jest.fn(async (_, limit, page) => {
+                const start = Number(page ?? 0);
+                const hasMore = start + limit < addressModels.length;
+                return { data: { data: addressModels.slice(start, start + limit), has_more: hasMore, next_page: hasMore ? String(start + limit) : undefined } };
+            }),
+        };
+        coinbase = { useServerSigner: false, apiClients: { wallet: walletApi, address: addressApi } };
+    });
+    it("derives the addresses of a mnemonic seed phrase along the BIP-44 Ethereum path", async () => {
+        const wallet = await wallet_1.Wallet.import({ mnemonicPhrase: `  ${mnemonicPhrase} ` }, "base-sepolia", coinbase);
+        const second = await wallet.createAddress();
+        expect(addressModels.map(model => [model.index, model.address_id])).toEqual([
+            [0, "0x9858EfFD232B4033E47d90003D41EC34EcaEda94"],
+            [1, "0x6Fac4D18c912343BF86fa7049364Dd4E424Ab9C0"],
+        ]);
+        expect(second.export()).toBe(ethers_1.ethers.HDNodeWallet.fromPhrase(mnemonicPhrase, undefined, "m/44'/60'/0'/0/1").privateKey);
+        expect((await wallet.getDefaultAddress()).getId()).toBe("0x9858EfFD232B4033E47d90003D41EC34EcaEda94");
+    });
+    it("attests that the Wallet owns the key of a new address", async () => {
+        await wallet_1.Wallet.createWithSeed({ seed }, coinbase);
+        const [[walletId, request]] = addressApi.createAddress.mock.calls;
+        const attestation = Buffer.from(request.attestation, "hex");
+        const hash = (0, crypto_1.createHash)("sha256").update(JSON.stringify({ wallet_id: walletId, public_key: request.public_key })).digest();
+        const publicKey = (0, secp256k1_1.ecdsaRecover)(attestation.subarray(1), attestation[0] - 31, hash, true);
+        expect(Buffer.from(publicKey).toString("hex")).toBe(request.public_key);
+    });
+    it("rejects invalid seeds and mnemonic seed phrases", async () => {
+        await expect(wallet_1.Wallet.createWithSeed({ seed: "abc" }, coinbase)).rejects.toThrow(errors_1.ArgumentError);
+        await expect(wallet_1.Wallet.import({ mnemonicPhrase: mnemonicPhrase.replace("about", "abandon") }, "base-sepolia", coinbase)).rejects.toThrow("Invalid BIP-39 mnemonic seed phrase");
+        await expect(wallet_1.Wallet.import({ seed }, "base-sepolia", coinbase)).rejects.toThrow(errors_1.ArgumentError);
+        expect(walletApi.createWallet).not.toHaveBeenCalled();
+    });
+    it("restores the keys of every address from exported data", async () => {
+        const original = await wallet_1.Wallet.createWithSeed({ seed }, coinbase);
+        await original.createAddress();
+        await original.createAddress();
+        const data = original.export();
+        expect(data).toEqual({ walletId: "w1", seed, networkId: "base-sepolia" });
+        const fetched = await wallet_1.Wallet.fetch("w1", coinbase);
+        expect(fetched.canSign()).toBe(false);
+        expect(() => fetched.export()).toThrow("Cannot export a Wallet without a seed");
+        const imported = await wallet_1.Wallet.import(data, undefined, coinbase);
+        expect(imported.canSign()).toBe(true);
+        const originalKeys = (await original.listAddresses()).map(address => address.export());
+        expect((await imported.listAddresses()).map(address => address.export())).toEqual(originalKeys);
+        expect(() => imported.setSeed(seed)).toThrow("Seed is already set");
+    });
+    it("derives a new address after the highest index on any page", async () => {
+        const original = await wallet_1.Wallet.createWithSeed({ seed }, coinbase);
+        for (let i = 0; i < 100; i++) {
+            await original.createAddress();
+        }
+        const imported = await wallet_1.Wallet.import(original.export(), undefined, coinbase);
+        const address = await imported.createAddress();
+        expect(addressApi.listAddresses).toHaveBeenLastCalledWith("w1", 100, "100");
+        expect(address.getIndex()).toBe(101);
+    });
+});
@@ -0,0 +1,177 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const ethers_1 = require("ethers");
+const transfer_1 = require("../coinbase/transfer");
+const wallet_address_1 = require("../coinbase/address/wallet_address");
+const errors_1 = require("../coinbase/errors");
+describe("WalletAddress.createTransfers", () => {
+    const destination = (digit) => "0x" + String(digit).repeat(40);
+    const unsignedPayload = (nonce) => Buffer.from(JSON.stringify({
+        chainId: "0x14a34",
+        nonce: `0x${nonce.toString(16)}`,
+        maxPriorityFeePerGas: "0x1",
+        maxFeePerGas: "0x2",
+        gas: "0x5208",
+        to: destination(1),
+        value: "0xde0b6b3a7640000",
+        input: "0x",
+    })).toString("hex");
+    const transferModel = (id, status, transactionHash, nonce = 0) => ({
+        transfer_id: id,
+        network_id: "base-sepolia",
+        wallet_id: "w1",
+        address_id: destination(9),
+        destination: destination(1),
+        asset_id: "eth",
+        amount: "1000000000000000000",
+        transaction: { status, transaction_hash: transactionHash, unsigned_payload: unsignedPayload(nonce), from_address_id: destination(9), network_id: "base-sepolia" },
+    });
+    const batch = [1, 2, 3].map(digit => ({ amount: 1, assetId: "eth", destination: destination(digit) }));
+    const resultOf = (index, changes) => ({ index, destination: destination(index + 1), assetId: "eth", amount: "1", ...changes });
+    let models;
+    let apiNonce;
+    let broadcastNonces;
+    let transferApi;
+    let address;
+    beforeEach(() => {
+        models = {};
+        apiNonce = 0;
+        broadcastNonces = [];
+        transferApi = {
+            createTransfer: jest.fn(async (_, __, request, options) => {
+                const id = options.headers["X-Idempotency-Key"];
+                models[id] = transferModel(id, "pending", undefined, apiNonce);
+                return { data: models[id] };
+            }),
+            getTransfer: jest.fn(async (_, __, id) => ({ data: models[id] })),
+        };
+        const coinbase = {
+            useServerSigner: false,
+            apiClients: {
+                transfer: transferApi,
+                asset: { getAsset: async (networkId, assetId) => ({ data: { asset_id: assetId, network_id: networkId, decimals: 18 } }) },
+                externalAddress: {
+                    getExternalAddressBalance: async (networkId, _, assetId) => ({
+                        data: { amount: "1500000000000000000", asset: { asset_id: assetId, network_id: networkId, decimals: 18 } },
+                    }),
+                },
+            },
+        };
+        address = new wallet_address_1.WalletAddress({ wallet_id: "w1", network_id: "base-sepolia", address_id: destination(9), public_key: "p", index: 0 }, new ethers_1.ethers.Wallet("0x" + "1".repeat(64)), coinbase);
+        jest.spyOn(transfer_1.Transfer.prototype, "broadcast").mockImplementation(async function () {
+            broadcastNonces.push(ethers_1.ethers.Transaction.from(this.getTransaction().getSignedPayload()).nonce);
+            return transfer_1.Transfer.fromModel(transferModel(this.getId(), "broadcast", `0x${this.getId()}`));
+        });
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+    it("resumes a batch with the real status of the Transfers it created", async () => {
+        models.t1 = transferModel("t1", "complete", "0xt1");
+        models.t2 = transferModel("t2", "failed");
+        models.t3 = transferModel("t3", "pending");
+        const resume = {
+            results: [
+                resultOf(0, { idempotencyKey: "k1", status: "created", transferId: "t1" }),
+                resultOf(1, { idempotencyKey: "k2", status: "failed", transferId: "t2" }),
+                resultOf(2, { idempotencyKey: "k3", status: "failed", transferId: "t3" }),
+            ],
+        };
+        const report = await address.createTransfers(batch, { resume });
+        expect(report.results.map(result => result.status)).toEqual(["broadcast", "failed", "broadcast"]);
+        expect(report.results[0].transactionHash).toBe("0xt1");
+        expect(report.results[2].transactionHash).toBe("0xt3");
+        expect(transferApi.createTransfer).not.toHaveBeenCalled();
+        expect(transfer_1.Transfer.prototype.broadcast).toHaveBeenCalledTimes(1);
+    });
+    it("signs a resumed Transfer with the next nonce once a Transfer created before it took its nonce", async () => {
+        apiNonce = 5;
+        models.t2 = transferModel("t2", "pending", undefined, 5);
+        const transfers = batch.slice(0, 2).map(transfer => ({ ...transfer, amount: 0.1 }));
+        const resume = {
+            results: [
+                resultOf(0, { idempotencyKey: "k1", status: "failed", amount: "0.1" }),
+                resultOf(1, { idempotencyKey: "k2", status: "created", transferId: "t2", amount: "0.1" }),
+            ],
+        };
+        const report = await address.createTransfers(transfers, { resume, concurrency: 2 });
+        expect(report.results.map(result => result.status)).toEqual(["broadcast", "broadcast"]);
+        expect(broadcastNonces).toEqual([5, 6]);
+    });
+    it("does not resume a report whose Transfers differ from the batch, even without idempotency keys", async () => {
+        const resume = {
+            results: [
+                resultOf(0, { idempotencyKey: "k1", status: "broadcast", transferId: "t1" }),
+                resultOf(1, { idempotencyKey: "k2", status: "created", transferId: "t2", destination: destination(7) }),
+                resultOf(2, { idempotencyKey: "k3", status: "pending" }),
+            ],
+        };
+        await expect(address.createTransfers(batch, { resume })).rejects.toThrow(new errors_1.ArgumentError("Transfer 1 does not match the report to resume"));
+        resume.results[1].destination = destination(2);
+        resume.results[2].amount = "2";
+        await expect(address.createTransfers(batch, { resume })).rejects.toThrow("Transfer 2 does not match the report to resume");
+        expect(transferApi.getTransfer).not.toHaveBeenCalled();
+        expect(transferApi.createTransfer).not.toHaveBeenCalled();
+    });
+    it("throws the error of onResult without changing the status of a Transfer", async () => {
+        const reports = [];
+        const onResult = jest.fn(async (result, report) => {
+            reports.push(JSON.parse(JSON.stringify(report)));
+            if (result.status === "broadcast") {
+                throw new Error("disk full");
+            }
+        });
+        const transfers = batch.map(transfer => ({ ...transfer, amount: 0.1 }));
+        await expect(address.createTransfers(transfers, { concurrency: 1, onResult })).rejects.toThrow("disk full");
+        expect(reports.map(report => report.results[0].status)).toEqual(["created", "broadcast"]);
+        expect(transferApi.createTransfer).toHaveBeenCalledTimes(1);
+    });
+});
+describe("WalletAddress idempotency keys", () => {
+    const addressId = "0x" + "9".repeat(40);
+    const destination = "0x" + "1".repeat(40);
+    let transferApi;
+    let address;
+    beforeEach(() => {
+        transferApi = {
+            createTransfer: jest.fn(async (walletId, _, request) => ({
+                data: {
+                    transfer_id: "t1",
+                    network_id: "base-sepolia",
+                    wallet_id: walletId,
+                    address_id: addressId,
+                    destination: request.destination,
+                    asset_id: request.asset_id,
+                    amount: request.amount,
+                    transaction: { status: "pending", unsigned_payload: "", from_address_id: addressId, network_id: "base-sepolia" },
+                },
+            })),
+        };
+        const coinbase = {
+            useServerSigner: true,
+            apiClients: {
+                transfer: transferApi,
+                asset: { getAsset: async (networkId, assetId) => ({ data: { asset_id: assetId, network_id: networkId, decimals: 18 } }) },
+                externalAddress: {
+                    getExternalAddressBalance: async (networkId, _, assetId) => ({
+                        data: { amount: "1000000000000000000", asset: { asset_id: assetId, network_id: networkId, decimals: 18 } },
+                    }),
+                },
+            },
+        };
+        address = new wallet_address_1.WalletAddress({ wallet_id: "w1", network_id: "base-sepolia", address_id: addressId, public_key: "p", index: 0 }, undefined, coinbase);
+    });
+    it("sends the given idempotency key and keeps it on the Transfer", async () => {
+        const transfer = await address.createTransfer({ amount: 0.5, assetId: "eth", destination, idempotencyKey: "payout-42" });
+        expect(transferApi.createTransfer).toHaveBeenCalledWith("w1", addressId, expect.anything(), { headers: { "X-Idempotency-Key": "payout-42" } });
+        expect(transfer.getIdempotencyKey()).toBe("payout-42");
+    });
+    it("generates a distinct idempotency key for every Transfer", async () => {
+        const first = await address.createTransfer({ amount: 0.5, assetId: "eth", destination });
+        const second = await address.createTransfer({ amount: 0.5, assetId: "eth", destination });
+        const keys = transferApi.createTransfer.mock.calls.map(([, , , options]) => options.headers["X-Idempotency-Key"]);
+        expect(keys).toEqual([first.getIdempotencyKey(), second.getIdempotencyKey()]);
+        expect(keys[0]).toMatch(/^[0-9a-f-]{36}$/);
+        expect(keys[0]).not.toBe(keys[1]);
+    });
+});
@@ -0,0 +1,111 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const webhook_1 = require("../coinbase/webhook");
+const external_address_1 = require("../coinbase/address/external_address");
+const wallet_address_1 = require("../coinbase/address/wallet_address");
+const errors_1 = require("../coinbase/errors");
+describe("Webhook", () => {
+    const addressId = "0x" + "9".repeat(40);
+    const tokenAddress = "0x" + "7".repeat(40);
+    let webhookApi;
+    let coinbase;
+    beforeEach(() => {
+        webhookApi = {
+            createWebhook: jest.fn(async (request) => ({ data: { id: "wh1", status: "active", ...request } })),
+            createWalletWebhook: jest.fn(async (walletId, request) => ({
+                data: { id: "wh2", event_type: "wallet_activity", event_type_filter: { wallet_id: walletId }, ...request },
+            })),
+            updateWebhook: jest.fn(async (id, request) => ({ data: { id, event_type: "erc20_transfer", ...request } })),
+            deleteWebhook: jest.fn(async () => ({ data: {} })),
+            listWebhooks: jest.fn(async (_, page) => page
+                ? { data: { data: [{ id: "wh3" }], has_more: false } }
+                : { data: { data: [{ id: "wh1" }, { id: "wh2" }], has_more: true, next_page: "p2" } }),
+        };
+        coinbase = { apiClients: { webhook: webhookApi } };
+    });
+    it("creates a token transfer Webhook with event filters", async () => {
+        const eventFilters = [{ contract_address: tokenAddress }];
+        const webhook = await webhook_1.Webhook.create({ networkId: "base-sepolia", notificationUri: "https://example.com/hook", eventType: "erc20_transfer", eventFilters, signatureHeader: "x-secret" }, coinbase);
+        expect(webhookApi.createWebhook).toHaveBeenCalledWith({
+            network_id: "base-sepolia",
+            notification_uri: "https://example.com/hook",
+            event_type: "erc20_transfer",
+            event_type_filter: undefined,
+            event_filters: eventFilters,
+            signature_header: "x-secret",
+        });
+        expect(webhook.getId()).toBe("wh1");
+        expect(webhook.getEventFilters()).toEqual(eventFilters);
+        expect(webhook.getSignatureHeader()).toBe("x-secret");
+    });
+    it.each([
+        ["erc20_transfer", undefined, undefined, /require at least one event filter/],
+        ["erc721_transfer", { wallet_id: "w1" }, [{ to_address: addressId }], /do not take an event type filter/],
+        ["wallet_activity", {}, undefined, /require an event type filter with a wallet_id/],
+        ["wallet_activity", { wallet_id: "w1" }, [{ to_address: addressId }], /do not take event filters/],
+        ["smart_contract_event_activity", { contract_addresses: [] }, undefined, /require an event type filter with contract_addresses/],
+        ["unknown", undefined, undefined, /Unsupported webhook event type/],
+    ])("rejects %s webhooks with filters %p and %p", async (eventType, eventTypeFilter, eventFilters, message) => {
+        const creation = webhook_1.Webhook.create({ networkId: "base-sepolia", notificationUri: "https://example.com/hook", eventType, eventTypeFilter, eventFilters }, coinbase);
+        await expect(creation).rejects.toThrow(message);
+        await expect(creation).rejects.toBeInstanceOf(errors_1.ArgumentError);
+        expect(webhookApi.createWebhook).not.toHaveBeenCalled();
+    });
+    it("creates a Webhook for the activity of a Wallet", async () => {
+        const webhook = await webhook_1.Webhook.createForWallet("w1", { notificationUri: "https://example.com/hook" }, coinbase);
+        expect(webhookApi.createWalletWebhook).toHaveBeenCalledWith("w1", { notification_uri: "https://example.com/hook", signature_header: undefined });
+        expect(webhook.getEventTypeFilter()).toEqual({ wallet_id: "w1" });
+    });
+    it("keeps the current settings that an update does not change", async () => {
+        const eventFilters = [{ to_address: addressId }];
+        const webhook = webhook_1.Webhook.fromModel({ id: "wh1", event_type: "erc20_transfer", notification_uri: "https://example.com/old", event_filters: eventFilters }, coinbase);
+        await webhook.update({ status: "inactive" });
+        expect(webhookApi.updateWebhook).toHaveBeenCalledWith("wh1", {
+            notification_uri: "https://example.com/old",
+            event_type_filter: undefined,
+            event_filters: eventFilters,
+            status: "inactive",
+        });
+        expect(webhook.getStatus()).toBe("inactive");
+        await expect(webhook.update({ eventFilters: [] })).rejects.toThrow(errors_1.ArgumentError);
+        await webhook.delete();
+        expect(webhookApi.deleteWebhook).toHaveBeenCalledWith("wh1");
+    });
+    it("iterates over the Webhooks of every page", async () => {
+        const webhooks = await webhook_1.Webhook.paginate({ pageSize: 2 }, coinbase).toArray();
+        expect(webhooks.map(webhook => webhook.getId())).toEqual(["wh1", "wh2", "wh3"]);
+        expect(webhookApi.listWebhooks.mock.calls).toEqual([
+            [2, undefined],
+            [2, "p2"],
+        ]);
+    });
+    describe("address subscriptions", () => {
+        it("subscribes an address to the token transfers from and to it", async () => {
+            const address = new external_address_1.ExternalAddress("base-sepolia", addressId, coinbase);
+            await address.createWebhook({ notificationUri: "https://example.com/hook", contractAddress: tokenAddress });
+            expect(webhookApi.createWebhook).toHaveBeenCalledWith(expect.objectContaining({
+                network_id: "base-sepolia",
+                event_type: "erc20_transfer",
+                event_filters: [
+                    { contract_address: tokenAddress, from_address: addressId },
+                    { contract_address: tokenAddress, to_address: addressId },
+                ],
+            }));
+            await expect(address.createWebhook({ notificationUri: "https://example.com/hook", eventType: "wallet_activity" })).rejects.toThrow(errors_1.ArgumentError);
+        });
+        it("subscribes a wallet address to its wallet activity by default", async () => {
+            const address = new wallet_address_1.WalletAddress({ wallet_id: "w1", network_id: "base-sepolia", address_id: addressId, public_key: "p", index: 0 }, undefined, coinbase);
+            await address.createWebhook({ notificationUri: "https://example.com/hook" });
+            expect(webhookApi.createWebhook).toHaveBeenCalledWith(expect.objectContaining({
+                event_type: "wallet_activity",
+                event_type_filter: { wallet_id: "w1", addresses: [addressId] },
+                event_filters: undefined,
+            }));
+            await address.createWebhook({ notificationUri: "https://example.com/hook", eventType: "erc721_transfer" });
+            expect(webhookApi.createWebhook).toHaveBeenLastCalledWith(expect.objectContaining({
+                event_type: "erc721_transfer",
+                event_filters: [{ from_address: addressId }, { to_address: addressId }],
+            }));
+        });
+    });
+});
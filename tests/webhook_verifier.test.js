@@ -0,0 +1,178 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const crypto_1 = require("crypto");
+const http_1 = require("http");
+const webhook_verifier_1 = require("../coinbase/webhook_verifier");
+const webhook_event_1 = require("../coinbase/webhook_event");
+const webhook_1 = require("../coinbase/webhook");
+const errors_1 = require("../coinbase/errors");
+describe("WebhookVerifier", () => {
+    const secret = "whsec_test";
+    const body = JSON.stringify({
+        webhookId: "wh1",
+        eventType: "erc20_transfer",
+        network: "base-sepolia",
+        transactionHash: "0xabc",
+        blockNumber: "12",
+        contractAddress: "0x" + "7".repeat(40),
+        from: "0x" + "1".repeat(40),
+        to: "0x" + "2".repeat(40),
+        value: "1000",
+    });
+    const now = () => Math.floor(Date.now() / 1000);
+    it("accepts a delivery signed over its timestamp and raw body", async () => {
+        const verifier = new webhook_verifier_1.WebhookVerifier({ secret });
+        const timestamp = now();
+        const signature = (0, crypto_1.createHmac)("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+        await expect(verifier.verify({ "X-Webhook-Signature": signature, "X-Webhook-Timestamp": String(timestamp) }, Buffer.from(body))).resolves.toBeUndefined();
+    });
+    it("rejects a missing or wrong signature, a tampered body and an unsigned timestamp", async () => {
+        const verifier = new webhook_verifier_1.WebhookVerifier({ secret });
+        const headers = verifier.sign(body);
+        const timestamp = now();
+        const cases = [
+            [{ "x-webhook-timestamp": String(timestamp) }, body, "Missing webhook signature"],
+            [{ ...headers, "x-webhook-timestamp": undefined }, body, "Missing or invalid webhook timestamp"],
+            [{ ...headers, "x-webhook-signature": "00" }, body, "Invalid webhook signature"],
+            [headers, body.replace("1000", "9000"), "Invalid webhook signature"],
+            [{ ...headers, "x-webhook-timestamp": String(Number(headers["x-webhook-timestamp"]) + 1) }, body, "Invalid webhook signature"],
+            [new webhook_verifier_1.WebhookVerifier({ secret: "other" }).sign(body), body, "Invalid webhook signature"],
+        ];
+        for (const [caseHeaders, caseBody, message] of cases) {
+            await expect(verifier.verify(caseHeaders, caseBody)).rejects.toThrow(new errors_1.WebhookVerificationError(message));
+        }
+        await expect(verifier.verify(headers, JSON.parse(body))).rejects.toThrow("Webhook body must be the raw request body");
+    });
+    it("rejects timestamps outside the tolerance window", async () => {
+        const verifier = new webhook_verifier_1.WebhookVerifier({ secret, toleranceSeconds: 60 });
+        await expect(verifier.verify(verifier.sign(body, now() - 120), body)).rejects.toThrow("outside the tolerance window");
+        await expect(verifier.verify(verifier.sign(body, now() + 120), body)).rejects.toThrow("outside the tolerance window");
+        await expect(verifier.verify(verifier.sign(body, now() - 30), body)).resolves.toBeUndefined();
+        expect(() => new webhook_verifier_1.WebhookVerifier({ secret, toleranceSeconds: -1 })).toThrow(errors_1.ArgumentError);
+        expect(() => new webhook_verifier_1.WebhookVerifier({ secret: "" })).toThrow(errors_1.ArgumentError);
+    });
+    it("recognizes a replay by its signed timestamp until the timestamp leaves the tolerance window", async () => {
+        const replayCache = { add: jest.fn().mockResolvedValueOnce(true).mockResolvedValueOnce(false).mockResolvedValue(true) };
+        const verifier = new webhook_verifier_1.WebhookVerifier({ secret, toleranceSeconds: 60, replayCache });
+        const timestamp = now();
+        const headers = verifier.sign(body, timestamp);
+        await verifier.verify(headers, body);
+        await expect(verifier.verify(headers, body)).rejects.toBeInstanceOf(errors_1.WebhookReplayError);
+        await verifier.verify(verifier.sign(body, timestamp - 1), body);
+        expect(replayCache.add.mock.calls).toEqual([
+            [`${timestamp}.${headers["x-webhook-signature"]}`, (timestamp + 60) * 1000],
+            [`${timestamp}.${headers["x-webhook-signature"]}`, (timestamp + 60) * 1000],
+            [expect.stringMatching(new RegExp(`^${timestamp - 1}\\.`)), (timestamp + 59) * 1000],
+        ]);
+    });
+    it("reads the signature from the header a Webhook was created with", async () => {
+        const webhook = webhook_1.Webhook.fromModel({ id: "wh1", signature_header: "x-custom-signature" });
+        const verifier = webhook.createVerifier({ secret });
+        const headers = verifier.sign(body);
+        expect(Object.keys(headers)).toEqual(["x-custom-signature", "x-webhook-timestamp"]);
+        await expect(verifier.constructEvent(headers, body)).resolves.toEqual(expect.objectContaining({ eventType: "erc20_transfer" }));
+    });
+});
+describe("parseWebhookEvent", () => {
+    it("maps token transfers from camel and snake case payloads", () => {
+        const event = (0, webhook_event_1.parseWebhookEvent)({
+            webhook_id: "wh1",
+            event_type: "erc721_transfer",
+            network_id: "base-sepolia",
+            tx_hash: "0xabc",
+            block_height: 12,
+            log_index: "3",
+            contract_address: "0x7",
+            from_address: "0x1",
+            to_address: "0x2",
+            token_id: 42,
+        });
+        expect(event).toEqual(expect.objectContaining({
+            webhookId: "wh1",
+            eventType: "erc721_transfer",
+            network: "base-sepolia",
+            transactionHash: "0xabc",
+            blockNumber: 12,
+            logIndex: 3,
+            contractAddress: "0x7",
+            from: "0x1",
+            to: "0x2",
+            tokenId: "42",
+        }));
+        expect((0, webhook_event_1.parseWebhookEvent)(JSON.stringify({ eventType: "erc20_transfer" }))).toEqual(expect.objectContaining({ value: "0", from: "" }));
+    });
+    it("maps wallet activity and smart contract events", () => {
+        expect((0, webhook_event_1.parseWebhookEvent)({ eventType: "wallet_activity", walletId: "w1", value: 5 })).toEqual(expect.objectContaining({ walletId: "w1", value: "5", from: undefined }));
+        const { contractEvent } = (0, webhook_event_1.parseWebhookEvent)({
+            eventType: "smart_contract_event_activity",
+            network: "base-sepolia",
+            contractName: "Pool",
+            eventName: "Swap",
+            transactionHash: "0xabc",
+            blockNumber: 7,
+            data: { amount: "1" },
+        });
+        expect([contractEvent.contractName(), contractEvent.eventName(), contractEvent.txHash(), contractEvent.blockHeight(), contractEvent.data()]).toEqual(["Pool", "Swap", "0xabc", 7, '{"amount":"1"}']);
+    });
+    it.each([["{", "not valid JSON"], ["[]", "must be a JSON object"], ['{"eventType":"unknown"}', "Unsupported webhook event type: unknown"]])("rejects the body %s", (body, message) => {
+        expect(() => (0, webhook_event_1.parseWebhookEvent)(body)).toThrow(errors_1.ArgumentError);
+        expect(() => (0, webhook_event_1.parseWebhookEvent)(body)).toThrow(message);
+    });
+});
+describe("createWebhookHandler", () => {
+    const secret = "whsec_test";
+    const body = JSON.stringify({ webhookId: "wh1", eventType: "erc20_transfer", network: "base-sepolia", value: "1000" });
+    let verifier;
+    let onEvent;
+    let onError;
+    let server;
+    let url;
+    const deliver = async (headers, payload = body) => {
+        const response = await fetch(url, { method: "POST", headers: { "content-type": "application/json", ...headers }, body: payload });
+        return { status: response.status, body: await response.json() };
+    };
+    beforeEach(async () => {
+        verifier = new webhook_verifier_1.WebhookVerifier({ secret, toleranceSeconds: 60 });
+        onEvent = jest.fn();
+        onError = jest.fn();
+        server = (0, http_1.createServer)((0, webhook_verifier_1.createWebhookHandler)({ verifier, onEvent, onError, maxBodyBytes: 1024 }));
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        url = `http://127.0.0.1:${server.address().port}/webhook`;
+    });
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+    it("passes a valid delivery on as a typed event", async () => {
+        await expect(deliver(verifier.sign(body))).resolves.toEqual({ status: 200, body: { received: true } });
+        expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ webhookId: "wh1", eventType: "erc20_transfer", value: "1000" }), expect.anything());
+        expect(onError).not.toHaveBeenCalled();
+    });
+    it("rejects a bad signature and a stale timestamp with 401", async () => {
+        const stale = Math.floor(Date.now() / 1000) - 120;
+        await expect(deliver({ ...verifier.sign(body), "x-webhook-signature": "00".repeat(32) })).resolves.toEqual({ status: 401, body: { error: "Invalid webhook signature" } });
+        await expect(deliver(verifier.sign(body, stale))).resolves.toEqual({ status: 401, body: { error: "Webhook timestamp is outside the tolerance window" } });
+        expect(onEvent).not.toHaveBeenCalled();
+        expect(onError).toHaveBeenCalledTimes(2);
+    });
+    it("acknowledges a replay without passing it on again", async () => {
+        const headers = verifier.sign(body);
+        await deliver(headers);
+        await expect(deliver(headers)).resolves.toEqual({ status: 200, body: { received: true, duplicate: true } });
+        expect(onEvent).toHaveBeenCalledTimes(1);
+        expect(onError).not.toHaveBeenCalled();
+    });
+    it("rejects a body over maxBodyBytes with 413", async () => {
+        const large = JSON.stringify({ eventType: "erc20_transfer", padding: "x".repeat(2048) });
+        await expect(deliver(verifier.sign(large), large)).resolves.toEqual({ status: 413, body: { error: "Payload Too Large" } });
+        expect(onEvent).not.toHaveBeenCalled();
+    });
+    it("accepts the redelivery of an event that onEvent failed to process", async () => {
+        const failure = new Error("database unavailable");
+        onEvent.mockRejectedValueOnce(failure);
+        const headers = verifier.sign(body);
+        await expect(deliver(headers)).resolves.toEqual({ status: 500, body: { error: "Internal Server Error" } });
+        expect(onError).toHaveBeenCalledWith(failure, expect.anything());
+        await expect(deliver(headers)).resolves.toEqual({ status: 200, body: { received: true } });
+        expect(onEvent).toHaveBeenCalledTimes(2);
+    });
+});
@@ -1,15 +1,62 @@
 import { NetworkIdentifier } from "../client/api";
 /**
- * Maps chain IDs to their corresponding Coinbase network IDs. Only SmartWallet related chains are listed here right now.
+ * The features a network supports that the Networks API does not report. Faucet and staking support come from the
+ * `feature_set` of the network returned by the Networks API.
+ */
+export type NetworkFeatures = {
+    /** Whether smart wallets and user operations are supported. */
+    smartWallets: boolean;
+};
+/**
+ * The configuration of a network supported by Coinbase.
+ */
+export type NetworkConfig = {
+    /** The Coinbase network ID. */
+    networkId: NetworkIdentifier;
+    /** The chain ID, for EVM networks. */
+    chainId?: number;
+    /** The display name of the network. */
+    displayName: string;
+    /** The protocol family of the network. */
+    protocolFamily: "evm" | "solana" | "bitcoin" | "near";
+    /** Whether the network is a testnet. */
+    isTestnet: boolean;
+    /** The ID of the native asset of the network. */
+    nativeAssetId: string;
+    /** The link to a transaction on the blockchain explorer, with a `{hash}` placeholder. */
+    explorerTransactionUrl: string;
+    /** The link to an address on the blockchain explorer, with an `{address}` placeholder. */
+    explorerAddressUrl: string;
+    /** The features the network supports. */
+    features: NetworkFeatures;
+};
+/**
+ * The networks supported by Coinbase, by network ID, with their chain ID, explorer URL templates, native asset and
+ * feature flags. Explorer URL templates contain a `{hash}` or `{address}` placeholder.
+ */
+export declare const NETWORKS: Readonly<Record<NetworkIdentifier, NetworkConfig>>;
+/**
+ * Maps chain IDs to their corresponding Coinbase network IDs, for every EVM network in NETWORKS.
  */
 export declare const CHAIN_ID_TO_NETWORK_ID: {
+    readonly 1: "ethereum-mainnet";
+    readonly 137: "polygon-mainnet";
     readonly 8453: "base-mainnet";
+    readonly 17000: "ethereum-holesky";
+    readonly 42161: "arbitrum-mainnet";
     readonly 84532: "base-sepolia";
+    readonly 421614: "arbitrum-sepolia";
+    readonly 560048: "ethereum-hoodi";
+    readonly 11155111: "ethereum-sepolia";
 };
 /**
  * Supported chain IDs are the keys of the CHAIN_ID_TO_NETWORK_ID object
  */
 export type SupportedChainId = keyof typeof CHAIN_ID_TO_NETWORK_ID;
+/**
+ * The chain IDs of the networks that support smart wallets
+ */
+export type SmartWalletChainId = 8453 | 84532;
 /**
  * Represents a chainID and the corresponding Coinbase network ID
  */
@@ -17,3 +64,35 @@ export type Network = {
     chainId: SupportedChainId;
     networkId: NetworkIdentifier;
 };
+/**
+ * Returns the Coinbase network ID of a chain ID.
+ *
+ * @param chainId - The chain ID.
+ * @returns The network ID.
+ * @throws {UnsupportedChainError} If no Coinbase network has the chain ID.
+ */
+export declare function getNetworkIdForChainId(chainId: number): NetworkIdentifier;
+/**
+ * Returns the Coinbase network ID of a chain ID that supports smart wallets.
+ *
+ * @param chainId - The chain ID.
+ * @returns The network ID.
+ * @throws {UnsupportedChainError} If no Coinbase network has the chain ID, or its network does not support smart wallets.
+ */
+export declare function getSmartWalletNetworkId(chainId: number): NetworkIdentifier;
+/**
+ * Returns the link to a transaction on the blockchain explorer of a network.
+ *
+ * @param networkId - The network ID.
+ * @param hash - The transaction hash.
+ * @returns The link, or undefined if the network is unknown.
+ */
+export declare function getExplorerTransactionUrl(networkId: string, hash: string): string | undefined;
+/**
+ * Returns the link to an address on the blockchain explorer of a network.
+ *
+ * @param networkId - The network ID.
+ * @param address - The address.
+ * @returns The link, or undefined if the network is unknown.
+ */
+export declare function getExplorerAddressUrl(networkId: string, address: string): string | undefined;
@@ -1,11 +1,226 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.CHAIN_ID_TO_NETWORK_ID = void 0;
+exports.getExplorerAddressUrl = exports.getExplorerTransactionUrl = exports.getSmartWalletNetworkId = exports.getNetworkIdForChainId = exports.CHAIN_ID_TO_NETWORK_ID = exports.NETWORKS = void 0;
 const api_1 = require("../client/api");
+const errors_1 = require("../coinbase/errors");
 /**
- * Maps chain IDs to their corresponding Coinbase network IDs. Only SmartWallet related chains are listed here right now.
+ * The networks supported by Coinbase, by network ID, with their chain ID, explorer URL templates, native asset and
+ * feature flags. Explorer URL templates contain a `{hash}` or `{address}` placeholder.
+ */
+exports.NETWORKS = {
+    [api_1.NetworkIdentifier.BaseMainnet]: {
+        networkId: api_1.NetworkIdentifier.BaseMainnet,
+        chainId: 8453,
+        displayName: "Base",
+        protocolFamily: "evm",
+        isTestnet: false,
+        nativeAssetId: "eth",
+        explorerTransactionUrl: "https://basescan.org/tx/{hash}",
+        explorerAddressUrl: "https://basescan.org/address/{address}",
+        features: { smartWallets: true },
+    },
+    [api_1.NetworkIdentifier.BaseSepolia]: {
+        networkId: api_1.NetworkIdentifier.BaseSepolia,
+        chainId: 84532,
+        displayName: "Base Sepolia",
+        protocolFamily: "evm",
+        isTestnet: true,
+        nativeAssetId: "eth",
+        explorerTransactionUrl: "https://sepolia.basescan.org/tx/{hash}",
+        explorerAddressUrl: "https://sepolia.basescan.org/address/{address}",
+        features: { smartWallets: true },
+    },
+    [api_1.NetworkIdentifier.EthereumMainnet]: {
+        networkId: api_1.NetworkIdentifier.EthereumMainnet,
+        chainId: 1,
+        displayName: "Ethereum",
+        protocolFamily: "evm",
+        isTestnet: false,
+        nativeAssetId: "eth",
+        explorerTransactionUrl: "https://etherscan.io/tx/{hash}",
+        explorerAddressUrl: "https://etherscan.io/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.EthereumSepolia]: {
+        networkId: api_1.NetworkIdentifier.EthereumSepolia,
+        chainId: 11155111,
+        displayName: "Ethereum Sepolia",
+        protocolFamily: "evm",
+        isTestnet: true,
+        nativeAssetId: "eth",
+        explorerTransactionUrl: "https://sepolia.etherscan.io/tx/{hash}",
+        explorerAddressUrl: "https://sepolia.etherscan.io/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.EthereumHolesky]: {
+        networkId: api_1.NetworkIdentifier.EthereumHolesky,
+        chainId: 17000,
+        displayName: "Ethereum Holesky",
+        protocolFamily: "evm",
+        isTestnet: true,
+        nativeAssetId: "eth",
+        explorerTransactionUrl: "https://holesky.etherscan.io/tx/{hash}",
+        explorerAddressUrl: "https://holesky.etherscan.io/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.EthereumHoodi]: {
+        networkId: api_1.NetworkIdentifier.EthereumHoodi,
+        chainId: 560048,
+        displayName: "Ethereum Hoodi",
+        protocolFamily: "evm",
+        isTestnet: true,
+        nativeAssetId: "eth",
+        explorerTransactionUrl: "https://hoodi.etherscan.io/tx/{hash}",
+        explorerAddressUrl: "https://hoodi.etherscan.io/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.PolygonMainnet]: {
+        networkId: api_1.NetworkIdentifier.PolygonMainnet,
+        chainId: 137,
+        displayName: "Polygon",
+        protocolFamily: "evm",
+        isTestnet: false,
+        nativeAssetId: "pol",
+        explorerTransactionUrl: "https://polygonscan.com/tx/{hash}",
+        explorerAddressUrl: "https://polygonscan.com/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.ArbitrumMainnet]: {
+        networkId: api_1.NetworkIdentifier.ArbitrumMainnet,
+        chainId: 42161,
+        displayName: "Arbitrum One",
+        protocolFamily: "evm",
+        isTestnet: false,
+        nativeAssetId: "eth",
+        explorerTransactionUrl: "https://arbiscan.io/tx/{hash}",
+        explorerAddressUrl: "https://arbiscan.io/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.ArbitrumSepolia]: {
+        networkId: api_1.NetworkIdentifier.ArbitrumSepolia,
+        chainId: 421614,
+        displayName: "Arbitrum Sepolia",
+        protocolFamily: "evm",
+        isTestnet: true,
+        nativeAssetId: "eth",
+        explorerTransactionUrl: "https://sepolia.arbiscan.io/tx/{hash}",
+        explorerAddressUrl: "https://sepolia.arbiscan.io/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.SolanaMainnet]: {
+        networkId: api_1.NetworkIdentifier.SolanaMainnet,
+        displayName: "Solana",
+        protocolFamily: "solana",
+        isTestnet: false,
+        nativeAssetId: "sol",
+        explorerTransactionUrl: "https://explorer.solana.com/tx/{hash}",
+        explorerAddressUrl: "https://explorer.solana.com/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.SolanaDevnet]: {
+        networkId: api_1.NetworkIdentifier.SolanaDevnet,
+        displayName: "Solana Devnet",
+        protocolFamily: "solana",
+        isTestnet: true,
+        nativeAssetId: "sol",
+        explorerTransactionUrl: "https://explorer.solana.com/tx/{hash}?cluster=devnet",
+        explorerAddressUrl: "https://explorer.solana.com/address/{address}?cluster=devnet",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.BitcoinMainnet]: {
+        networkId: api_1.NetworkIdentifier.BitcoinMainnet,
+        displayName: "Bitcoin",
+        protocolFamily: "bitcoin",
+        isTestnet: false,
+        nativeAssetId: "btc",
+        explorerTransactionUrl: "https://mempool.space/tx/{hash}",
+        explorerAddressUrl: "https://mempool.space/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.NearMainnet]: {
+        networkId: api_1.NetworkIdentifier.NearMainnet,
+        displayName: "NEAR",
+        protocolFamily: "near",
+        isTestnet: false,
+        nativeAssetId: "near",
+        explorerTransactionUrl: "https://nearblocks.io/txns/{hash}",
+        explorerAddressUrl: "https://nearblocks.io/address/{address}",
+        features: { smartWallets: false },
+    },
+    [api_1.NetworkIdentifier.NearTestnet]: {
+        networkId: api_1.NetworkIdentifier.NearTestnet,
+        displayName: "NEAR Testnet",
+        protocolFamily: "near",
+        isTestnet: true,
+        nativeAssetId: "near",
+        explorerTransactionUrl: "https://testnet.nearblocks.io/txns/{hash}",
+        explorerAddressUrl: "https://testnet.nearblocks.io/address/{address}",
+        features: { smartWallets: false },
+    },
+};
+/**
+ * Maps chain IDs to their corresponding Coinbase network IDs, for every EVM network in NETWORKS.
  */
 exports.CHAIN_ID_TO_NETWORK_ID = {
+    1: api_1.NetworkIdentifier.EthereumMainnet,
+    137: api_1.NetworkIdentifier.PolygonMainnet,
     8453: api_1.NetworkIdentifier.BaseMainnet,
+    17000: api_1.NetworkIdentifier.EthereumHolesky,
+    42161: api_1.NetworkIdentifier.ArbitrumMainnet,
     84532: api_1.NetworkIdentifier.BaseSepolia,
+    421614: api_1.NetworkIdentifier.ArbitrumSepolia,
+    560048: api_1.NetworkIdentifier.EthereumHoodi,
+    11155111: api_1.NetworkIdentifier.EthereumSepolia,
 };
+/**
+ * Returns the Coinbase network ID of a chain ID.
+ *
+ * @param chainId - The chain ID.
+ * @returns The network ID.
+ * @throws {UnsupportedChainError} If no Coinbase network has the chain ID.
+ */
+function getNetworkIdForChainId(chainId) {
+    const networkId = exports.CHAIN_ID_TO_NETWORK_ID[chainId];
+    if (networkId === undefined) {
+        throw new errors_1.UnsupportedChainError(`Chain ID ${chainId} is not supported`, chainId);
+    }
+    return networkId;
+}
+exports.getNetworkIdForChainId = getNetworkIdForChainId;
+/**
+ * Returns the Coinbase network ID of a chain ID that supports smart wallets.
+ *
+ * @param chainId - The chain ID.
+ * @returns The network ID.
+ * @throws {UnsupportedChainError} If no Coinbase network has the chain ID, or its network does not support smart wallets.
+ */
+function getSmartWalletNetworkId(chainId) {
+    const networkId = getNetworkIdForChainId(chainId);
+    if (!exports.NETWORKS[networkId].features.smartWallets) {
+        throw new errors_1.UnsupportedChainError(`Chain ID ${chainId} (${networkId}) is not supported for smart wallets`, chainId);
+    }
+    return networkId;
+}
+exports.getSmartWalletNetworkId = getSmartWalletNetworkId;
+/**
+ * Returns the link to a transaction on the blockchain explorer of a network.
+ *
+ * @param networkId - The network ID.
+ * @param hash - The transaction hash.
+ * @returns The link, or undefined if the network is unknown.
+ */
+function getExplorerTransactionUrl(networkId, hash) {
+    return exports.NETWORKS[networkId]?.explorerTransactionUrl.replace("{hash}", hash);
+}
+exports.getExplorerTransactionUrl = getExplorerTransactionUrl;
+/**
+ * Returns the link to an address on the blockchain explorer of a network.
+ *
+ * @param networkId - The network ID.
+ * @param address - The address.
+ * @returns The link, or undefined if the network is unknown.
+ */
+function getExplorerAddressUrl(networkId, address) {
+    return exports.NETWORKS[networkId]?.explorerAddressUrl.replace("{address}", address);
+}
+exports.getExplorerAddressUrl = getExplorerAddressUrl;
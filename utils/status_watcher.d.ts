@@ -0,0 +1,166 @@
+/// <reference types="node" />
+import { EventEmitter } from "events";
+import { WaitContext, WaitOptions } from "./wait";
+/**
+ * The events a StatusWatcher emits, and the arguments their listeners receive.
+ */
+export type StatusEvents<T> = {
+    /** Emitted with the first observed status and on every status change after that. */
+    statusChange: [status: string | undefined, resource: T];
+    /** Emitted when the resource is broadcast. */
+    broadcast: [resource: T];
+    /** Emitted when the resource completes. */
+    complete: [resource: T];
+    /** Emitted when the resource fails. */
+    failed: [resource: T];
+    /** Emitted when polling fails. Polling stops after an error. */
+    error: [error: Error];
+};
+/**
+ * The status events a resource can be subscribed to.
+ */
+export type StatusEventName = keyof StatusEvents<unknown>;
+/**
+ * A status change yielded while iterating over a resource's status updates.
+ */
+export type StatusUpdate<T> = {
+    /** The new status. */
+    status: string | undefined;
+    /** The resource in the new status. */
+    resource: T;
+};
+/**
+ * A StatusWatcher polls a resource in the background and emits its status changes as events.
+ *
+ * Polling starts when the watcher is started and stops once the resource reaches a terminal state or the
+ * watcher is stopped. Polling errors end the polling. They are emitted as `error` events when there is a
+ * listener for them, and otherwise the next iterator returned by `updates` rejects with them.
+ */
+export declare class StatusWatcher<T> extends EventEmitter {
+    /**
+     * The default interval between status checks, in seconds.
+     */
+    static DEFAULT_INTERVAL_SECONDS: number;
+    private reload;
+    private isTerminal;
+    private context;
+    private options;
+    private controller?;
+    private failure?;
+    /**
+     * Initializes a new StatusWatcher object.
+     *
+     * @param resource - The resource to watch.
+     * @param resource.reload - Fetches the latest version of the resource.
+     * @param resource.isTerminal - Returns whether the resource is in a terminal state.
+     * @param context - How the resource is described in status changes, errors and telemetry.
+     * @param options - The polling options. Polling runs until a terminal state by default.
+     */
+    constructor({ reload, isTerminal }: {
+        reload: () => Promise<T>;
+        isTerminal: (resource: T) => boolean;
+    }, context: WaitContext<T>, options?: Omit<WaitOptions<T>, "signal" | "onStatusChange">);
+    on<E extends StatusEventName>(event: E, listener: (...args: StatusEvents<T>[E]) => void): this;
+    once<E extends StatusEventName>(event: E, listener: (...args: StatusEvents<T>[E]) => void): this;
+    off<E extends StatusEventName>(event: E, listener: (...args: StatusEvents<T>[E]) => void): this;
+    emit<E extends StatusEventName>(event: E, ...args: StatusEvents<T>[E]): boolean;
+    /**
+     * Returns whether the watcher is polling.
+     *
+     * @returns True if the watcher is polling.
+     */
+    isWatching(): boolean;
+    /**
+     * Starts polling the resource, unless the watcher is already polling. A watcher that is started after the
+     * resource reached a terminal state emits the terminal status once more and stops.
+     */
+    start(): void;
+    /**
+     * Stops polling the resource. Listeners stay registered.
+     */
+    stop(): void;
+    /**
+     * Stops polling once no status listeners are left.
+     */
+    stopIfUnobserved(): void;
+    /**
+     * Polls the resource and yields every status change until it reaches a terminal state. Each call polls
+     * independently of the watcher's listeners, and polling stops when the consumer stops iterating.
+     *
+     * @param options - The polling options, overriding the watcher's options.
+     * @yields The status and the resource, for every status change.
+     * @throws {TimeoutError} If the resource does not reach a terminal state within `timeoutSeconds`.
+     * @throws The abort reason if `signal` is aborted.
+     * @throws The error the watcher's background polling failed with, if no `error` listener received it.
+     */
+    updates(options?: Omit<WaitOptions<T>, "onStatusChange">): AsyncGenerator<StatusUpdate<T>, void, undefined>;
+}
+/**
+ * How a resource with status events reaches a terminal state, and how it is described in status changes,
+ * errors and telemetry.
+ */
+export type StatusDescription<T> = {
+    /** Returns whether the resource is in a terminal state. */
+    isTerminal: (resource: T) => boolean;
+    /** How the resource is described in status changes, errors and telemetry. */
+    context: WaitContext<T>;
+};
+/**
+ * The base class of resources with status events and status iteration: `on` and `off` subscribe to the status
+ * events of a resource, which is polled in the background while it has status listeners, and `statusUpdates`
+ * and `[Symbol.asyncIterator]` poll it and yield its status changes.
+ */
+export declare abstract class StatusEventSource<T extends StatusEventSource<T>> {
+    private statusWatcher?;
+    /**
+     * Reloads the resource with its latest status.
+     */
+    abstract reload(): Promise<unknown>;
+    /**
+     * Returns when the resource is in a terminal state, and how it is described in status changes, errors and
+     * telemetry.
+     *
+     * @returns The status description of the resource.
+     */
+    protected abstract describeStatus(): StatusDescription<T>;
+    /**
+     * Subscribes to the resource's status events. Subscribing to a status event starts polling the resource
+     * in the background, and polling stops once the resource reaches a terminal state. Polling errors are
+     * emitted as `error` events, or make the next `statusUpdates` iterator reject when there is no `error` listener.
+     *
+     * @param event - The event to subscribe to: `statusChange`, `broadcast`, `complete`, `failed` or `error`.
+     * @param listener - The function called with the event arguments.
+     * @returns The resource.
+     */
+    on<E extends StatusEventName>(event: E, listener: (...args: StatusEvents<T>[E]) => void): this;
+    /**
+     * Unsubscribes from the resource's status events. Polling stops once no status listeners are left.
+     *
+     * @param event - The event to unsubscribe from.
+     * @param listener - The listener to remove.
+     * @returns The resource.
+     */
+    off<E extends StatusEventName>(event: E, listener: (...args: StatusEvents<T>[E]) => void): this;
+    /**
+     * Polls the resource and yields every status change until it reaches a terminal state.
+     * Polling stops when the consumer stops iterating.
+     *
+     * @param options - The options to configure the polling. Polls until a terminal state by default.
+     * @returns An iterator over the status changes.
+     * @throws {TimeoutError} If the resource does not reach a terminal state within `timeoutSeconds`.
+     * @throws The error background polling for the status events failed with, if no `error` listener received it.
+     */
+    statusUpdates(options?: Omit<WaitOptions<T>, "onStatusChange">): AsyncGenerator<StatusUpdate<T>, void, undefined>;
+    /**
+     * Polls the resource and yields every status change until it reaches a terminal state.
+     *
+     * @returns An iterator over the status changes.
+     */
+    [Symbol.asyncIterator](): AsyncGenerator<StatusUpdate<T>, void, undefined>;
+    /**
+     * Returns the status watcher of the resource, creating it on first use.
+     *
+     * @returns The status watcher.
+     */
+    private getStatusWatcher;
+}
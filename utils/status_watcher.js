@@ -0,0 +1,241 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.StatusEventSource = exports.StatusWatcher = void 0;
+const events_1 = require("events");
+const wait_1 = require("./wait");
+/**
+ * The statuses that are emitted as events of the same name, in addition to `statusChange`.
+ */
+const STATUS_EVENTS = ["broadcast", "complete", "failed"];
+/**
+ * A StatusWatcher polls a resource in the background and emits its status changes as events.
+ *
+ * Polling starts when the watcher is started and stops once the resource reaches a terminal state or the
+ * watcher is stopped. Polling errors end the polling. They are emitted as `error` events when there is a
+ * listener for them, and otherwise the next iterator returned by `updates` rejects with them.
+ */
+class StatusWatcher extends events_1.EventEmitter {
+    /**
+     * Initializes a new StatusWatcher object.
+     *
+     * @param resource - The resource to watch.
+     * @param resource.reload - Fetches the latest version of the resource.
+     * @param resource.isTerminal - Returns whether the resource is in a terminal state.
+     * @param context - How the resource is described in status changes, errors and telemetry.
+     * @param options - The polling options. Polling runs until a terminal state by default.
+     */
+    constructor({ reload, isTerminal }, context, options = {}) {
+        super();
+        this.reload = reload;
+        this.isTerminal = isTerminal;
+        this.context = context;
+        this.options = {
+            intervalSeconds: StatusWatcher.DEFAULT_INTERVAL_SECONDS,
+            timeoutSeconds: Number.POSITIVE_INFINITY,
+            ...options,
+        };
+    }
+    /**
+     * Returns whether the watcher is polling.
+     *
+     * @returns True if the watcher is polling.
+     */
+    isWatching() {
+        return this.controller !== undefined;
+    }
+    /**
+     * Starts polling the resource, unless the watcher is already polling. A watcher that is started after the
+     * resource reached a terminal state emits the terminal status once more and stops.
+     */
+    start() {
+        if (this.controller) {
+            return;
+        }
+        const controller = new AbortController();
+        this.controller = controller;
+        this.failure = undefined;
+        (0, wait_1.wait)(this.reload, this.isTerminal, undefined, {
+            ...this.options,
+            signal: controller.signal,
+            onStatusChange: (status, resource) => {
+                this.emit("statusChange", status, resource);
+                if (STATUS_EVENTS.includes(status)) {
+                    this.emit(status, resource);
+                }
+            },
+        }, this.context)
+            .catch(error => {
+            if (controller.signal.aborted) {
+                return;
+            }
+            if (this.listenerCount("error") > 0) {
+                this.emit("error", error);
+            }
+            else {
+                this.failure = error;
+            }
+        })
+            .finally(() => {
+            if (this.controller === controller) {
+                this.controller = undefined;
+            }
+        });
+    }
+    /**
+     * Stops polling the resource. Listeners stay registered.
+     */
+    stop() {
+        this.controller?.abort();
+        this.controller = undefined;
+    }
+    /**
+     * Stops polling once no status listeners are left.
+     */
+    stopIfUnobserved() {
+        const listeners = ["statusChange", ...STATUS_EVENTS].reduce((count, event) => count + this.listenerCount(event), 0);
+        if (listeners === 0) {
+            this.stop();
+        }
+    }
+    /**
+     * Polls the resource and yields every status change until it reaches a terminal state. Each call polls
+     * independently of the watcher's listeners, and polling stops when the consumer stops iterating.
+     *
+     * @param options - The polling options, overriding the watcher's options.
+     * @yields The status and the resource, for every status change.
+     * @throws {TimeoutError} If the resource does not reach a terminal state within `timeoutSeconds`.
+     * @throws The abort reason if `signal` is aborted.
+     * @throws The error the watcher's background polling failed with, if no `error` listener received it.
+     */
+    async *updates(options = {}) {
+        const backgroundFailure = this.failure;
+        if (backgroundFailure) {
+            this.failure = undefined;
+            throw backgroundFailure;
+        }
+        const { signal, ...pollingOptions } = options;
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal?.reason);
+        if (signal?.aborted) {
+            onAbort();
+        }
+        signal?.addEventListener("abort", onAbort, { once: true });
+        const queue = [];
+        let notify;
+        let done = false;
+        let failure;
+        (0, wait_1.wait)(this.reload, this.isTerminal, undefined, {
+            ...this.options,
+            ...pollingOptions,
+            signal: controller.signal,
+            onStatusChange: (status, resource) => {
+                queue.push({ status, resource });
+                notify?.();
+            },
+        }, this.context)
+            .catch(error => {
+            failure = error;
+        })
+            .finally(() => {
+            done = true;
+            notify?.();
+        });
+        try {
+            while (queue.length > 0 || !done) {
+                if (queue.length === 0) {
+                    await new Promise(resolve => (notify = resolve));
+                    notify = undefined;
+                    continue;
+                }
+                yield queue.shift();
+            }
+            if (failure) {
+                throw failure;
+            }
+        }
+        finally {
+            signal?.removeEventListener("abort", onAbort);
+            controller.abort();
+        }
+    }
+}
+exports.StatusWatcher = StatusWatcher;
+/**
+ * The default interval between status checks, in seconds.
+ */
+StatusWatcher.DEFAULT_INTERVAL_SECONDS = 1;
+/**
+ * The base class of resources with status events and status iteration: `on` and `off` subscribe to the status
+ * events of a resource, which is polled in the background while it has status listeners, and `statusUpdates`
+ * and `[Symbol.asyncIterator]` poll it and yield its status changes.
+ */
+class StatusEventSource {
+    /**
+     * Subscribes to the resource's status events. Subscribing to a status event starts polling the resource
+     * in the background, and polling stops once the resource reaches a terminal state. Polling errors are
+     * emitted as `error` events, or make the next `statusUpdates` iterator reject when there is no `error` listener.
+     *
+     * @param event - The event to subscribe to: `statusChange`, `broadcast`, `complete`, `failed` or `error`.
+     * @param listener - The function called with the event arguments.
+     * @returns The resource.
+     */
+    on(event, listener) {
+        const watcher = this.getStatusWatcher();
+        watcher.on(event, listener);
+        if (event !== "error") {
+            watcher.start();
+        }
+        return this;
+    }
+    /**
+     * Unsubscribes from the resource's status events. Polling stops once no status listeners are left.
+     *
+     * @param event - The event to unsubscribe from.
+     * @param listener - The listener to remove.
+     * @returns The resource.
+     */
+    off(event, listener) {
+        this.statusWatcher?.off(event, listener);
+        this.statusWatcher?.stopIfUnobserved();
+        return this;
+    }
+    /**
+     * Polls the resource and yields every status change until it reaches a terminal state.
+     * Polling stops when the consumer stops iterating.
+     *
+     * @param options - The options to configure the polling. Polls until a terminal state by default.
+     * @returns An iterator over the status changes.
+     * @throws {TimeoutError} If the resource does not reach a terminal state within `timeoutSeconds`.
+     * @throws The error background polling for the status events failed with, if no `error` listener received it.
+     */
+    statusUpdates(options = {}) {
+        return this.getStatusWatcher().updates(options);
+    }
+    /**
+     * Polls the resource and yields every status change until it reaches a terminal state.
+     *
+     * @returns An iterator over the status changes.
+     */
+    [Symbol.asyncIterator]() {
+        return this.statusUpdates();
+    }
+    /**
+     * Returns the status watcher of the resource, creating it on first use.
+     *
+     * @returns The status watcher.
+     */
+    getStatusWatcher() {
+        if (!this.statusWatcher) {
+            const { isTerminal, context } = this.describeStatus();
+            this.statusWatcher = new StatusWatcher({
+                reload: async () => {
+                    await this.reload();
+                    return this;
+                },
+                isTerminal,
+            }, context);
+        }
+        return this.statusWatcher;
+    }
+}
+exports.StatusEventSource = StatusEventSource;
@@ -0,0 +1,49 @@
+import { Attributes } from "@opentelemetry/api";
+/**
+ * Options for waiting for a resource to reach a terminal state.
+ */
+export type WaitOptions<T = unknown> = {
+    /** The interval between status checks, in seconds. */
+    intervalSeconds?: number;
+    /** The maximum time to wait, in seconds. */
+    timeoutSeconds?: number;
+    /** The factor the interval grows by after every status check. Defaults to 1, a fixed interval. */
+    backoffMultiplier?: number;
+    /** The upper bound for the interval, in seconds. Defaults to no bound. */
+    maxIntervalSeconds?: number;
+    /** A signal to stop waiting. The wait rejects with the signal's abort reason. */
+    signal?: AbortSignal;
+    /** Called with the first observed status and on every status change after that. */
+    onStatusChange?: (status: string | undefined, resource: T) => void;
+};
+/**
+ * How a polled resource is described in status changes, errors and telemetry.
+ */
+export type WaitContext<T> = {
+    /** The name of the resource. Defaults to `Operation`. */
+    name?: string;
+    /** Returns the status of the resource. Defaults to its `status` field. */
+    getStatus?: (obj: T) => string | undefined;
+    /** The attributes of the telemetry span covering the wait. */
+    attributes?: Attributes;
+};
+/**
+ * Polls a resource until it reaches a terminal state.
+ *
+ * The resource is reloaded, checked, and reloaded again after the poll interval, which grows by
+ * `backoffMultiplier` after every check up to `maxIntervalSeconds`. `onStatusChange` is called with the first
+ * observed status and on every change after that.
+ *
+ * @param reload - Fetches the latest version of the resource.
+ * @param isTerminal - Returns whether the resource is in a terminal state.
+ * @param transform - Converts the terminal resource into the result. Defaults to returning the resource.
+ * @param options - The options to configure the wait.
+ * @param context - How the resource is described in status changes, errors and telemetry.
+ * @param context.name - The name of the resource. Defaults to `Operation`.
+ * @param context.getStatus - Returns the status of the resource. Defaults to its `status` field.
+ * @param context.attributes - The attributes of the telemetry span covering the wait.
+ * @returns The transformed terminal resource.
+ * @throws {TimeoutError} If the resource does not reach a terminal state within `timeoutSeconds`.
+ * @throws The abort reason if `signal` is aborted.
+ */
+export declare function wait<T, K = T>(reload: () => Promise<T>, isTerminal: (obj: T) => boolean, transform?: (obj: T) => K, options?: WaitOptions<T>, { name, getStatus, attributes }?: WaitContext<T>): Promise<K>;
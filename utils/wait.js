@@ -0,0 +1,75 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.wait = void 0;
+const errors_1 = require("../coinbase/errors");
+const telemetry_1 = require("../coinbase/telemetry");
+/**
+ * Polls a resource until it reaches a terminal state.
+ *
+ * The resource is reloaded, checked, and reloaded again after the poll interval, which grows by
+ * `backoffMultiplier` after every check up to `maxIntervalSeconds`. `onStatusChange` is called with the first
+ * observed status and on every change after that.
+ *
+ * @param reload - Fetches the latest version of the resource.
+ * @param isTerminal - Returns whether the resource is in a terminal state.
+ * @param transform - Converts the terminal resource into the result. Defaults to returning the resource.
+ * @param options - The options to configure the wait.
+ * @param context - How the resource is described in status changes, errors and telemetry.
+ * @param context.name - The name of the resource. Defaults to `Operation`.
+ * @param context.getStatus - Returns the status of the resource. Defaults to its `status` field.
+ * @param context.attributes - The attributes of the telemetry span covering the wait.
+ * @returns The transformed terminal resource.
+ * @throws {TimeoutError} If the resource does not reach a terminal state within `timeoutSeconds`.
+ * @throws The abort reason if `signal` is aborted.
+ */
+async function wait(reload, isTerminal, transform = (obj) => obj, options = {}, { name = "Operation", getStatus = (obj) => obj?.status, attributes = {} } = {}) {
+    const { intervalSeconds = 0.2, timeoutSeconds = 10, backoffMultiplier = 1, maxIntervalSeconds = Number.POSITIVE_INFINITY, signal, onStatusChange, } = options;
+    const operation = `${name}.wait`;
+    return (0, telemetry_1.withSpan)(operation, attributes, async () => {
+        signal?.throwIfAborted();
+        const startTime = Date.now();
+        let interval = intervalSeconds;
+        let lastStatus;
+        let observed = false;
+        while (Date.now() - startTime < timeoutSeconds * 1000) {
+            const updatedObject = await reload();
+            signal?.throwIfAborted();
+            (0, telemetry_1.recordPollingIteration)(operation);
+            const status = getStatus(updatedObject);
+            if (!observed || status !== lastStatus) {
+                observed = true;
+                lastStatus = status;
+                onStatusChange?.(status, updatedObject);
+            }
+            if (isTerminal(updatedObject)) {
+                (0, telemetry_1.recordTerminalStatus)(operation, status);
+                return transform(updatedObject);
+            }
+            const remainingMs = timeoutSeconds * 1000 - (Date.now() - startTime);
+            await sleep(Math.max(0, Math.min(interval * 1000, remainingMs)), signal);
+            interval = Math.min(interval * backoffMultiplier, maxIntervalSeconds);
+        }
+        throw new errors_1.TimeoutError(`${name} timed out after ${timeoutSeconds} seconds (last status: ${lastStatus ?? "unknown"})`, lastStatus);
+    });
+}
+exports.wait = wait;
+/**
+ * Resolves after the given delay, or rejects with the abort reason as soon as the signal is aborted.
+ *
+ * @param ms - The delay in milliseconds.
+ * @param signal - The signal to cancel the delay.
+ * @returns A promise that resolves after the delay.
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}